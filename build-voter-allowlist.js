@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const { Web3 } = require('web3');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * VOTER ALLOWLIST BUILDER
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ *
+ * Builds the Merkle tree behind Voting.setVoterRoot from a CSV of voters and
+ * writes the root plus every voter's proof to frontend/allowlists/, where
+ * contractAPI looks up the connected account's proof.
+ *
+ * USAGE: node build-voter-allowlist.js <voters.csv> <electionId>
+ * CSV: one "address[,weight]" per line; weight defaults to 1; a header row,
+ *      blank lines and # comments are skipped
+ *
+ * MUST MATCH Voting._claimAllowlistEntry:
+ * • leaf = keccak256(abi.encodePacked(address voter, uint256 weight))
+ * • parent = keccak256(abi.encodePacked(min(a, b), max(a, b)))
+ * • an unpaired node moves up a level unchanged
+ */
+
+const { soliditySha3 } = Web3.utils;
+
+function hashLeaf(address, weight) {
+    return soliditySha3({ t: 'address', v: address }, { t: 'uint256', v: weight.toString() });
+}
+
+function hashPair(a, b) {
+    const [low, high] = BigInt(a) < BigInt(b) ? [a, b] : [b, a];
+    return soliditySha3({ t: 'bytes32', v: low }, { t: 'bytes32', v: high });
+}
+
+function parseVoterCsv(text) {
+    const voters = [];
+    const seen = new Set();
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) return;
+
+        const [address, weightField] = line.split(/[,;\t ]+/);
+        if (voters.length === 0 && /address/i.test(address)) return;
+
+        if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+            throw new Error(`Line ${index + 1}: invalid address "${address}"`);
+        }
+
+        const weight = weightField === undefined || weightField === '' ? 1 : Number(weightField);
+        if (!Number.isSafeInteger(weight) || weight < 1) {
+            throw new Error(`Line ${index + 1}: invalid voting power "${weightField}"`);
+        }
+
+        const key = address.toLowerCase();
+        if (seen.has(key)) {
+            throw new Error(`Line ${index + 1}: duplicate address ${address}`);
+        }
+        seen.add(key);
+
+        voters.push({ address: key, weight });
+    });
+
+    return voters;
+}
+
+/**
+ * Returns { root, voters: { [lowercase address]: { weight, proof } } }
+ */
+function buildAllowlist(voters) {
+    if (voters.length === 0) {
+        throw new Error('Allowlist needs at least one voter');
+    }
+
+    const leaves = voters.map(v => hashLeaf(v.address, v.weight));
+    const proofs = voters.map(() => []);
+
+    // positions[i] = index of voter i's node in the current level
+    let level = leaves;
+    let positions = voters.map((_, i) => i);
+
+    while (level.length > 1) {
+        const next = [];
+        for (let i = 0; i < level.length; i += 2) {
+            next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+        }
+
+        positions = positions.map((position, voter) => {
+            const sibling = position ^ 1;
+            if (sibling < level.length) proofs[voter].push(level[sibling]);
+            return position >> 1;
+        });
+        level = next;
+    }
+
+    const entries = {};
+    voters.forEach((v, i) => {
+        entries[v.address] = { weight: v.weight, proof: proofs[i] };
+    });
+
+    return { root: level[0], voters: entries };
+}
+
+function main() {
+    const [csvPath, electionId] = process.argv.slice(2);
+
+    if (!csvPath || !/^[1-9]\d*$/.test(electionId || '')) {
+        console.log('Usage: node build-voter-allowlist.js <voters.csv> <electionId>');
+        process.exit(1);
+    }
+
+    try {
+        const voters = parseVoterCsv(fs.readFileSync(csvPath, 'utf8'));
+        const allowlist = buildAllowlist(voters);
+
+        const outputDir = path.join(__dirname, 'frontend', 'allowlists');
+        const outputPath = path.join(outputDir, `election-${electionId}.json`);
+        fs.mkdirSync(outputDir, { recursive: true });
+        fs.writeFileSync(outputPath, JSON.stringify({ electionId: Number(electionId), ...allowlist }, null, 2) + '\n', 'utf8');
+
+        console.log('\n🌳 Voter allowlist built\n');
+        console.log('═══════════════════════════════════════════════════════════');
+        console.log('🗳️  Election:', electionId);
+        console.log('👥 Voters:', voters.length);
+        console.log('🔑 Merkle root:', allowlist.root);
+        console.log('═══════════════════════════════════════════════════════════\n');
+        console.log('📝 Proofs written to:', path.relative(__dirname, outputPath));
+        console.log('\nNext steps:');
+        console.log('   1. Publish the root: Admin panel → Voter Management → Publish Allowlist Root');
+        console.log('   2. Deploy the JSON file alongside the frontend so voters can fetch their proofs\n');
+
+    } catch (error) {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { hashLeaf, hashPair, parseVoterCsv, buildAllowlist };
@@ -0,0 +1,266 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * ADMIN GOVERNANCE LIBRARY
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ *
+ * Multi-signature proposals, the admin set, admin transfer and role
+ * membership for Voting.
+ *
+ * DESIGN DECISION: External library, linked at deployment
+ * WHY: Voting hit the 24KB contract size limit (EIP-170); this code runs
+ *      rarely, so it can live in its own deployment and be reached through
+ *      DELEGATECALL
+ * SECURITY: Functions run on Voting's storage with Voting's msg.sender, and
+ *           only operate on the storage references Voting passes in; access
+ *           control stays in Voting
+ * TRADE-OFF: Two deployments and a link step vs room for more features
+ * GAS: About 2,600 extra per call, paid only on admin actions, never on votes
+ *
+ * @title AdminGovernance
+ * @notice Proposal, admin-set and role logic used by Voting
+ */
+library AdminGovernance {
+    
+    /**
+     * STORAGE: Admin proposals (calldata for a call back into Voting)
+     * NOTE: Approvals are recounted against the current admin set when
+     *       executing, so approvals from removed admins no longer count
+     */
+    struct Proposal {
+        address proposer;
+        bytes data;
+        bool executed;
+    }
+    
+    // Same signatures as in Voting, so logs decode against Voting's ABI
+    event ProposalCreated(uint indexed proposalId, address indexed proposer, bytes data, uint timestamp);
+    event ProposalApproved(uint indexed proposalId, address indexed approver, uint timestamp);
+    event ProposalExecuted(uint indexed proposalId, address indexed executor, uint timestamp);
+    event AdminChanged(address indexed oldAdmin, address indexed newAdmin, uint timestamp);
+    event AdminTransferProposed(address indexed currentAdmin, address indexed pendingAdmin, uint timestamp);
+    event AdminAdded(address indexed account, uint timestamp);
+    event AdminRemoved(address indexed account, uint timestamp);
+    // Voting's Role enum is a uint8 in the ABI, so the topics match
+    event RoleGranted(uint8 indexed role, address indexed account, uint timestamp);
+    event RoleRevoked(uint8 indexed role, address indexed account, uint timestamp);
+    
+    // ═══════════════════════════════════════════════════════════════════════════════
+    // ADDRESS SETS (admins and role holders)
+    // ═══════════════════════════════════════════════════════════════════════════════
+    
+    /**
+     * DESIGN DECISION: Membership mapping plus member array
+     * WHY: The mapping gives O(1) checks, the array lets Voting list members
+     *      and recount approvals
+     * NOTE: Callers check for duplicates first so they can revert with
+     *       their own messages
+     * NOTE: Internal, so compiled into Voting; calling out for a few
+     *       storage writes would cost more bytecode than it saves
+     */
+    function addMember(mapping(address => bool) storage _isMember, address[] storage _members, address _account) internal {
+        _isMember[_account] = true;
+        _members.push(_account);
+    }
+    
+    function removeMember(mapping(address => bool) storage _isMember, address[] storage _members, address _account) internal {
+        _isMember[_account] = false;
+        
+        // Swap-and-pop: member order carries no meaning
+        for (uint i = 0; i < _members.length; i++) {
+            if (_members[i] == _account) {
+                _members[i] = _members[_members.length - 1];
+                _members.pop();
+                break;
+            }
+        }
+    }
+    
+    // ═══════════════════════════════════════════════════════════════════════════════
+    // ADMIN SET
+    // ═══════════════════════════════════════════════════════════════════════════════
+    
+    /**
+     * NOTE: Voting keeps admin, pendingAdmin and adminThreshold as plain
+     *       public variables; plain values cannot be passed by storage
+     *       reference, so they come in as arguments and go back as results
+     */
+    function addAdmin(mapping(address => bool) storage _isAdmin, address[] storage _admins, address _account) external {
+        require(_account != address(0), "Invalid admin address");
+        require(!_isAdmin[_account], "Address is already an admin");
+        
+        addMember(_isAdmin, _admins, _account);
+        
+        emit AdminAdded(_account, block.timestamp);
+    }
+    
+    /**
+     * SECURITY: Never leaves fewer admins than the threshold
+     * @return primary The primary admin afterwards (the first remaining
+     *         admin if the primary itself was removed)
+     */
+    function removeAdmin(
+        mapping(address => bool) storage _isAdmin,
+        address[] storage _admins,
+        uint _threshold,
+        address _primary,
+        address _account
+    ) external returns (address primary) {
+        require(_isAdmin[_account], "Address is not an admin");
+        require(_admins.length > _threshold, "Cannot go below admin threshold");
+        
+        removeMember(_isAdmin, _admins, _account);
+        emit AdminRemoved(_account, block.timestamp);
+        
+        primary = _primary;
+        if (_account == _primary) {
+            primary = _admins[0];
+            emit AdminChanged(_account, primary, block.timestamp);
+        }
+    }
+    
+    /**
+     * Checks a transfer nomination; Voting stores the nominee
+     */
+    function nominateAdmin(mapping(address => bool) storage _isAdmin, address _primary, address _nominee) external {
+        require(_nominee != address(0), "Invalid admin address");
+        require(_nominee != _primary, "New admin cannot be the same as current admin");
+        require(!_isAdmin[_nominee], "Address is already an admin");
+        
+        emit AdminTransferProposed(_primary, _nominee, block.timestamp);
+    }
+    
+    /**
+     * Swaps the primary admin for the accepting nominee inside the admin set;
+     * Voting then records the caller as the primary admin
+     */
+    function acceptAdmin(
+        mapping(address => bool) storage _isAdmin,
+        address[] storage _admins,
+        address _primary,
+        address _pending
+    ) external {
+        require(_pending != address(0) && msg.sender == _pending, "Only the pending admin can accept");
+        require(!_isAdmin[msg.sender], "Address is already an admin");
+        
+        removeMember(_isAdmin, _admins, _primary);
+        emit AdminRemoved(_primary, block.timestamp);
+        addMember(_isAdmin, _admins, msg.sender);
+        emit AdminAdded(msg.sender, block.timestamp);
+        
+        emit AdminChanged(_primary, msg.sender, block.timestamp);
+    }
+    
+    // ═══════════════════════════════════════════════════════════════════════════════
+    // ROLES
+    // ═══════════════════════════════════════════════════════════════════════════════
+    
+    function grantRole(mapping(address => bool) storage _holders, address[] storage _members, uint8 _role, address _account) external {
+        require(_account != address(0), "Invalid role address");
+        require(!_holders[_account], "Role already granted");
+        
+        addMember(_holders, _members, _account);
+        
+        emit RoleGranted(_role, _account, block.timestamp);
+    }
+    
+    function revokeRole(mapping(address => bool) storage _holders, address[] storage _members, uint8 _role, address _account) external {
+        require(_holders[_account], "Role not granted");
+        
+        removeMember(_holders, _members, _account);
+        
+        emit RoleRevoked(_role, _account, block.timestamp);
+    }
+    
+    // ═══════════════════════════════════════════════════════════════════════════════
+    // MULTI-SIGNATURE PROPOSALS
+    // ═══════════════════════════════════════════════════════════════════════════════
+    
+    /**
+     * Stores a new proposal and records the proposer's approval
+     * NOTE: Voting assigns the ID, so proposalCount stays a plain public getter
+     */
+    function propose(
+        mapping(uint => Proposal) storage _proposals,
+        mapping(uint => mapping(address => bool)) storage _approvals,
+        uint _proposalId,
+        bytes calldata _data
+    ) external {
+        require(_data.length >= 4, "Invalid proposal");
+        
+        Proposal storage proposal = _proposals[_proposalId];
+        proposal.proposer = msg.sender;
+        proposal.data = _data;
+        
+        emit ProposalCreated(_proposalId, msg.sender, _data, block.timestamp);
+        
+        _approve(_approvals, _proposalId);
+    }
+    
+    function approve(
+        mapping(uint => Proposal) storage _proposals,
+        mapping(uint => mapping(address => bool)) storage _approvals,
+        uint _proposalCount,
+        uint _proposalId
+    ) external {
+        require(_proposalId > 0 && _proposalId <= _proposalCount, "Proposal does not exist");
+        require(!_proposals[_proposalId].executed, "Proposal already executed");
+        require(!_approvals[_proposalId][msg.sender], "Proposal already approved");
+        
+        _approve(_approvals, _proposalId);
+    }
+    
+    /**
+     * SECURITY LAYERS:
+     * 1. Approvals are counted against the current admin set
+     * 2. Marked executed before the call, so it can never run twice
+     * 3. The inner call's revert reason is passed through unchanged, and a
+     *    failed call leaves the proposal pending
+     * NOTE: Under DELEGATECALL address(this) is Voting, so the inner call
+     *       passes Voting's onlyAdmin check as a self-call
+     */
+    function execute(
+        mapping(uint => Proposal) storage _proposals,
+        mapping(uint => mapping(address => bool)) storage _approvals,
+        address[] storage _admins,
+        uint _threshold,
+        uint _proposalCount,
+        uint _proposalId
+    ) external {
+        require(_proposalId > 0 && _proposalId <= _proposalCount, "Proposal does not exist");
+        Proposal storage proposal = _proposals[_proposalId];
+        require(!proposal.executed, "Proposal already executed");
+        require(countApprovals(_approvals[_proposalId], _admins) >= _threshold, "Not enough approvals");
+        
+        // STATE CHANGE: Mark first (prevents re-execution through reentrancy)
+        proposal.executed = true;
+        
+        // EXECUTION: Call back into Voting
+        (bool success, bytes memory result) = address(this).call(proposal.data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        
+        // TRANSPARENCY: Emit event for audit trail
+        emit ProposalExecuted(_proposalId, msg.sender, block.timestamp);
+    }
+    
+    /**
+     * NOTE: Counting walks the admin set, which is small by design
+     */
+    function countApprovals(mapping(address => bool) storage _approvals, address[] storage _admins) public view returns (uint count) {
+        for (uint i = 0; i < _admins.length; i++) {
+            if (_approvals[_admins[i]]) count++;
+        }
+    }
+    
+    function _approve(mapping(uint => mapping(address => bool)) storage _approvals, uint _proposalId) private {
+        _approvals[_proposalId][msg.sender] = true;
+        
+        emit ProposalApproved(_proposalId, msg.sender, block.timestamp);
+    }
+}
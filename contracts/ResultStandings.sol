@@ -0,0 +1,115 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * RESULT STANDINGS LIBRARY
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ *
+ * Leaders, tie-break resolution and tie draws for Voting's results and
+ * finalization.
+ *
+ * DESIGN DECISION: Third external library, linked like AdminGovernance
+ * WHY: Voting had under 100 bytes left below the 24KB contract size limit
+ *      (EIP-170); standings are read by views, finalizeElection and
+ *      drawTieBreak only, so moving them out costs a plain vote nothing
+ * SECURITY: Functions only touch the per-election state Voting passes in;
+ *           policy and finalization checks stay in Voting
+ * GAS: About 2,600 extra per finalization or draw; free for off-chain reads
+ *
+ * @title ResultStandings
+ * @notice Leader, tie-break and draw logic used by Voting
+ */
+library ResultStandings {
+    
+    // Same signatures as in Voting, so logs decode against Voting's ABI
+    event TieBreakRequested(uint indexed electionId, uint drawBlock, uint timestamp);
+    event TieBroken(uint indexed electionId, uint indexed winnerId, uint timestamp);
+    
+    // Same order as Voting.TieBreak, which is a uint8 in the ABI
+    uint8 internal constant EARLIEST_TO_REACH = 1;
+    uint8 internal constant ADMIN_DRAW = 2;
+    
+    /**
+     * LEADERS AND WINNER
+     * WHY: Every candidate sharing the highest count is a winner; with no
+     *      votes there is no winner at all
+     * RULE: A single leader always wins; a tie is settled by the policy,
+     *       or left standing (0)
+     * NOTE: Withdrawn candidates can never hold votes, so need no check
+     * NOTE: AdminDraw ties stay unsettled until drawTieBreak has run
+     */
+    function standings(
+        mapping(uint => uint) storage _counts,
+        mapping(uint => uint) storage _reachedAt,
+        uint[] storage _drawn,
+        uint _candidateCount,
+        uint8 _policy
+    ) external view returns (uint[] memory leaders, uint winnerId) {
+        uint highest = 0;
+        uint tied = 0;
+        
+        for (uint i = 1; i <= _candidateCount; i++) {
+            uint votes = _counts[i];
+            if (votes > highest) {
+                highest = votes;
+                tied = 1;
+            } else if (votes == highest && votes > 0) {
+                tied++;
+            }
+        }
+        
+        leaders = new uint[](tied);
+        for (uint i = _candidateCount; tied > 0; i--) {
+            if (_counts[i] == highest) leaders[--tied] = i;
+        }
+        
+        if (leaders.length == 1) return (leaders, leaders[0]);
+        if (leaders.length == 0) return (leaders, 0);
+        
+        if (_policy == ADMIN_DRAW) {
+            return (leaders, _drawn.length == 1 ? _drawn[0] : 0);
+        }
+        if (_policy != EARLIEST_TO_REACH) return (leaders, 0);
+        
+        // EARLIEST TO REACH: Lowest stamp wins; equal stamps (one approval
+        // ballot lifting several leaders) leave the tie standing
+        uint earliest = type(uint).max;
+        for (uint i = 0; i < leaders.length; i++) {
+            uint reachedAt = _reachedAt[leaders[i]];
+            if (reachedAt < earliest) {
+                earliest = reachedAt;
+                winnerId = leaders[i];
+            } else if (reachedAt == earliest) {
+                winnerId = 0;
+            }
+        }
+    }
+    
+    /**
+     * Narrows a certified tie to one candidate drawn from a committed block's hash
+     * STEP 1: Without a usable draw block, commit to the next one (not mined yet)
+     * STEP 2: Once it is mined, draw from its hash; the outcome is fixed by
+     *         then, so the caller only reveals it
+     * NOTE: Voting has already checked the policy and that the election is final
+     * @return drawBlock The block to draw from; Voting stores it when it changes
+     */
+    function drawWinner(uint[] storage _winners, uint _drawBlock, uint _electionId) external returns (uint) {
+        require(_winners.length > 1, "No tie to break");
+        
+        // COMMIT: First request, or the hash left blockhash's 256-block window unused
+        if (_drawBlock == 0 || block.number > _drawBlock + 256) {
+            emit TieBreakRequested(_electionId, block.number + 1, block.timestamp);
+            return block.number + 1;
+        }
+        require(block.number > _drawBlock, "Draw block is not mined yet");
+        
+        uint winnerId = _winners[uint(keccak256(abi.encodePacked(blockhash(_drawBlock), _electionId))) % _winners.length];
+        while (_winners.length > 0) _winners.pop();
+        _winners.push(winnerId);
+        
+        // TRANSPARENCY: Emit event for audit trail
+        emit TieBroken(_electionId, winnerId, block.timestamp);
+        return _drawBlock;
+    }
+}
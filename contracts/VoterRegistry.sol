@@ -0,0 +1,149 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * VOTER REGISTRY LIBRARY
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ *
+ * Voter roll, allowlist proofs and vote delegation for Voting.
+ *
+ * DESIGN DECISION: Second external library, linked like AdminGovernance
+ * WHY: Voting is at the 24KB contract size limit (EIP-170); none of these
+ *      paths is taken by a plain vote, so vote() keeps its gas cost
+ * SECURITY: Functions only touch the per-election state Voting passes in;
+ *           access control and voting-window rules stay in Voting
+ * GAS: About 2,600 extra per registration, allowlist claim or delegation
+ *
+ * @title VoterRegistry
+ * @notice Registration, allowlist and delegation logic used by Voting
+ */
+library VoterRegistry {
+    
+    /**
+     * Registered voters per election, for turnout and quorum
+     * GAS: createElection writes createdBlock, so this slot is never empty and
+     *      every registration pays the same (the first voter does not pay to
+     *      create the slot); log readers can also start searching from it
+     */
+    struct VoterRoll {
+        uint64 createdBlock;    // Block of createElection
+        uint64 voters;          // Registered addresses
+        uint128 votingPower;    // Their combined weight (delegation moves it, never adds)
+    }
+    
+    // Same signatures as in Voting, so logs decode against Voting's ABI
+    event VoterRegistered(uint indexed electionId, address indexed voter, uint weight, uint timestamp);
+    event VoterDeregistered(uint indexed electionId, address indexed voter, uint timestamp);
+    event VoteDelegated(uint indexed electionId, address indexed voter, address indexed delegate, uint timestamp);
+    
+    // ═══════════════════════════════════════════════════════════════════════════════
+    // VOTER ROLL
+    // ═══════════════════════════════════════════════════════════════════════════════
+    
+    /**
+     * Shared by registerVoter, registerVoters and allowlist claims
+     * NOTE: Weights are capped at 2^96 so the roll's votingPower cannot overflow
+     */
+    function register(
+        mapping(address => uint) storage _weights,
+        VoterRoll storage _roll,
+        uint _electionId,
+        address _voter,
+        uint _weight
+    ) external {
+        // VALIDATION: Ensure voter is not already registered
+        require(_weights[_voter] == 0, "Voter is already registered");
+        
+        // VALIDATION: Ensure valid address and voting power
+        require(_voter != address(0), "Invalid voter address");
+        require(_weight > 0, "Voter weight must be positive");
+        require(_weight <= type(uint96).max, "Voter weight too large");
+        
+        // STATE CHANGE: Register the voter with their voting power
+        _weights[_voter] = _weight;
+        _roll.voters++;
+        _roll.votingPower += uint128(_weight);
+        
+        // TRANSPARENCY: Emit event for audit trail
+        emit VoterRegistered(_electionId, _voter, _weight, block.timestamp);
+    }
+    
+    function deregister(
+        mapping(address => uint) storage _weights,
+        mapping(address => bool) storage _hasVoted,
+        VoterRoll storage _roll,
+        uint _electionId,
+        address _voter
+    ) external {
+        // VALIDATION: Must be registered and must not have voted
+        require(_weights[_voter] > 0, "Voter is not registered");
+        require(!_hasVoted[_voter], "Voter has already voted");
+        
+        // STATE CHANGE: Zero weight means not registered
+        _roll.voters--;
+        _roll.votingPower -= uint128(_weights[_voter]);
+        _weights[_voter] = 0;
+        
+        // TRANSPARENCY: Emit event for audit trail
+        emit VoterDeregistered(_electionId, _voter, block.timestamp);
+    }
+    
+    // ═══════════════════════════════════════════════════════════════════════════════
+    // MERKLE ALLOWLIST
+    // ═══════════════════════════════════════════════════════════════════════════════
+    
+    /**
+     * SECURITY: Leaves are 52 bytes and inner nodes 64, so an inner node can
+     *           never be passed off as a leaf
+     * NOTE: Sorted-pair hashing means proofs need no left/right flags
+     */
+    function verifyAllowlist(bytes32 _root, address _voter, uint _weight, bytes32[] calldata _proof) external pure returns (bool) {
+        bytes32 node = keccak256(abi.encodePacked(_voter, _weight));
+        for (uint i = 0; i < _proof.length; i++) {
+            bytes32 sibling = _proof[i];
+            node = node < sibling
+                ? keccak256(abi.encodePacked(node, sibling))
+                : keccak256(abi.encodePacked(sibling, node));
+        }
+        return node == _root;
+    }
+    
+    // ═══════════════════════════════════════════════════════════════════════════════
+    // DELEGATION
+    // ═══════════════════════════════════════════════════════════════════════════════
+    
+    /**
+     * Moves the caller's whole weight to the end of the delegation chain
+     * NOTE: Voting has already checked that the caller is registered, has not
+     *       voted and that the voting window is still open
+     */
+    function delegate(
+        mapping(address => uint) storage _weights,
+        mapping(address => bool) storage _hasVoted,
+        mapping(address => address) storage _delegates,
+        uint _electionId,
+        address _to
+    ) external {
+        require(_to != msg.sender, "Cannot delegate to yourself");
+        require(_weights[_to] > 0, "Delegate is not registered");
+        
+        // VALIDATION: Follow the chain; returning to the caller is a cycle
+        address finalDelegate = _to;
+        while (_delegates[finalDelegate] != address(0)) {
+            finalDelegate = _delegates[finalDelegate];
+            require(finalDelegate != msg.sender, "Delegation cycle detected");
+        }
+        // VALIDATION: The end of the chain may have been deregistered since
+        require(_weights[finalDelegate] > 0, "Delegate is not registered");
+        require(!_hasVoted[finalDelegate], "Delegate has already voted");
+        
+        // STATE CHANGES: Move the whole weight, including any delegated to the caller
+        _hasVoted[msg.sender] = true;
+        _delegates[msg.sender] = _to;
+        _weights[finalDelegate] += _weights[msg.sender];
+        
+        // TRANSPARENCY: Emit event for audit trail
+        emit VoteDelegated(_electionId, msg.sender, _to, block.timestamp);
+    }
+}
@@ -1,6 +1,10 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
+import "./AdminGovernance.sol";
+import "./VoterRegistry.sol";
+import "./ResultStandings.sol";
+
 /**
  * ═══════════════════════════════════════════════════════════════════════════════════
  * VOTING SMART CONTRACT
@@ -36,69 +40,313 @@ contract Voting {
     // ═══════════════════════════════════════════════════════════════════════════════
     
     /**
-     * DESIGN DECISION: Single admin model
-     * WHY: Simplifies access control, reduces gas costs, clear responsibility
-     * TRADE-OFF: Centralization risk vs operational simplicity
-     * SECURITY: Single point of failure - admin key must be secured
-     * FUTURE: Will upgrade to multi-signature admin system
+     * DESIGN DECISION: Primary admin address
+     * WHY: Kept for existing callers; the deployer starts as the only admin
+     * NOTE: Authority now comes from isAdmin + adminThreshold (see below);
+     *       transferAdmin swaps this address within the admin set
      */
     address public admin;
     
     /**
-     * DESIGN DECISION: Mapping for voter registration tracking
-     * WHY: O(1) lookup time, gas efficient, transparent verification
+     * DESIGN DECISION: Two-step admin transfer
+     * WHY: A typo in transferAdmin must not hand control to an address no one
+     *      holds the key for; the nominee proves control by accepting
+     * NOTE: address(0) means no transfer is pending
+     */
+    address public pendingAdmin;
+    
+    /**
+     * DESIGN DECISION: M-of-N multi-signature admin
+     * WHY: Removes the single point of failure of one admin key
+     * HOW: Any admin proposes a call to this contract, admins approve it, and
+     *      once adminThreshold approvals exist any admin executes it
+     * NOTE: With a threshold of 1 admins may still call admin functions
+     *       directly, which is how a fresh deployment behaves
+     * NOTE: Admin-set, transfer and role changes run in the linked
+     *       AdminGovernance library; the state stays here
+     * TRADE-OFF: Several transactions per admin action vs shared control
+     */
+    mapping(address => bool) public isAdmin;
+    address[] internal adminList;
+    uint public adminThreshold;
+    
+    /**
+     * STORAGE: Admin proposals (calldata for a call back into this contract)
+     * NOTE: Proposal logic lives in the linked AdminGovernance library
+     */
+    uint public proposalCount;
+    mapping(uint => AdminGovernance.Proposal) internal proposals;
+    mapping(uint => mapping(address => bool)) public proposalApprovals;
+    
+    /**
+     * DESIGN DECISION: Narrow roles beside the admin set
+     * WHY: Admins should not have to sign every registration themselves;
+     *      each role unlocks one group of day-to-day functions and nothing else
+     * NOTE: Admins keep every permission; roles are granted and revoked by
+     *       admins (through a proposal when the threshold is above 1)
+     * TRADE-OFF: Role holders act alone, outside the multisig threshold
+     */
+    mapping(Role => mapping(address => bool)) public hasRole;
+    mapping(Role => address[]) internal roleMembers;
+    
+    /**
+     * DESIGN DECISION: Election registry keyed by sequential IDs
+     * WHY: One deployment can host several independent polls at once
+     * TRADE-OFF: Extra election ID argument on every call vs redeploying per poll
+     * SECURITY: Each election keeps its own voter roll, ballot and tally
+     * GAS: The window timestamps and flags share one storage slot, so the
+     *      voting window check in vote() costs a single SLOAD
+     */
+    struct Election {
+        string title;
+        uint candidateCount;
+        uint totalVotes;        // Counted voting power (reveals, for secret ballots)
+        uint totalCommitments;  // Sealed ballots submitted (secret ballots only)
+        uint64 startTime;       // 0 when the election is not scheduled
+        uint64 endTime;         // 0 when the election is not scheduled
+        uint64 revealEndTime;   // End of the reveal phase (secret ballots only)
+        bool votingActive;      // Manual switch, only used by unscheduled elections
+        bool secretBallot;      // Commit-reveal mode
+        BallotType ballotType;  // How voters express their choice
+        bool exists;
+        bool finalized;         // Result certified; the election is read-only
+        TieBreak tieBreak;      // How a tie for first place is settled
+        bool voteChanges;       // Voters may recast plurality votes while open
+        bool opened;            // The manual switch has been on at least once
+    }
+    
+    /**
+     * Certified outcome recorded by finalizeElection
+     * NOTE: Several winners means a tie; none means no votes were counted
+     *       (or a ranked election, whose runoff is tallied off-chain)
+     */
+    struct FinalResult {
+        uint64 blockNumber;
+        uint64 timestamp;
+        bool quorumMet;         // Turnout reached the quorum when certified
+        uint64 drawBlock;       // Block whose hash draws a tie (AdminDraw only)
+        uint[] winners;
+    }
+    
+    /**
+     * Minimum turnout for a valid result, measured in counted voting power
+     * NOTE: A threshold of 0 means no quorum
+     */
+    struct Quorum {
+        uint threshold;         // Voting power, or a percentage when percentage is set
+        bool percentage;        // Threshold is a share of registered voting power
+    }
+    
+    /**
+     * DESIGN DECISION: Explicit election phases
+     * WHY: Frontends can show "opens in" / "closes in" without guessing
+     * NOTE: Scheduled elections derive the phase from block.timestamp;
+     *       unscheduled elections report Open or Closed from the manual switch.
+     *       Reveal only occurs for secret ballots, between endTime and revealEndTime
+     */
+    enum Phase { Upcoming, Open, Reveal, Closed }
+    
+    /**
+     * DESIGN DECISION: Ballot type chosen per election
+     * WHY: Some polls need a single choice, others a full preference order
+     * Plurality: vote() - one candidate, most votes wins
+     * Ranked: voteRanked() - ordered preferences, instant-runoff tally off-chain
+     * Approval: voteApproval() - any number of candidates, each gets one vote
+     */
+    enum BallotType { Plurality, Ranked, Approval }
+    
+    /**
+     * DESIGN DECISION: Tie-break policy chosen per election, before voting
+     * WHY: Picking the lowest candidate ID is arbitrary; how a tie is settled
+     *      must be known to voters before the first ballot, not after
+     * DeclareTie: every tied leader is reported, nobody wins outright
+     * EarliestToReach: the tied leader who reached the winning count first wins
+     * AdminDraw: after finalization, drawTieBreak picks one tied leader at random
+     */
+    enum TieBreak { DeclareTie, EarliestToReach, AdminDraw }
+    
+    /**
+     * DESIGN DECISION: Delegated roles
+     * Registrar: registerVoter(s), deregisterVoter, setVoterRoot
+     * CandidateManager: addCandidate, renameCandidate, withdrawCandidate,
+     *                   setCandidateMetadata
+     * ElectionOperator: toggleVoting, scheduleVoting, scheduleSecretBallot,
+     *                   finalizeElection
+     */
+    enum Role { Registrar, CandidateManager, ElectionOperator }
+    
+    /**
+     * Candidate lifecycle: Active once added, Withdrawn if removed before any votes
+     */
+    enum CandidateStatus { None, Active, Withdrawn }
+    
+    /**
+     * Off-chain candidate profile: where to fetch it and what it must hash to
+     */
+    struct CandidateMetadata {
+        string uri;              // https:// or ipfs:// link to the profile JSON
+        bytes32 contentHash;     // keccak256 of the JSON bytes, zero if unpinned
+    }
+    
+    /**
+     * DESIGN DECISION: Sequential election IDs starting from 1
+     * WHY: Simple iteration for election pickers, avoid zero-value confusion
+     * SECURITY: Election ID 0 never exists, so unset IDs are always rejected
+     */
+    uint public electionCount;
+    
+    /**
+     * STORAGE: Election metadata and per-election counters
+     * PURPOSE: Title, candidate count, total votes and status for each election
+     * NOTE: Internal; the elections() view returns the original fields, since
+     *       a generated getter for every field no longer compiles (stack too deep)
+     */
+    mapping(uint => Election) internal electionData;
+    
+    /**
+     * DESIGN DECISION: Voting power per registered voter (per election)
+     * WHY: O(1) lookup time, gas efficient, transparent verification;
+     *      shareholder-style votes need voters to count differently
      * TRADE-OFF: Public visibility vs privacy
      * SECURITY: Prevents unauthorized voting, enables verification
+     * NOTE: A weight of 0 means "not registered", so one slot answers both
+     *       questions and vote() pays for a single cold read
      * ALTERNATIVE: Could use merkle tree for privacy (more complex)
      */
-    mapping(address => bool) public registeredVoters;
+    mapping(uint => mapping(address => uint)) public voterWeights;
     
     /**
-     * DESIGN DECISION: Public voting status tracking  
+     * DESIGN DECISION: Public voting status tracking (per election)
      * WHY: Prevents double voting, provides transparency
      * TRADE-OFF: Privacy loss vs fraud prevention
      * SECURITY: Core protection against double voting attacks
      * RISK: Enables vote buying verification (accepted for educational use)
      */
-    mapping(address => bool) public hasVoted;
+    mapping(uint => mapping(address => bool)) public hasVoted;
     
     /**
-     * DESIGN DECISION: Public vote counts per candidate
+     * DESIGN DECISION: Public vote counts per candidate (per election)
      * WHY: Maximum transparency, real-time results, easy verification
      * TRADE-OFF: Potential vote buying vs transparency
-     * ALTERNATIVE: Commit-reveal scheme (adds complexity)
-     * JUSTIFICATION: Educational value outweighs vote buying risk
+     * ALTERNATIVE: Commit-reveal secret ballot, opt-in per election (see voteCommitments)
+     * JUSTIFICATION: Educational value outweighs vote buying risk for open ballots
+     */
+    mapping(uint => mapping(uint => uint)) public voteCounts;
+    
+    /**
+     * DESIGN DECISION: Sealed ballots for secret-ballot elections
+     * WHY: Hide each choice until voting closes, so a buyer cannot watch
+     *      the tally move and no one can follow the running count
+     * HOW: commitment = keccak256(electionId, candidateId, salt, voter)
+     * TRADE-OFF: Two transactions per voter, and a lost salt means a lost vote
+     */
+    mapping(uint => mapping(address => bytes32)) public voteCommitments;
+    mapping(uint => mapping(address => bool)) public hasRevealed;
+    
+    /**
+     * DESIGN DECISION: Store every ranked ballot on-chain
+     * WHY: Instant runoff needs the full preference order of every ballot,
+     *      and anyone must be able to recompute the rounds
+     * TRADE-OFF: Higher vote gas (one slot per ranked candidate) vs verifiability
+     * NOTE: Ballots are stored in cast order, not keyed by voter
+     */
+    mapping(uint => uint[][]) internal rankedBallots;
+    
+    /**
+     * STORAGE: Voting power behind each ranked ballot, same order as rankedBallots
+     * WHY: The runoff transfers a ballot's full weight to its next preference
+     */
+    mapping(uint => uint[]) internal rankedBallotWeights;
+    
+    /**
+     * DESIGN DECISION: Record each voter's chosen delegate (per election)
+     * WHY: Liquid democracy - voters who cannot take part hand their weight
+     *      to someone who will; chains are followed through this mapping
+     * NOTE: Stores the delegate the voter picked, not the end of the chain
+     */
+    mapping(uint => mapping(address => address)) public delegates;
+    
+    /**
+     * DESIGN DECISION: Optional Merkle root of eligible voters (per election)
+     * WHY: Publishing one hash replaces one admin transaction per voter;
+     *      voters prove membership themselves and register on first use
+     * LEAF: keccak256(abi.encodePacked(voter, weight)), pairs hashed in sorted order
+     * NOTE: bytes32(0) means no allowlist; admin registration keeps working either way
      */
-    mapping(uint => uint) public voteCounts;
+    mapping(uint => bytes32) public voterRoots;
     
     /**
-     * DESIGN DECISION: String storage for candidate names
+     * DESIGN DECISION: String storage for candidate names (per election)
      * WHY: Human-readable candidate identification
      * TRADE-OFF: Higher gas costs vs user experience
      * ALTERNATIVE: Use bytes32 for efficiency (less user-friendly)
+     * NOTE: Candidate IDs are sequential from 1 within each election
+     */
+    mapping(uint => mapping(uint => string)) public candidates;
+    
+    /**
+     * DESIGN DECISION: Candidate status instead of deleting candidates
+     * WHY: Withdrawn candidates keep their ID, so results and events stay
+     *      aligned; None marks IDs that were never added
+     * GAS: vote() checks this one slot in place of candidateCount, so
+     *      withdrawal support adds no storage read to a plurality vote
+     */
+    mapping(uint => mapping(uint => CandidateStatus)) public candidateStatus;
+    
+    /**
+     * DESIGN DECISION: Abstain and "none of the above" as reserved ballot choices
+     * WHY: A registered voter can take part without backing a candidate;
+     *      both count toward turnout (totalVotes) but can never win
+     * HOW: Cast with vote() or revealVote() like a candidate ID; counts sit in
+     *      voteCounts at these IDs, far above any real candidate
+     * NOTE: Open to every ballot type; ranked and approval voters abstain
+     *       through vote() instead of submitting an empty ballot
+     */
+    uint public constant ABSTAIN = type(uint).max;
+    uint public constant NONE_OF_THE_ABOVE = type(uint).max - 1;
+    
+    /**
+     * DESIGN DECISION: Profiles live off-chain, only a link and hash on-chain
+     * WHY: A description, photo and manifesto are far too large to store,
+     *      but the hash lets any voter prove the profile they read is the
+     *      one the candidate manager published
+     * NOTE: Kept out of the Election struct so vote() never loads it
+     */
+    mapping(uint => mapping(uint => CandidateMetadata)) public candidateMetadata;
+    
+    /**
+     * DESIGN DECISION: Store the certified winners, not a copy of every count
+     * WHY: Finalization makes the election read-only, so voteCounts can no
+     *      longer move; the winner set is what must not depend on who reads it
      */
-    mapping(uint => string) public candidates;
+    mapping(uint => FinalResult) internal finalResults;
     
     /**
-     * DESIGN DECISION: Sequential candidate IDs starting from 1
-     * WHY: Simple iteration, avoid zero-value confusion
-     * SECURITY: Prevents votes for non-existent candidate (ID 0)
+     * STORAGE: When each candidate reached its current count
+     * VALUE: The election's totalVotes right after the ballot that moved it
+     * NOTE: Only written under the EarliestToReach policy, so other
+     *       elections pay nothing extra per vote
      */
-    uint public candidateCount;
+    mapping(uint => mapping(uint => uint)) public countReachedAt;
     
     /**
-     * TRACKING: Total votes cast (for statistics and validation)
-     * PURPOSE: Quick total without iterating through all candidates
+     * DESIGN DECISION: Remember each voter's plurality choice only when
+     *                  the election allows vote changes
+     * WHY: changeVote must know which count to take the weight from; other
+     *      elections skip the write, so vote() costs them nothing extra
+     * NOTE: 0 means no changeable vote (not voted, delegated, or another ballot type)
      */
-    uint public totalVotes;
+    mapping(uint => mapping(address => uint)) public currentVote;
     
     /**
-     * DESIGN DECISION: Admin-controlled voting status
-     * WHY: Allows pausing voting in emergencies or scheduling elections
-     * TRADE-OFF: Admin control vs automatic processes
-     * SECURITY: Prevents voting during setup or after conclusion
+     * DESIGN DECISION: Turnout is counted voting power (totalVotes)
+     * WHY: totalVotes is already updated by every ballot, so quorum costs
+     *      vote() nothing; with one vote per voter it equals the headcount
+     * NOTE: The roll is only touched by registration and deregistration;
+     *       both are read through getElectionStats
      */
-    bool public votingActive;
+    mapping(uint => VoterRegistry.VoterRoll) internal voterRolls;
+    mapping(uint => Quorum) internal quorums;
     
     // ═══════════════════════════════════════════════════════════════════════════════
     // EVENTS
@@ -109,11 +357,42 @@ contract Voting {
      * SECURITY: Creates immutable audit trail
      * PURPOSE: Enables frontend updates and external monitoring
      */
-    event VoterRegistered(address indexed voter, uint timestamp);
-    event CandidateAdded(uint indexed candidateId, string name, uint timestamp);
-    event VoteCast(address indexed voter, uint indexed candidateId, uint timestamp);
-    event VotingStatusChanged(bool active, uint timestamp);
+    event ElectionCreated(uint indexed electionId, string title, uint timestamp);
+    event VoterRegistered(uint indexed electionId, address indexed voter, uint weight, uint timestamp);
+    event VoterDeregistered(uint indexed electionId, address indexed voter, uint timestamp);
+    event CandidateAdded(uint indexed electionId, uint indexed candidateId, string name, uint timestamp);
+    event CandidateRenamed(uint indexed electionId, uint indexed candidateId, string name, uint timestamp);
+    event CandidateWithdrawn(uint indexed electionId, uint indexed candidateId, uint timestamp);
+    event CandidateMetadataSet(uint indexed electionId, uint indexed candidateId, string uri, bytes32 contentHash, uint timestamp);
+    event VoteCast(uint indexed electionId, address indexed voter, uint indexed candidateId, uint timestamp);
+    event VotingStatusChanged(uint indexed electionId, bool active, uint timestamp);
+    event VotingScheduled(uint indexed electionId, uint startTime, uint endTime, uint timestamp);
+    event SecretBallotScheduled(uint indexed electionId, uint startTime, uint endTime, uint revealEndTime, uint timestamp);
+    event VoteCommitted(uint indexed electionId, address indexed voter, uint timestamp);
+    event VoteRevealed(uint indexed electionId, address indexed voter, uint indexed candidateId, uint timestamp);
+    event BallotTypeSet(uint indexed electionId, BallotType ballotType, uint timestamp);
+    event ElectionFinalized(uint indexed electionId, uint[] winners, uint totalVotes, uint timestamp);
+    event TieBreakPolicySet(uint indexed electionId, TieBreak policy, uint timestamp);
+    event TieBreakRequested(uint indexed electionId, uint drawBlock, uint timestamp);
+    event TieBroken(uint indexed electionId, uint indexed winnerId, uint timestamp);
+    event QuorumSet(uint indexed electionId, uint threshold, bool percentage, uint timestamp);
+    event VoteChangesSet(uint indexed electionId, bool allowed, uint timestamp);
+    event VoteChanged(uint indexed electionId, address indexed voter, uint previousCandidateId, uint indexed candidateId, uint timestamp);
+    event RankedVoteCast(uint indexed electionId, address indexed voter, uint[] ranking, uint timestamp);
+    event ApprovalVoteCast(uint indexed electionId, address indexed voter, uint[] candidateIds, uint timestamp);
+    event VoteDelegated(uint indexed electionId, address indexed voter, address indexed delegate, uint timestamp);
+    event VoterRootSet(uint indexed electionId, bytes32 root, uint timestamp);
     event AdminChanged(address indexed oldAdmin, address indexed newAdmin, uint timestamp);
+    event AdminTransferProposed(address indexed currentAdmin, address indexed pendingAdmin, uint timestamp);
+    event AdminTransferCancelled(address indexed currentAdmin, address indexed pendingAdmin, uint timestamp);
+    event AdminAdded(address indexed account, uint timestamp);
+    event AdminRemoved(address indexed account, uint timestamp);
+    event AdminThresholdChanged(uint threshold, uint timestamp);
+    event ProposalCreated(uint indexed proposalId, address indexed proposer, bytes data, uint timestamp);
+    event ProposalApproved(uint indexed proposalId, address indexed approver, uint timestamp);
+    event ProposalExecuted(uint indexed proposalId, address indexed executor, uint timestamp);
+    event RoleGranted(Role indexed role, address indexed account, uint timestamp);
+    event RoleRevoked(Role indexed role, address indexed account, uint timestamp);
     
     // ═══════════════════════════════════════════════════════════════════════════════
     // MODIFIERS
@@ -121,14 +400,33 @@ contract Voting {
     
     /**
      * ACCESS CONTROL MODIFIER
-     * DESIGN DECISION: Simple admin check
-     * WHY: Clear, gas-efficient, easy to understand
-     * SECURITY: Prevents unauthorized administrative actions
-     * LIMITATION: Single point of failure
-     * FUTURE: Replace with multi-signature mechanism
+     * DESIGN DECISION: Admin actions come from an executed proposal, or from
+     *                  any admin directly while the threshold is 1
+     * WHY: One check covers every admin function, old and new
+     * SECURITY: Prevents unauthorized administrative actions; with a higher
+     *           threshold no single key can act alone
      */
     modifier onlyAdmin() {
-        require(msg.sender == admin, "Only admin can perform this action");
+        _checkAdmin();
+        _;
+    }
+    
+    /**
+     * ROLE MODIFIER
+     * WHY: Role holders call their functions directly; everyone else must
+     *      pass the admin check, so admins and proposals keep full access
+     */
+    modifier onlyRole(Role _role) {
+        _checkRole(_role);
+        _;
+    }
+    
+    /**
+     * PROPOSAL MODIFIER
+     * WHY: Proposing and approving must be done by a current admin in person
+     */
+    modifier onlyAdminSigner() {
+        require(isAdmin[msg.sender], "Only admin can perform this action");
         _;
     }
     
@@ -139,8 +437,8 @@ contract Voting {
      * SECURITY: Core defense against unauthorized participation
      * TRADE-OFF: Centralized control vs open participation
      */
-    modifier onlyRegisteredVoter() {
-        require(registeredVoters[msg.sender], "You are not registered to vote");
+    modifier onlyRegisteredVoter(uint _electionId) {
+        _checkRegisteredVoter(_electionId);
         _;
     }
     
@@ -152,20 +450,33 @@ contract Voting {
      * TRADE-OFF: Public voting status vs privacy
      * EFFECTIVENESS: 100% prevention of address-based double voting
      */
-    modifier hasNotVoted() {
-        require(!hasVoted[msg.sender], "You have already voted");
+    modifier hasNotVoted(uint _electionId) {
+        _checkNotVoted(_electionId);
         _;
     }
     
     /**
      * VOTING STATUS MODIFIER
-     * DESIGN DECISION: Admin-controlled voting periods
-     * WHY: Allows setup time, emergency pausing, scheduled elections
-     * SECURITY: Prevents votes during maintenance or after conclusion
-     * TRADE-OFF: Admin control vs automated processes
+     * DESIGN DECISION: Time window for scheduled elections, admin switch otherwise
+     * WHY: Scheduled elections open and close without the admin being online
+     * SECURITY: Prevents votes during setup or after conclusion
+     * TRADE-OFF: Relies on block.timestamp (miners can skew it by seconds)
      */
-    modifier votingIsActive() {
-        require(votingActive, "Voting is currently inactive");
+    modifier votingIsActive(uint _electionId) {
+        _checkVotingOpen(_electionId);
+        _;
+    }
+    
+    /**
+     * ELECTION EXISTENCE MODIFIER
+     * DESIGN DECISION: Explicit existence flag on each election
+     * WHY: Admin actions must never silently create state for unknown IDs
+     * SECURITY: Prevents registering voters or candidates for phantom elections
+     * NOTE: Also rejects finalized elections, so nothing guarded by it can
+     *       reopen voting or change a certified result
+     */
+    modifier electionExists(uint _electionId) {
+        _checkElectionExists(_electionId);
         _;
     }
     
@@ -179,21 +490,58 @@ contract Voting {
      * WHY: Simple deployment process, clear initial ownership
      * SECURITY: Admin role established at deployment
      * TRADE-OFF: Manual admin setup vs automatic assignment
+     * NOTE: No election exists until the admin calls createElection
      */
     constructor() {
         admin = msg.sender;
-        votingActive = false; // Start with voting disabled for setup
-        candidateCount = 0;
-        totalVotes = 0;
+        AdminGovernance.addMember(isAdmin, adminList, msg.sender);
+        adminThreshold = 1;
+        electionCount = 0;
         
+        emit AdminAdded(msg.sender, block.timestamp);
         emit AdminChanged(address(0), admin, block.timestamp);
-        emit VotingStatusChanged(false, block.timestamp);
     }
     
     // ═══════════════════════════════════════════════════════════════════════════════
     // ADMIN FUNCTIONS
     // ═══════════════════════════════════════════════════════════════════════════════
     
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: createElection
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Open a new, independent election in the registry
+     * 
+     * DESIGN DECISION: Admin-created elections with sequential IDs
+     * WHY: Several polls can run side by side from one contract address
+     * SECURITY: New elections start with voting disabled and an empty voter roll
+     * TRADE-OFF: Shared admin across elections vs per-election ownership
+     * 
+     * @param _title Human-readable election title
+     * @return electionId The ID assigned to the new election
+     */
+    function createElection(string memory _title) public onlyAdmin returns (uint electionId) {
+        // VALIDATION: Ensure title is not empty
+        require(bytes(_title).length > 0, "Election title cannot be empty");
+        
+        // VALIDATION: Ensure title is not too long (gas optimization)
+        require(bytes(_title).length <= 64, "Election title too long");
+        
+        // STATE CHANGE: Increment election count and store election
+        electionCount++;
+        electionId = electionCount;
+        
+        Election storage election = electionData[electionId];
+        election.title = _title;
+        election.exists = true;
+        voterRolls[electionId].createdBlock = uint64(block.number);
+        // Note: votingActive starts false so the admin can set up the ballot
+        
+        // TRANSPARENCY: Emit event for audit trail
+        emit ElectionCreated(electionId, _title, block.timestamp);
+    }
+    
     /**
      * ═══════════════════════════════════════════════════════════════════════════════
      * FUNCTION: registerVoter
@@ -208,20 +556,97 @@ contract Voting {
      * RISK: Admin could exclude legitimate voters
      * MITIGATION: Transparent criteria, community oversight planned
      * 
+     * DESIGN DECISION: Admin assigns each voter's voting power
+     * WHY: Shareholder-style votes weight voters by stake; pass 1 for
+     *      one-person-one-vote elections
+     * NOTE: Weight is fixed once registered; every ballot the voter casts
+     *       adds exactly this much to voteCounts and totalVotes
+     * 
+     * @param _electionId The election the voter is registered for
      * @param _voter The Ethereum address of the voter to register
+     * @param _weight The voter's voting power (must be at least 1)
      */
-    function registerVoter(address _voter) public onlyAdmin {
-        // VALIDATION: Ensure voter is not already registered
-        require(!registeredVoters[_voter], "Voter is already registered");
-        
-        // VALIDATION: Ensure valid address
-        require(_voter != address(0), "Invalid voter address");
+    function registerVoter(uint _electionId, address _voter, uint _weight) public onlyRole(Role.Registrar) electionExists(_electionId) {
+        _registerVoter(_electionId, _voter, _weight);
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: registerVoters
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Register many voters in one transaction
+     * 
+     * DESIGN DECISION: Same checks as registerVoter, applied to every row
+     * WHY: Onboarding hundreds of voters one transaction (and one wallet
+     *      prompt) at a time is impractical
+     * SECURITY: All-or-nothing - one bad row reverts the whole batch, so a
+     *           batch is never half-registered
+     * 
+     * GAS CONSIDERATIONS:
+     * • Roughly one registerVoter per row (no per-transaction overhead)
+     * • No on-chain size cap: the block gas limit bounds a batch, and the
+     *   admin panel splits uploads into chunks well below it
+     * 
+     * @param _electionId The election the voters are registered for
+     * @param _voters The Ethereum addresses to register
+     * @param _weights Voting power for each address, same order as _voters
+     */
+    function registerVoters(uint _electionId, address[] calldata _voters, uint[] calldata _weights) public
+        onlyRole(Role.Registrar)
+        electionExists(_electionId)
+    {
+        // VALIDATION: One weight per voter, and something to register
+        require(_voters.length > 0 && _voters.length == _weights.length, "Invalid voter batch");
         
-        // STATE CHANGE: Register the voter
-        registeredVoters[_voter] = true;
+        for (uint i = 0; i < _voters.length; i++) {
+            _registerVoter(_electionId, _voters[i], _weights[i]);
+        }
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: deregisterVoter
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Revoke a voter's eligibility (added by mistake, key compromised)
+     * 
+     * DESIGN DECISION: Only voters who have not voted can be removed
+     * WHY: A cast ballot is already in the tally; removing the voter afterwards
+     *      would leave votes no registered address accounts for
+     * NOTE: Delegating counts as voting. Weight other voters delegated to this
+     *       address is removed with it, since those delegations are final
+     * NOTE: Allowlisted voters can register again with their proof until a
+     *       new root without them is published
+     * 
+     * @param _electionId The election the voter is registered for
+     * @param _voter The registered address to remove
+     */
+    function deregisterVoter(uint _electionId, address _voter) public onlyRole(Role.Registrar) electionExists(_electionId) {
+        VoterRegistry.deregister(voterWeights[_electionId], hasVoted[_electionId], voterRolls[_electionId], _electionId, _voter);
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: setVoterRoot
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Publish the Merkle root of an election's voter allowlist
+     * 
+     * DESIGN DECISION: Root can be replaced at any time, like registerVoter
+     * WHY: Late additions need a new tree; voters who already registered
+     *      through an old root keep their registration
+     * TRADE-OFF: One transaction for any number of voters vs a published
+     *            proof file every voter must be able to fetch
+     * 
+     * @param _electionId The election the allowlist is for
+     * @param _root Merkle root built by build-voter-allowlist.js (0 disables)
+     */
+    function setVoterRoot(uint _electionId, bytes32 _root) public onlyRole(Role.Registrar) electionExists(_electionId) {
+        voterRoots[_electionId] = _root;
         
         // TRANSPARENCY: Emit event for audit trail
-        emit VoterRegistered(_voter, block.timestamp);
+        emit VoterRootSet(_electionId, _root, block.timestamp);
     }
     
     /**
@@ -238,234 +663,1141 @@ contract Voting {
      * RISK: Admin could exclude legitimate candidates
      * MITIGATION: Transparent criteria, appeal process planned
      * 
+     * @param _electionId The election whose ballot receives the candidate
      * @param _name The name of the candidate to add
      */
-    function addCandidate(string memory _name) public onlyAdmin {
-        // VALIDATION: Ensure candidate name is not empty
-        require(bytes(_name).length > 0, "Candidate name cannot be empty");
-        
-        // VALIDATION: Ensure name is not too long (gas optimization)
-        require(bytes(_name).length <= 64, "Candidate name too long");
+    function addCandidate(uint _electionId, string memory _name) public onlyRole(Role.CandidateManager) electionExists(_electionId) {
+        // VALIDATION: Non-empty, at most 64 bytes
+        _validateCandidateName(_name);
         
         // STATE CHANGE: Increment candidate count and add candidate
-        candidateCount++;
-        candidates[candidateCount] = _name;
-        // Note: voteCounts[candidateCount] is automatically 0
+        Election storage election = electionData[_electionId];
+        election.candidateCount++;
+        candidates[_electionId][election.candidateCount] = _name;
+        candidateStatus[_electionId][election.candidateCount] = CandidateStatus.Active;
+        // Note: voteCounts[_electionId][candidateId] is automatically 0
         
         // TRANSPARENCY: Emit event for audit trail
-        emit CandidateAdded(candidateCount, _name, block.timestamp);
+        emit CandidateAdded(_electionId, election.candidateCount, _name, block.timestamp);
     }
     
     /**
      * ═══════════════════════════════════════════════════════════════════════════════
-     * FUNCTION: toggleVoting
+     * FUNCTION: renameCandidate
      * ═══════════════════════════════════════════════════════════════════════════════
      * 
-     * PURPOSE: Start or stop the voting process
+     * PURPOSE: Fix a candidate's name (typos) without changing their ID
      * 
-     * DESIGN DECISION: Admin-controlled voting periods
-     * WHY: Allows setup time, emergency controls, scheduled elections
-     * SECURITY: Prevents votes during setup or maintenance
-     * TRADE-OFF: Admin control vs automated time-based voting
-     * USE CASES: Setup phase, emergency pause, scheduled end
+     * DESIGN DECISION: Ballot edits only while no votes have been cast
+     * WHY: A voter's choice must mean the same candidate it meant when cast
+     * NOTE: Sealed ballots count as cast, even before they are revealed
+     * 
+     * @param _electionId The election the candidate belongs to
+     * @param _candidateId The candidate to rename
+     * @param _name The corrected name
      */
-    function toggleVoting() public onlyAdmin {
-        votingActive = !votingActive;
+    function renameCandidate(uint _electionId, uint _candidateId, string memory _name) public onlyRole(Role.CandidateManager) electionExists(_electionId) {
+        _requireBallotEditable(_electionId, _candidateId);
+        _validateCandidateName(_name);
         
-        // TRANSPARENCY: Emit event for status change
-        emit VotingStatusChanged(votingActive, block.timestamp);
+        // STATE CHANGE: Same ID, new name
+        candidates[_electionId][_candidateId] = _name;
+        
+        // TRANSPARENCY: Emit event for audit trail
+        emit CandidateRenamed(_electionId, _candidateId, _name, block.timestamp);
     }
     
     /**
      * ═══════════════════════════════════════════════════════════════════════════════
-     * FUNCTION: transferAdmin
+     * FUNCTION: withdrawCandidate
      * ═══════════════════════════════════════════════════════════════════════════════
      * 
-     * PURPOSE: Transfer admin rights to another address
+     * PURPOSE: Take a candidate off the ballot while no votes have been cast
      * 
-     * DESIGN DECISION: Single-step admin transfer
-     * WHY: Simple implementation for educational use
-     * SECURITY: Allows admin rotation, recovery from compromised keys
-     * RISK: Accidental transfer to wrong address
-     * FUTURE: Implement two-step transfer with acceptance required
+     * DESIGN DECISION: Mark as withdrawn, never delete
+     * WHY: IDs stay stable, so later candidates keep their numbers and the
+     *      withdrawn entry is still visible in results
+     * NOTE: Withdrawal is final; add the candidate again if it was a mistake
      * 
-     * @param _newAdmin The address of the new admin
+     * @param _electionId The election the candidate belongs to
+     * @param _candidateId The candidate to withdraw
      */
-    function transferAdmin(address _newAdmin) public onlyAdmin {
-        // VALIDATION: Ensure valid new admin address
-        require(_newAdmin != address(0), "Invalid admin address");
-        require(_newAdmin != admin, "New admin cannot be the same as current admin");
+    function withdrawCandidate(uint _electionId, uint _candidateId) public onlyRole(Role.CandidateManager) electionExists(_electionId) {
+        _requireBallotEditable(_electionId, _candidateId);
         
-        // STATE CHANGE: Update admin
-        address oldAdmin = admin;
-        admin = _newAdmin;
+        // STATE CHANGE: Every ballot entry point now rejects this ID
+        candidateStatus[_electionId][_candidateId] = CandidateStatus.Withdrawn;
         
-        // TRANSPARENCY: Emit event for admin change
-        emit AdminChanged(oldAdmin, _newAdmin, block.timestamp);
+        // TRANSPARENCY: Emit event for audit trail
+        emit CandidateWithdrawn(_electionId, _candidateId, block.timestamp);
     }
     
-    // ═══════════════════════════════════════════════════════════════════════════════
-    // VOTING FUNCTIONS
-    // ═══════════════════════════════════════════════════════════════════════════════
-    
     /**
      * ═══════════════════════════════════════════════════════════════════════════════
-     * FUNCTION: vote
+     * FUNCTION: setCandidateMetadata
      * ═══════════════════════════════════════════════════════════════════════════════
      * 
-     * PURPOSE: Cast a vote for a candidate
+     * PURPOSE: Link a candidate to their profile (description, photo, manifesto)
      * 
-     * SECURITY LAYERS:
-     * 1. onlyRegisteredVoter: Prevents unauthorized voting
-     * 2. hasNotVoted: Prevents double voting
-     * 3. votingIsActive: Ensures voting is in progress
-     * 4. Candidate validation: Prevents votes for non-existent candidates
+     * DESIGN DECISION: Same edit window as renameCandidate
+     * WHY: Voters chose between the profiles they saw; swapping one after
+     *      votes are cast would change what those votes endorsed
      * 
-     * DESIGN DECISION: Immediate vote recording
-     * WHY: Simplicity, immediate transparency, gas efficiency
-     * TRADE-OFF: No vote changing vs immediate finality
-     * RISK: Voter mistakes are permanent
-     * JUSTIFICATION: Democratic principle - votes should be final
+     * SECURITY: A zero hash means the profile is not pinned; the frontend
+     *           shows it as unverified instead of trusting it
      * 
-     * @param _candidateId The ID of the candidate to vote for (1-based)
+     * @param _electionId The election the candidate belongs to
+     * @param _candidateId The candidate to describe
+     * @param _uri Link to the profile JSON; empty clears the profile
+     * @param _contentHash keccak256 of the profile JSON bytes
      */
-    function vote(uint _candidateId) public onlyRegisteredVoter hasNotVoted votingIsActive {
-        // VALIDATION: Ensure candidate exists
-        require(_candidateId > 0 && _candidateId <= candidateCount, "Invalid candidate ID");
+    function setCandidateMetadata(uint _electionId, uint _candidateId, string memory _uri, bytes32 _contentHash) public onlyRole(Role.CandidateManager) electionExists(_electionId) {
+        _requireBallotEditable(_electionId, _candidateId);
         
-        // STATE CHANGES: Record the vote (prevents reentrancy)
-        hasVoted[msg.sender] = true;
-        voteCounts[_candidateId]++;
-        totalVotes++;
+        // VALIDATION: Bound storage cost; a hash without a link is meaningless
+        require(bytes(_uri).length <= 256, "Metadata URI too long");
+        require(bytes(_uri).length > 0 || _contentHash == bytes32(0), "Content hash needs a URI");
+        
+        // STATE CHANGE: Replace the profile link
+        candidateMetadata[_electionId][_candidateId] = CandidateMetadata(_uri, _contentHash);
         
         // TRANSPARENCY: Emit event for audit trail
-        emit VoteCast(msg.sender, _candidateId, block.timestamp);
+        emit CandidateMetadataSet(_electionId, _candidateId, _uri, _contentHash, block.timestamp);
     }
     
-    // ═══════════════════════════════════════════════════════════════════════════════
-    // VIEW FUNCTIONS (No gas cost for callers)
-    // ═══════════════════════════════════════════════════════════════════════════════
-    
     /**
      * ═══════════════════════════════════════════════════════════════════════════════
-     * FUNCTION: showResults
+     * FUNCTION: toggleVoting
      * ═══════════════════════════════════════════════════════════════════════════════
      * 
-     * PURPOSE: Return complete voting results and determine winner
+     * PURPOSE: Start or stop the voting process
      * 
-     * DESIGN DECISIONS:
-     * • Public visibility: Anyone can view results
-     * • Real-time results: No waiting until voting ends
-     * • Winner calculation: Automatic determination of highest vote count
+     * DESIGN DECISION: Admin-controlled voting periods
+     * WHY: Allows setup time, emergency controls, scheduled elections
+     * SECURITY: Prevents votes during setup or maintenance
+     * TRADE-OFF: Admin control vs automated time-based voting
+     * USE CASES: Setup phase, emergency pause, scheduled end
+     * NOTE: Scheduled elections follow their window; use scheduleVoting instead
      * 
-     * WHY THIS APPROACH:
-     * • Transparency: Maximum openness builds trust
-     * • Simplicity: Easy to understand and verify
-     * • User Experience: Immediate feedback and engagement
+     * @param _electionId The election to open or close
+     */
+    function toggleVoting(uint _electionId) public onlyRole(Role.ElectionOperator) electionExists(_electionId) {
+        Election storage election = electionData[_electionId];
+        
+        // VALIDATION: The manual switch must not fight the schedule
+        require(election.endTime == 0, "Election is scheduled");
+        
+        election.votingActive = !election.votingActive;
+        if (election.votingActive) election.opened = true;
+        
+        // TRANSPARENCY: Emit event for status change
+        emit VotingStatusChanged(_electionId, election.votingActive, block.timestamp);
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: scheduleVoting
+     * ═══════════════════════════════════════════════════════════════════════════════
      * 
-     * TRADE-OFFS:
-     * ✅ BENEFITS:
-     *   - Complete transparency and verifiability
-     *   - Real-time monitoring and engagement
-     *   - Simple implementation and low gas costs
+     * PURPOSE: Set the start and end time of an election's voting window
      * 
-     * ⚠️ COSTS:
-     *   - Enables vote buying (buyer can verify purchase)
-     *   - May influence undecided voters (bandwagon effect)
-     *   - Psychological pressure on voters
+     * DESIGN DECISION: Time-based voting instead of a manual switch
+     * WHY: The admin does not need to be online at the exact start and end
+     * SECURITY: vote() enforces the window on-chain via block.timestamp
+     * TRADE-OFF: Timestamps can drift by seconds vs fully automatic operation
+     * RESTRICTION: The window can only be (re)set before voting has opened
      * 
-     * SECURITY IMPLICATIONS:
-     * • Vote buying risk: Public results enable verification of purchased votes
-     * • No manipulation risk: Results calculated from immutable vote counts
-     * • Transparency benefit: Anyone can independently verify counting
+     * @param _electionId The election to schedule
+     * @param _startTime Unix timestamp when voting opens
+     * @param _endTime Unix timestamp when voting closes (exclusive)
+     */
+    function scheduleVoting(uint _electionId, uint _startTime, uint _endTime) public onlyRole(Role.ElectionOperator) electionExists(_electionId) {
+        // STATE CHANGE: Store the window as a regular (open tally) ballot
+        _schedule(electionData[_electionId], _startTime, _endTime, 0);
+        
+        // TRANSPARENCY: Emit event for audit trail
+        emit VotingScheduled(_electionId, _startTime, _endTime, block.timestamp);
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: scheduleSecretBallot
+     * ═══════════════════════════════════════════════════════════════════════════════
      * 
-     * ALTERNATIVES CONSIDERED:
-     * 1. Hidden results until voting ends - Rejected: Reduces transparency
-     * 2. Partial results (percentages only) - Rejected: Still enables vote buying
-     * 3. Commit-reveal scheme - Rejected: Too complex for educational use
+     * PURPOSE: Schedule a commit-reveal election
      * 
-     * GAS CONSIDERATIONS:
-     * • Read-only function: No gas cost for callers
-     * • O(n) complexity where n = number of candidates
-     * • Reasonable for expected candidate counts (<100)
+     * PHASES:
+     * 1. Commit [start, end): voters submit a salted hash of their choice
+     * 2. Reveal [end, revealEnd): voters disclose choice + salt, tally updates
+     * 3. Closed: unrevealed commitments are never counted
      * 
-     * @return votes Array of vote counts for each candidate
-     * @return names Array of candidate names
-     * @return winningCandidateId ID of the candidate with most votes
+     * DESIGN DECISION: Commit-reveal secret ballot
+     * WHY: Running tallies stay at zero until voting closes, so no one can
+     *      watch results move or see how an address voted during the commit phase
+     * TRADE-OFF: Two transactions per voter vs public-only ballots
+     * LIMITATION: A voter can still prove their choice by handing over the
+     *             salt; commit-reveal hides votes, it cannot make them unprovable
+     * 
+     * @param _electionId The election to schedule
+     * @param _startTime Unix timestamp when the commit phase opens
+     * @param _endTime Unix timestamp when commits close and reveals open
+     * @param _revealEndTime Unix timestamp when the reveal phase closes
      */
-    function showResults() public view returns (
-        uint[] memory votes,
-        string[] memory names,
-        uint winningCandidateId
-    ) {
-        // INITIALIZATION: Create arrays for return data
-        votes = new uint[](candidateCount);
-        names = new string[](candidateCount);
-        
-        // EDGE CASE: Handle no candidates scenario
-        if (candidateCount == 0) {
-            return (votes, names, 0);
-        }
+    function scheduleSecretBallot(
+        uint _electionId,
+        uint _startTime,
+        uint _endTime,
+        uint _revealEndTime
+    ) public onlyRole(Role.ElectionOperator) electionExists(_electionId) {
+        // VALIDATION: Reveal phase follows the commit phase
+        require(_revealEndTime > _endTime, "Reveal must end after voting ends");
         
-        // WINNER TRACKING: Find candidate with highest votes
-        uint highestVoteCount = 0;
-        winningCandidateId = 1; // Default to first candidate
+        // VALIDATION: Sealed votes carry a single candidate
+        require(electionData[_electionId].ballotType == BallotType.Plurality, "Secret ballots must use plurality");
         
-        // ITERATION: Collect data for all candidates
-        for (uint i = 1; i <= candidateCount; i++) {
-            votes[i-1] = voteCounts[i];
-            names[i-1] = candidates[i];
-            
-            // WINNER DETERMINATION: Update winner if this candidate has more votes
-            if (voteCounts[i] > highestVoteCount) {
-                highestVoteCount = voteCounts[i];
-                winningCandidateId = i;
-            }
-        }
+        // STATE CHANGE: Store the commit and reveal windows
+        _schedule(electionData[_electionId], _startTime, _endTime, _revealEndTime);
         
-        return (votes, names, winningCandidateId);
+        // TRANSPARENCY: Emit event for audit trail
+        emit SecretBallotScheduled(_electionId, _startTime, _endTime, _revealEndTime, block.timestamp);
     }
     
     /**
      * ═══════════════════════════════════════════════════════════════════════════════
-     * FUNCTION: getWinner
+     * FUNCTION: setBallotType
      * ═══════════════════════════════════════════════════════════════════════════════
      * 
-     * PURPOSE: Get the current winner information
+     * PURPOSE: Choose how voters express their choice in an election
      * 
-     * DESIGN DECISION: Separate winner function for gas optimization
-     * WHY: Sometimes only winner info is needed, not full results
+     * DESIGN DECISION: Setter instead of a createElection parameter
+     * WHY: Existing elections and callers keep working; plurality stays the default
+     * RESTRICTION: Only before voting opens, so every ballot has the same shape
+     * LIMITATION: Only plurality ballots can be secret (sealed votes hold one candidate)
      * 
-     * @return winnerName Name of the winning candidate
-     * @return winnerVotes Number of votes for the winner
-     * @return winnerExists Whether there are any candidates/votes
+     * @param _electionId The election to configure
+     * @param _ballotType Plurality, Ranked or Approval
      */
-    function getWinner() public view returns (
-        string memory winnerName,
+    function setBallotType(uint _electionId, BallotType _ballotType) public onlyAdmin electionExists(_electionId) {
+        Election storage election = electionData[_electionId];
+        
+        // VALIDATION: Ballot shape is fixed once voting starts
+        _requireNotStarted(election);
+        require(!election.secretBallot || _ballotType == BallotType.Plurality, "Secret ballots must use plurality");
+        
+        // STATE CHANGE: Record ballot type
+        election.ballotType = _ballotType;
+        
+        // TRANSPARENCY: Emit event for audit trail
+        emit BallotTypeSet(_electionId, _ballotType, block.timestamp);
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: setTieBreakPolicy
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Choose how a tie for first place is settled
+     * 
+     * RESTRICTION: Only before voting opens, so voters know the rule before
+     *              they vote and EarliestToReach sees every ballot
+     * LIMITATION: Ranked elections ignore the policy; a tie in the runoff
+     *             is reported by the off-chain tally
+     * NOTE: EarliestToReach cannot be combined with vote changes (see setVoteChanges)
+     * 
+     * @param _electionId The election to configure
+     * @param _policy DeclareTie, EarliestToReach or AdminDraw
+     */
+    function setTieBreakPolicy(uint _electionId, TieBreak _policy) public onlyAdmin electionExists(_electionId) {
+        Election storage election = electionData[_electionId];
+        
+        // VALIDATION: The rule is fixed once voting starts
+        _requireNotStarted(election);
+        require(_policy != TieBreak.EarliestToReach || !election.voteChanges, "Vote changes conflict with tie-break policy");
+        
+        // STATE CHANGE: Record the policy
+        election.tieBreak = _policy;
+        
+        // TRANSPARENCY: Emit event for audit trail
+        emit TieBreakPolicySet(_electionId, _policy, block.timestamp);
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: setQuorum
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Require a minimum turnout for the result to count as valid
+     * 
+     * DESIGN DECISION: Absolute voting power or a percentage of the roll
+     * WHY: A fixed count suits a known membership; a percentage keeps working
+     *      when voters are still being registered
+     * RESTRICTION: Only before voting opens, like the ballot type
+     * NOTE: Results are still counted and shown when the quorum is missed;
+     *       getElectionStats and getFinalResult report whether it was met
+     * 
+     * @param _electionId The election to configure
+     * @param _threshold Minimum voting power cast, or a percentage (0 disables)
+     * @param _percentage Whether _threshold is a percentage of registered voting power
+     */
+    function setQuorum(uint _electionId, uint _threshold, bool _percentage) public onlyAdmin electionExists(_electionId) {
+        Election storage election = electionData[_electionId];
+        
+        // VALIDATION: The bar is fixed once voting starts
+        _requireNotStarted(election);
+        require(!_percentage || _threshold <= 100, "Quorum percentage above 100");
+        
+        // STATE CHANGE: Record the quorum
+        quorums[_electionId] = Quorum(_threshold, _percentage);
+        
+        // TRANSPARENCY: Emit event for audit trail
+        emit QuorumSet(_electionId, _threshold, _percentage, block.timestamp);
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: setVoteChanges
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Let voters recast their plurality vote while voting is open
+     * 
+     * DESIGN DECISION: Off by default, chosen per election before voting
+     * WHY: Votes are final unless voters were told up front they are not
+     * RESTRICTION: Only before voting opens, like the ballot type
+     * LIMITATION: Not with EarliestToReach; moving a vote leaves totalVotes
+     *             unchanged, so the reach stamps would no longer be ordered
+     * NOTE: Secret, ranked and approval ballots never record a changeable
+     *       vote; only abstentions cast through vote() can move there
+     * 
+     * @param _electionId The election to configure
+     * @param _allowed Whether voters may change their vote
+     */
+    function setVoteChanges(uint _electionId, bool _allowed) public onlyAdmin electionExists(_electionId) {
+        Election storage election = electionData[_electionId];
+        
+        // VALIDATION: The rule is fixed once voting starts
+        _requireNotStarted(election);
+        require(!_allowed || election.tieBreak != TieBreak.EarliestToReach, "Vote changes conflict with tie-break policy");
+        
+        // STATE CHANGE: Record the setting
+        election.voteChanges = _allowed;
+        
+        // TRANSPARENCY: Emit event for audit trail
+        emit VoteChangesSet(_electionId, _allowed, block.timestamp);
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: finalizeElection
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Certify the outcome once voting (and any reveal window) is over
+     * 
+     * DESIGN DECISION: Explicit step instead of treating "closed" as final
+     * WHY: An unscheduled election can be paused and resumed with toggleVoting,
+     *      so only an operator knows when it is really over; afterwards the
+     *      election is read-only and the stored winners never change
+     * 
+     * SECURITY: Every function behind electionExists rejects the election
+     *           from now on, including toggleVoting and the schedulers
+     * LIMITATION: Ranked elections store no winners; their ballots are frozen
+     *             and the runoff over them is tallied off-chain (getRankedBallots)
+     * NOTE: A tie the policy cannot settle is stored as several winners;
+     *       under AdminDraw, drawTieBreak narrows it to one afterwards
+     * 
+     * @param _electionId The election to finalize
+     */
+    function finalizeElection(uint _electionId) public onlyRole(Role.ElectionOperator) electionExists(_electionId) {
+        Election storage election = electionData[_electionId];
+        
+        // VALIDATION: Counts must be final (unrevealed sealed ballots stay uncounted)
+        require(_phase(election) == Phase.Closed, "Voting has not closed yet");
+        
+        // VALIDATION: An unscheduled election reports Closed before it ever
+        // opened; certifying it then would lock it with no votes
+        require(election.endTime != 0 || election.opened, "Voting has never opened");
+        
+        // STATE CHANGE: Lock the election and record the winners
+        election.finalized = true;
+        
+        FinalResult storage result = finalResults[_electionId];
+        result.blockNumber = uint64(block.number);
+        result.timestamp = uint64(block.timestamp);
+        result.quorumMet = election.totalVotes >= _quorumVotes(_electionId);
+        if (election.ballotType != BallotType.Ranked) {
+            (uint[] memory leaders, uint winnerId) = _standings(_electionId);
+            if (winnerId != 0) {
+                result.winners.push(winnerId);
+            } else {
+                result.winners = leaders;
+            }
+        }
+        
+        // TRANSPARENCY: Emit event for audit trail
+        emit ElectionFinalized(_electionId, result.winners, election.totalVotes, block.timestamp);
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: drawTieBreak
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Settle a certified tie by drawing one of the tied leaders
+     * 
+     * DESIGN DECISION: Commit to a future block's hash, draw in a later call
+     * WHY: block.prevrandao is known before the next block is mined, so a
+     *      one-step draw let the admin send it only when it picked their
+     *      candidate; nobody knows the next block's hash when committing
+     * FLOW: The first call (admin) commits to the next block; once that block
+     *       is mined, a second call (anyone) draws from its hash
+     * SECURITY: Anyone can complete the draw, so the admin cannot sit on an
+     *           unwanted result; only a draw nobody completes within 256 blocks
+     *           (after which blockhash is gone) can be requested again
+     * 
+     * @param _electionId The finalized election with a tie
+     */
+    function drawTieBreak(uint _electionId) public {
+        Election storage election = electionData[_electionId];
+        
+        // VALIDATION: Only a certified, unsettled tie under the draw policy
+        require(election.finalized, "Election is not finalized");
+        require(election.tieBreak == TieBreak.AdminDraw, "Tie-break policy is not a draw");
+        
+        // STATE CHANGE: Commit to a draw block, or keep only the drawn candidate
+        FinalResult storage result = finalResults[_electionId];
+        uint drawBlock = ResultStandings.drawWinner(result.winners, result.drawBlock, _electionId);
+        
+        // SECURITY: Requesting a draw is the admin's call; completing it is anyone's
+        if (drawBlock != result.drawBlock) {
+            _checkAdmin();
+            result.drawBlock = uint64(drawBlock);
+        }
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: transferAdmin
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Nominate a new primary admin (step 1 of 2)
+     * 
+     * DESIGN DECISION: Two-step admin transfer
+     * WHY: Nothing changes until the nominee calls acceptAdmin, so a wrong
+     *      address costs one cancellation instead of the whole contract
+     * SECURITY: Allows admin rotation, recovery from compromised keys
+     * 
+     * NOTE: A new nomination replaces any pending one
+     * 
+     * @param _newAdmin The address of the new admin
+     */
+    function transferAdmin(address _newAdmin) public onlyAdmin {
+        AdminGovernance.nominateAdmin(isAdmin, admin, _newAdmin);
+        
+        // STATE CHANGE: Record the nominee only
+        pendingAdmin = _newAdmin;
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: acceptAdmin
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Complete a pending admin transfer (step 2 of 2)
+     * 
+     * SECURITY: Only the nominee can accept, which proves they hold the key
+     * NOTE: Replaces the primary admin inside the admin set; other admins
+     *       and the threshold are unchanged
+     */
+    function acceptAdmin() public {
+        AdminGovernance.acceptAdmin(isAdmin, adminList, admin, pendingAdmin);
+        
+        // STATE CHANGE: Swap the primary admin
+        admin = msg.sender;
+        pendingAdmin = address(0);
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: cancelAdminTransfer
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Withdraw a nomination before it is accepted
+     */
+    function cancelAdminTransfer() public onlyAdmin {
+        require(pendingAdmin != address(0), "No pending admin transfer");
+        
+        address cancelled = pendingAdmin;
+        pendingAdmin = address(0);
+        
+        emit AdminTransferCancelled(admin, cancelled, block.timestamp);
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: addAdmin
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Add an address to the admin set
+     * 
+     * NOTE: The threshold is not raised automatically; use setAdminThreshold
+     * 
+     * @param _account The address to make an admin
+     */
+    function addAdmin(address _account) public onlyAdmin {
+        AdminGovernance.addAdmin(isAdmin, adminList, _account);
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: removeAdmin
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Remove an address from the admin set
+     * 
+     * SECURITY: Can never leave fewer admins than the threshold, which would
+     *           lock every admin function forever
+     * NOTE: Removing the primary admin hands that role to the first remaining admin
+     * 
+     * @param _account The admin to remove
+     */
+    function removeAdmin(address _account) public onlyAdmin {
+        admin = AdminGovernance.removeAdmin(isAdmin, adminList, adminThreshold, admin, _account);
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: setAdminThreshold
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Set how many admin approvals a proposal needs (the M in M-of-N)
+     * 
+     * SECURITY: 1 <= threshold <= number of admins, so proposals stay executable
+     * NOTE: Raising the threshold above 1 disables direct admin calls
+     * 
+     * @param _threshold Required approvals per proposal
+     */
+    function setAdminThreshold(uint _threshold) public onlyAdmin {
+        require(_threshold > 0 && _threshold <= adminList.length, "Invalid admin threshold");
+        
+        adminThreshold = _threshold;
+        
+        emit AdminThresholdChanged(_threshold, block.timestamp);
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: grantRole
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Let an address use one group of admin functions (see Role)
+     * 
+     * @param _role The role to grant
+     * @param _account The address receiving the role
+     */
+    function grantRole(Role _role, address _account) public onlyAdmin {
+        AdminGovernance.grantRole(hasRole[_role], roleMembers[_role], uint8(_role), _account);
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: revokeRole
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Take a role away; actions already taken are unaffected
+     * 
+     * @param _role The role to revoke
+     * @param _account The current role holder
+     */
+    function revokeRole(Role _role, address _account) public onlyAdmin {
+        AdminGovernance.revokeRole(hasRole[_role], roleMembers[_role], uint8(_role), _account);
+    }
+    
+    // ═══════════════════════════════════════════════════════════════════════════════
+    // MULTI-SIGNATURE PROPOSALS
+    // ═══════════════════════════════════════════════════════════════════════════════
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: propose
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Propose an admin action for the other admins to approve
+     * 
+     * DESIGN DECISION: Proposals carry ABI-encoded calldata for this contract
+     * WHY: Every onlyAdmin function (registerVoter, addCandidate, toggleVoting,
+     *      admin changes, ...) is covered without a proposal type per action
+     * NOTE: The proposer's approval is recorded automatically
+     * 
+     * @param _data ABI-encoded call, e.g. registerVoter(electionId, voter, weight)
+     * @return proposalId ID of the new proposal (sequential from 1)
+     */
+    function propose(bytes calldata _data) public onlyAdminSigner returns (uint proposalId) {
+        proposalCount++;
+        proposalId = proposalCount;
+        
+        AdminGovernance.propose(proposals, proposalApprovals, proposalId, _data);
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: approveProposal
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Add your approval to a pending proposal
+     * 
+     * @param _proposalId The proposal to approve
+     */
+    function approveProposal(uint _proposalId) public onlyAdminSigner {
+        AdminGovernance.approve(proposals, proposalApprovals, proposalCount, _proposalId);
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: executeProposal
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Run an approved proposal
+     * 
+     * SECURITY: See AdminGovernance.execute - approvals are recounted against
+     *           the current admin set and a proposal can only run once
+     * 
+     * @param _proposalId The proposal to execute
+     */
+    function executeProposal(uint _proposalId) public onlyAdminSigner {
+        AdminGovernance.execute(proposals, proposalApprovals, adminList, adminThreshold, proposalCount, _proposalId);
+    }
+    
+    // ═══════════════════════════════════════════════════════════════════════════════
+    // VOTING FUNCTIONS
+    // ═══════════════════════════════════════════════════════════════════════════════
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: vote
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Cast a vote for a candidate
+     * 
+     * SECURITY LAYERS:
+     * 1. onlyRegisteredVoter: Prevents unauthorized voting
+     * 2. hasNotVoted: Prevents double voting
+     * 3. votingIsActive: Ensures voting is in progress
+     * 4. Candidate validation: Prevents votes for non-existent candidates
+     * 
+     * DESIGN DECISION: Immediate vote recording
+     * WHY: Simplicity, immediate transparency, gas efficiency
+     * TRADE-OFF: Votes are final unless the election allows changes
+     *            (setVoteChanges), in which case changeVote can recast them
+     * RISK: Voter mistakes are permanent in elections without vote changes
+     * 
+     * @param _electionId The election the vote is cast in
+     * @param _candidateId The ID of the candidate to vote for (1-based),
+     *                     or ABSTAIN / NONE_OF_THE_ABOVE
+     */
+    function vote(uint _electionId, uint _candidateId) public
+        onlyRegisteredVoter(_electionId)
+        hasNotVoted(_electionId)
+        votingIsActive(_electionId)
+    {
+        Election storage election = electionData[_electionId];
+        
+        // VALIDATION: Ballot type, and candidate exists and has not withdrawn
+        _requirePluralityChoice(election, _electionId, _candidateId);
+        
+        // STATE CHANGES: Record the weighted vote (prevents reentrancy)
+        uint weight = voterWeights[_electionId][msg.sender];
+        hasVoted[_electionId][msg.sender] = true;
+        voteCounts[_electionId][_candidateId] += weight;
+        election.totalVotes += weight;
+        _recordReach(election, _electionId, _candidateId);
+        if (election.voteChanges) currentVote[_electionId][msg.sender] = _candidateId;
+        
+        // TRANSPARENCY: Emit event for audit trail
+        emit VoteCast(_electionId, msg.sender, _candidateId, block.timestamp);
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: changeVote
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Recast a plurality vote while the election is still open
+     * 
+     * SECURITY LAYERS:
+     * 1. Only in elections that allowed vote changes before voting opened
+     * 2. Only a vote recorded by vote() can move; delegators have none
+     * 3. votingIsActive: closed elections keep their final counts
+     * 4. The new choice passes the same checks as in vote()
+     * 
+     * DESIGN DECISION: The voter's whole weight moves between counts
+     * WHY: totalVotes and turnout are unchanged; only the choice differs
+     * 
+     * @param _electionId The election the vote was cast in
+     * @param _candidateId The new choice (a candidate, ABSTAIN or NONE_OF_THE_ABOVE)
+     */
+    function changeVote(uint _electionId, uint _candidateId) public
+        onlyRegisteredVoter(_electionId)
+        votingIsActive(_electionId)
+    {
+        Election storage election = electionData[_electionId];
+        
+        // VALIDATION: A recorded vote that differs from the new choice
+        require(election.voteChanges, "Vote changes are not allowed");
+        uint previous = currentVote[_electionId][msg.sender];
+        require(previous != 0, "No vote to change");
+        require(previous != _candidateId, "Vote is unchanged");
+        _requirePluralityChoice(election, _electionId, _candidateId);
+        
+        // STATE CHANGES: Move the weight to the new choice
+        uint weight = voterWeights[_electionId][msg.sender];
+        currentVote[_electionId][msg.sender] = _candidateId;
+        voteCounts[_electionId][previous] -= weight;
+        voteCounts[_electionId][_candidateId] += weight;
+        
+        // TRANSPARENCY: Emit event for audit trail
+        emit VoteChanged(_electionId, msg.sender, previous, _candidateId, block.timestamp);
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: voteRanked
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Cast a ranked-choice ballot (most preferred candidate first)
+     * 
+     * SECURITY LAYERS:
+     * 1. onlyRegisteredVoter / hasNotVoted / votingIsActive as in vote()
+     * 2. Every ranked ID must be a real candidate
+     * 3. No candidate may appear twice
+     * 
+     * DESIGN DECISION: Partial rankings allowed
+     * WHY: Voters may not have a preference among every candidate
+     * EFFECT: Ballot is "exhausted" once all its ranked candidates are eliminated
+     * 
+     * DESIGN DECISION: voteCounts records first preferences
+     * WHY: showResults keeps working and shows round one of the runoff
+     * NOTE: The instant-runoff winner is computed off-chain from getRankedBallots
+     * 
+     * @param _electionId The election the ballot is cast in
+     * @param _ranking Candidate IDs in order of preference
+     */
+    function voteRanked(uint _electionId, uint[] calldata _ranking) public
+        onlyRegisteredVoter(_electionId)
+        hasNotVoted(_electionId)
+        votingIsActive(_electionId)
+    {
+        Election storage election = electionData[_electionId];
+        
+        // VALIDATION: Ranked entry point only for ranked elections
+        require(election.ballotType == BallotType.Ranked, "Election is not ranked-choice");
+        
+        // VALIDATION: Ranking must list real candidates, each at most once
+        uint candidateCount = election.candidateCount;
+        require(_ranking.length > 0 && _ranking.length <= candidateCount, "Invalid ranking length");
+        
+        bool[] memory ranked = new bool[](candidateCount + 1);
+        for (uint i = 0; i < _ranking.length; i++) {
+            uint candidateId = _ranking[i];
+            _requireActiveCandidate(_electionId, candidateId);
+            require(!ranked[candidateId], "Duplicate candidate in ranking");
+            ranked[candidateId] = true;
+        }
+        
+        // STATE CHANGES: Record the weighted ballot and its first preference
+        uint weight = voterWeights[_electionId][msg.sender];
+        hasVoted[_electionId][msg.sender] = true;
+        rankedBallots[_electionId].push(_ranking);
+        rankedBallotWeights[_electionId].push(weight);
+        voteCounts[_electionId][_ranking[0]] += weight;
+        election.totalVotes += weight;
+        
+        // TRANSPARENCY: Emit event for audit trail
+        emit RankedVoteCast(_electionId, msg.sender, _ranking, block.timestamp);
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: voteApproval
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Approve any number of candidates with a single ballot
+     * 
+     * SECURITY LAYERS:
+     * 1. onlyRegisteredVoter / hasNotVoted / votingIsActive as in vote()
+     * 2. Every approved ID must be a real candidate
+     * 3. No candidate may be approved twice on one ballot
+     * 
+     * DESIGN DECISION: One approval = the voter's weight in voteCounts
+     * WHY: showResults and getWinner work unchanged (most approvals wins)
+     * NOTE: totalVotes counts weighted ballots, so approvals can add up to more than it
+     * 
+     * @param _electionId The election the ballot is cast in
+     * @param _candidateIds Every candidate the voter approves of
+     */
+    function voteApproval(uint _electionId, uint[] calldata _candidateIds) public
+        onlyRegisteredVoter(_electionId)
+        hasNotVoted(_electionId)
+        votingIsActive(_electionId)
+    {
+        Election storage election = electionData[_electionId];
+        uint weight = voterWeights[_electionId][msg.sender];
+        
+        // VALIDATION: Approval entry point only for approval elections
+        require(election.ballotType == BallotType.Approval, "Election is not approval voting");
+        
+        // VALIDATION: Approvals must name real candidates, each at most once
+        uint candidateCount = election.candidateCount;
+        require(_candidateIds.length > 0 && _candidateIds.length <= candidateCount, "Invalid approval count");
+        
+        bool[] memory approved = new bool[](candidateCount + 1);
+        for (uint i = 0; i < _candidateIds.length; i++) {
+            uint candidateId = _candidateIds[i];
+            _requireActiveCandidate(_electionId, candidateId);
+            require(!approved[candidateId], "Duplicate candidate in approval");
+            approved[candidateId] = true;
+            
+            // STATE CHANGE: Full voting power to every approved candidate
+            voteCounts[_electionId][candidateId] += weight;
+        }
+        
+        // STATE CHANGES: One weighted ballot per voter
+        hasVoted[_electionId][msg.sender] = true;
+        election.totalVotes += weight;
+        
+        // TIE-BREAK: Every approved candidate reached its count with this ballot
+        for (uint i = 0; i < _candidateIds.length; i++) {
+            _recordReach(election, _electionId, _candidateIds[i]);
+        }
+        
+        // TRANSPARENCY: Emit event for audit trail
+        emit ApprovalVoteCast(_electionId, msg.sender, _candidateIds, block.timestamp);
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: commitVote
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Submit a sealed vote during a secret ballot's commit phase
+     * 
+     * SECURITY LAYERS:
+     * 1. onlyRegisteredVoter / hasNotVoted / votingIsActive as in vote()
+     * 2. Only the hash is stored: the choice stays hidden until reveal
+     * 3. The voter address is part of the hash, so a commitment cannot be
+     *    copied by another voter
+     * 
+     * DESIGN DECISION: hasVoted is set on commit
+     * WHY: One sealed ballot per voter; the commitment cannot be replaced
+     * 
+     * @param _electionId The election the sealed vote is cast in
+     * @param _commitment keccak256(abi.encodePacked(electionId, candidateId, salt, voter))
+     */
+    function commitVote(uint _electionId, bytes32 _commitment) public
+        onlyRegisteredVoter(_electionId)
+        hasNotVoted(_electionId)
+        votingIsActive(_electionId)
+    {
+        Election storage election = electionData[_electionId];
+        
+        // VALIDATION: Only secret ballots use commitments
+        require(election.secretBallot, "Election is not a secret ballot");
+        require(_commitment != bytes32(0), "Invalid commitment");
+        
+        // STATE CHANGES: Record the sealed ballot
+        hasVoted[_electionId][msg.sender] = true;
+        voteCommitments[_electionId][msg.sender] = _commitment;
+        election.totalCommitments++;
+        
+        // TRANSPARENCY: The voter is public, the choice is not
+        emit VoteCommitted(_electionId, msg.sender, block.timestamp);
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: revealVote
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Open a sealed vote during the reveal phase and count it
+     * 
+     * SECURITY:
+     * • The hash must match exactly, so a voter cannot change their choice
+     * • Each commitment can be revealed once
+     * • Reveals outside the reveal phase are rejected
+     * 
+     * RISK: Voters who lose their salt or miss the reveal phase are not counted
+     * 
+     * @param _electionId The election the sealed vote was cast in
+     * @param _candidateId The candidate chosen at commit time
+     * @param _salt The secret salt used to build the commitment
+     */
+    function revealVote(uint _electionId, uint _candidateId, bytes32 _salt) public electionExists(_electionId) {
+        Election storage election = electionData[_electionId];
+        
+        // VALIDATION: Reveal window and sealed ballot must exist
+        require(_phase(election) == Phase.Reveal, "Reveal phase is not active");
+        bytes32 commitment = voteCommitments[_electionId][msg.sender];
+        require(commitment != bytes32(0), "No vote committed");
+        require(!hasRevealed[_electionId][msg.sender], "Vote already revealed");
+        
+        // VALIDATION: Opening must match the sealed ballot
+        require(
+            keccak256(abi.encodePacked(_electionId, _candidateId, _salt, msg.sender)) == commitment,
+            "Reveal does not match commitment"
+        );
+        _requireBallotChoice(_electionId, _candidateId);
+        
+        // STATE CHANGES: Count the weighted vote
+        uint weight = voterWeights[_electionId][msg.sender];
+        hasRevealed[_electionId][msg.sender] = true;
+        voteCounts[_electionId][_candidateId] += weight;
+        election.totalVotes += weight;
+        _recordReach(election, _electionId, _candidateId);
+        
+        // TRANSPARENCY: Emit event for audit trail
+        emit VoteRevealed(_electionId, msg.sender, _candidateId, block.timestamp);
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: delegateVote
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Hand your voting power to another registered voter
+     * 
+     * SECURITY LAYERS:
+     * 1. onlyRegisteredVoter / hasNotVoted: only an unused vote can move
+     * 2. electionExists / votingIsActive: same window as voting, so a closed
+     *    or finalized election cannot gain delegated weight
+     * 3. The delegate must be registered in the same election
+     * 4. Chains are followed to their end; a chain leading back to the
+     *    caller is a cycle and is rejected
+     * 5. The end of the chain must still be registered and must not have voted
+     * 
+     * DESIGN DECISION: Weight moves into the final delegate's voterWeights
+     * WHY: vote(), voteRanked(), voteApproval() and revealVote() already add
+     *      voterWeights, so delegates cast the combined weight for free
+     * TRADE-OFF: Delegating to someone who already voted is rejected, since
+     *            plurality votes do not record which candidate was chosen
+     * RISK: Long chains cost more gas (one read per hop)
+     * 
+     * DESIGN DECISION: Delegating marks the delegator as having voted
+     * WHY: The weight now belongs to the delegate; voting again would count it twice
+     * 
+     * @param _electionId The election to delegate in
+     * @param _to The registered voter who will vote on your behalf
+     */
+    function delegateVote(uint _electionId, address _to) public
+        electionExists(_electionId)
+        onlyRegisteredVoter(_electionId)
+        hasNotVoted(_electionId)
+        votingIsActive(_electionId)
+    {
+        // STATE CHANGES: Chain walk and weight move run in VoterRegistry
+        VoterRegistry.delegate(voterWeights[_electionId], hasVoted[_electionId], delegates[_electionId], _electionId, _to);
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: registerWithProof
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Register yourself by proving you are on the published allowlist
+     * 
+     * SECURITY LAYERS:
+     * 1. The leaf binds msg.sender and weight, so proofs cannot be reused by
+     *    another address or with a different weight
+     * 2. Same rules as admin registration (_registerVoter): once per address
+     * 
+     * DESIGN DECISION: Proof converts into a normal registration
+     * WHY: Every ballot type, delegation and the tallies work unchanged
+     * 
+     * @param _electionId The election to register for
+     * @param _weight Voting power listed for the caller in the allowlist
+     * @param _proof Sibling hashes from the caller's leaf up to the root
+     */
+    function registerWithProof(uint _electionId, uint _weight, bytes32[] calldata _proof) public
+        electionExists(_electionId)
+    {
+        _claimAllowlistEntry(_electionId, _weight, _proof);
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: voteWithProof
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Prove allowlist membership and cast a plurality vote in one transaction
+     * 
+     * NOTE: Already-registered callers skip the proof; the vote itself goes
+     *       through vote(), so every voting rule still applies
+     * 
+     * @param _electionId The election the vote is cast in
+     * @param _candidateId The ID of the candidate to vote for (1-based)
+     * @param _weight Voting power listed for the caller in the allowlist
+     * @param _proof Sibling hashes from the caller's leaf up to the root
+     */
+    function voteWithProof(uint _electionId, uint _candidateId, uint _weight, bytes32[] calldata _proof) public
+        electionExists(_electionId)
+    {
+        if (voterWeights[_electionId][msg.sender] == 0) {
+            _claimAllowlistEntry(_electionId, _weight, _proof);
+        }
+        
+        vote(_electionId, _candidateId);
+    }
+    
+    // ═══════════════════════════════════════════════════════════════════════════════
+    // VIEW FUNCTIONS (No gas cost for callers)
+    // ═══════════════════════════════════════════════════════════════════════════════
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: showResults
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Return complete voting results and determine winner
+     * 
+     * DESIGN DECISIONS:
+     * • Public visibility: Anyone can view results
+     * • Real-time results: No waiting until voting ends
+     * • Winner calculation: Automatic determination of highest vote count
+     *   (first preferences for ranked elections; see getRankedBallots)
+     * • Ties: Every tied leader is returned; the winner is settled by the
+     *   election's tie-break policy, or 0 while the tie stands
+     * 
+     * WHY THIS APPROACH:
+     * • Transparency: Maximum openness builds trust
+     * • Simplicity: Easy to understand and verify
+     * • User Experience: Immediate feedback and engagement
+     * 
+     * TRADE-OFFS:
+     * ✅ BENEFITS:
+     *   - Complete transparency and verifiability
+     *   - Real-time monitoring and engagement
+     *   - Simple implementation and low gas costs
+     * 
+     * ⚠️ COSTS:
+     *   - Enables vote buying (buyer can verify purchase)
+     *   - May influence undecided voters (bandwagon effect)
+     *   - Psychological pressure on voters
+     * 
+     * SECURITY IMPLICATIONS:
+     * • Vote buying risk: Public results enable verification of purchased votes
+     * • No manipulation risk: Results calculated from immutable vote counts
+     * • Transparency benefit: Anyone can independently verify counting
+     * 
+     * ALTERNATIVES CONSIDERED:
+     * 1. Hidden results until voting ends - Rejected: Reduces transparency
+     * 2. Partial results (percentages only) - Rejected: Still enables vote buying
+     * 3. Commit-reveal scheme - Available per election via scheduleSecretBallot;
+     *    counts stay at zero until sealed votes are revealed
+     * 
+     * GAS CONSIDERATIONS:
+     * • Read-only function: No gas cost for callers
+     * • O(n) complexity where n = number of candidates
+     * • Reasonable for expected candidate counts (<100)
+     * 
+     * @param _electionId The election to report on
+     * @return votes Array of vote counts for each candidate
+     * @return names Array of candidate names
+     * @return winningCandidateId ID of the winner, 0 with no votes or an unsettled tie
+     * @return withdrawn Whether each candidate has withdrawn (no votes, not on the ballot)
+     * @return abstentions Voting power cast as ABSTAIN
+     * @return noneOfTheAbove Voting power cast as NONE_OF_THE_ABOVE
+     */
+    function showResults(uint _electionId) public view returns (
+        uint[] memory votes,
+        string[] memory names,
+        uint winningCandidateId,
+        bool[] memory withdrawn,
+        uint abstentions,
+        uint noneOfTheAbove
+    ) {
+        uint candidateCount = electionData[_electionId].candidateCount;
+        
+        // INITIALIZATION: Create arrays for return data
+        votes = new uint[](candidateCount);
+        names = new string[](candidateCount);
+        withdrawn = new bool[](candidateCount);
+        
+        // ITERATION: Collect data for all candidates
+        for (uint i = 1; i <= candidateCount; i++) {
+            votes[i-1] = voteCounts[_electionId][i];
+            names[i-1] = candidates[_electionId][i];
+            withdrawn[i-1] = candidateStatus[_electionId][i] == CandidateStatus.Withdrawn;
+        }
+        
+        // WINNER DETERMINATION: Leaders first, then the tie-break policy
+        (, winningCandidateId) = _standings(_electionId);
+        
+        // BLANK BALLOTS: Reported beside the candidates, never among the leaders
+        abstentions = voteCounts[_electionId][ABSTAIN];
+        noneOfTheAbove = voteCounts[_electionId][NONE_OF_THE_ABOVE];
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: getWinner
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Get the current winner information
+     * 
+     * DESIGN DECISION: Separate winner function for gas optimization
+     * WHY: Sometimes only winner info is needed, not full results
+     * NOTE: Ranked elections report the first-preference leader here; the
+     *       instant-runoff winner is computed from getRankedBallots
+     * 
+     * @param _electionId The election to report on
+     * @return winnerName Name of the winning candidate ("" when there is none)
+     * @return winnerVotes Highest vote count (shared by every leader)
+     * @return winnerExists False with no votes or an unsettled tie
+     */
+    function getWinner(uint _electionId) public view returns (
+        string memory winnerName,
         uint winnerVotes,
         bool winnerExists
     ) {
-        // EDGE CASE: No candidates
-        if (candidateCount == 0) {
+        (uint[] memory leaders, uint winningCandidateId) = _standings(_electionId);
+        
+        // EDGE CASE: No candidates or no votes
+        if (leaders.length == 0) {
             return ("", 0, false);
         }
         
-        uint highestVoteCount = 0;
-        uint winningCandidateId = 1;
-        
-        // FIND WINNER: Iterate through candidates
-        for (uint i = 1; i <= candidateCount; i++) {
-            if (voteCounts[i] > highestVoteCount) {
-                highestVoteCount = voteCounts[i];
-                winningCandidateId = i;
-            }
+        winnerVotes = voteCounts[_electionId][leaders[0]];
+        if (winningCandidateId != 0) {
+            winnerName = candidates[_electionId][winningCandidateId];
+            winnerExists = true;
         }
-        
-        return (
-            candidates[winningCandidateId],
-            highestVoteCount,
-            true
-        );
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: getFinalResult
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Read the certified outcome stored by finalizeElection
+     * 
+     * NOTE: The finalizing transaction can be found from the ElectionFinalized
+     *       event in blockNumber
+     * 
+     * @param _electionId The election to report on
+     * @return finalized Whether the election has been finalized
+     * @return blockNumber Block of the finalizing transaction
+     * @return timestamp Time of finalization
+     * @return winners Winning candidate IDs (several on a tie)
+     * @return quorumMet Whether turnout reached the quorum (the result is valid)
+     * @return drawBlock Block whose hash draws a tie (0 if no draw was requested)
+     */
+    function getFinalResult(uint _electionId) public view returns (
+        bool finalized,
+        uint blockNumber,
+        uint timestamp,
+        uint[] memory winners,
+        bool quorumMet,
+        uint drawBlock
+    ) {
+        FinalResult storage result = finalResults[_electionId];
+        return (electionData[_electionId].finalized, result.blockNumber, result.timestamp, result.winners, result.quorumMet, result.drawBlock);
     }
     
     /**
@@ -475,23 +1807,24 @@ contract Voting {
      * 
      * PURPOSE: Get information about a specific candidate
      * 
+     * @param _electionId The election the candidate belongs to
      * @param _candidateId The ID of the candidate
      * @return name The candidate's name
      * @return votes The candidate's current vote count
      * @return exists Whether the candidate exists
      */
-    function getCandidateInfo(uint _candidateId) public view returns (
+    function getCandidateInfo(uint _electionId, uint _candidateId) public view returns (
         string memory name,
         uint votes,
         bool exists
     ) {
-        if (_candidateId == 0 || _candidateId > candidateCount) {
+        if (_candidateId == 0 || _candidateId > electionData[_electionId].candidateCount) {
             return ("", 0, false);
         }
         
         return (
-            candidates[_candidateId],
-            voteCounts[_candidateId],
+            candidates[_electionId][_candidateId],
+            voteCounts[_electionId][_candidateId],
             true
         );
     }
@@ -503,21 +1836,111 @@ contract Voting {
      * 
      * PURPOSE: Check a voter's registration and voting status
      * 
+     * @param _electionId The election to check against
      * @param _voter The address to check
      * @return isRegistered Whether the address is registered to vote
      * @return hasVotedAlready Whether the address has already voted
      * @return canVote Whether the address can currently vote
+     * @return phase Current election phase (Upcoming, Open, Reveal, Closed)
+     * @return weight Voting power, including weight delegated to the voter (0 if unregistered)
+     * @return delegatedTo Who the voter delegated to (zero address if nobody)
      */
-    function getVoterStatus(address _voter) public view returns (
+    function getVoterStatus(uint _electionId, address _voter) public view returns (
         bool isRegistered,
         bool hasVotedAlready,
-        bool canVote
+        bool canVote,
+        Phase phase,
+        uint weight,
+        address delegatedTo
     ) {
-        isRegistered = registeredVoters[_voter];
-        hasVotedAlready = hasVoted[_voter];
-        canVote = isRegistered && !hasVotedAlready && votingActive;
+        weight = voterWeights[_electionId][_voter];
+        isRegistered = weight > 0;
+        hasVotedAlready = hasVoted[_electionId][_voter];
+        phase = _phase(electionData[_electionId]);
+        canVote = isRegistered && !hasVotedAlready && phase == Phase.Open;
+        delegatedTo = delegates[_electionId][_voter];
         
-        return (isRegistered, hasVotedAlready, canVote);
+        return (isRegistered, hasVotedAlready, canVote, phase, weight, delegatedTo);
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: registeredVoters
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Registration check kept from the bool mapping it replaces
+     * WHY: Existing callers keep working now that registration carries a weight
+     * 
+     * @param _electionId The election to check against
+     * @param _voter The address to check
+     * @return Whether the address is registered to vote
+     */
+    function registeredVoters(uint _electionId, address _voter) public view returns (bool) {
+        return voterWeights[_electionId][_voter] > 0;
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: elections
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Raw election record, as the former public getter returned it
+     * 
+     * DESIGN DECISION: Fixed field list; newer settings get their own views
+     * WHY: Existing callers read these fields by name, and the legacy ABI
+     *      encoder runs out of stack slots beyond this many return values
+     * 
+     * @param _electionId The election to report on
+     */
+    function elections(uint _electionId) public view returns (
+        string memory title,
+        uint candidateCount,
+        uint totalVotes,
+        uint totalCommitments,
+        uint64 startTime,
+        uint64 endTime,
+        uint64 revealEndTime,
+        bool votingActive,
+        bool secretBallot,
+        BallotType ballotType,
+        bool exists,
+        bool finalized
+    ) {
+        Election storage election = electionData[_electionId];
+        title = election.title;
+        candidateCount = election.candidateCount;
+        totalVotes = election.totalVotes;
+        totalCommitments = election.totalCommitments;
+        startTime = election.startTime;
+        endTime = election.endTime;
+        revealEndTime = election.revealEndTime;
+        votingActive = election.votingActive;
+        secretBallot = election.secretBallot;
+        ballotType = election.ballotType;
+        exists = election.exists;
+        finalized = election.finalized;
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: getTieBreakPolicy
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Show voters how a tie for first place will be settled
+     * 
+     * @param _electionId The election to report on
+     * @return policy DeclareTie, EarliestToReach or AdminDraw
+     */
+    function getTieBreakPolicy(uint _electionId) public view returns (TieBreak policy) {
+        return electionData[_electionId].tieBreak;
+    }
+    
+    /**
+     * PURPOSE: Whether voters may change their vote while the election is open
+     * NOTE: A voter's current choice is in currentVote
+     */
+    function getVoteChanges(uint _electionId) public view returns (bool allowed) {
+        return electionData[_electionId].voteChanges;
     }
     
     /**
@@ -527,22 +1950,325 @@ contract Voting {
      * 
      * PURPOSE: Get overall election statistics
      * 
+     * @param _electionId The election to report on
      * @return totalCandidates Number of candidates in the election
-     * @return totalVotesCast Total number of votes cast
-     * @return isVotingActive Whether voting is currently active
+     * @return totalVotesCast Total voting power cast (weighted)
+     * @return isVotingActive Whether voting is open right now
      * @return currentAdmin Address of the current admin
+     * @return phase Current election phase (Upcoming, Open, Reveal, Closed)
+     * @return startTime Scheduled opening time (0 if unscheduled)
+     * @return endTime Scheduled closing time (0 if unscheduled)
+     * @return voterCount Number of registered addresses
+     * @return registeredVotingPower Their combined voting power (turnout is totalVotesCast of this)
+     * @return quorumVotes Voting power that must be cast for a valid result (0 = no quorum)
+     * @return quorumMet Whether turnout has reached the quorum
      */
-    function getElectionStats() public view returns (
+    function getElectionStats(uint _electionId) public view returns (
         uint totalCandidates,
         uint totalVotesCast,
         bool isVotingActive,
-        address currentAdmin
+        address currentAdmin,
+        Phase phase,
+        uint startTime,
+        uint endTime,
+        uint voterCount,
+        uint registeredVotingPower,
+        uint quorumVotes,
+        bool quorumMet
     ) {
-        return (
-            candidateCount,
-            totalVotes,
-            votingActive,
-            admin
+        Election storage election = electionData[_electionId];
+        phase = _phase(election);
+        
+        totalCandidates = election.candidateCount;
+        totalVotesCast = election.totalVotes;
+        isVotingActive = phase == Phase.Open;
+        currentAdmin = admin;
+        startTime = election.startTime;
+        endTime = election.endTime;
+        
+        VoterRegistry.VoterRoll storage roll = voterRolls[_electionId];
+        voterCount = roll.voters;
+        registeredVotingPower = roll.votingPower;
+        quorumVotes = _quorumVotes(_electionId);
+        quorumMet = totalVotesCast >= quorumVotes;
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: getRankedBallots
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Return every ranked ballot so anyone can run the instant runoff
+     * 
+     * GAS CONSIDERATIONS:
+     * • Read-only function: No gas cost for callers
+     * • O(ballots × rankings); fine for small polls, large polls should page
+     *   through RankedVoteCast events instead
+     * 
+     * @param _electionId The election to report on
+     * @return ballots Candidate IDs per ballot, most preferred first
+     */
+    function getRankedBallots(uint _electionId) public view returns (uint[][] memory ballots) {
+        return rankedBallots[_electionId];
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: getRankedBallotWeights
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Voting power behind each ranked ballot, for a weighted runoff
+     * 
+     * @param _electionId The election to report on
+     * @return weights One entry per ballot, same order as getRankedBallots
+     */
+    function getRankedBallotWeights(uint _electionId) public view returns (uint[] memory weights) {
+        return rankedBallotWeights[_electionId];
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: getAdmins
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: List the current admin set (the N in M-of-N)
+     * 
+     * @return admins Every current admin, in no particular order
+     */
+    function getAdmins() public view returns (address[] memory admins) {
+        return adminList;
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: getRoleMembers
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: List the holders of a role for the admin panel
+     * 
+     * @param _role The role to list
+     * @return members Every current holder, in no particular order
+     */
+    function getRoleMembers(Role _role) public view returns (address[] memory members) {
+        return roleMembers[_role];
+    }
+    
+    /**
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * FUNCTION: getProposal
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     * PURPOSE: Inspect a proposal before approving or executing it
+     * 
+     * @param _proposalId The proposal to report on
+     * @return proposer Admin who created the proposal
+     * @return data ABI-encoded call the proposal will make
+     * @return approvals Approvals from current admins
+     * @return executed Whether the proposal has already run
+     */
+    function getProposal(uint _proposalId) public view returns (
+        address proposer,
+        bytes memory data,
+        uint approvals,
+        bool executed
+    ) {
+        AdminGovernance.Proposal storage proposal = proposals[_proposalId];
+        approvals = AdminGovernance.countApprovals(proposalApprovals[_proposalId], adminList);
+        return (proposal.proposer, proposal.data, approvals, proposal.executed);
+    }
+    
+    // ═══════════════════════════════════════════════════════════════════════════════
+    // INTERNAL HELPERS
+    // ═══════════════════════════════════════════════════════════════════════════════
+    
+    /**
+     * CANDIDATE CHECKS
+     * WHY: Every ballot entry point and ballot edit applies the same rules
+     */
+    function _requireActiveCandidate(uint _electionId, uint _candidateId) internal view {
+        CandidateStatus status = candidateStatus[_electionId][_candidateId];
+        require(status != CandidateStatus.None, "Invalid candidate ID");
+        require(status == CandidateStatus.Active, "Candidate has withdrawn");
+    }
+    
+    /**
+     * PLURALITY CHOICE
+     * WHY: vote() and changeVote() accept the same choices; secret, ranked
+     *      and approval ballots have their own entry points, but abstaining
+     *      goes through vote() whatever the ballot type
+     */
+    function _requirePluralityChoice(Election storage _election, uint _electionId, uint _candidateId) internal view {
+        require(!_election.secretBallot, "Use commitVote for secret ballots");
+        require(
+            _election.ballotType == BallotType.Plurality || _candidateId >= NONE_OF_THE_ABOVE,
+            "Election does not use plurality ballots"
+        );
+        _requireBallotChoice(_electionId, _candidateId);
+    }
+    
+    function _requireBallotChoice(uint _electionId, uint _candidateId) internal view {
+        if (_candidateId < NONE_OF_THE_ABOVE) _requireActiveCandidate(_electionId, _candidateId);
+    }
+    
+    function _requireBallotEditable(uint _electionId, uint _candidateId) internal view {
+        _requireActiveCandidate(_electionId, _candidateId);
+        
+        Election storage election = electionData[_electionId];
+        require(election.totalVotes == 0 && election.totalCommitments == 0, "Votes have already been cast");
+    }
+    
+    function _validateCandidateName(string memory _name) internal pure {
+        // VALIDATION: Ensure candidate name is not empty
+        require(bytes(_name).length > 0, "Candidate name cannot be empty");
+        
+        // VALIDATION: Ensure name is not too long (gas optimization)
+        require(bytes(_name).length <= 64, "Candidate name too long");
+    }
+    
+    /**
+     * STANDINGS
+     * NOTE: Leaders and the tie-break run in ResultStandings.standings
+     */
+    function _standings(uint _electionId) internal view returns (uint[] memory leaders, uint winnerId) {
+        Election storage election = electionData[_electionId];
+        return ResultStandings.standings(
+            voteCounts[_electionId],
+            countReachedAt[_electionId],
+            finalResults[_electionId].winners,
+            election.candidateCount,
+            uint8(election.tieBreak)
         );
     }
+    
+    /**
+     * QUORUM
+     * RULE: Percentages round up, so 50% of 3 voting power needs 2
+     */
+    function _quorumVotes(uint _electionId) internal view returns (uint) {
+        Quorum storage quorum = quorums[_electionId];
+        if (!quorum.percentage) return quorum.threshold;
+        return (uint(voterRolls[_electionId].votingPower) * quorum.threshold + 99) / 100;
+    }
+    
+    function _recordReach(Election storage _election, uint _electionId, uint _candidateId) internal {
+        if (_election.tieBreak == TieBreak.EarliestToReach) {
+            countReachedAt[_electionId][_candidateId] = _election.totalVotes;
+        }
+    }
+    
+    /**
+     * MODIFIER CHECKS
+     * WHY: Modifier bodies are copied into every function that uses them;
+     *      calling one shared function instead keeps the deployed bytecode
+     *      under the 24KB contract size limit (EIP-170)
+     * GAS: One internal jump per check, a few gas each
+     */
+    function _checkAdmin() internal view {
+        if (msg.sender != address(this)) {
+            require(isAdmin[msg.sender], "Only admin can perform this action");
+            require(adminThreshold == 1, "Action requires multisig approval");
+        }
+    }
+    
+    function _checkRole(Role _role) internal view {
+        if (!hasRole[_role][msg.sender]) {
+            _checkAdmin();
+        }
+    }
+    
+    function _checkRegisteredVoter(uint _electionId) internal view {
+        require(voterWeights[_electionId][msg.sender] > 0, "You are not registered to vote");
+    }
+    
+    function _checkNotVoted(uint _electionId) internal view {
+        require(!hasVoted[_electionId][msg.sender], "You have already voted");
+    }
+    
+    function _checkVotingOpen(uint _electionId) internal view {
+        require(_phase(electionData[_electionId]) == Phase.Open, "Voting is currently inactive");
+    }
+    
+    function _checkElectionExists(uint _electionId) internal view {
+        Election storage election = electionData[_electionId];
+        require(election.exists, "Election does not exist");
+        require(!election.finalized, "Election already finalized");
+    }
+    
+    /**
+     * ALLOWLIST CLAIM
+     * NOTE: Proof hashing lives in VoterRegistry.verifyAllowlist
+     */
+    function _claimAllowlistEntry(uint _electionId, uint _weight, bytes32[] calldata _proof) internal {
+        bytes32 root = voterRoots[_electionId];
+        require(root != bytes32(0), "No voter allowlist published");
+        require(VoterRegistry.verifyAllowlist(root, msg.sender, _weight, _proof), "Invalid allowlist proof");
+        
+        _registerVoter(_electionId, msg.sender, _weight);
+    }
+    
+    /**
+     * VOTER REGISTRATION
+     * WHY: Single and batch registration must enforce identical rules
+     * NOTE: The checks and roll bookkeeping live in VoterRegistry.register
+     */
+    function _registerVoter(uint _electionId, address _voter, uint _weight) internal {
+        VoterRegistry.register(voterWeights[_electionId], voterRolls[_electionId], _electionId, _voter, _weight);
+    }
+    
+    /**
+     * WINDOW SCHEDULING
+     * WHY: Plain and secret ballots share the same window rules
+     * RESTRICTION: The window can only be (re)set before voting has opened
+     * NOTE: _revealEndTime == 0 schedules a plain ballot
+     */
+    function _schedule(Election storage _election, uint _startTime, uint _endTime, uint _revealEndTime) internal {
+        // VALIDATION: Window must be well-formed and end in the future
+        require(_startTime < _endTime, "Start time must be before end time");
+        require(_endTime > block.timestamp, "End time must be in the future");
+        require(_endTime <= type(uint64).max && _revealEndTime <= type(uint64).max, "End time out of range");
+        
+        // VALIDATION: Never move a window that has already opened
+        _requireNotStarted(_election);
+        
+        // STATE CHANGE: Store the window (the manual switch is no longer used)
+        _election.startTime = uint64(_startTime);
+        _election.endTime = uint64(_endTime);
+        _election.revealEndTime = uint64(_revealEndTime);
+        _election.secretBallot = _revealEndTime != 0;
+        _election.votingActive = false;
+    }
+    
+    /**
+     * PRE-VOTING CHECK
+     * WHY: Configuration (window, ballot type, tie-break) must not change mid-election
+     * RULE: Scheduled -> start time not reached; unscheduled -> switch never turned on
+     */
+    function _notYetOpen(Election storage _election) internal view returns (bool) {
+        return _election.endTime == 0
+            ? !_election.votingActive
+            : block.timestamp < _election.startTime;
+    }
+    
+    function _requireNotStarted(Election storage _election) internal view {
+        require(_notYetOpen(_election), "Voting has already started");
+        require(_election.totalVotes == 0 && _election.totalCommitments == 0, "Votes have already been cast");
+    }
+    
+    /**
+     * PHASE CALCULATION
+     * DESIGN DECISION: Phase is derived, never stored
+     * WHY: No transaction is needed when a window opens or closes
+     * RULE: Scheduled -> [start, end) is Open, then [end, revealEnd) is Reveal
+     *       for secret ballots; unscheduled -> manual switch
+     */
+    function _phase(Election storage _election) internal view returns (Phase) {
+        if (_election.endTime != 0) {
+            if (block.timestamp < _election.startTime) return Phase.Upcoming;
+            if (block.timestamp < _election.endTime) return Phase.Open;
+            if (block.timestamp < _election.revealEndTime) return Phase.Reveal;
+            return Phase.Closed;
+        }
+        
+        return _election.votingActive ? Phase.Open : Phase.Closed;
+    }
 }
\ No newline at end of file
@@ -9,6 +9,7 @@
  * TRADE-OFF: Admin power vs decentralization (documented in design decisions)
  * 
  * This module handles:
+ * - Election creation
  * - Voter registration management
  * - Candidate addition and management
  * - Election control (start/stop voting)
@@ -30,266 +31,1574 @@ async function refreshAdminPanel() {
     try {
         console.log('🔄 Refreshing admin panel...');
         
-        // Verify admin access
-        const isAdmin = await web3Manager.isAdmin();
-        if (!isAdmin) {
-            console.log('❌ Access denied: User is not admin');
+        // Verify admin or delegated role access
+        const roles = await contractStore.getUserRoles();
+        if (roles.length === 0) {
+            console.log('❌ Access denied: User has no admin role');
             uiManager.switchTab('voting'); // Redirect non-admins
             return;
         }
+        applyRoleVisibility(roles);
         
         // Update voting status display
         await updateVotingStatusDisplay();
         
+        if (roles.includes('candidateManager')) {
+            // Ballot entries with rename / withdraw while no votes are cast
+            await refreshCandidateAdminList();
+        }
+        
+        if (roles.includes('admin')) {
+            // Admin set and proposals waiting for approval
+            await refreshMultisigPanel();
+            
+            // Delegated role holders
+            await refreshRolePanel();
+            
+            // Nominee waiting to accept the admin role
+            await updateAdminTransferDisplay();
+        }
+        
         // Clear any previous form data
         clearAdminForms();
         
-        console.log('✅ Admin panel refreshed');
+        console.log('✅ Admin panel refreshed');
+        
+    } catch (error) {
+        console.error('❌ Failed to refresh admin panel:', error);
+        uiManager.showModal('Admin Panel Error', 'Failed to load admin panel: ' + error.message);
+    }
+}
+
+/**
+ * ROLE-BASED SECTIONS
+ * DESIGN DECISION: Each admin card names the role that may use it (data-role)
+ * WHY: A registrar should see voter management, not admin transfer
+ * SECURITY: Hiding is convenience only; the contract's onlyRole checks decide
+ */
+function applyRoleVisibility(roles) {
+    document.querySelectorAll('#adminTab [data-role]').forEach(card => {
+        card.classList.toggle('hidden', !roles.includes(card.dataset.role));
+    });
+}
+
+/**
+ * VOTING STATUS DISPLAY
+ * WHY: Admin needs to see current voting state clearly
+ * CONTROL: Provides context for admin decisions
+ */
+async function updateVotingStatusDisplay() {
+    try {
+        const statusDisplay = document.getElementById('votingStatus');
+        const toggleButton = document.getElementById('toggleVoting');
+        
+        const election = uiManager.getSelectedElection();
+        if (!election) {
+            statusDisplay.innerHTML = `
+                <div class="status-inactive">
+                    <i class="fas fa-list-ul"></i>
+                    <strong>No election selected</strong>
+                    <p>Create an election to start managing a ballot.</p>
+                </div>
+            `;
+            statusDisplay.className = 'status-display inactive';
+            toggleButton.disabled = true;
+            document.getElementById('finalizeElection').disabled = true;
+            document.getElementById('scheduleVoting').disabled = true;
+            document.getElementById('setBallotType').disabled = true;
+            document.getElementById('setTieBreakPolicy').disabled = true;
+            document.getElementById('setQuorum').disabled = true;
+            document.getElementById('setVoteChanges').disabled = true;
+            document.getElementById('drawTieBreak').classList.add('hidden');
+            return;
+        }
+        
+        const stats = await contractStore.getElectionStats(election.id);
+        if (!stats) return;
+        
+        const allowlistLine = stats.voterRoot
+            ? `<p>Voter allowlist: <code>${stats.voterRoot.slice(0, 10)}…${stats.voterRoot.slice(-8)}</code></p>`
+            : '';
+        const settingsLines = `<p>Tie-break: ${uiManager.getTieBreakLabel(stats.tieBreak)}</p>`
+            + (stats.quorumVotes > 0
+                ? `<p>Quorum: ${stats.totalVotes} of ${stats.quorumVotes} votes ${stats.quorumMet ? '(met)' : '(not met)'}</p>`
+                : '')
+            + (stats.voteChanges ? '<p>Vote changes: allowed until voting closes</p>' : '');
+        
+        // Schedule can only move while voting has not started yet
+        const scheduled = stats.endTime > 0;
+        const started = scheduled ? stats.phase !== 'upcoming' : stats.votingActive;
+        document.getElementById('scheduleVoting').disabled = started || stats.totalVotes > 0 || stats.totalCommitments > 0;
+        
+        // Ballot type follows the same lock as the schedule
+        document.getElementById('ballotType').value = stats.ballotType;
+        document.getElementById('setBallotType').disabled = started || stats.totalVotes > 0 || stats.totalCommitments > 0;
+        document.getElementById('tieBreakPolicy').value = stats.tieBreak;
+        document.getElementById('setTieBreakPolicy').disabled = started || stats.totalVotes > 0 || stats.totalCommitments > 0;
+        document.getElementById('setQuorum').disabled = started || stats.totalVotes > 0 || stats.totalCommitments > 0;
+        document.getElementById('voteChangesSetting').value = stats.voteChanges ? 'on' : 'off';
+        document.getElementById('setVoteChanges').disabled = started || stats.totalVotes > 0 || stats.totalCommitments > 0;
+        
+        // Scheduled elections open and close on their own
+        toggleButton.disabled = scheduled;
+        
+        // Finalizing needs counts that can no longer move
+        document.getElementById('finalizeElection').disabled = stats.finalized || stats.phase !== 'closed';
+        
+        // A certified tie under the draw policy waits for a requested, then completed draw
+        const drawButton = document.getElementById('drawTieBreak');
+        const certified = stats.finalized && stats.tieBreak === 'adminDraw'
+            ? await contractStore.getFinalResult(election.id)
+            : null;
+        drawButton.classList.toggle('hidden', !certified || certified.winners.length < 2);
+        if (certified && certified.winners.length > 1) {
+            const pending = await isTieDrawPending(certified);
+            drawButton.innerHTML = pending
+                ? `<i class="fas fa-dice"></i> Complete Draw (block ${certified.drawBlock})`
+                : '<i class="fas fa-dice"></i> Request Tie-Break Draw';
+        }
+        
+        if (stats.finalized) {
+            // Certified elections are read-only
+            toggleButton.disabled = true;
+            document.getElementById('scheduleVoting').disabled = true;
+            document.getElementById('setBallotType').disabled = true;
+            document.getElementById('setTieBreakPolicy').disabled = true;
+            document.getElementById('setQuorum').disabled = true;
+            document.getElementById('setVoteChanges').disabled = true;
+            
+            statusDisplay.innerHTML = `
+                <div class="status-inactive">
+                    <i class="fas fa-certificate"></i>
+                    <strong>Result is FINALIZED</strong>
+                    <p>Election: ${escapeHtml(election.title)}</p>
+                    <p>Ballot: ${uiManager.getBallotTypeLabel(stats.ballotType)}</p>
+                    ${settingsLines}
+                    <p>The certified result is shown on the Results tab.</p>
+                </div>
+            `;
+            statusDisplay.className = 'status-display inactive';
+            toggleButton.innerHTML = '<i class="fas fa-lock"></i> Finalized';
+        } else if (scheduled) {
+            const active = stats.phase === 'open' || stats.phase === 'reveal';
+            statusDisplay.innerHTML = `
+                <div class="${active ? 'status-active' : 'status-inactive'}">
+                    <i class="fas ${stats.secretBallot ? 'fa-lock' : 'fa-clock'}"></i>
+                    <strong>${stats.secretBallot ? 'Secret ballot' : 'Voting'} is SCHEDULED (${uiManager.getPhaseLabel(stats).toUpperCase()})</strong>
+                    <p>Election: ${escapeHtml(election.title)}</p>
+                    <p>Ballot: ${uiManager.getBallotTypeLabel(stats.ballotType)}</p>
+                    ${settingsLines}
+                    ${allowlistLine}
+                    <p>Opens: ${uiManager.formatTimestamp(stats.startTime)}</p>
+                    <p>Closes: ${uiManager.formatTimestamp(stats.endTime)}</p>
+                    ${stats.secretBallot ? `
+                    <p>Reveal closes: ${uiManager.formatTimestamp(stats.revealEndTime)}</p>
+                    <p>Sealed votes: ${stats.totalCommitments} · Revealed: ${stats.totalVotes}</p>
+                    ` : ''}
+                </div>
+            `;
+            statusDisplay.className = `status-display ${active ? 'active' : 'inactive'}`;
+            toggleButton.innerHTML = '<i class="fas fa-clock"></i> Scheduled';
+        } else if (stats.votingActive) {
+            statusDisplay.innerHTML = `
+                <div class="status-active">
+                    <i class="fas fa-play-circle"></i>
+                    <strong>Voting is currently ACTIVE</strong>
+                    <p>Election: ${escapeHtml(election.title)}</p>
+                    <p>Ballot: ${uiManager.getBallotTypeLabel(stats.ballotType)}</p>
+                    ${settingsLines}
+                    ${allowlistLine}
+                    <p>Registered voters can cast their votes.</p>
+                </div>
+            `;
+            statusDisplay.className = 'status-display active';
+            toggleButton.innerHTML = '<i class="fas fa-pause"></i> Stop Voting';
+        } else {
+            statusDisplay.innerHTML = `
+                <div class="status-inactive">
+                    <i class="fas fa-pause-circle"></i>
+                    <strong>Voting is currently INACTIVE</strong>
+                    <p>Election: ${escapeHtml(election.title)}</p>
+                    <p>Ballot: ${uiManager.getBallotTypeLabel(stats.ballotType)}</p>
+                    ${settingsLines}
+                    ${allowlistLine}
+                    <p>Voters cannot cast votes at this time.</p>
+                </div>
+            `;
+            statusDisplay.className = 'status-display inactive';
+            toggleButton.innerHTML = '<i class="fas fa-play"></i> Start Voting';
+        }
+        
+    } catch (error) {
+        console.error('❌ Failed to update voting status:', error);
+    }
+}
+
+/**
+ * CLEAR ADMIN FORMS
+ * USER EXPERIENCE: Reset forms after successful operations
+ */
+function clearAdminForms() {
+    const forms = ['electionTitle', 'voterAddress', 'voterList', 'voterListFile', 'voterRoot', 'candidateName', 'scheduleStart', 'scheduleEnd', 'scheduleRevealEnd', 'newAdminAddress', 'newAdminSigner', 'roleAccount', 'lookupVoterAddress'];
+    forms.forEach(id => {
+        const element = document.getElementById(id);
+        if (element) {
+            element.value = '';
+            element.classList.remove('invalid');
+        }
+    });
+    
+    // Voting power defaults back to one-person-one-vote
+    const weightInput = document.getElementById('voterWeight');
+    if (weightInput) weightInput.value = '1';
+    
+    // Reset button states
+    document.getElementById('createElection').disabled = true;
+    document.getElementById('registerVoter').disabled = true;
+    document.getElementById('addCandidate').disabled = true;
+    document.getElementById('transferAdmin').disabled = true;
+    document.getElementById('addAdminSigner').disabled = true;
+    document.getElementById('grantRole').disabled = true;
+    document.getElementById('lookupVoter').disabled = true;
+    document.getElementById('voterLookupResult').classList.add('hidden');
+}
+
+/**
+ * SELECTED ELECTION GUARD
+ * WHY: Every ballot action targets one election; refuse to guess which
+ * USER EXPERIENCE: Point the admin at the picker instead of failing on-chain
+ */
+function requireSelectedElection() {
+    const election = uiManager.getSelectedElection();
+    if (!election) {
+        uiManager.showModal('No Election Selected', 'Please create or select an election first.');
+        return null;
+    }
+    return election;
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * ELECTION MANAGEMENT
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * 
+ * DESIGN DECISION: Admin-created elections in a single registry
+ * WHY: Several polls can run at once from one contract address
+ * SECURITY: New elections start inactive with an empty voter roll
+ */
+
+async function createElection() {
+    try {
+        const electionTitleInput = document.getElementById('electionTitle');
+        const electionTitle = electionTitleInput.value.trim();
+        
+        // Validate input
+        if (!validateElectionTitle(electionTitle)) {
+            uiManager.showModal('Invalid Title', 'Please enter a valid election title (1-64 characters).');
+            return;
+        }
+        
+        // Confirm creation
+        const confirmed = await confirmAdminAction(
+            'Create Election',
+            `Are you sure you want to create this election?\\n\\nTitle: "${electionTitle}"\\n\\nIt will start with no candidates, no voters and voting disabled.`
+        );
+        
+        if (!confirmed) return;
+        
+        // Submit election
+        console.log('🗂️ Creating election:', electionTitle);
+        await contractAPI.createElection(electionTitle);
+        
+        // Clear form
+        electionTitleInput.value = '';
+        document.getElementById('createElection').disabled = true;
+        
+        // Select the new election (it is always the newest)
+        const elections = await app.refreshElections();
+        if (elections.length > 0) {
+            await app.selectElection(elections[elections.length - 1].id);
+        }
+        
+        console.log('✅ Election created successfully');
+        
+    } catch (error) {
+        console.error('❌ Election creation failed:', error);
+        // Error already handled in contractAPI
+    }
+}
+
+/**
+ * SET BALLOT TYPE
+ * WHY: Plurality, ranked choice or approval is decided per election, before voting opens
+ * RESTRICTION: Contract rejects ranked secret ballots and changes after opening
+ */
+async function setBallotType() {
+    try {
+        const election = requireSelectedElection();
+        if (!election) return;
+        
+        const ballotType = document.getElementById('ballotType').value;
+        if (ballotType === election.ballotType) {
+            uiManager.showModal('No Change', `This election already uses a ${ballotType} ballot.`);
+            return;
+        }
+        
+        if (ballotType !== 'plurality' && election.secretBallot) {
+            uiManager.showModal('Not Supported', 'Secret ballots must use plurality. Reschedule the election as a regular ballot first.');
+            return;
+        }
+        
+        // Confirm change
+        const descriptions = {
+            plurality: 'Voters will pick a single candidate and the most votes wins.',
+            ranked: 'Voters will order candidates by preference and the winner is decided by instant runoff.',
+            approval: 'Voters will approve any number of candidates and the most approvals wins.'
+        };
+        const description = descriptions[ballotType];
+        const confirmed = await confirmAdminAction(
+            'Set Ballot Type',
+            `Are you sure you want to change the ballot type?\\n\\nElection: ${escapeHtml(election.title)}\\nBallot: ${ballotType}\\n\\n${description}`
+        );
+        
+        if (!confirmed) return;
+        
+        // Submit change
+        console.log('🔢 Setting ballot type:', ballotType);
+        await contractAPI.setBallotType(election.id, ballotType);
+        
+        // Picker entries carry the ballot type
+        await app.refreshElections();
+        await updateVotingStatusDisplay();
+        
+        console.log('✅ Ballot type updated successfully');
+        
+    } catch (error) {
+        console.error('❌ Ballot type change failed:', error);
+        // Error already handled in contractAPI
+    }
+}
+
+/**
+ * SET TIE-BREAK POLICY
+ * WHY: Voters should know how a tie for first place is settled before they vote
+ * RESTRICTION: Contract rejects changes once voting has opened
+ */
+async function setTieBreakPolicy() {
+    try {
+        const election = requireSelectedElection();
+        if (!election) return;
+        
+        const policy = document.getElementById('tieBreakPolicy').value;
+        const descriptions = {
+            declareTie: 'A tie for first place is reported as a tie, with no single winner.',
+            earliestToReach: 'Among tied leaders, the candidate who reached the winning count first wins.',
+            adminDraw: 'A tie is certified as a tie; an admin then draws the winner on-chain.'
+        };
+        const confirmed = await confirmAdminAction(
+            'Set Tie-Break Policy',
+            `Are you sure you want to change the tie-break policy?\n\nElection: ${escapeHtml(election.title)}\nPolicy: ${uiManager.getTieBreakLabel(policy)}\n\n${descriptions[policy]}`
+        );
+        
+        if (!confirmed) return;
+        
+        console.log('⚖️ Setting tie-break policy:', policy);
+        await contractAPI.setTieBreakPolicy(election.id, policy);
+        
+        await updateVotingStatusDisplay();
+        
+        console.log('✅ Tie-break policy updated successfully');
+        
+    } catch (error) {
+        console.error('❌ Tie-break policy change failed:', error);
+        // Error already handled in contractAPI
+    }
+}
+
+/**
+ * SET QUORUM
+ * WHY: Results from a handful of voters should not count as a mandate
+ * RESTRICTION: Contract rejects changes once voting has opened
+ * NOTE: Percentages are of the voting power registered when results are read,
+ *       so registering more voters raises the bar
+ */
+async function setQuorum() {
+    try {
+        const election = requireSelectedElection();
+        if (!election) return;
+        
+        const threshold = Number(document.getElementById('quorumThreshold').value);
+        const percentage = document.getElementById('quorumUnit').value === 'percent';
+        
+        if (!Number.isSafeInteger(threshold) || threshold < 0 || (percentage && threshold > 100)) {
+            uiManager.showModal('Invalid Quorum', percentage
+                ? 'A percentage quorum must be a whole number from 0 to 100.'
+                : 'A quorum must be a whole number of votes, or 0 for none.');
+            return;
+        }
+        
+        const label = threshold === 0
+            ? 'No quorum'
+            : percentage ? `${threshold}% of registered voting power` : `${threshold} votes cast`;
+        const confirmed = await confirmAdminAction(
+            'Set Quorum',
+            `Are you sure you want to change the quorum?\n\nElection: ${escapeHtml(election.title)}\nQuorum: ${label}\n\nResults below the quorum are marked as not valid.`
+        );
+        
+        if (!confirmed) return;
+        
+        console.log('📏 Setting quorum:', label);
+        await contractAPI.setQuorum(election.id, threshold, percentage);
+        
+        await updateVotingStatusDisplay();
+        
+        console.log('✅ Quorum updated successfully');
+        
+    } catch (error) {
+        console.error('❌ Quorum change failed:', error);
+        // Error already handled in contractAPI
+    }
+}
+
+/**
+ * SET VOTE CHANGES
+ * WHY: Voters should know before voting whether their vote is final
+ * RESTRICTION: Contract rejects changes once voting has opened, and
+ *              rejects vote changes under the first-to-reach tie-break
+ */
+async function setVoteChanges() {
+    try {
+        const election = requireSelectedElection();
+        if (!election) return;
+        
+        const allowed = document.getElementById('voteChangesSetting').value === 'on';
+        const confirmed = await confirmAdminAction(
+            'Set Vote Changes',
+            `Are you sure you want to change this setting?\n\nElection: ${escapeHtml(election.title)}\n\n${allowed
+                ? 'Voters may change their plurality vote until voting closes.'
+                : 'Every vote is final once cast.'}`
+        );
+        
+        if (!confirmed) return;
+        
+        console.log('🔁 Setting vote changes:', allowed);
+        await contractAPI.setVoteChanges(election.id, allowed);
+        
+        await updateVotingStatusDisplay();
+        
+        console.log('✅ Vote changes updated successfully');
+        
+    } catch (error) {
+        console.error('❌ Vote changes update failed:', error);
+        // Error already handled in contractAPI
+    }
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * VOTER MANAGEMENT
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * 
+ * DESIGN DECISION: Admin-controlled voter registration
+ * WHY: Prevents Sybil attacks, ensures voter eligibility
+ * SECURITY: Core defense against unauthorized participation
+ * TRADE-OFF: Centralization vs security (documented)
+ */
+
+async function registerVoter() {
+    try {
+        const election = requireSelectedElection();
+        if (!election) return;
+        
+        const voterAddressInput = document.getElementById('voterAddress');
+        const voterAddress = voterAddressInput.value.trim();
+        const weightInput = document.getElementById('voterWeight');
+        const weight = Number(weightInput.value);
+        
+        // Validate input
+        if (!validateEthereumAddress(voterAddress)) {
+            uiManager.showModal('Invalid Address', 'Please enter a valid Ethereum address.');
+            return;
+        }
+        
+        // Contract rejects zero weight; fractions cannot be represented on-chain
+        if (!Number.isSafeInteger(weight) || weight < 1) {
+            uiManager.showModal('Invalid Voting Power', 'Voting power must be a whole number of at least 1.');
+            return;
+        }
+        
+        // Check if already registered
+        const voterStatus = await contractAPI.getVoterStatus(election.id, voterAddress);
+        if (voterStatus && voterStatus.isRegistered) {
+            uiManager.showModal('Already Registered', 'This address is already registered to vote in this election.');
+            return;
+        }
+        
+        // Confirm registration
+        const confirmed = await confirmAdminAction(
+            'Register Voter',
+            `Are you sure you want to register this address as a voter?\\n\\nAddress: ${voterAddress}\\nElection: ${escapeHtml(election.title)}\\nVoting power: ${weight}\\n\\nThis will allow them to participate in the election.`
+        );
+        
+        if (!confirmed) return;
+        
+        // Submit registration
+        console.log('👥 Registering voter:', voterAddress, 'with weight', weight);
+        await contractAPI.registerVoter(election.id, voterAddress, weight);
+        
+        // Clear form
+        voterAddressInput.value = '';
+        weightInput.value = '1';
+        document.getElementById('registerVoter').disabled = true;
+        
+        console.log('✅ Voter registered successfully');
+        
+    } catch (error) {
+        console.error('❌ Voter registration failed:', error);
+        // Error already handled in contractAPI
+    }
+}
+
+/**
+ * VOTER LOOKUP
+ * DESIGN DECISION: Look up one address before acting on it
+ * WHY: Revoking eligibility is only possible before the voter has voted,
+ *      so the panel shows the on-chain status and offers revoke only then
+ */
+async function lookupVoter() {
+    try {
+        const election = requireSelectedElection();
+        if (!election) return;
+        
+        const voterAddress = document.getElementById('lookupVoterAddress').value.trim();
+        if (!validateEthereumAddress(voterAddress)) {
+            uiManager.showModal('Invalid Address', 'Please enter a valid Ethereum address.');
+            return;
+        }
+        
+        const status = await contractAPI.getVoterStatus(election.id, voterAddress);
+        renderVoterLookup(voterAddress, status);
+        
+    } catch (error) {
+        console.error('❌ Voter lookup failed:', error);
+        uiManager.showModal('Lookup Failed', 'Could not load voter status: ' + error.message);
+    }
+}
+
+function renderVoterLookup(voterAddress, status) {
+    const container = document.getElementById('voterLookupResult');
+    container.classList.remove('hidden');
+    
+    if (!status) {
+        container.innerHTML = '<p class="text-muted">Voter status unavailable.</p>';
+        return;
+    }
+    
+    let eligibility;
+    if (status.isRegistered) {
+        eligibility = `<i class="fas fa-check-circle"></i> <strong>Registered</strong> · Voting power: ${status.weight}`;
+    } else if (status.allowlisted) {
+        eligibility = `<i class="fas fa-sitemap"></i> <strong>On voter allowlist</strong> (not yet registered) · Voting power: ${status.weight}`;
+    } else {
+        eligibility = '<i class="fas fa-times-circle"></i> <strong>Not registered</strong>';
+    }
+    
+    let participation = status.hasVoted ? 'Has voted' : 'Has not voted';
+    if (status.delegatedTo) {
+        participation = `Delegated to ${web3Manager.formatAddress(status.delegatedTo)}`;
+    }
+    
+    const canRevoke = status.isRegistered && !status.hasVoted;
+    
+    container.innerHTML = `
+        <p><code>${escapeHtml(voterAddress)}</code></p>
+        <p>${eligibility}</p>
+        <p>${participation}${status.canVote ? ' · Can vote now' : ''}</p>
+        ${canRevoke ? `
+            <button class="btn btn-danger btn-small" data-action="revoke-voter" data-address="${escapeHtml(voterAddress)}">
+                <i class="fas fa-user-slash"></i>
+                Revoke Eligibility
+            </button>
+        ` : ''}
+        ${status.isRegistered && status.hasVoted ? '<p class="text-muted">Voters who have voted or delegated cannot be removed.</p>' : ''}
+    `;
+}
+
+async function handleVoterLookupAction(event) {
+    const button = event.target.closest('button[data-action="revoke-voter"]');
+    if (!button) return;
+    
+    try {
+        const election = requireSelectedElection();
+        if (!election) return;
+        
+        const voterAddress = button.dataset.address;
+        const confirmed = await confirmAdminAction(
+            'Revoke Eligibility',
+            `Remove this voter from the election?\\n\\nAddress: ${voterAddress}\\nElection: ${escapeHtml(election.title)}\\n\\nThey will no longer be able to vote. Any voting power delegated to them is lost with it.`
+        );
+        if (!confirmed) return;
+        
+        await contractAPI.deregisterVoter(election.id, voterAddress);
+        
+        renderVoterLookup(voterAddress, await contractAPI.getVoterStatus(election.id, voterAddress));
+        
+    } catch (error) {
+        console.error('❌ Voter deregistration failed:', error);
+        // Error already handled in contractAPI
+    }
+}
+
+/**
+ * BULK VOTER REGISTRATION
+ * DESIGN DECISION: Validate the whole list in the browser, then send chunks
+ * WHY: The contract reverts a batch on any bad row, so every row is checked
+ *      (format, duplicates, already registered) before anything is signed
+ * GAS: Chunks are sized to stay well under the block gas limit; each chunk is
+ *      one transaction and one wallet prompt
+ */
+const VOTER_BATCH_GAS_BUDGET = 5000000;
+const GAS_PER_VOTER_REGISTRATION = 30000;
+const VOTER_BATCH_SIZE = Math.floor(VOTER_BATCH_GAS_BUDGET / GAS_PER_VOTER_REGISTRATION);
+
+/**
+ * Parse "address[,weight]" rows (comma, semicolon, tab or space separated).
+ * Blank lines, # comments and a leading header row are skipped.
+ * Returns valid rows plus every rejected row with its line number and reason.
+ */
+function parseVoterList(text) {
+    const valid = [];
+    const rejected = [];
+    const seen = new Set();
+    
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        const lineNumber = index + 1;
+        if (!line || line.startsWith('#')) return;
+        
+        const [address, weightField] = line.split(/[,;\t ]+/);
+        
+        // Spreadsheet exports usually start with a header row
+        if (valid.length === 0 && rejected.length === 0 && /address/i.test(address)) return;
+        
+        if (!validateEthereumAddress(address)) {
+            rejected.push({ lineNumber, address, reason: 'Invalid address' });
+            return;
+        }
+        
+        const weight = weightField === undefined || weightField === '' ? 1 : Number(weightField);
+        if (!Number.isSafeInteger(weight) || weight < 1) {
+            rejected.push({ lineNumber, address, reason: 'Invalid voting power' });
+            return;
+        }
+        
+        const key = address.toLowerCase();
+        if (seen.has(key)) {
+            rejected.push({ lineNumber, address, reason: 'Duplicate in list' });
+            return;
+        }
+        seen.add(key);
+        
+        // Lowercase skips web3's checksum test, which hand-edited lists often fail
+        valid.push({ lineNumber, address: key, weight });
+    });
+    
+    return { valid, rejected };
+}
+
+function renderVoterListReport(rejected, progress = '') {
+    const report = document.getElementById('voterListReport');
+    
+    report.innerHTML = `
+        ${progress ? `<p class="voter-list-progress">${escapeHtml(progress)}</p>` : ''}
+        ${rejected.length > 0 ? `
+        <p><strong>${rejected.length} row${rejected.length === 1 ? '' : 's'} skipped:</strong></p>
+        <ul>
+            ${rejected.map(row => `<li>Line ${row.lineNumber}: <code>${escapeHtml(row.address)}</code> - ${row.reason}</li>`).join('')}
+        </ul>
+        ` : ''}
+    `;
+    report.classList.toggle('hidden', !progress && rejected.length === 0);
+}
+
+async function loadVoterListFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    document.getElementById('voterList').value = await file.text();
+}
+
+async function registerVoterList() {
+    const election = requireSelectedElection();
+    if (!election) return;
+    
+    const { valid, rejected } = parseVoterList(document.getElementById('voterList').value);
+    
+    try {
+        // Addresses the contract already knows would revert their whole chunk
+        const registered = new Set(
+            await contractAPI.getRegisteredAddresses(election.id, valid.map(row => row.address))
+        );
+        const pending = valid.filter(row => {
+            if (!registered.has(row.address)) return true;
+            rejected.push({ lineNumber: row.lineNumber, address: row.address, reason: 'Already registered' });
+            return false;
+        });
+        rejected.sort((a, b) => a.lineNumber - b.lineNumber);
+        renderVoterListReport(rejected);
+        
+        if (pending.length === 0) {
+            uiManager.showModal('Nothing to Register', 'The list has no new valid addresses. See the report below the list for skipped rows.');
+            return;
+        }
+        
+        const chunks = [];
+        for (let i = 0; i < pending.length; i += VOTER_BATCH_SIZE) {
+            chunks.push(pending.slice(i, i + VOTER_BATCH_SIZE));
+        }
+        
+        const confirmed = await confirmAdminAction(
+            'Register Voter List',
+            `Register ${pending.length} voters in ${escapeHtml(election.title)}?\\n\\nSkipped rows: ${rejected.length}\\nTransactions: ${chunks.length} (up to ${VOTER_BATCH_SIZE} voters each)\\n\\nYou will be asked to confirm each transaction in MetaMask.`
+        );
+        
+        if (!confirmed) return;
+        
+        // Chunks are independent: stop at the first failure and report what landed
+        let done = 0;
+        for (let i = 0; i < chunks.length; i++) {
+            renderVoterListReport(rejected, `Sending chunk ${i + 1} of ${chunks.length}... (${done} of ${pending.length} registered)`);
+            
+            await contractAPI.registerVoters(
+                election.id,
+                chunks[i].map(row => row.address),
+                chunks[i].map(row => row.weight)
+            );
+            done += chunks[i].length;
+        }
+        
+        renderVoterListReport(rejected, `Done: ${done} of ${pending.length} voters registered.`);
+        document.getElementById('voterList').value = '';
+        document.getElementById('voterListFile').value = '';
+        
+        console.log('✅ Voter list registered:', done);
+        
+    } catch (error) {
+        console.error('❌ Voter list registration failed:', error);
+        renderVoterListReport(rejected, 'Stopped: a chunk failed. Voters from earlier chunks are registered; submit the list again to retry the rest.');
+        // Transaction errors already shown by web3Manager
+    }
+}
+
+/**
+ * VOTER ALLOWLIST ROOT
+ * DESIGN DECISION: Publish one Merkle root instead of registering every voter
+ * WHY: Voters prove membership themselves with their first ballot
+ * WORKFLOW: build-voter-allowlist.js prints the root and writes the proof file
+ *           the voting tab reads; the file must be deployed with the frontend
+ */
+async function setVoterRoot() {
+    try {
+        const election = requireSelectedElection();
+        if (!election) return;
+        
+        const rootInput = document.getElementById('voterRoot');
+        const root = rootInput.value.trim();
+        
+        if (!/^0x[a-fA-F0-9]{64}$/.test(root)) {
+            uiManager.showModal('Invalid Root', 'Please enter the 32-byte Merkle root printed by build-voter-allowlist.js.');
+            return;
+        }
+        
+        const confirmed = await confirmAdminAction(
+            'Publish Voter Allowlist',
+            `Publish this allowlist root for ${escapeHtml(election.title)}?\\n\\nRoot: ${root}\\n\\nEvery address in the allowlist will be able to register itself. Make sure allowlists/election-${election.id}.json is deployed with the frontend.`
+        );
+        
+        if (!confirmed) return;
+        
+        await contractAPI.setVoterRoot(election.id, root);
+        rootInput.value = '';
+        await updateVotingStatusDisplay();
+        
+        console.log('✅ Voter allowlist root published');
+        
+    } catch (error) {
+        console.error('❌ Publishing allowlist root failed:', error);
+        // Error already handled in contractAPI
+    }
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * CANDIDATE MANAGEMENT
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * 
+ * DESIGN DECISION: Admin-controlled candidate addition
+ * WHY: Quality control, prevents spam candidates, ensures legitimacy
+ * SECURITY: Maintains ballot integrity
+ * TRADE-OFF: Centralized control vs open candidate registration
+ */
+
+async function addCandidate() {
+    try {
+        const election = requireSelectedElection();
+        if (!election) return;
+        
+        const candidateNameInput = document.getElementById('candidateName');
+        const candidateName = candidateNameInput.value.trim();
+        
+        // Validate input
+        if (!validateCandidateName(candidateName)) {
+            uiManager.showModal('Invalid Name', 'Please enter a valid candidate name (1-64 characters).');
+            return;
+        }
+        
+        // Check for duplicate names among candidates still on the ballot
+        const existingCandidates = await contractStore.getCandidates(election.id);
+        const duplicate = existingCandidates.find(c => 
+            !c.withdrawn && c.name.toLowerCase() === candidateName.toLowerCase()
+        );
+        
+        if (duplicate) {
+            uiManager.showModal('Duplicate Name', 'A candidate with this name already exists in this election.');
+            return;
+        }
+        
+        // Confirm addition
+        const confirmed = await confirmAdminAction(
+            'Add Candidate',
+            `Are you sure you want to add this candidate?\\n\\nName: "${candidateName}"\\nElection: ${escapeHtml(election.title)}\\n\\nThis candidate will appear on the ballot for all voters.`
+        );
+        
+        if (!confirmed) return;
+        
+        // Submit candidate
+        console.log('🏃‍♂️ Adding candidate:', candidateName);
+        await contractAPI.addCandidate(election.id, candidateName);
+        
+        // Clear form
+        candidateNameInput.value = '';
+        document.getElementById('addCandidate').disabled = true;
+        await refreshCandidateAdminList();
+        
+        console.log('✅ Candidate added successfully');
+        
+    } catch (error) {
+        console.error('❌ Candidate addition failed:', error);
+        // Error already handled in contractAPI
+    }
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * ELECTION CONTROL
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * 
+ * DESIGN DECISION: Admin-controlled voting periods
+ * WHY: Allows setup time, emergency controls, scheduled elections
+ * SECURITY: Prevents votes during setup or maintenance
+ * TRADE-OFF: Admin control vs automated time-based voting
+ * 
+ * An election uses one mode or the other: once a schedule is saved the
+ * manual toggle is locked and the contract opens/closes voting by time.
+ */
+
+async function toggleVoting() {
+    try {
+        const election = requireSelectedElection();
+        if (!election) return;
+        
+        const stats = await contractAPI.getElectionStats(election.id);
+        if (!stats) {
+            uiManager.showModal('Error', 'Unable to get current voting status.');
+            return;
+        }
+        
+        const action = stats.votingActive ? 'stop' : 'start';
+        const actionTitle = stats.votingActive ? 'Stop Voting' : 'Start Voting';
+        
+        // Different warnings based on action
+        let warningMessage;
+        if (stats.votingActive) {
+            warningMessage = `Are you sure you want to STOP voting?\\n\\nThis will prevent all voters from casting votes until you restart voting.\\n\\nCurrent votes will be preserved.`;
+        } else {
+            // Check if ready to start voting
+            const candidates = (await contractStore.getCandidates(election.id)).filter(c => !c.withdrawn);
+            if (candidates.length < 2) {
+                uiManager.showModal('Cannot Start Voting', 'Please add at least 2 candidates before starting the election.');
+                return;
+            }
+            
+            warningMessage = `Are you sure you want to START voting?\\n\\nThis will allow all registered voters to cast their votes.\\n\\nMake sure all candidates have been added.`;
+        }
+        
+        // Confirm action
+        const confirmed = await confirmAdminAction(actionTitle, warningMessage);
+        if (!confirmed) return;
+        
+        // Toggle voting
+        console.log(`🔄 ${actionTitle}...`);
+        await contractAPI.toggleVoting(election.id);
+        
+        // Update display
+        await updateVotingStatusDisplay();
+        
+        console.log(`✅ Voting ${action}ped successfully`);
+        
+    } catch (error) {
+        console.error('❌ Toggle voting failed:', error);
+        // Error already handled in contractAPI
+    }
+}
+
+/**
+ * FINALIZE ELECTION
+ * DESIGN DECISION: Separate, irreversible step after voting closes
+ * WHY: A manual election may only be paused; the operator decides when it
+ *      is over, and from then on the stored result can never change
+ */
+async function finalizeElection() {
+    try {
+        const election = requireSelectedElection();
+        if (!election) return;
+        
+        const stats = await contractAPI.getElectionStats(election.id);
+        if (!stats || stats.phase !== 'closed') {
+            uiManager.showModal('Voting Still Open', 'Close voting (and wait for any reveal window to end) before finalizing.');
+            return;
+        }
+        
+        const confirmed = await confirmAdminAction(
+            'Finalize Results',
+            `Certify the result of this election?\n\nElection: ${escapeHtml(election.title)}\nVotes counted: ${stats.totalVotes}\n\nVoting can never be reopened and the ballot can no longer be edited.`
+        );
+        if (!confirmed) return;
+        
+        await contractAPI.finalizeElection(election.id);
+        
+        await updateVotingStatusDisplay();
+        await app.refreshElections();
+        
+        console.log('✅ Election finalized');
+        
+    } catch (error) {
+        console.error('❌ Finalizing failed:', error);
+        // Error already handled in contractAPI
+    }
+}
+
+/**
+ * TIE DRAW PENDING
+ * A requested draw can be completed until its block's hash leaves the
+ * contract's 256-block window; after that it has to be requested again
+ */
+async function isTieDrawPending(certified) {
+    if (!certified.drawBlock) return false;
+    const latest = Number(await web3Manager.web3.eth.getBlockNumber());
+    return latest <= certified.drawBlock + 256;
+}
+
+/**
+ * DRAW TIE-BREAK
+ * WHY: Under the adminDraw policy a certified tie is settled by an on-chain
+ *      draw from the hash of a block that is not mined when the admin
+ *      requests it, so the admin decides when it happens, not who wins
+ * FLOW: Request (admin) -> wait for the next block -> complete (any account)
+ */
+async function drawTieBreak() {
+    try {
+        const election = requireSelectedElection();
+        if (!election) return;
+        
+        const certified = await contractAPI.getFinalResult(election.id);
+        if (!certified) return;
+        const pending = await isTieDrawPending(certified);
+        
+        const confirmed = await confirmAdminAction(
+            pending ? 'Complete Tie-Break Draw' : 'Request Tie-Break Draw',
+            pending
+                ? `Draw the winner from the hash of block ${certified.drawBlock}?\n\nElection: ${escapeHtml(election.title)}\n\nThe outcome is already fixed by that block; this only records it.`
+                : `Request a draw among the tied leaders?\n\nElection: ${escapeHtml(election.title)}\n\nThe winner is drawn from the next block's hash, which nobody knows yet. Complete the draw once that block is mined.`
+        );
+        if (!confirmed) return;
+        
+        await contractAPI.drawTieBreak(election.id, pending);
+        
+        await updateVotingStatusDisplay();
+        await app.refreshResults();
+        
+        console.log('✅ Tie-break drawn');
+        
+    } catch (error) {
+        console.error('❌ Tie-break draw failed:', error);
+        // Error already handled in contractAPI
+    }
+}
+
+/**
+ * SCHEDULE VOTING WINDOW
+ * WHY: Admin does not have to be online at the exact opening and closing time
+ * SECURITY: Contract rejects windows in the past and rescheduling after opening
+ * NOTE: datetime-local inputs are interpreted in the admin's local timezone
+ * SECRET BALLOT: With the checkbox ticked, the window becomes the commit phase
+ *                and a reveal phase runs until "Reveal Closes"
+ */
+async function scheduleVoting() {
+    try {
+        const election = requireSelectedElection();
+        if (!election) return;
+        
+        const startValue = document.getElementById('scheduleStart').value;
+        const endValue = document.getElementById('scheduleEnd').value;
+        const secretBallot = document.getElementById('scheduleSecret').checked;
+        const revealEndValue = document.getElementById('scheduleRevealEnd').value;
+        
+        if (!startValue || !endValue || (secretBallot && !revealEndValue)) {
+            uiManager.showModal('Missing Dates', 'Please choose an opening and a closing time (and a reveal deadline for secret ballots).');
+            return;
+        }
+        
+        const startTime = Math.floor(new Date(startValue).getTime() / 1000);
+        const endTime = Math.floor(new Date(endValue).getTime() / 1000);
+        const revealEndTime = secretBallot ? Math.floor(new Date(revealEndValue).getTime() / 1000) : 0;
+        
+        // Mirror the contract's checks for immediate feedback
+        if (startTime >= endTime) {
+            uiManager.showModal('Invalid Schedule', 'Voting must open before it closes.');
+            return;
+        }
+        
+        if (endTime <= Math.floor(Date.now() / 1000)) {
+            uiManager.showModal('Invalid Schedule', 'The closing time must be in the future.');
+            return;
+        }
+        
+        if (secretBallot && revealEndTime <= endTime) {
+            uiManager.showModal('Invalid Schedule', 'The reveal phase must end after voting closes.');
+            return;
+        }
+        
+        const candidates = (await contractStore.getCandidates(election.id)).filter(c => !c.withdrawn);
+        if (candidates.length < 2) {
+            uiManager.showModal('Cannot Schedule Voting', 'Please add at least 2 candidates before scheduling the election.');
+            return;
+        }
+        
+        // Confirm schedule
+        const revealLine = secretBallot
+            ? `\\nReveal closes: ${uiManager.formatTimestamp(revealEndTime)}\\n\\nVotes stay sealed until voting closes; voters must return to reveal them.`
+            : '';
+        const confirmed = await confirmAdminAction(
+            secretBallot ? 'Schedule Secret Ballot' : 'Schedule Voting',
+            `Are you sure you want to schedule voting?\\n\\nElection: ${escapeHtml(election.title)}\\nOpens: ${uiManager.formatTimestamp(startTime)}\\nCloses: ${uiManager.formatTimestamp(endTime)}${revealLine}\\n\\nThe manual toggle will be disabled for this election.`
+        );
+        
+        if (!confirmed) return;
+        
+        // Submit schedule
+        if (secretBallot) {
+            console.log('🔒 Scheduling secret ballot:', startTime, '→', endTime, '→', revealEndTime);
+            await contractAPI.scheduleSecretBallot(election.id, startTime, endTime, revealEndTime);
+        } else {
+            console.log('⏰ Scheduling voting:', startTime, '→', endTime);
+            await contractAPI.scheduleVoting(election.id, startTime, endTime);
+        }
+        
+        // Clear form
+        document.getElementById('scheduleStart').value = '';
+        document.getElementById('scheduleEnd').value = '';
+        document.getElementById('scheduleRevealEnd').value = '';
+        document.getElementById('scheduleSecret').checked = false;
+        document.getElementById('scheduleRevealGroup').classList.add('hidden');
+        
+        // Picker labels and status both depend on the new window
+        await app.refreshElections();
+        await updateVotingStatusDisplay();
+        
+        console.log('✅ Voting scheduled successfully');
+        
+    } catch (error) {
+        console.error('❌ Voting schedule failed:', error);
+        // Error already handled in contractAPI
+    }
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * MULTI-SIGNATURE ADMIN
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * 
+ * DESIGN DECISION: M-of-N admin set with on-chain proposals
+ * WHY: No single admin key can act alone once the threshold is above 1
+ * WORKFLOW: Admin forms create proposals automatically (contractAPI routes
+ *           them); this panel lists them for the other admins to approve and
+ *           for anyone on the admin set to execute once enough have approved
+ */
+
+async function refreshMultisigPanel() {
+    try {
+        const { admins, threshold } = await contractStore.getAdminInfo();
+        const proposals = await contractStore.getPendingProposals();
+        
+        renderAdminSet(admins, threshold);
+        renderPendingProposals(proposals, threshold);
+        document.getElementById('adminThresholdInput').value = threshold;
+        
+    } catch (error) {
+        console.error('❌ Failed to refresh multisig panel:', error);
+    }
+}
+
+function renderAdminSet(admins, threshold) {
+    const container = document.getElementById('adminSet');
+    
+    container.innerHTML = `
+        <p><strong>${threshold} of ${admins.length}</strong> admin approvals required</p>
+        <ul class="admin-list">
+            ${admins.map(address => `
+                <li>
+                    <code>${escapeHtml(address)}</code>
+                    ${address.toLowerCase() === web3Manager.account.toLowerCase() ? '<span class="text-muted">(you)</span>' : ''}
+                    <button class="btn btn-secondary btn-small" data-action="remove-admin" data-address="${escapeHtml(address)}"
+                        ${admins.length <= threshold ? 'disabled title="Lower the threshold first"' : ''}>
+                        <i class="fas fa-user-minus"></i>
+                    </button>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+/**
+ * Render proposal arguments; arrays (batch registrations) are summarised
+ */
+function formatProposalArgs(args) {
+    return args.map(arg => {
+        const value = Array.isArray(arg.value)
+            ? (arg.value.length > 3 ? `[${arg.value.slice(0, 3).join(', ')}, … ${arg.value.length} total]` : `[${arg.value.join(', ')}]`)
+            : String(arg.value);
+        return `${escapeHtml(arg.name)}: ${escapeHtml(value)}`;
+    }).join(', ');
+}
+
+function renderPendingProposals(proposals, threshold) {
+    const container = document.getElementById('pendingProposals');
+    
+    if (proposals.length === 0) {
+        container.innerHTML = '<p class="text-muted">No proposals waiting for approval.</p>';
+        return;
+    }
+    
+    container.innerHTML = proposals.map(proposal => `
+        <div class="proposal-item">
+            <div class="proposal-summary">
+                <strong>#${proposal.id} ${escapeHtml(proposal.name)}</strong>
+                <span class="proposal-args">(${formatProposalArgs(proposal.args)})</span>
+                <div class="text-muted">
+                    Proposed by ${web3Manager.formatAddress(proposal.proposer)} ·
+                    ${proposal.approvals} / ${threshold} approvals
+                </div>
+            </div>
+            <div class="proposal-actions">
+                <button class="btn btn-secondary btn-small" data-action="approve" data-id="${proposal.id}"
+                    ${proposal.approvedByMe ? 'disabled' : ''}>
+                    <i class="fas fa-signature"></i>
+                    ${proposal.approvedByMe ? 'Approved' : 'Approve'}
+                </button>
+                <button class="btn btn-primary btn-small" data-action="execute" data-id="${proposal.id}"
+                    ${proposal.approvals < threshold ? 'disabled' : ''}>
+                    <i class="fas fa-play"></i>
+                    Execute
+                </button>
+            </div>
+        </div>
+    `).join('');
+}
+
+async function handleProposalAction(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    
+    const proposalId = parseInt(button.dataset.id);
+    
+    try {
+        if (button.dataset.action === 'approve') {
+            await contractAPI.approveProposal(proposalId);
+        } else if (button.dataset.action === 'execute') {
+            const confirmed = await confirmAdminAction(
+                'Execute Proposal',
+                `Run proposal #${proposalId} now?\\n\\nIts action takes effect immediately and cannot be undone.`
+            );
+            if (!confirmed) return;
+            
+            await contractAPI.executeProposal(proposalId);
+            
+            // The action may have changed elections, voters or the admin set
+            await app.refreshElections();
+        }
+        
+        await refreshAdminPanel();
+        
+    } catch (error) {
+        console.error('❌ Proposal action failed:', error);
+        // Error already handled in contractAPI
+    }
+}
+
+async function addAdminSigner() {
+    try {
+        const input = document.getElementById('newAdminSigner');
+        const account = input.value.trim();
+        
+        if (!validateEthereumAddress(account)) {
+            uiManager.showModal('Invalid Address', 'Please enter a valid Ethereum address.');
+            return;
+        }
+        
+        const confirmed = await confirmAdminAction(
+            'Add Admin',
+            `Add this address to the admin set?\\n\\nAddress: ${account}\\n\\nThey will be able to propose, approve and execute admin actions.`
+        );
+        if (!confirmed) return;
+        
+        await contractAPI.addAdmin(account);
+        input.value = '';
+        await refreshMultisigPanel();
+        
+    } catch (error) {
+        console.error('❌ Adding admin failed:', error);
+        // Error already handled in contractAPI
+    }
+}
+
+async function handleAdminSetAction(event) {
+    const button = event.target.closest('button[data-action="remove-admin"]');
+    if (!button) return;
+    
+    try {
+        const account = button.dataset.address;
+        const confirmed = await confirmAdminAction(
+            'Remove Admin',
+            `Remove this address from the admin set?\\n\\nAddress: ${account}`
+        );
+        if (!confirmed) return;
+        
+        await contractAPI.removeAdmin(account);
+        await refreshAdminPanel();
+        
+    } catch (error) {
+        console.error('❌ Removing admin failed:', error);
+        // Error already handled in contractAPI
+    }
+}
+
+async function setAdminThreshold() {
+    try {
+        const threshold = Number(document.getElementById('adminThresholdInput').value);
+        const { admins } = await contractAPI.getAdminInfo();
+        
+        if (!Number.isSafeInteger(threshold) || threshold < 1 || threshold > admins.length) {
+            uiManager.showModal('Invalid Threshold', `Required approvals must be between 1 and ${admins.length} (the number of admins).`);
+            return;
+        }
+        
+        const confirmed = await confirmAdminAction(
+            'Set Approval Threshold',
+            `Require ${threshold} of ${admins.length} admin approvals for every admin action?${threshold > 1 ? '\\n\\nDirect admin actions will stop working; every form will create a proposal instead.' : ''}`
+        );
+        if (!confirmed) return;
+        
+        await contractAPI.setAdminThreshold(threshold);
+        await refreshMultisigPanel();
+        
+    } catch (error) {
+        console.error('❌ Setting threshold failed:', error);
+        // Error already handled in contractAPI
+    }
+}
+
+/**
+ * BALLOT EDITING
+ * DESIGN DECISION: Rename, withdraw and profile edits only while no votes have been cast
+ * WHY: The contract enforces the same rule; the list disables the buttons
+ *      instead of letting admins sign transactions that will revert
+ */
+async function refreshCandidateAdminList() {
+    const container = document.getElementById('candidateAdminList');
+    const election = uiManager.getSelectedElection();
+    if (!election) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    try {
+        const [candidates, stats] = await Promise.all([
+            contractStore.getCandidates(election.id),
+            contractStore.getElectionStats(election.id)
+        ]);
+        const editable = stats && stats.totalVotes === 0n && stats.totalCommitments === 0;
+        
+        if (candidates.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        container.innerHTML = `
+            ${editable ? '' : '<p class="text-muted">Votes have been cast; the ballot can no longer be edited.</p>'}
+            <ul class="admin-list">
+                ${candidates.map(candidate => `
+                    <li class="${candidate.withdrawn ? 'withdrawn' : ''}">
+                        <span>#${candidate.id} ${escapeHtml(candidate.name)}${candidate.metadataURI ? ` <i class="fas fa-id-card text-muted" title="${candidate.metadataHash ? 'Profile pinned by hash' : 'Profile not pinned'}"></i>` : ''}</span>
+                        ${candidate.withdrawn ? '<span class="withdrawn-badge">Withdrawn</span>' : `
+                            <button class="btn btn-secondary btn-small" data-action="rename-candidate" data-id="${candidate.id}" ${editable ? '' : 'disabled'} title="Rename">
+                                <i class="fas fa-pen"></i>
+                            </button>
+                            <button class="btn btn-secondary btn-small" data-action="profile-candidate" data-id="${candidate.id}" ${editable ? '' : 'disabled'} title="${candidate.metadataURI ? 'Change profile' : 'Set profile'}">
+                                <i class="fas fa-id-card"></i>
+                            </button>
+                            <button class="btn btn-secondary btn-small" data-action="withdraw-candidate" data-id="${candidate.id}" ${editable ? '' : 'disabled'} title="Withdraw">
+                                <i class="fas fa-user-minus"></i>
+                            </button>
+                        `}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
         
     } catch (error) {
-        console.error('❌ Failed to refresh admin panel:', error);
-        uiManager.showModal('Admin Panel Error', 'Failed to load admin panel: ' + error.message);
+        console.error('❌ Failed to load candidate list:', error);
     }
 }
 
-/**
- * VOTING STATUS DISPLAY
- * WHY: Admin needs to see current voting state clearly
- * CONTROL: Provides context for admin decisions
- */
-async function updateVotingStatusDisplay() {
+async function handleCandidateAdminAction(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    
     try {
-        const stats = await contractAPI.getElectionStats();
-        if (!stats) return;
+        const election = requireSelectedElection();
+        if (!election) return;
         
-        const statusDisplay = document.getElementById('votingStatus');
-        const toggleButton = document.getElementById('toggleVoting');
+        const candidateId = parseInt(button.dataset.id);
+        const candidates = await contractStore.getCandidates(election.id);
+        const candidate = candidates.find(c => c.id === candidateId);
+        if (!candidate) return;
         
-        if (stats.votingActive) {
-            statusDisplay.innerHTML = `
-                <div class="status-active">
-                    <i class="fas fa-play-circle"></i>
-                    <strong>Voting is currently ACTIVE</strong>
-                    <p>Registered voters can cast their votes.</p>
-                </div>
-            `;
-            statusDisplay.className = 'status-display active';
-            toggleButton.innerHTML = '<i class="fas fa-pause"></i> Stop Voting';
-        } else {
-            statusDisplay.innerHTML = `
-                <div class="status-inactive">
-                    <i class="fas fa-pause-circle"></i>
-                    <strong>Voting is currently INACTIVE</strong>
-                    <p>Voters cannot cast votes at this time.</p>
-                </div>
-            `;
-            statusDisplay.className = 'status-display inactive';
-            toggleButton.innerHTML = '<i class="fas fa-play"></i> Start Voting';
+        if (button.dataset.action === 'rename-candidate') {
+            const newName = (prompt(`New name for candidate #${candidateId}:`, candidate.name) || '').trim();
+            if (!newName || newName === candidate.name) return;
+            
+            if (!validateCandidateName(newName)) {
+                uiManager.showModal('Invalid Name', 'Please enter a valid candidate name (1-64 characters).');
+                return;
+            }
+            
+            await contractAPI.renameCandidate(election.id, candidateId, newName);
+        } else if (button.dataset.action === 'profile-candidate') {
+            await setCandidateProfile(election, candidate);
+        } else if (button.dataset.action === 'withdraw-candidate') {
+            const confirmed = await confirmAdminAction(
+                'Withdraw Candidate',
+                `Remove this candidate from the ballot?\\n\\nName: "${escapeHtml(candidate.name)}"\\nElection: ${escapeHtml(election.title)}\\n\\nThe ID stays reserved and results will list the candidate as withdrawn. This cannot be undone.`
+            );
+            if (!confirmed) return;
+            
+            await contractAPI.withdrawCandidate(election.id, candidateId);
         }
         
+        await refreshCandidateAdminList();
+        
     } catch (error) {
-        console.error('❌ Failed to update voting status:', error);
+        console.error('❌ Ballot edit failed:', error);
+        // Error already handled in contractAPI
     }
 }
 
 /**
- * CLEAR ADMIN FORMS
- * USER EXPERIENCE: Reset forms after successful operations
+ * CANDIDATE PROFILES
+ * DESIGN DECISION: Hash the profile here, not in a separate tool
+ * WHY: The hash is taken from the same bytes voters will fetch, so a pinned
+ *      profile only fails verification if it changes afterwards
+ * NOTE: An unreachable profile can still be linked, unpinned, after confirmation
  */
-function clearAdminForms() {
-    const forms = ['voterAddress', 'candidateName', 'newAdminAddress'];
-    forms.forEach(id => {
-        const element = document.getElementById(id);
-        if (element) {
-            element.value = '';
-            element.classList.remove('invalid');
+async function setCandidateProfile(election, candidate) {
+    const input = prompt(
+        `Profile link for candidate #${candidate.id} (https:// or ipfs://, leave empty to remove):`,
+        candidate.metadataURI || ''
+    );
+    if (input === null) return;
+    
+    const uri = input.trim();
+    if (uri === (candidate.metadataURI || '')) return;
+    
+    if (uri && !resolveMetadataURI(uri)) {
+        uiManager.showModal('Invalid Link', 'Profile links must start with https://, http:// or ipfs://.');
+        return;
+    }
+    
+    let contentHash = null;
+    if (uri) {
+        try {
+            contentHash = await contractAPI.hashCandidateProfile(uri);
+        } catch (error) {
+            const linkAnyway = await confirmAdminAction(
+                'Profile Not Verified',
+                `The profile could not be fetched and hashed:\n${escapeHtml(error.message)}\n\nLink it without a content hash? Voters will see it as unverified.`
+            );
+            if (!linkAnyway) return;
         }
-    });
+    }
     
-    // Reset button states
-    document.getElementById('registerVoter').disabled = true;
-    document.getElementById('addCandidate').disabled = true;
-    document.getElementById('transferAdmin').disabled = true;
+    const confirmed = await confirmAdminAction(
+        uri ? 'Set Candidate Profile' : 'Remove Candidate Profile',
+        uri
+            ? `Link this profile to "${escapeHtml(candidate.name)}"?\n\nLink: ${escapeHtml(uri)}\nContent hash: ${contentHash || 'none'}`
+            : `Remove the profile of "${escapeHtml(candidate.name)}"?`
+    );
+    if (!confirmed) return;
+    
+    await contractAPI.setCandidateMetadata(election.id, candidate.id, uri, contentHash);
 }
 
 /**
  * ═══════════════════════════════════════════════════════════════════════════════════
- * VOTER MANAGEMENT
+ * DELEGATED ROLES
  * ═══════════════════════════════════════════════════════════════════════════════════
  * 
- * DESIGN DECISION: Admin-controlled voter registration
- * WHY: Prevents Sybil attacks, ensures voter eligibility
- * SECURITY: Core defense against unauthorized participation
- * TRADE-OFF: Centralization vs security (documented)
+ * DESIGN DECISION: Admins hand day-to-day work to narrow roles
+ * WHY: Registrars, candidate managers and election operators can help run
+ *      an election without being able to change the admin set
  */
 
-async function registerVoter() {
+const ROLE_LABELS = {
+    registrar: 'Registrars',
+    candidateManager: 'Candidate Managers',
+    electionOperator: 'Election Operators'
+};
+
+async function refreshRolePanel() {
     try {
-        const voterAddressInput = document.getElementById('voterAddress');
-        const voterAddress = voterAddressInput.value.trim();
+        const members = await contractStore.getRoleMembers();
+        const container = document.getElementById('roleMembers');
         
-        // Validate input
-        if (!validateEthereumAddress(voterAddress)) {
-            uiManager.showModal('Invalid Address', 'Please enter a valid Ethereum address.');
-            return;
-        }
+        container.innerHTML = ROLES.map(role => `
+            <div class="role-group">
+                <strong>${ROLE_LABELS[role]}</strong>
+                ${members[role].length === 0
+                    ? '<p class="text-muted">None</p>'
+                    : `<ul class="admin-list">
+                        ${members[role].map(address => `
+                            <li>
+                                <code>${escapeHtml(address)}</code>
+                                <button class="btn btn-secondary btn-small" data-action="revoke-role" data-role-name="${role}" data-address="${escapeHtml(address)}">
+                                    <i class="fas fa-user-times"></i>
+                                </button>
+                            </li>
+                        `).join('')}
+                    </ul>`}
+            </div>
+        `).join('');
         
-        // Check if already registered
-        const voterStatus = await contractAPI.getVoterStatus(voterAddress);
-        if (voterStatus && voterStatus.isRegistered) {
-            uiManager.showModal('Already Registered', 'This address is already registered to vote.');
+    } catch (error) {
+        console.error('❌ Failed to refresh role panel:', error);
+    }
+}
+
+async function grantRole() {
+    try {
+        const role = document.getElementById('roleSelect').value;
+        const accountInput = document.getElementById('roleAccount');
+        const account = accountInput.value.trim();
+        
+        if (!validateEthereumAddress(account)) {
+            uiManager.showModal('Invalid Address', 'Please enter a valid Ethereum address.');
             return;
         }
         
-        // Confirm registration
         const confirmed = await confirmAdminAction(
-            'Register Voter',
-            `Are you sure you want to register this address as a voter?\\n\\nAddress: ${voterAddress}\\n\\nThis will allow them to participate in the election.`
+            'Grant Role',
+            `Grant the ${ROLE_LABELS[role].replace(/s$/, '').toLowerCase()} role?\\n\\nAddress: ${account}\\n\\nThey can use these functions without admin approval.`
         );
-        
         if (!confirmed) return;
         
-        // Submit registration
-        console.log('👥 Registering voter:', voterAddress);
-        await contractAPI.registerVoter(voterAddress);
-        
-        // Clear form
-        voterAddressInput.value = '';
-        document.getElementById('registerVoter').disabled = true;
-        
-        console.log('✅ Voter registered successfully');
+        await contractAPI.grantRole(role, account);
+        accountInput.value = '';
+        document.getElementById('grantRole').disabled = true;
+        await refreshRolePanel();
         
     } catch (error) {
-        console.error('❌ Voter registration failed:', error);
+        console.error('❌ Granting role failed:', error);
         // Error already handled in contractAPI
     }
 }
 
-/**
- * ═══════════════════════════════════════════════════════════════════════════════════
- * CANDIDATE MANAGEMENT
- * ═══════════════════════════════════════════════════════════════════════════════════
- * 
- * DESIGN DECISION: Admin-controlled candidate addition
- * WHY: Quality control, prevents spam candidates, ensures legitimacy
- * SECURITY: Maintains ballot integrity
- * TRADE-OFF: Centralized control vs open candidate registration
- */
-
-async function addCandidate() {
+async function handleRoleAction(event) {
+    const button = event.target.closest('button[data-action="revoke-role"]');
+    if (!button) return;
+    
     try {
-        const candidateNameInput = document.getElementById('candidateName');
-        const candidateName = candidateNameInput.value.trim();
-        
-        // Validate input
-        if (!validateCandidateName(candidateName)) {
-            uiManager.showModal('Invalid Name', 'Please enter a valid candidate name (1-64 characters).');
-            return;
-        }
-        
-        // Check for duplicate names (optional check)
-        const existingCandidates = await contractAPI.getCandidates();
-        const duplicate = existingCandidates.find(c => 
-            c.name.toLowerCase() === candidateName.toLowerCase()
-        );
-        
-        if (duplicate) {
-            uiManager.showModal('Duplicate Name', 'A candidate with this name already exists.');
-            return;
-        }
+        const role = button.dataset.roleName;
+        const account = button.dataset.address;
         
-        // Confirm addition
         const confirmed = await confirmAdminAction(
-            'Add Candidate',
-            `Are you sure you want to add this candidate?\\n\\nName: "${candidateName}"\\n\\nThis candidate will appear on the ballot for all voters.`
+            'Revoke Role',
+            `Revoke the ${ROLE_LABELS[role].replace(/s$/, '').toLowerCase()} role?\\n\\nAddress: ${account}`
         );
-        
         if (!confirmed) return;
         
-        // Submit candidate
-        console.log('🏃‍♂️ Adding candidate:', candidateName);
-        await contractAPI.addCandidate(candidateName);
-        
-        // Clear form
-        candidateNameInput.value = '';
-        document.getElementById('addCandidate').disabled = true;
-        
-        console.log('✅ Candidate added successfully');
+        await contractAPI.revokeRole(role, account);
+        await refreshRolePanel();
         
     } catch (error) {
-        console.error('❌ Candidate addition failed:', error);
+        console.error('❌ Revoking role failed:', error);
         // Error already handled in contractAPI
     }
 }
 
 /**
  * ═══════════════════════════════════════════════════════════════════════════════════
- * ELECTION CONTROL
+ * ADMIN TRANSFER
  * ═══════════════════════════════════════════════════════════════════════════════════
  * 
- * DESIGN DECISION: Admin-controlled voting periods
- * WHY: Allows setup time, emergency controls, scheduled elections
- * SECURITY: Prevents votes during setup or maintenance
- * TRADE-OFF: Admin control vs automated time-based voting
+ * DESIGN DECISION: Two-step admin transfer
+ * WHY: Rights only move when the nominee accepts from their own wallet,
+ *      so a mistyped address can be cancelled instead of locking the contract
+ * SECURITY: Allows admin rotation, recovery from compromised keys
+ * FLOW: Nominate here → nominee sees a banner and accepts → admin changes
  */
 
-async function toggleVoting() {
+async function updateAdminTransferDisplay() {
     try {
-        const stats = await contractAPI.getElectionStats();
-        if (!stats) {
-            uiManager.showModal('Error', 'Unable to get current voting status.');
-            return;
-        }
-        
-        const action = stats.votingActive ? 'stop' : 'start';
-        const actionTitle = stats.votingActive ? 'Stop Voting' : 'Start Voting';
+        const { pendingAdmin } = await contractStore.getAdminTransferStatus();
+        const pendingInfo = document.getElementById('pendingAdminInfo');
         
-        // Different warnings based on action
-        let warningMessage;
-        if (stats.votingActive) {
-            warningMessage = `Are you sure you want to STOP voting?\\n\\nThis will prevent all voters from casting votes until you restart voting.\\n\\nCurrent votes will be preserved.`;
-        } else {
-            // Check if ready to start voting
-            const candidates = await contractAPI.getCandidates();
-            if (!candidates || candidates.length < 2) {
-                uiManager.showModal('Cannot Start Voting', 'Please add at least 2 candidates before starting the election.');
-                return;
-            }
-            
-            warningMessage = `Are you sure you want to START voting?\\n\\nThis will allow all registered voters to cast their votes.\\n\\nMake sure all candidates have been added.`;
+        if (pendingAdmin) {
+            document.getElementById('pendingAdminAddress').textContent = pendingAdmin;
         }
+        pendingInfo.classList.toggle('hidden', !pendingAdmin);
         
-        // Confirm action
-        const confirmed = await confirmAdminAction(actionTitle, warningMessage);
+    } catch (error) {
+        console.error('❌ Failed to load admin transfer status:', error);
+    }
+}
+
+async function cancelAdminTransfer() {
+    try {
+        const confirmed = await confirmAdminAction(
+            'Cancel Admin Transfer',
+            'Withdraw the pending admin nomination?\\n\\nThe nominee will no longer be able to accept.'
+        );
         if (!confirmed) return;
         
-        // Toggle voting
-        console.log(`🔄 ${actionTitle}...`);
-        await contractAPI.toggleVoting();
-        
-        // Update display
-        await updateVotingStatusDisplay();
-        
-        console.log(`✅ Voting ${action}ped successfully`);
+        await contractAPI.cancelAdminTransfer();
+        await updateAdminTransferDisplay();
         
     } catch (error) {
-        console.error('❌ Toggle voting failed:', error);
+        console.error('❌ Cancelling admin transfer failed:', error);
         // Error already handled in contractAPI
     }
 }
 
-/**
- * ═══════════════════════════════════════════════════════════════════════════════════
- * ADMIN TRANSFER
- * ═══════════════════════════════════════════════════════════════════════════════════
- * 
- * DESIGN DECISION: Single-step admin transfer
- * WHY: Simple implementation for educational use
- * SECURITY: Allows admin rotation, recovery from compromised keys
- * RISK: Accidental transfer to wrong address
- * FUTURE: Implement two-step transfer with acceptance required
- */
-
 async function transferAdmin() {
     try {
         const newAdminInput = document.getElementById('newAdminAddress');
@@ -307,10 +1616,10 @@ async function transferAdmin() {
             return;
         }
         
-        // CRITICAL CONFIRMATION - this is irreversible
+        // CRITICAL CONFIRMATION - irreversible once the nominee accepts
         const confirmed = await confirmCriticalAdminAction(
             'Transfer Admin Rights',
-            `⚠️ CRITICAL ACTION ⚠️\\n\\nYou are about to transfer admin rights to:\\n${newAdminAddress}\\n\\nAfter this transaction:\\n• You will lose all admin privileges\\n• The new address will become the admin\\n• This action CANNOT be undone\\n\\nAre you absolutely sure?`
+            `⚠️ CRITICAL ACTION ⚠️\\n\\nYou are about to nominate as admin:\\n${newAdminAddress}\\n\\nOnce they accept:\\n• You will lose all admin privileges\\n• The new address will become the admin\\n• This action CANNOT be undone\\n\\nUntil then you can cancel the nomination. Are you absolutely sure?`
         );
         
         if (!confirmed) return;
@@ -330,22 +1639,19 @@ async function transferAdmin() {
             return;
         }
         
-        // Submit transfer
-        console.log('🔑 Transferring admin rights to:', newAdminAddress);
+        // Submit nomination
+        console.log('🔑 Nominating new admin:', newAdminAddress);
         await contractAPI.transferAdmin(newAdminAddress);
         
         // Clear form
         newAdminInput.value = '';
         document.getElementById('transferAdmin').disabled = true;
         
-        // Redirect user since they're no longer admin
-        setTimeout(() => {
-            uiManager.switchTab('voting');
-            uiManager.showModal('Admin Rights Transferred', 
-                'Admin rights have been successfully transferred. You no longer have admin privileges.');
-        }, 2000);
+        // Rights stay with this wallet until the nominee accepts
+        await refreshMultisigPanel();
+        await updateAdminTransferDisplay();
         
-        console.log('✅ Admin rights transferred successfully');
+        console.log('✅ Admin nomination submitted');
         
     } catch (error) {
         console.error('❌ Admin transfer failed:', error);
@@ -483,12 +1789,79 @@ function validateCandidateName(name) {
  */
 
 function setupAdminEventListeners() {
+    // Create election button
+    const createElectionButton = document.getElementById('createElection');
+    if (createElectionButton) {
+        createElectionButton.addEventListener('click', createElection);
+    }
+    
+    // Set ballot type button
+    const setBallotTypeButton = document.getElementById('setBallotType');
+    if (setBallotTypeButton) {
+        setBallotTypeButton.addEventListener('click', setBallotType);
+    }
+    
+    // Set tie-break policy button
+    const setTieBreakPolicyButton = document.getElementById('setTieBreakPolicy');
+    if (setTieBreakPolicyButton) {
+        setTieBreakPolicyButton.addEventListener('click', setTieBreakPolicy);
+    }
+    
+    // Set quorum button
+    const setQuorumButton = document.getElementById('setQuorum');
+    if (setQuorumButton) {
+        setQuorumButton.addEventListener('click', setQuorum);
+    }
+    
+    // Set vote changes button
+    const setVoteChangesButton = document.getElementById('setVoteChanges');
+    if (setVoteChangesButton) {
+        setVoteChangesButton.addEventListener('click', setVoteChanges);
+    }
+    
     // Register voter button
     const registerVoterButton = document.getElementById('registerVoter');
     if (registerVoterButton) {
         registerVoterButton.addEventListener('click', registerVoter);
     }
     
+    // Voter lookup and revoke
+    const lookupVoterButton = document.getElementById('lookupVoter');
+    if (lookupVoterButton) {
+        lookupVoterButton.addEventListener('click', lookupVoter);
+    }
+    
+    const lookupVoterInput = document.getElementById('lookupVoterAddress');
+    if (lookupVoterInput) {
+        lookupVoterInput.addEventListener('input', (e) => {
+            const isValid = validateEthereumAddress(e.target.value);
+            e.target.classList.toggle('invalid', !isValid);
+            lookupVoterButton.disabled = !isValid;
+        });
+    }
+    
+    const voterLookupResult = document.getElementById('voterLookupResult');
+    if (voterLookupResult) {
+        voterLookupResult.addEventListener('click', handleVoterLookupAction);
+    }
+    
+    // Bulk voter registration from a pasted or uploaded list
+    const registerVoterListButton = document.getElementById('registerVoterList');
+    if (registerVoterListButton) {
+        registerVoterListButton.addEventListener('click', registerVoterList);
+    }
+    
+    const voterListFileInput = document.getElementById('voterListFile');
+    if (voterListFileInput) {
+        voterListFileInput.addEventListener('change', loadVoterListFile);
+    }
+    
+    // Publish voter allowlist root button
+    const setVoterRootButton = document.getElementById('setVoterRoot');
+    if (setVoterRootButton) {
+        setVoterRootButton.addEventListener('click', setVoterRoot);
+    }
+    
     // Add candidate button
     const addCandidateButton = document.getElementById('addCandidate');
     if (addCandidateButton) {
@@ -501,6 +1874,94 @@ function setupAdminEventListeners() {
         toggleVotingButton.addEventListener('click', toggleVoting);
     }
     
+    // Finalize results button
+    const finalizeElectionButton = document.getElementById('finalizeElection');
+    if (finalizeElectionButton) {
+        finalizeElectionButton.addEventListener('click', finalizeElection);
+    }
+    
+    // Draw tie-break button
+    const drawTieBreakButton = document.getElementById('drawTieBreak');
+    if (drawTieBreakButton) {
+        drawTieBreakButton.addEventListener('click', drawTieBreak);
+    }
+    
+    // Schedule voting button
+    const scheduleVotingButton = document.getElementById('scheduleVoting');
+    if (scheduleVotingButton) {
+        scheduleVotingButton.addEventListener('click', scheduleVoting);
+    }
+    
+    // Secret ballot checkbox reveals the reveal-deadline input
+    const scheduleSecretCheckbox = document.getElementById('scheduleSecret');
+    if (scheduleSecretCheckbox) {
+        scheduleSecretCheckbox.addEventListener('change', (e) => {
+            document.getElementById('scheduleRevealGroup').classList.toggle('hidden', !e.target.checked);
+        });
+    }
+    
+    // Multisig admin set and proposals
+    const pendingProposals = document.getElementById('pendingProposals');
+    if (pendingProposals) {
+        pendingProposals.addEventListener('click', handleProposalAction);
+    }
+    
+    const adminSet = document.getElementById('adminSet');
+    if (adminSet) {
+        adminSet.addEventListener('click', handleAdminSetAction);
+    }
+    
+    const addAdminSignerButton = document.getElementById('addAdminSigner');
+    if (addAdminSignerButton) {
+        addAdminSignerButton.addEventListener('click', addAdminSigner);
+    }
+    
+    const newAdminSignerInput = document.getElementById('newAdminSigner');
+    if (newAdminSignerInput) {
+        newAdminSignerInput.addEventListener('input', (e) => {
+            const isValid = validateEthereumAddress(e.target.value);
+            e.target.classList.toggle('invalid', !isValid);
+            addAdminSignerButton.disabled = !isValid;
+        });
+    }
+    
+    const setAdminThresholdButton = document.getElementById('setAdminThreshold');
+    if (setAdminThresholdButton) {
+        setAdminThresholdButton.addEventListener('click', setAdminThreshold);
+    }
+    
+    // Ballot editing
+    const candidateAdminList = document.getElementById('candidateAdminList');
+    if (candidateAdminList) {
+        candidateAdminList.addEventListener('click', handleCandidateAdminAction);
+    }
+    
+    // Delegated roles
+    const roleMembers = document.getElementById('roleMembers');
+    if (roleMembers) {
+        roleMembers.addEventListener('click', handleRoleAction);
+    }
+    
+    const grantRoleButton = document.getElementById('grantRole');
+    if (grantRoleButton) {
+        grantRoleButton.addEventListener('click', grantRole);
+    }
+    
+    const roleAccountInput = document.getElementById('roleAccount');
+    if (roleAccountInput) {
+        roleAccountInput.addEventListener('input', (e) => {
+            const isValid = validateEthereumAddress(e.target.value);
+            e.target.classList.toggle('invalid', !isValid);
+            grantRoleButton.disabled = !isValid;
+        });
+    }
+    
+    // Cancel pending transfer button
+    const cancelAdminTransferButton = document.getElementById('cancelAdminTransfer');
+    if (cancelAdminTransferButton) {
+        cancelAdminTransferButton.addEventListener('click', cancelAdminTransfer);
+    }
+    
     // Transfer admin button
     const transferAdminButton = document.getElementById('transferAdmin');
     if (transferAdminButton) {
@@ -518,9 +1979,41 @@ function setupAdminEventListeners() {
 
 document.addEventListener('DOMContentLoaded', () => {
     setupAdminEventListeners();
+    contractStore.subscribe(['elections', 'candidates', 'stats', 'admin'], refreshAdminSections);
     console.log('👑 Admin module initialized');
 });
 
+/**
+ * STORE UPDATES
+ * DESIGN DECISION: Contract events refresh only the admin sections they affect
+ * WHY: refreshAdminPanel clears the forms; an event arriving while an admin
+ *      is typing must not wipe their input
+ */
+async function refreshAdminSections(changes) {
+    if (UI_STATE.currentTab !== 'admin') return;
+    
+    try {
+        const roles = await contractStore.getUserRoles();
+        if (roles.length === 0) return;
+        
+        if (changes.electionIds.has(UI_STATE.selectedElection)) {
+            await updateVotingStatusDisplay();
+            if (roles.includes('candidateManager')) {
+                await refreshCandidateAdminList();
+            }
+        }
+        
+        if (changes.slices.has('admin') && roles.includes('admin')) {
+            await refreshMultisigPanel();
+            await refreshRolePanel();
+            await updateAdminTransferDisplay();
+        }
+        
+    } catch (error) {
+        console.error('❌ Failed to apply admin updates:', error);
+    }
+}
+
 /**
  * ═══════════════════════════════════════════════════════════════════════════════════
  * EXPORT FUNCTIONS
@@ -529,10 +2022,26 @@ document.addEventListener('DOMContentLoaded', () => {
 
 window.adminManager = {
     refreshAdminPanel,
+    createElection,
+    setBallotType,
+    setTieBreakPolicy,
+    setQuorum,
+    setVoteChanges,
     registerVoter,
+    registerVoterList,
+    parseVoterList,
+    setVoterRoot,
     addCandidate,
     toggleVoting,
+    finalizeElection,
+    drawTieBreak,
+    scheduleVoting,
     transferAdmin,
+    cancelAdminTransfer,
+    applyRoleVisibility,
+    grantRole,
+    lookupVoter,
+    refreshMultisigPanel,
     updateVotingStatusDisplay
 };
 
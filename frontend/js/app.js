@@ -26,7 +26,9 @@ const APP_STATE = {
     initialized: false,
     walletConnected: false,
     contractLoaded: false,
+    readOnly: false,  // Contract loaded without a wallet: results only
     userRole: 'none', // 'admin', 'voter', 'none'
+    userRoles: [],    // 'admin' and/or ROLES names - decides the admin tab sections
     currentAccount: null,
     networkInfo: null,
     refreshInterval: null
@@ -51,15 +53,21 @@ async function initializeApp() {
         const web3Ready = await web3Manager.init();
         
         if (!web3Ready) {
-            uiManager.updateStatusBanner('Web3 initialization failed. Please install MetaMask.', 'error');
+            // Without MetaMask, init() only fails when read-only mode has no endpoint
+            uiManager.updateStatusBanner(typeof window.ethereum === 'undefined'
+                ? 'No wallet found and no read-only RPC endpoint is configured. Please install MetaMask.'
+                : 'Web3 initialization failed. Please install MetaMask.', 'error');
             return false;
         }
         
         // Step 2: Set up event listeners
         setupGlobalEventListeners();
         
-        // Step 3: Check for existing connection
-        await checkExistingConnection();
+        // Step 3: Check for existing connection, otherwise show results read-only
+        const connected = await checkExistingConnection();
+        if (!connected) {
+            await startReadOnlyMode();
+        }
         
         APP_STATE.initialized = true;
         console.log('✅ Application initialized successfully');
@@ -77,6 +85,7 @@ async function initializeApp() {
  * CHECK FOR EXISTING WALLET CONNECTION
  * WHY: Restore connection if user previously connected
  * USER EXPERIENCE: Seamless experience on page reload
+ * @returns {boolean} true if a wallet was reconnected
  */
 async function checkExistingConnection() {
     try {
@@ -85,14 +94,52 @@ async function checkExistingConnection() {
             
             if (accounts && accounts.length > 0) {
                 console.log('🔄 Found existing wallet connection');
-                await connectWallet();
-            } else {
-                uiManager.updateStatusBanner('Please connect your wallet to continue', 'warning');
+                return await connectWallet();
             }
         }
     } catch (error) {
         console.error('❌ Failed to check existing connection:', error);
     }
+    return false;
+}
+
+/**
+ * READ-ONLY MODE
+ * DESIGN DECISION: Load the contract before any wallet connects
+ * WHY: Observers and auditors should see results and turnout without a wallet
+ * NOTE: Uses MetaMask's provider when installed (view calls need no account
+ *       permission), otherwise the JSON-RPC endpoint from CONTRACT_CONFIG
+ * SECURITY: Nothing can be signed; voting and admin controls stay hidden
+ *           until connectWallet() succeeds
+ */
+async function startReadOnlyMode() {
+    try {
+        const contractLoaded = await web3Manager.loadContract();
+        if (!contractLoaded) {
+            uiManager.updateStatusBanner('Contract not available on this network', 'error');
+            return false;
+        }
+        
+        APP_STATE.readOnly = true;
+        APP_STATE.contractLoaded = true;
+        APP_STATE.networkInfo = await web3Manager.getNetworkInfo();
+        
+        await refreshElections();
+        uiManager.setReadOnlyMode(true, APP_STATE.networkInfo);
+        subscribeToEvents();
+        startPeriodicUpdates();
+        
+        // Results are all a read-only visitor can use, so open that tab
+        uiManager.switchTab('results');
+        
+        console.log('👀 Read-only mode started');
+        return true;
+        
+    } catch (error) {
+        console.error('❌ Read-only mode failed:', error);
+        uiManager.updateStatusBanner('Please connect your wallet to continue', 'warning');
+        return false;
+    }
 }
 
 /**
@@ -134,18 +181,24 @@ async function connectWallet() {
         // Step 4: Update state
         APP_STATE.walletConnected = true;
         APP_STATE.contractLoaded = true;
+        APP_STATE.readOnly = false;
         APP_STATE.currentAccount = web3Manager.account;
+        uiManager.setReadOnlyMode(false);
         
-        // Step 5: Determine user role
+        // Step 5: Load elections and pick one
+        await refreshElections();
+        
+        // Step 6: Determine user role
         await updateUserRole();
         
-        // Step 6: Update UI
+        // Step 7: Update UI
         uiManager.updateWalletUI(true, web3Manager.account, networkInfo);
         
-        // Step 7: Start periodic updates
+        // Step 8: Live events, with polling as the fallback
+        subscribeToEvents();
         startPeriodicUpdates();
         
-        // Step 8: Initial content load
+        // Step 9: Initial content load
         await updateAllContent();
         
         uiManager.hideLoading();
@@ -163,19 +216,26 @@ async function connectWallet() {
 
 /**
  * DISCONNECT WALLET
- * CLEANUP: Reset all application state
+ * CLEANUP: Reset all application state, then fall back to read-only mode
+ * USER EXPERIENCE: Same view as a page load without a wallet, so results
+ *                  stay visible instead of an empty app
  */
-function disconnectWallet() {
+async function disconnectWallet() {
     console.log('🔌 Disconnecting wallet...');
     
-    // Stop periodic updates
+    // Stop periodic updates and live events
     stopPeriodicUpdates();
+    unsubscribeFromEvents();
+    contractStore.invalidate();
     
     // Reset state
     APP_STATE.walletConnected = false;
     APP_STATE.contractLoaded = false;
     APP_STATE.userRole = 'none';
+    APP_STATE.userRoles = [];
     APP_STATE.currentAccount = null;
+    UI_STATE.elections = [];
+    UI_STATE.selectedElection = null;
     
     // Update UI
     uiManager.updateWalletUI(false);
@@ -185,6 +245,54 @@ function disconnectWallet() {
     clearAllContent();
     
     console.log('✅ Wallet disconnected');
+    await startReadOnlyMode();
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * ELECTION SELECTION
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * 
+ * DESIGN DECISION: Single selected election shared by every tab
+ * WHY: One contract hosts many elections; each tab works on the same one
+ * USER EXPERIENCE: Keep the current choice across refreshes, default to newest
+ */
+
+async function refreshElections() {
+    try {
+        const elections = await contractStore.getElections();
+        
+        // Keep the current selection if it still exists, otherwise pick the newest
+        const stillExists = elections.some(e => e.id === UI_STATE.selectedElection);
+        if (!stillExists) {
+            UI_STATE.selectedElection = elections.length > 0
+                ? elections[elections.length - 1].id
+                : null;
+        }
+        
+        uiManager.renderElectionPicker(elections, UI_STATE.selectedElection);
+        return elections;
+        
+    } catch (error) {
+        console.error('❌ Failed to refresh elections:', error);
+        return [];
+    }
+}
+
+async function selectElection(electionId) {
+    if (!electionId || electionId === UI_STATE.selectedElection) return;
+    
+    console.log('🗂️ Selected election:', electionId);
+    UI_STATE.selectedElection = electionId;
+    UI_STATE.selectedCandidate = null;
+    UI_STATE.changingVote = false;
+    uiManager.renderTallyVerification(null);
+    
+    // Voter registration is per election, so the role may change too
+    if (APP_STATE.walletConnected) {
+        await updateUserRole();
+    }
+    await updateAllContent();
 }
 
 /**
@@ -199,31 +307,83 @@ function disconnectWallet() {
 
 async function updateUserRole() {
     try {
-        const isAdmin = await web3Manager.isAdmin();
+        // Full permission set: admins get every role, others only what was granted
+        const roles = await contractStore.getUserRoles();
+        const isAdmin = roles.includes('admin');
+        APP_STATE.userRoles = roles;
+        
+        // Nominated wallets are offered the admin role until they accept
+        await updateAdminNomination(isAdmin);
+        
+        // Registrars, candidate managers and operators get their admin tab sections
+        uiManager.updateAdminTabVisibility(roles.length > 0);
+        adminManager.applyRoleVisibility(roles);
         
         if (isAdmin) {
             APP_STATE.userRole = 'admin';
-            uiManager.updateAdminTabVisibility(true);
             console.log('👑 User role: Admin');
         } else {
-            const voterStatus = await contractAPI.getVoterStatus();
-            if (voterStatus && voterStatus.isRegistered) {
+            const voterStatus = await contractStore.getVoterStatus(UI_STATE.selectedElection);
+            if (voterStatus && (voterStatus.isRegistered || voterStatus.allowlisted)) {
                 APP_STATE.userRole = 'voter';
                 console.log('🗳️ User role: Registered Voter');
             } else {
                 APP_STATE.userRole = 'none';
                 console.log('👤 User role: Unregistered');
             }
-            uiManager.updateAdminTabVisibility(false);
+            if (roles.length > 0) {
+                console.log('🛂 Delegated roles:', roles.join(', '));
+            }
         }
         
     } catch (error) {
         console.error('❌ Failed to update user role:', error);
         APP_STATE.userRole = 'none';
+        APP_STATE.userRoles = [];
         uiManager.updateAdminTabVisibility(false);
     }
 }
 
+/**
+ * ADMIN NOMINATION BANNER
+ * DESIGN DECISION: Two-step admin transfer needs the nominee to act
+ * WHY: The nominee is not an admin yet, so they never see the admin tab;
+ *      the banner is the only place they learn about the nomination
+ */
+async function updateAdminNomination(isAdmin) {
+    const banner = document.getElementById('adminNomination');
+    if (!banner) return;
+    
+    try {
+        const { admin, pendingAdmin } = await contractStore.getAdminTransferStatus();
+        const isNominee = !isAdmin && pendingAdmin !== null &&
+            pendingAdmin.toLowerCase() === web3Manager.account.toLowerCase();
+        
+        if (isNominee) {
+            document.getElementById('nominatingAdmin').textContent = web3Manager.formatAddress(admin);
+        }
+        banner.classList.toggle('hidden', !isNominee);
+        
+    } catch (error) {
+        console.error('❌ Failed to check admin nomination:', error);
+        banner.classList.add('hidden');
+    }
+}
+
+async function acceptAdminRole() {
+    try {
+        await contractAPI.acceptAdmin();
+        
+        await updateUserRole();
+        uiManager.showModal('Admin Role Accepted', 'You are now the admin of this contract.');
+        uiManager.switchTab('admin');
+        
+    } catch (error) {
+        console.error('❌ Accepting admin role failed:', error);
+        // Error already handled in contractAPI
+    }
+}
+
 /**
  * ═══════════════════════════════════════════════════════════════════════════════════
  * CONTENT UPDATE MANAGEMENT
@@ -240,6 +400,9 @@ async function updateAllContent() {
     try {
         console.log('🔄 Updating all content...');
         
+        // Pick up elections created since the last refresh
+        await refreshElections();
+        
         // Always update the current tab
         const currentTab = UI_STATE.currentTab;
         
@@ -251,10 +414,13 @@ async function updateAllContent() {
                 await refreshResults();
                 break;
             case 'admin':
-                if (APP_STATE.userRole === 'admin') {
+                if (APP_STATE.userRoles.length > 0) {
                     await adminManager.refreshAdminPanel();
                 }
                 break;
+            case 'audit':
+                await auditManager.refreshAuditLog();
+                break;
         }
         
         console.log('✅ Content updated');
@@ -273,17 +439,60 @@ async function refreshResults() {
     try {
         console.log('📊 Refreshing results...');
         
+        const electionId = UI_STATE.selectedElection;
+        if (!electionId) {
+            document.getElementById('electionStats').innerHTML = '';
+            uiManager.renderResults(null);
+            return;
+        }
+        
         // Get election statistics
-        const stats = await contractAPI.getElectionStats();
+        const stats = await contractStore.getElectionStats(electionId);
         if (stats) {
             uiManager.renderElectionStats(stats);
         }
         
-        // Get detailed results
-        const results = await contractAPI.getElectionResults();
+        // Get detailed results; the store's copy is shared, so decorate a copy
+        const cached = await contractStore.getElectionResults(electionId);
+        const results = cached && { ...cached, candidates: cached.candidates.map(c => ({ ...c })) };
+        
+        // Ranked elections: bars show first preferences, the runoff decides the winner
+        let runoff = null;
+        if (stats && stats.ballotType === 'ranked') {
+            runoff = await contractStore.getInstantRunoffResults(electionId);
+            if (results && runoff) {
+                results.rankedChoice = true;
+                results.winnerId = runoff.winnerId;
+                results.tie = false;
+                results.candidates.forEach(c => { c.isWinner = c.id === runoff.winnerId; });
+            }
+        }
+        
+        // Percentages are shares of the weighted voting power cast; approval
+        // ballots back several candidates, so their shares can exceed 100% in total
+        if (results && stats) {
+            results.totalVotes = stats.totalVotes;
+            results.approval = stats.ballotType === 'approval';
+            results.tieBreak = stats.tieBreak;
+            results.registeredVotingPower = stats.registeredVotingPower;
+            results.quorumVotes = stats.quorumVotes;
+            results.quorumMet = stats.quorumMet;
+            results.votingClosed = stats.endTime > 0 && stats.phase === 'closed';
+        }
+        
+        // Finalized elections: winners come from the stored result, except ranked
+        // ones, whose runoff over the frozen ballots is recomputed above
+        if (results && stats && stats.finalized) {
+            results.certified = await contractStore.getFinalResult(electionId);
+            if (results.certified && !results.rankedChoice) {
+                results.candidates.forEach(c => { c.isWinner = results.certified.winners.includes(c.id); });
+            }
+        }
+        
         if (results) {
             uiManager.renderResults(results);
         }
+        uiManager.renderRunoffRounds(runoff);
         
         console.log('✅ Results refreshed');
         
@@ -293,6 +502,36 @@ async function refreshResults() {
     }
 }
 
+/**
+ * VERIFY TALLY
+ * WHY: Lets anyone check showResults against the event logs instead of trusting it
+ * NOTE: A snapshot up to the current block; run it again after new votes
+ */
+async function verifyTally() {
+    const electionId = UI_STATE.selectedElection;
+    const button = document.getElementById('verifyTally');
+    if (!electionId || !web3Manager.contract) return;
+    
+    try {
+        button.disabled = true;
+        uiManager.showLoading('Replaying event logs...');
+        
+        const [report, candidates] = await Promise.all([
+            contractAPI.verifyTally(electionId),
+            contractStore.getCandidates(electionId)
+        ]);
+        uiManager.renderTallyVerification(report, candidates || []);
+        
+        console.log(report.ok ? '✅ Tally verified' : '❌ Tally mismatch', report);
+        
+    } catch (error) {
+        uiManager.showModal('Verification Error', 'Failed to verify the tally: ' + error.message);
+    } finally {
+        uiManager.hideLoading();
+        button.disabled = false;
+    }
+}
+
 /**
  * CLEAR ALL CONTENT
  * CLEANUP: Reset content when wallet disconnected
@@ -314,6 +553,19 @@ function clearAllContent() {
     
     const winnerAnnouncement = document.getElementById('winnerAnnouncement');
     if (winnerAnnouncement) winnerAnnouncement.classList.add('hidden');
+    
+    uiManager.renderTallyVerification(null);
+    
+    // Hide election picker
+    const electionPicker = document.getElementById('electionPicker');
+    if (electionPicker) electionPicker.classList.add('hidden');
+    
+    // Stop any voting window countdown
+    if (window.votingManager) votingManager.stopVotingCountdown();
+    
+    // Nomination belongs to the disconnected wallet
+    const adminNomination = document.getElementById('adminNomination');
+    if (adminNomination) adminNomination.classList.add('hidden');
 }
 
 /**
@@ -324,6 +576,8 @@ function clearAllContent() {
  * DESIGN DECISION: Automatic content refresh
  * WHY: Blockchain state can change due to other users' actions
  * BALANCE: Frequent enough to be current, not so frequent to spam network
+ * NOTE: Fallback only - while contract events are live, they keep the store
+ *       current and the timer does nothing
  */
 
 function startPeriodicUpdates() {
@@ -333,7 +587,8 @@ function startPeriodicUpdates() {
     
     // Update every 30 seconds
     APP_STATE.refreshInterval = setInterval(async () => {
-        if (APP_STATE.contractLoaded && !UI_STATE.isLoading) {
+        if (APP_STATE.contractLoaded && !UI_STATE.isLoading && !contractStore.isLive()) {
+            contractStore.invalidate();
             await updateAllContent();
         }
     }, 30000);
@@ -341,6 +596,31 @@ function startPeriodicUpdates() {
     console.log('⏰ Periodic updates started');
 }
 
+/**
+ * STORE SUBSCRIPTIONS
+ * DESIGN DECISION: Each view re-renders when the slices it shows change
+ * WHY: An event for another election, or for the admin set, should not
+ *      re-fetch the tab the user is looking at
+ * NOTE: The voting and admin modules subscribe to the store themselves
+ */
+function subscribeToStore() {
+    // New elections and changed totals show up in the picker
+    contractStore.subscribe(['elections'], () => {
+        if (APP_STATE.contractLoaded) refreshElections();
+    });
+    
+    // Granted or revoked roles change the admin tab and the nomination banner
+    contractStore.subscribe(['admin'], () => {
+        if (APP_STATE.walletConnected) updateUserRole();
+    });
+    
+    contractStore.subscribe(['elections', 'candidates', 'stats', 'results'], (changes) => {
+        if (UI_STATE.currentTab === 'results' && changes.electionIds.has(UI_STATE.selectedElection)) {
+            refreshResults();
+        }
+    });
+}
+
 function stopPeriodicUpdates() {
     if (APP_STATE.refreshInterval) {
         clearInterval(APP_STATE.refreshInterval);
@@ -365,7 +645,33 @@ function setupGlobalEventListeners() {
     // Refresh results button
     const refreshResultsButton = document.getElementById('refreshResults');
     if (refreshResultsButton) {
-        refreshResultsButton.addEventListener('click', refreshResults);
+        refreshResultsButton.addEventListener('click', () => {
+            contractStore.invalidate(UI_STATE.selectedElection);
+            refreshResults();
+        });
+    }
+    
+    // Rebuild the tally from event logs
+    const verifyTallyButton = document.getElementById('verifyTally');
+    if (verifyTallyButton) {
+        verifyTallyButton.addEventListener('click', verifyTally);
+    }
+    
+    // Store changes from contract events re-render only what they affect
+    subscribeToStore();
+    
+    // Accept admin nomination
+    const acceptAdminButton = document.getElementById('acceptAdmin');
+    if (acceptAdminButton) {
+        acceptAdminButton.addEventListener('click', acceptAdminRole);
+    }
+    
+    // Election picker
+    const electionSelect = document.getElementById('electionSelect');
+    if (electionSelect) {
+        electionSelect.addEventListener('change', (e) => {
+            selectElection(parseInt(e.target.value));
+        });
     }
     
     // Tab switching updates content
@@ -376,6 +682,8 @@ function setupGlobalEventListeners() {
     // Page visibility changes
     document.addEventListener('visibilitychange', () => {
         if (document.visibilityState === 'visible' && APP_STATE.contractLoaded) {
+            // Without live events, anything may have changed while hidden
+            if (!contractStore.isLive()) contractStore.invalidate();
             updateAllContent();
         }
     });
@@ -469,9 +777,13 @@ window.app = {
     // Functions
     initializeApp,
     connectWallet,
+    startReadOnlyMode,
     disconnectWallet,
     updateAllContent,
     refreshResults,
+    verifyTally,
+    refreshElections,
+    selectElection,
     updateUserRole,
     handleGlobalError,
     
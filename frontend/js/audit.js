@@ -0,0 +1,412 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * AUDIT LOG MODULE
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ *
+ * DESIGN DECISION: Index the contract's event history in the browser
+ * WHY: Every state change emits an event "for audit trail", but the app only
+ *      listened from 'latest'; nobody could see what happened before
+ * TRADE-OFF: The first visit reads every log since deployment
+ * TRANSPARENCY: Anyone, with or without a wallet, can review the full history
+ *
+ * This module:
+ * - Pages through getPastEvents from the deployment block in fixed block ranges,
+ *   using tally.js's forEachBlockRange
+ * - Persists indexed entries and progress in IndexedDB, so later visits only
+ *   read new blocks
+ * - Filters by event type, address and block range, newest first
+ */
+
+const AUDIT_DB_NAME = 'votingDApp-audit';
+const AUDIT_PAGE_SIZE = 25;
+
+const AUDIT_STATE = {
+    db: null,          // Promise of the IndexedDB database, or of null without IndexedDB
+    memory: { progress: {}, entries: {} },   // Used when IndexedDB is unavailable
+    indexing: null,    // Promise of the running indexer, shared by concurrent refreshes
+    page: 0
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * PERSISTENCE
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ *
+ * DESIGN DECISION: One database for all deployments, keyed by chain and address
+ * WHY: The same browser may audit a local chain and Sepolia
+ * NOTE: Private windows may refuse IndexedDB; the log then lives in memory
+ *       and is rebuilt on each visit
+ */
+
+function openAuditDb() {
+    if (!AUDIT_STATE.db) {
+        AUDIT_STATE.db = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') return resolve(null);
+            
+            const request = indexedDB.open(AUDIT_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('progress', { keyPath: 'contract' });
+                db.createObjectStore('events', { keyPath: 'id' }).createIndex('contract', 'contract');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('⚠️ IndexedDB unavailable, keeping the audit log in memory:', request.error);
+                resolve(null);
+            };
+        });
+    }
+    return AUDIT_STATE.db;
+}
+
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function idbTransactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+async function loadAuditProgress(contractKey) {
+    const db = await openAuditDb();
+    if (!db) return AUDIT_STATE.memory.progress[contractKey] || null;
+    
+    const store = db.transaction('progress').objectStore('progress');
+    return (await idbRequest(store.get(contractKey))) || null;
+}
+
+/**
+ * Entries and progress are written in one transaction, so an interrupted
+ * run never records blocks as indexed without their events
+ */
+async function saveAuditChunk(entries, progress) {
+    const db = await openAuditDb();
+    if (!db) {
+        const stored = AUDIT_STATE.memory.entries[progress.contract] || {};
+        entries.forEach(entry => { stored[entry.id] = entry; });
+        AUDIT_STATE.memory.entries[progress.contract] = stored;
+        AUDIT_STATE.memory.progress[progress.contract] = { ...progress };
+        return;
+    }
+    
+    const transaction = db.transaction(['events', 'progress'], 'readwrite');
+    entries.forEach(entry => transaction.objectStore('events').put(entry));
+    transaction.objectStore('progress').put({ ...progress });
+    await idbTransactionDone(transaction);
+}
+
+/**
+ * Drops a deployment's entries and progress
+ * WHY: A restarted local chain reuses the chain ID and contract address
+ */
+async function clearAuditContract(contractKey) {
+    const db = await openAuditDb();
+    if (!db) {
+        delete AUDIT_STATE.memory.entries[contractKey];
+        delete AUDIT_STATE.memory.progress[contractKey];
+        return;
+    }
+    
+    const transaction = db.transaction(['events', 'progress'], 'readwrite');
+    const events = transaction.objectStore('events');
+    events.index('contract').getAllKeys(contractKey).onsuccess = (e) => {
+        e.target.result.forEach(key => events.delete(key));
+    };
+    transaction.objectStore('progress').delete(contractKey);
+    await idbTransactionDone(transaction);
+}
+
+async function loadAuditEntries(contractKey) {
+    const db = await openAuditDb();
+    if (!db) return Object.values(AUDIT_STATE.memory.entries[contractKey] || {});
+    
+    const index = db.transaction('events').objectStore('events').index('contract');
+    return idbRequest(index.getAll(contractKey));
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * INDEXER
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ */
+
+async function getAuditContractKey() {
+    const chainId = await web3Manager.web3.eth.getChainId();
+    return `${chainId}:${CONTRACT_CONFIG.address.toLowerCase()}`;
+}
+
+/**
+ * One log as stored: named arguments as strings, plus every address they
+ * mention so the address filter needs no ABI knowledge
+ */
+function toAuditEntry(contractKey, event) {
+    const args = {};
+    const addresses = [];
+    
+    Object.entries(event.returnValues).forEach(([name, value]) => {
+        if (/^\d+$/.test(name)) return;   // Positional duplicates of the named values
+        const text = Array.isArray(value) ? value.join(', ') : String(value);
+        args[name] = text;
+        if (web3Manager.web3.utils.isAddress(text)) addresses.push(text.toLowerCase());
+    });
+    
+    return {
+        id: `${contractKey}:${event.transactionHash}:${event.logIndex}`,
+        contract: contractKey,
+        event: event.event,
+        blockNumber: event.blockNumber,
+        logIndex: event.logIndex,
+        transactionHash: event.transactionHash,
+        // Every event in Voting carries block.timestamp as its last argument
+        timestamp: parseInt(args.timestamp) || null,
+        args,
+        addresses
+    };
+}
+
+/**
+ * INDEX NEW BLOCKS
+ * Reads logs from where the last run stopped up to the latest block
+ * NOTE: Progress is saved after every range, so a closed tab resumes there
+ * NOTE: Concurrent refreshes share one run
+ */
+function indexAuditEvents() {
+    if (!AUDIT_STATE.indexing) {
+        AUDIT_STATE.indexing = runAuditIndexer().finally(() => {
+            AUDIT_STATE.indexing = null;
+        });
+    }
+    return AUDIT_STATE.indexing;
+}
+
+async function runAuditIndexer() {
+    const contractKey = await getAuditContractKey();
+    const latest = await web3Manager.web3.eth.getBlockNumber();
+    const deploymentTx = web3Manager.deploymentTx || null;
+    let progress = await loadAuditProgress(contractKey);
+    
+    // Indexed past the chain head, or a different deployment: the chain was reset
+    if (progress && (progress.indexedTo > latest || progress.deploymentTx !== deploymentTx)) {
+        console.log('🔁 Chain was reset, rebuilding the audit log');
+        await clearAuditContract(contractKey);
+        progress = null;
+    }
+    
+    if (!progress) {
+        progress = {
+            contract: contractKey,
+            deploymentTx,
+            indexedTo: (await web3Manager.getDeploymentBlock()) - 1
+        };
+    }
+    
+    await tallyVerifier.forEachBlockRange(progress.indexedTo + 1, latest, async (from, to) => {
+        showAuditProgress(`Indexing blocks ${from}–${to} of ${latest}...`);
+        
+        const events = await web3Manager.contract.getPastEvents('allEvents', {
+            fromBlock: from,
+            toBlock: to
+        });
+        
+        // Logs the ABI cannot decode have no event name and are skipped
+        const entries = events.filter(e => e.event).map(e => toAuditEntry(contractKey, e));
+        progress.indexedTo = to;
+        await saveAuditChunk(entries, progress);
+    });
+    
+    showAuditProgress(`Indexed through block ${progress.indexedTo}`);
+    return contractKey;
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * AUDIT LOG TAB
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ *
+ * USER EXPERIENCE: Newest entries first, one page at a time
+ * NOTE: Filters run over the stored entries; they never query the chain
+ */
+
+async function refreshAuditLog() {
+    if (!web3Manager.contract) return;
+    
+    try {
+        populateAuditEventFilter();
+        const contractKey = await indexAuditEvents();
+        await renderAuditLog(contractKey);
+    
+    } catch (error) {
+        console.error('❌ Failed to refresh audit log:', error);
+        showAuditProgress('Audit log could not be loaded: ' + error.message);
+    }
+}
+
+function readAuditFilters() {
+    const fromBlock = parseInt(document.getElementById('auditFromBlock').value);
+    const toBlock = parseInt(document.getElementById('auditToBlock').value);
+    
+    return {
+        event: document.getElementById('auditEventFilter').value,
+        address: document.getElementById('auditAddressFilter').value.trim().toLowerCase(),
+        fromBlock: Number.isNaN(fromBlock) ? null : fromBlock,
+        toBlock: Number.isNaN(toBlock) ? null : toBlock
+    };
+}
+
+function matchesAuditFilters(entry, filters) {
+    if (filters.event && entry.event !== filters.event) return false;
+    if (filters.address && !entry.addresses.some(a => a.includes(filters.address))) return false;
+    if (filters.fromBlock !== null && entry.blockNumber < filters.fromBlock) return false;
+    if (filters.toBlock !== null && entry.blockNumber > filters.toBlock) return false;
+    return true;
+}
+
+async function renderAuditLog(contractKey = null) {
+    if (!web3Manager.contract) return;
+    
+    const container = document.getElementById('auditEntries');
+    const key = contractKey || await getAuditContractKey();
+    const filters = readAuditFilters();
+    
+    const entries = (await loadAuditEntries(key))
+        .filter(entry => matchesAuditFilters(entry, filters))
+        .sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+    
+    const pageCount = Math.max(1, Math.ceil(entries.length / AUDIT_PAGE_SIZE));
+    AUDIT_STATE.page = Math.min(AUDIT_STATE.page, pageCount - 1);
+    const start = AUDIT_STATE.page * AUDIT_PAGE_SIZE;
+    const page = entries.slice(start, start + AUDIT_PAGE_SIZE);
+    
+    container.innerHTML = page.length === 0
+        ? '<p class="text-muted">No events match these filters.</p>'
+        : page.map(renderAuditEntry).join('');
+    
+    document.getElementById('auditPage').textContent =
+        `Page ${AUDIT_STATE.page + 1} of ${pageCount} · ${entries.length} events`;
+    document.getElementById('auditNewer').disabled = AUDIT_STATE.page === 0;
+    document.getElementById('auditOlder').disabled = AUDIT_STATE.page >= pageCount - 1;
+}
+
+function renderAuditEntry(entry) {
+    const args = Object.entries(entry.args)
+        .filter(([name]) => name !== 'timestamp')
+        .map(([name, value]) => `${escapeHtml(name)}: ${escapeHtml(value)}`)
+        .join(' · ');
+    
+    return `
+        <div class="audit-entry">
+            <div class="audit-entry-header">
+                <strong>${escapeHtml(entry.event)}</strong>
+                <span class="text-muted">
+                    ${entry.timestamp ? uiManager.formatTimestamp(entry.timestamp) : 'Unknown time'}
+                    · block #${entry.blockNumber}
+                </span>
+            </div>
+            <div class="audit-args">${args}</div>
+            <div class="audit-tx">${renderTransactionLink(entry.transactionHash)}</div>
+        </div>
+    `;
+}
+
+/**
+ * TRANSACTION LINK
+ * Block explorer link when the current network has one configured,
+ * otherwise the bare hash (local chains have no explorer)
+ */
+function renderTransactionLink(transactionHash) {
+    const networkId = APP_STATE.networkInfo ? APP_STATE.networkInfo.id : null;
+    const network = Object.values(CONTRACT_CONFIG.networks)
+        .find(config => config.networkId === networkId && config.explorerUrl);
+    
+    if (!network) {
+        return `<code title="${transactionHash}">${web3Manager.formatAddress(transactionHash)}</code>`;
+    }
+    return `<a href="${network.explorerUrl}/tx/${transactionHash}" target="_blank" rel="noopener">
+        <code>${web3Manager.formatAddress(transactionHash)}</code> <i class="fas fa-external-link-alt"></i>
+    </a>`;
+}
+
+/**
+ * Event names come from the ABI, so the filter offers every event the
+ * contract can emit, including ones not seen yet
+ */
+function populateAuditEventFilter() {
+    const select = document.getElementById('auditEventFilter');
+    if (select.options.length > 1) return;
+    
+    web3Manager.contract.options.jsonInterface
+        .filter(item => item.type === 'event')
+        .map(item => item.name)
+        .sort()
+        .forEach(name => select.add(new Option(name, name)));
+}
+
+function showAuditProgress(message) {
+    const progress = document.getElementById('auditProgress');
+    if (progress) progress.textContent = message;
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * EVENT LISTENERS
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ */
+
+function setupAuditEventListeners() {
+    document.getElementById('refreshAudit').addEventListener('click', refreshAuditLog);
+    
+    // Filters start again from the newest page
+    ['auditEventFilter', 'auditAddressFilter', 'auditFromBlock', 'auditToBlock'].forEach(id => {
+        document.getElementById(id).addEventListener('input', () => {
+            AUDIT_STATE.page = 0;
+            renderAuditLog();
+        });
+    });
+    
+    document.getElementById('auditNewer').addEventListener('click', () => {
+        AUDIT_STATE.page = Math.max(0, AUDIT_STATE.page - 1);
+        renderAuditLog();
+    });
+    document.getElementById('auditOlder').addEventListener('click', () => {
+        AUDIT_STATE.page++;
+        renderAuditLog();
+    });
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * INITIALIZATION
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ */
+
+document.addEventListener('DOMContentLoaded', () => {
+    setupAuditEventListeners();
+    
+    // Any contract event is a new audit entry; index it while the tab is open
+    contractStore.subscribe(['elections', 'candidates', 'stats', 'voterStatus', 'admin'], () => {
+        if (UI_STATE.currentTab === 'audit') refreshAuditLog();
+    });
+    
+    console.log('📜 Audit module initialized');
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * EXPORT FUNCTIONS
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ */
+
+window.auditManager = {
+    refreshAuditLog,
+    indexAuditEvents,
+    renderAuditLog
+};
+
+console.log('📜 Audit module loaded');
@@ -10,6 +10,7 @@
  * 
  * This module handles all blockchain interactions including:
  * - Web3 initialization and MetaMask connection
+ * - Read-only access over JSON-RPC when no wallet is installed
  * - Smart contract loading and instantiation
  * - Network detection and validation
  * - Error handling and user feedback
@@ -20,6 +21,7 @@ const CONTRACT_CONFIG = {
     // Updated with newly deployed contract address
     address: "0x1341869F580563FEDF48e902DF29885d0EA014d2", // Deployed on Sepolia - October 17, 2025
     abi: null,     // Will be loaded from build artifacts
+    deploymentBlock: null,   // First block the audit log reads; null = look up the deployment transaction
     
     // Network configurations
     networks: {
@@ -31,11 +33,90 @@ const CONTRACT_CONFIG = {
         sepolia: {
             networkId: 11155111,
             name: 'Sepolia Testnet',
-            rpcUrl: 'https://sepolia.infura.io/v3/YOUR_PROJECT_ID'
+            rpcUrl: 'https://sepolia.infura.io/v3/YOUR_PROJECT_ID',
+            explorerUrl: 'https://sepolia.etherscan.io'
         }
-    }
+    },
+    
+    // Network whose rpcUrl serves visitors without a wallet (read-only mode)
+    readOnlyNetwork: 'sepolia',
+    
+    // Public gateway used to fetch ipfs:// candidate profiles
+    ipfsGateway: 'https://ipfs.io/ipfs/'
 };
 
+/**
+ * VOTING PHASES
+ * DESIGN DECISION: Mirror the Phase enum from Voting.sol (Upcoming, Open, Reveal, Closed)
+ * WHY: Contract returns the enum as a uint; UI modules work with readable names
+ */
+const ELECTION_PHASES = ['upcoming', 'open', 'reveal', 'closed'];
+
+/**
+ * BALLOT TYPES
+ * Mirrors the BallotType enum from Voting.sol (Plurality, Ranked, Approval)
+ */
+const BALLOT_TYPES = ['plurality', 'ranked', 'approval'];
+
+/**
+ * TIE-BREAK POLICIES
+ * Mirrors the TieBreak enum from Voting.sol (DeclareTie, EarliestToReach, AdminDraw)
+ */
+const TIE_BREAK_POLICIES = ['declareTie', 'earliestToReach', 'adminDraw'];
+
+/**
+ * DELEGATED ROLES
+ * Mirrors the Role enum from Voting.sol (Registrar, CandidateManager, ElectionOperator)
+ */
+const ROLES = ['registrar', 'candidateManager', 'electionOperator'];
+
+/**
+ * CANDIDATE STATUS
+ * Mirrors the CandidateStatus enum from Voting.sol (None, Active, Withdrawn)
+ */
+const CANDIDATE_STATUS = ['none', 'active', 'withdrawn'];
+
+/**
+ * BLANK CHOICES
+ * Mirrors ABSTAIN and NONE_OF_THE_ABOVE from Voting.sol (type(uint).max and one below)
+ * NOTE: IDs are decimal strings; they are far beyond Number.MAX_SAFE_INTEGER
+ */
+const BLANK_CHOICES = [
+    { key: 'abstain', id: (2n ** 256n - 1n).toString(), name: 'Abstain', description: 'Take part without backing any candidate' },
+    { key: 'noneOfTheAbove', id: (2n ** 256n - 2n).toString(), name: 'None of the Above', description: 'Reject every candidate on the ballot' }
+];
+
+/**
+ * PROFILE LINKS
+ * DESIGN DECISION: Only http(s):// and ipfs:// links are followed
+ * SECURITY: Profile JSON is untrusted input; a javascript: or data: link
+ *           must never reach an href or src attribute
+ * NOTE: ipfs:// links go through CONTRACT_CONFIG.ipfsGateway
+ */
+function resolveMetadataURI(uri) {
+    if (typeof uri !== 'string') return null;
+    const trimmed = uri.trim();
+    if (/^ipfs:\/\//i.test(trimmed)) {
+        return CONTRACT_CONFIG.ipfsGateway + trimmed.replace(/^ipfs:\/\/(ipfs\/)?/i, '');
+    }
+    return /^https?:\/\//i.test(trimmed) ? trimmed : null;
+}
+
+/**
+ * CLIENT-SIDE PHASE ESTIMATE
+ * WHY: The elections() getter returns raw fields, not the phase
+ * NOTE: Mirrors Voting._phase() using the local clock - labels only,
+ *       the contract's block.timestamp check is authoritative
+ */
+function getElectionPhase(election, now = Math.floor(Date.now() / 1000)) {
+    if (election.endTime > 0) {
+        if (now < election.startTime) return 'upcoming';
+        if (now < election.endTime) return 'open';
+        return now < election.revealEndTime ? 'reveal' : 'closed';
+    }
+    return election.votingActive ? 'open' : 'closed';
+}
+
 /**
  * ═══════════════════════════════════════════════════════════════════════════════════
  * WEB3 AND METAMASK INITIALIZATION
@@ -54,12 +135,14 @@ class Web3Manager {
         this.networkId = null;
         this.contract = null;
         this.isConnected = false;
+        this.readOnly = false;     // web3 talks to CONTRACT_CONFIG's rpcUrl, nothing can be signed
+        this.deploymentTx = null;  // From the build artifact; log readers start at its block
     }
     
     /**
      * Initialize Web3 and detect MetaMask
      * WHY: Check for wallet availability before attempting connection
-     * ERROR HANDLING: Graceful fallback if MetaMask not available
+     * ERROR HANDLING: Without MetaMask, fall back to a read-only provider
      */
     async init() {
         console.log('🔍 Starting Web3 initialization...');
@@ -74,9 +157,8 @@ class Web3Manager {
             
             // Check if MetaMask is installed
             if (typeof window.ethereum === 'undefined') {
-                console.error('❌ MetaMask not detected');
-                alert('MetaMask Required: Please install MetaMask to use this DApp. Visit https://metamask.io');
-                return false;
+                console.warn('⚠️ MetaMask not detected, falling back to read-only mode');
+                return this.initReadOnly();
             }
             
             console.log('✅ MetaMask detected, initializing Web3...');
@@ -91,6 +173,29 @@ class Web3Manager {
         }
     }
     
+    /**
+     * Read-only Web3 over the configured JSON-RPC endpoint
+     * DESIGN DECISION: Observers and auditors need no wallet to see results
+     * WHY: Every results and stats call is a view call; only votes and
+     *      admin actions need a signer
+     * NOTE: The endpoint comes from CONTRACT_CONFIG.networks[readOnlyNetwork],
+     *       which must be the network CONTRACT_CONFIG.address is deployed on
+     * NOTE: A template URL (YOUR_PROJECT_ID) counts as unconfigured; it would
+     *       only answer with authorization errors
+     */
+    initReadOnly() {
+        const network = CONTRACT_CONFIG.networks[CONTRACT_CONFIG.readOnlyNetwork];
+        if (!network || !network.rpcUrl || /YOUR_[A-Z_]+/.test(network.rpcUrl)) {
+            console.error(`❌ No RPC endpoint configured for read-only mode; set CONTRACT_CONFIG.networks.${CONTRACT_CONFIG.readOnlyNetwork}.rpcUrl`);
+            return false;
+        }
+        
+        this.web3 = new Web3(new Web3.providers.HttpProvider(network.rpcUrl));
+        this.readOnly = true;
+        console.log('👀 Read-only Web3 initialized:', network.rpcUrl);
+        return true;
+    }
+    
     /**
      * Connect to MetaMask wallet
      * SECURITY: Request explicit user permission for account access
@@ -102,6 +207,12 @@ class Web3Manager {
                 throw new Error('Web3 not initialized');
             }
             
+            // Read-only visitors can browse results but have nothing to sign with
+            if (typeof window.ethereum === 'undefined') {
+                showModal('Wallet Required', 'Install MetaMask (https://metamask.io) to vote. Results stay available in read-only mode.');
+                return false;
+            }
+            
             // Request account access
             const accounts = await window.ethereum.request({ 
                 method: 'eth_requestAccounts' 
@@ -189,6 +300,11 @@ class Web3Manager {
             
             CONTRACT_CONFIG.abi = contractData.abi;
             
+            // Truffle records the deployment transaction per network
+            const deployment = Object.values(contractData.networks || {})
+                .find(network => network.address && network.address.toLowerCase() === CONTRACT_CONFIG.address.toLowerCase());
+            this.deploymentTx = deployment ? deployment.transactionHash : null;
+            
             // Use the fixed contract address (already set in CONTRACT_CONFIG)
             console.log('📋 Using contract address:', CONTRACT_CONFIG.address);
             
@@ -219,6 +335,28 @@ class Web3Manager {
         }
     }
     
+    /**
+     * DEPLOYMENT BLOCK
+     * CONTRACT_CONFIG.deploymentBlock when set, otherwise the block of the
+     * deployment transaction recorded in the build artifact, otherwise genesis
+     * NOTE: Where the audit log and tally verification start reading logs
+     */
+    async getDeploymentBlock() {
+        if (Number.isInteger(CONTRACT_CONFIG.deploymentBlock)) {
+            return CONTRACT_CONFIG.deploymentBlock;
+        }
+        
+        if (this.deploymentTx) {
+            try {
+                const receipt = await this.web3.eth.getTransactionReceipt(this.deploymentTx);
+                if (receipt) return receipt.blockNumber;
+            } catch (error) {
+                console.warn('⚠️ Could not find the deployment transaction:', error);
+            }
+        }
+        return 0;
+    }
+    
     /**
      * Get current network information
      * USER FEEDBACK: Display network name to user
@@ -256,8 +394,8 @@ class Web3Manager {
         try {
             if (!this.contract || !this.account) return false;
             
-            const adminAddress = await this.contract.methods.admin().call();
-            return adminAddress.toLowerCase() === this.account.toLowerCase();
+            // Any member of the multisig admin set gets the admin tab
+            return await this.contract.methods.isAdmin(this.account).call();
         } catch (error) {
             console.error('❌ Failed to check admin status:', error);
             return false;
@@ -270,6 +408,12 @@ class Web3Manager {
      * USER EXPERIENCE: Show loading states and clear error messages
      */
     async sendTransaction(contractMethod, options = {}) {
+        // SECURITY: The UI hides write actions in read-only mode; this catches any that slip through
+        if (!this.account) {
+            showModal('Wallet Required', 'Connect a wallet to send transactions.');
+            throw new Error('No wallet connected');
+        }
+        
         try {
             showLoading('Processing transaction...');
             
@@ -292,6 +436,14 @@ class Web3Manager {
             hideLoading();
             console.log('✅ Transaction successful:', result.transactionHash);
             
+            // Update the cache from the receipt's own events, so only what this
+            // transaction touched is re-read; unknown events drop everything
+            if (window.contractStore) {
+                const events = Object.values(result.events || {}).flat();
+                const known = events.map(event => contractStore.applyEvent(event));
+                if (!known.includes(true)) contractStore.invalidate();
+            }
+            
             return result;
             
         } catch (error) {
@@ -337,19 +489,22 @@ const web3Manager = new Web3Manager();
  * SECURITY: Validation happens at smart contract level
  */
 
-async function getVoterStatus(address = null) {
+async function getVoterStatus(electionId, address = null) {
     try {
         const voterAddress = address || web3Manager.account;
-        if (!voterAddress) return null;
+        if (!voterAddress || !electionId) return null;
         
         const result = await web3Manager.contract.methods
-            .getVoterStatus(voterAddress)
+            .getVoterStatus(electionId, voterAddress)
             .call();
             
         return {
             isRegistered: result[0],
             hasVoted: result[1],
-            canVote: result[2]
+            canVote: result[2],
+            phase: ELECTION_PHASES[parseInt(result[3])],
+            weight: parseInt(result[4]),
+            delegatedTo: /^0x0{40}$/i.test(result[5]) ? null : result[5]
         };
     } catch (error) {
         console.error('❌ Failed to get voter status:', error);
@@ -357,26 +512,26 @@ async function getVoterStatus(address = null) {
     }
 }
 
-async function getCandidates() {
+async function getCandidates(electionId) {
     try {
-        const candidateCount = await web3Manager.contract.methods
-            .candidateCount()
+        // showResults carries names, votes and status for the whole ballot
+        const result = await web3Manager.contract.methods
+            .showResults(electionId)
             .call();
             
-        const candidates = [];
-        
-        for (let i = 1; i <= candidateCount; i++) {
-            const candidateInfo = await web3Manager.contract.methods
-                .getCandidateInfo(i)
-                .call();
-                
-            candidates.push({
-                id: i,
-                name: candidateInfo[0],
-                votes: parseInt(candidateInfo[1]),
-                exists: candidateInfo[2]
-            });
-        }
+        const metadata = await Promise.all(result[1].map((name, index) =>
+            web3Manager.contract.methods.candidateMetadata(electionId, index + 1).call()
+        ));
+        
+        const candidates = result[1].map((name, index) => ({
+            id: index + 1,
+            name,
+            votes: parseInt(result[0][index]),
+            exists: true,
+            withdrawn: result[3][index],
+            metadataURI: metadata[index].uri || null,
+            metadataHash: /^0x0{64}$/i.test(metadata[index].contentHash) ? null : metadata[index].contentHash
+        }));
         
         return candidates;
     } catch (error) {
@@ -385,10 +540,10 @@ async function getCandidates() {
     }
 }
 
-async function castVote(candidateId) {
+async function castVote(electionId, candidateId) {
     try {
         const result = await web3Manager.sendTransaction(
-            web3Manager.contract.methods.vote(candidateId)
+            web3Manager.contract.methods.vote(electionId, candidateId)
         );
         
         showModal('Vote Cast Successfully!', 
@@ -401,25 +556,129 @@ async function castVote(candidateId) {
     }
 }
 
-async function getElectionResults() {
+async function changeVote(electionId, candidateId) {
+    try {
+        const result = await web3Manager.sendTransaction(
+            web3Manager.contract.methods.changeVote(electionId, candidateId)
+        );
+        
+        showModal('Vote Changed Successfully!', 
+            `Your new choice has been recorded. Transaction: ${result.transactionHash}`);
+        
+        return result;
+    } catch (error) {
+        // Error already handled in sendTransaction
+        throw error;
+    }
+}
+
+async function castRankedVote(electionId, ranking) {
+    try {
+        const result = await web3Manager.sendTransaction(
+            web3Manager.contract.methods.voteRanked(electionId, ranking)
+        );
+        
+        showModal('Ranked Ballot Cast Successfully!', 
+            `Your ranking has been recorded. Transaction: ${result.transactionHash}`);
+        
+        return result;
+    } catch (error) {
+        throw error;
+    }
+}
+
+async function castApprovalVote(electionId, candidateIds) {
+    try {
+        const result = await web3Manager.sendTransaction(
+            web3Manager.contract.methods.voteApproval(electionId, candidateIds)
+        );
+        
+        showModal('Approval Ballot Cast Successfully!', 
+            `Your approvals have been recorded. Transaction: ${result.transactionHash}`);
+        
+        return result;
+    } catch (error) {
+        throw error;
+    }
+}
+
+async function commitVote(electionId, commitment) {
+    try {
+        const result = await web3Manager.sendTransaction(
+            web3Manager.contract.methods.commitVote(electionId, commitment)
+        );
+        
+        showModal('Sealed Vote Submitted', 
+            `Your sealed vote has been recorded. Transaction: ${result.transactionHash}`);
+        
+        return result;
+    } catch (error) {
+        throw error;
+    }
+}
+
+async function delegateVote(electionId, delegateAddress) {
+    try {
+        const result = await web3Manager.sendTransaction(
+            web3Manager.contract.methods.delegateVote(electionId, delegateAddress)
+        );
+        
+        showModal('Vote Delegated', 
+            `Your vote has been delegated to ${web3Manager.formatAddress(delegateAddress)}.`);
+        
+        return result;
+    } catch (error) {
+        throw error;
+    }
+}
+
+async function revealVote(electionId, candidateId, salt) {
+    try {
+        const result = await web3Manager.sendTransaction(
+            web3Manager.contract.methods.revealVote(electionId, candidateId, salt)
+        );
+        
+        showModal('Vote Revealed', 
+            `Your vote has been revealed and counted. Transaction: ${result.transactionHash}`);
+        
+        return result;
+    } catch (error) {
+        throw error;
+    }
+}
+
+async function getElectionResults(electionId) {
     try {
         const result = await web3Manager.contract.methods
-            .showResults()
+            .showResults(electionId)
             .call();
             
         const votes = result[0].map(v => parseInt(v));
         const names = result[1];
         const winnerId = parseInt(result[2]);
+        const withdrawn = result[3];
+        
+        // showResults no longer lists the leaders; they are the top counts
+        const highest = Math.max(0, ...votes);
+        const leaders = highest > 0
+            ? votes.map((count, index) => (count === highest ? index + 1 : 0)).filter(id => id !== 0)
+            : [];
         
         return {
             votes,
             names,
             winnerId,
+            leaders,
+            abstentions: parseInt(result[4]),
+            noneOfTheAbove: parseInt(result[5]),
+            tie: winnerId === 0 && leaders.length > 1,
             candidates: names.map((name, index) => ({
                 id: index + 1,
                 name,
                 votes: votes[index],
-                isWinner: (index + 1) === winnerId
+                withdrawn: withdrawn[index],
+                isWinner: (index + 1) === winnerId && !withdrawn[index],
+                isLeader: leaders.includes(index + 1)
             }))
         };
     } catch (error) {
@@ -428,17 +687,24 @@ async function getElectionResults() {
     }
 }
 
-async function getElectionStats() {
+async function getElectionStats(electionId) {
     try {
         const result = await web3Manager.contract.methods
-            .getElectionStats()
+            .getElectionStats(electionId)
             .call();
             
         return {
             totalCandidates: parseInt(result[0]),
             totalVotes: parseInt(result[1]),
             votingActive: result[2],
-            admin: result[3]
+            admin: result[3],
+            phase: ELECTION_PHASES[parseInt(result[4])],
+            startTime: parseInt(result[5]),
+            endTime: parseInt(result[6]),
+            registeredVoters: parseInt(result[7]),
+            registeredVotingPower: parseInt(result[8]),
+            quorumVotes: parseInt(result[9]),
+            quorumMet: result[10]
         };
     } catch (error) {
         console.error('❌ Failed to get election stats:', error);
@@ -452,14 +718,44 @@ async function getElectionStats() {
  * SECURITY: Contract enforces admin-only access, UI provides convenience
  */
 
-async function registerVoter(voterAddress) {
+async function createElection(title) {
     try {
         const result = await web3Manager.sendTransaction(
-            web3Manager.contract.methods.registerVoter(voterAddress)
+            web3Manager.contract.methods.createElection(title)
+        );
+        
+        showModal('Election Created', 
+            `Election "${title}" has been created successfully.`);
+        
+        return result;
+    } catch (error) {
+        throw error;
+    }
+}
+
+async function registerVoter(electionId, voterAddress, weight = 1) {
+    try {
+        const result = await web3Manager.sendTransaction(
+            web3Manager.contract.methods.registerVoter(electionId, voterAddress, weight)
         );
         
         showModal('Voter Registered', 
-            `Voter ${web3Manager.formatAddress(voterAddress)} has been registered successfully.`);
+            `Voter ${web3Manager.formatAddress(voterAddress)} has been registered with voting power ${weight}.`);
+        
+        return result;
+    } catch (error) {
+        throw error;
+    }
+}
+
+async function registerVoters(electionId, voterAddresses, weights) {
+    try {
+        const result = await web3Manager.sendTransaction(
+            web3Manager.contract.methods.registerVoters(electionId, voterAddresses, weights)
+        );
+        
+        showModal('Voters Registered', 
+            `${voterAddresses.length} voters have been registered successfully.`);
         
         return result;
     } catch (error) {
@@ -467,10 +763,40 @@ async function registerVoter(voterAddress) {
     }
 }
 
-async function addCandidate(candidateName) {
+async function deregisterVoter(electionId, voterAddress) {
     try {
         const result = await web3Manager.sendTransaction(
-            web3Manager.contract.methods.addCandidate(candidateName)
+            web3Manager.contract.methods.deregisterVoter(electionId, voterAddress)
+        );
+        
+        showModal('Voter Deregistered', 
+            `Voter ${web3Manager.formatAddress(voterAddress)} can no longer vote in this election.`);
+        
+        return result;
+    } catch (error) {
+        throw error;
+    }
+}
+
+async function setVoterRoot(electionId, root) {
+    try {
+        const result = await web3Manager.sendTransaction(
+            web3Manager.contract.methods.setVoterRoot(electionId, root)
+        );
+        
+        showModal('Allowlist Published', 
+            `Voter allowlist root has been published for election ${electionId}.`);
+        
+        return result;
+    } catch (error) {
+        throw error;
+    }
+}
+
+async function addCandidate(electionId, candidateName) {
+    try {
+        const result = await web3Manager.sendTransaction(
+            web3Manager.contract.methods.addCandidate(electionId, candidateName)
         );
         
         showModal('Candidate Added', 
@@ -482,10 +808,86 @@ async function addCandidate(candidateName) {
     }
 }
 
-async function toggleVoting() {
+async function renameCandidate(electionId, candidateId, candidateName) {
+    try {
+        const result = await web3Manager.sendTransaction(
+            web3Manager.contract.methods.renameCandidate(electionId, candidateId, candidateName)
+        );
+        
+        showModal('Candidate Renamed', 
+            `Candidate #${candidateId} is now "${candidateName}".`);
+        
+        return result;
+    } catch (error) {
+        throw error;
+    }
+}
+
+async function withdrawCandidate(electionId, candidateId) {
     try {
         const result = await web3Manager.sendTransaction(
-            web3Manager.contract.methods.toggleVoting()
+            web3Manager.contract.methods.withdrawCandidate(electionId, candidateId)
+        );
+        
+        showModal('Candidate Withdrawn', 
+            `Candidate #${candidateId} has been removed from the ballot.`);
+        
+        return result;
+    } catch (error) {
+        throw error;
+    }
+}
+
+async function setCandidateMetadata(electionId, candidateId, uri, contentHash) {
+    try {
+        const result = await web3Manager.sendTransaction(
+            web3Manager.contract.methods.setCandidateMetadata(electionId, candidateId, uri, contentHash)
+        );
+        
+        showModal('Profile Updated', 
+            `Candidate #${candidateId} now links to ${uri || 'no profile'}.`);
+        
+        return result;
+    } catch (error) {
+        throw error;
+    }
+}
+
+async function finalizeElection(electionId) {
+    try {
+        const result = await web3Manager.sendTransaction(
+            web3Manager.contract.methods.finalizeElection(electionId)
+        );
+        
+        showModal('Election Finalized', 
+            'The result is now certified and the election can no longer change.');
+        
+        return result;
+    } catch (error) {
+        throw error;
+    }
+}
+
+async function drawTieBreak(electionId) {
+    try {
+        const result = await web3Manager.sendTransaction(
+            web3Manager.contract.methods.drawTieBreak(electionId)
+        );
+        
+        // First call requests the draw; a call after the draw block is mined completes it
+        showModal('Tie-Break Draw', 
+            'The draw was requested, or completed if its block had already been mined.');
+        
+        return result;
+    } catch (error) {
+        throw error;
+    }
+}
+
+async function toggleVoting(electionId) {
+    try {
+        const result = await web3Manager.sendTransaction(
+            web3Manager.contract.methods.toggleVoting(electionId)
         );
         
         showModal('Voting Status Changed', 
@@ -497,14 +899,104 @@ async function toggleVoting() {
     }
 }
 
+async function scheduleVoting(electionId, startTime, endTime) {
+    try {
+        const result = await web3Manager.sendTransaction(
+            web3Manager.contract.methods.scheduleVoting(electionId, startTime, endTime)
+        );
+        
+        showModal('Voting Scheduled', 
+            'The voting window has been scheduled successfully.');
+        
+        return result;
+    } catch (error) {
+        throw error;
+    }
+}
+
+async function scheduleSecretBallot(electionId, startTime, endTime, revealEndTime) {
+    try {
+        const result = await web3Manager.sendTransaction(
+            web3Manager.contract.methods.scheduleSecretBallot(electionId, startTime, endTime, revealEndTime)
+        );
+        
+        showModal('Secret Ballot Scheduled', 
+            'The commit and reveal windows have been scheduled successfully.');
+        
+        return result;
+    } catch (error) {
+        throw error;
+    }
+}
+
+async function setBallotType(electionId, ballotType) {
+    try {
+        const result = await web3Manager.sendTransaction(
+            web3Manager.contract.methods.setBallotType(electionId, BALLOT_TYPES.indexOf(ballotType))
+        );
+        
+        showModal('Ballot Type Updated', 
+            `The election now uses a ${ballotType} ballot.`);
+        
+        return result;
+    } catch (error) {
+        throw error;
+    }
+}
+
+async function setTieBreakPolicy(electionId, policy) {
+    try {
+        const result = await web3Manager.sendTransaction(
+            web3Manager.contract.methods.setTieBreakPolicy(electionId, TIE_BREAK_POLICIES.indexOf(policy))
+        );
+        
+        showModal('Tie-Break Policy Updated', 
+            'The tie-break policy has been updated successfully.');
+        
+        return result;
+    } catch (error) {
+        throw error;
+    }
+}
+
+async function setQuorum(electionId, threshold, percentage) {
+    try {
+        const result = await web3Manager.sendTransaction(
+            web3Manager.contract.methods.setQuorum(electionId, threshold, percentage)
+        );
+        
+        showModal('Quorum Updated', 
+            'The quorum has been updated successfully.');
+        
+        return result;
+    } catch (error) {
+        throw error;
+    }
+}
+
+async function setVoteChanges(electionId, allowed) {
+    try {
+        const result = await web3Manager.sendTransaction(
+            web3Manager.contract.methods.setVoteChanges(electionId, allowed)
+        );
+        
+        showModal('Vote Changes Updated', 
+            `Voters ${allowed ? 'may now' : 'can no longer'} change their vote while voting is open.`);
+        
+        return result;
+    } catch (error) {
+        throw error;
+    }
+}
+
 async function transferAdmin(newAdminAddress) {
     try {
         const result = await web3Manager.sendTransaction(
             web3Manager.contract.methods.transferAdmin(newAdminAddress)
         );
         
-        showModal('Admin Transferred', 
-            `Admin rights have been transferred to ${web3Manager.formatAddress(newAdminAddress)}.`);
+        showModal('Admin Nominated', 
+            `${web3Manager.formatAddress(newAdminAddress)} must accept the admin role before rights are transferred.`);
         
         return result;
     } catch (error) {
@@ -524,11 +1016,32 @@ window.contractAPI = {
     getVoterStatus,
     getCandidates,
     castVote,
+    changeVote,
+    castRankedVote,
+    castApprovalVote,
+    commitVote,
+    revealVote,
+    delegateVote,
     getElectionResults,
     getElectionStats,
+    createElection,
     registerVoter,
+    registerVoters,
+    deregisterVoter,
+    setVoterRoot,
     addCandidate,
+    renameCandidate,
+    withdrawCandidate,
+    setCandidateMetadata,
+    finalizeElection,
+    drawTieBreak,
     toggleVoting,
+    scheduleVoting,
+    scheduleSecretBallot,
+    setBallotType,
+    setTieBreakPolicy,
+    setQuorum,
+    setVoteChanges,
     transferAdmin
 };
 
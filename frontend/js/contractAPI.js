@@ -8,187 +8,1275 @@
 
 const contractAPI = {
     
+    /**
+     * GET ALL ELECTIONS
+     * electionCount, then one batch with the elections getter and the
+     * vote-change setting of every election
+     */
+    async getElections() {
+        try {
+            console.log('🗂️ Getting all elections...');
+            
+            const electionCount = parseInt(await web3Manager.contract.methods.electionCount().call());
+            const ids = Array.from({ length: electionCount }, (_, index) => index + 1);
+            
+            // One batch for every election and its vote-change setting
+            const results = await this.batchCall(ids.flatMap(id => [
+                web3Manager.contract.methods.elections(id),
+                web3Manager.contract.methods.getVoteChanges(id)
+            ]));
+            
+            const elections = ids.map((id, index) => {
+                const election = results[2 * index];
+                const entry = {
+                    id,
+                    title: election.title,
+                    candidateCount: parseInt(election.candidateCount),
+                    totalVotes: BigInt(election.totalVotes),
+                    votingActive: election.votingActive,
+                    startTime: parseInt(election.startTime),
+                    endTime: parseInt(election.endTime),
+                    revealEndTime: parseInt(election.revealEndTime),
+                    secretBallot: election.secretBallot,
+                    ballotType: BALLOT_TYPES[parseInt(election.ballotType)],
+                    finalized: election.finalized,
+                    voteChanges: results[2 * index + 1]
+                };
+                entry.phase = getElectionPhase(entry);
+                return entry;
+            });
+            
+            console.log('✅ Retrieved', elections.length, 'elections');
+            return elections;
+            
+        } catch (error) {
+            console.error('❌ Failed to get elections:', error);
+            return [];
+        }
+    },
+    
     /**
      * GET VOTER STATUS
      * Uses the actual getVoterStatus function from deployed contract
      */
-    async getVoterStatus(address = null) {
+    async getVoterStatus(electionId, address = null) {
+        try {
+            const voterAddress = address || web3Manager.account;
+            if (!voterAddress || !electionId) return null;
+            
+            console.log('📋 Getting voter status for:', voterAddress, 'in election', electionId);
+            
+            const result = await web3Manager.contract.methods
+                .getVoterStatus(electionId, voterAddress)
+                .call();
+            
+            const status = {
+                isRegistered: result[0],
+                hasVoted: result[1],
+                canVote: result[2],
+                phase: ELECTION_PHASES[parseInt(result[3])],
+                weight: BigInt(result[4]),
+                delegatedTo: /^0x0{40}$/i.test(result[5]) ? null : result[5],
+                currentVote: null,
+                allowlisted: false
+            };
+            
+            // Only recorded in elections that allow vote changes; kept as a
+            // string since blank choices exceed Number.MAX_SAFE_INTEGER
+            if (status.hasVoted) {
+                const currentVote = await web3Manager.contract.methods
+                    .currentVote(electionId, voterAddress)
+                    .call();
+                if (currentVote !== '0') status.currentVote = currentVote;
+            }
+            
+            // Allowlisted voters register on their first ballot, so treat them as eligible
+            if (!status.isRegistered) {
+                const entry = await this.getAllowlistEntry(electionId, voterAddress);
+                if (entry) {
+                    status.allowlisted = true;
+                    status.weight = BigInt(entry.weight);
+                    status.canVote = !status.hasVoted && status.phase === 'open';
+                }
+            }
+            
+            return status;
+            
+        } catch (error) {
+            console.error('❌ Failed to get voter status:', error);
+            return null;
+        }
+    },
+    
+    /**
+     * GET ALLOWLIST ENTRY
+     * Looks up { weight, proof } in allowlists/election-<id>.json, written by
+     * build-voter-allowlist.js. The file is only trusted when its root matches
+     * the one published on-chain, so a stale file cannot produce doomed votes.
+     */
+    async getAllowlistEntry(electionId, address = null) {
+        try {
+            const voterAddress = address || web3Manager.account;
+            if (!voterAddress || !electionId) return null;
+            
+            const root = await web3Manager.contract.methods.voterRoots(electionId).call();
+            if (/^0x0{64}$/i.test(root)) return null;
+            
+            const response = await fetch(`allowlists/election-${electionId}.json`, { cache: 'no-cache' });
+            if (!response.ok) return null;
+            
+            const allowlist = await response.json();
+            if (!allowlist.root || allowlist.root.toLowerCase() !== root.toLowerCase()) {
+                console.warn('⚠️ Published allowlist file does not match the on-chain root for election', electionId);
+                return null;
+            }
+            
+            return allowlist.voters[voterAddress.toLowerCase()] || null;
+            
+        } catch (error) {
+            console.warn('⚠️ Failed to load voter allowlist:', error);
+            return null;
+        }
+    },
+    
+    /**
+     * CLAIM ALLOWLIST REGISTRATION
+     * Registers an allowlisted account before ballots that have no proof variant
+     * (ranked, approval, sealed, delegation). No-op for registered accounts.
+     */
+    async claimAllowlistRegistration(electionId) {
+        const isRegistered = await web3Manager.contract.methods
+            .registeredVoters(electionId, web3Manager.account)
+            .call();
+        if (isRegistered) return;
+        
+        // Not allowlisted either: let the ballot transaction report the error
+        const entry = await this.getAllowlistEntry(electionId);
+        if (!entry) return;
+        
+        console.log('🌳 Registering from voter allowlist in election', electionId);
+        await web3Manager.sendTransaction(
+            web3Manager.contract.methods.registerWithProof(electionId, entry.weight, entry.proof)
+        );
+    },
+    
+    /**
+     * BATCH CALL
+     * Sends several view calls as one JSON-RPC batch and resolves to their
+     * decoded results, in order
+     * WHY: A large ballot over a remote RPC paid one round trip per call
+     * NOTE: Providers without batch support fall back to parallel calls
+     */
+    async batchCall(methods) {
+        if (methods.length === 0) return [];
+        
+        try {
+            const batch = new web3Manager.web3.BatchRequest();
+            const results = methods.map(method => new Promise((resolve, reject) => {
+                batch.add(method.call.request({}, (error, value) => error ? reject(error) : resolve(value)));
+            }));
+            batch.execute();
+            return await Promise.all(results);
+            
+        } catch (error) {
+            console.warn('⚠️ Batch request failed, sending calls one by one:', error);
+            return Promise.all(methods.map(method => method.call()));
+        }
+    },
+    
+    /**
+     * GET ALL CANDIDATES
+     * The whole ballot in two round trips: showResults for IDs, names, votes and
+     * status, then one batch for the candidates' profile links
+     * NOTE: Withdrawn candidates are included (withdrawn: true) so IDs line up
+     *       with results; ballots filter them out
+     * NOTE: Only the profile link and hash are read here; the profile itself
+     *       is fetched on demand by getCandidateProfile
+     * NOTE: UI modules read the ballot through contractStore, which caches it
+     */
+    async getCandidates(electionId) {
+        try {
+            console.log('🏛️ Getting all candidates for election', electionId, '...');
+            
+            const result = await web3Manager.contract.methods
+                .showResults(electionId)
+                .call();
+            const votes = result[0];
+            const names = result[1];
+            const withdrawn = result[3];
+            
+            const metadata = await this.batchCall(names.map((name, index) =>
+                web3Manager.contract.methods.candidateMetadata(electionId, index + 1)
+            ));
+            
+            const candidates = names.map((name, index) => ({
+                id: index + 1,
+                name,
+                votes: BigInt(votes[index]),
+                exists: true,
+                withdrawn: withdrawn[index],
+                metadataURI: metadata[index].uri || null,
+                metadataHash: /^0x0{64}$/i.test(metadata[index].contentHash) ? null : metadata[index].contentHash
+            }));
+            
+            console.log('✅ Retrieved', candidates.length, 'candidates');
+            return candidates;
+            
+        } catch (error) {
+            console.error('❌ Failed to get candidates:', error);
+            return [];
+        }
+    },
+    
+    /**
+     * GET CANDIDATE PROFILE
+     * Fetches the profile JSON behind candidate.metadataURI and checks it
+     * against the on-chain hash.
+     * Returns { profile, verified, error }: verified is true on a hash match,
+     * false on a mismatch and null when no hash was published.
+     * SECURITY: The hash covers the raw bytes, so the text is hashed before
+     *           parsing; a mismatched profile is still returned so the UI
+     *           can show it under a warning
+     */
+    async getCandidateProfile(candidate) {
+        const url = resolveMetadataURI(candidate.metadataURI);
+        if (!url) {
+            return { profile: null, verified: null, error: 'Unsupported profile link' };
+        }
+        
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                return { profile: null, verified: null, error: `Profile unavailable (HTTP ${response.status})` };
+            }
+            
+            const text = await response.text();
+            const verified = candidate.metadataHash
+                ? web3Manager.web3.utils.keccak256(text).toLowerCase() === candidate.metadataHash.toLowerCase()
+                : null;
+            
+            if (verified === false) {
+                console.warn('⚠️ Profile for candidate', candidate.id, 'does not match its on-chain hash');
+            }
+            
+            const profile = JSON.parse(text);
+            if (!profile || typeof profile !== 'object') {
+                return { profile: null, verified, error: 'Profile is not a JSON object' };
+            }
+            
+            return { profile, verified, error: null };
+            
+        } catch (error) {
+            console.warn('⚠️ Failed to load candidate profile:', error);
+            return { profile: null, verified: null, error: 'Profile could not be loaded' };
+        }
+    },
+    
+    /**
+     * HASH CANDIDATE PROFILE
+     * keccak256 of the JSON at uri, as setCandidateMetadata expects it
+     * WHY: Lets the candidate manager pin exactly the bytes voters will fetch
+     */
+    async hashCandidateProfile(uri) {
+        const url = resolveMetadataURI(uri);
+        if (!url) throw new Error('Profile link must start with https://, http:// or ipfs://');
+        
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Profile unavailable (HTTP ${response.status})`);
+        
+        const text = await response.text();
+        JSON.parse(text);
+        return web3Manager.web3.utils.keccak256(text);
+    },
+    
+    /**
+     * CAST VOTE
+     * Uses the vote function from deployed contract; allowlisted accounts that
+     * are not registered yet send their proof with voteWithProof instead
+     */
+    async castVote(electionId, candidateId) {
+        try {
+            console.log('🗳️ Casting vote for candidate:', candidateId, 'in election', electionId);
+            
+            const isRegistered = await web3Manager.contract.methods
+                .registeredVoters(electionId, web3Manager.account)
+                .call();
+            const entry = isRegistered ? null : await this.getAllowlistEntry(electionId);
+            
+            const result = await web3Manager.sendTransaction(entry
+                ? web3Manager.contract.methods.voteWithProof(electionId, candidateId, entry.weight, entry.proof)
+                : web3Manager.contract.methods.vote(electionId, candidateId)
+            );
+            
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Failed to cast vote:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * CHANGE VOTE
+     * Uses changeVote; only for elections that allow vote changes
+     */
+    async changeVote(electionId, candidateId) {
+        try {
+            console.log('🔁 Changing vote to:', candidateId, 'in election', electionId);
+            
+            const result = await web3Manager.sendTransaction(
+                web3Manager.contract.methods.changeVote(electionId, candidateId)
+            );
+            
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Failed to change vote:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * CAST RANKED BALLOT
+     * Uses voteRanked; ranking is candidate IDs, most preferred first
+     */
+    async castRankedVote(electionId, ranking) {
+        try {
+            console.log('🔢 Casting ranked ballot:', ranking.join(' > '), 'in election', electionId);
+            await this.claimAllowlistRegistration(electionId);
+            
+            const result = await web3Manager.sendTransaction(
+                web3Manager.contract.methods.voteRanked(electionId, ranking)
+            );
+            
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Failed to cast ranked ballot:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * CAST APPROVAL BALLOT
+     * Uses voteApproval; every listed candidate receives one vote
+     */
+    async castApprovalVote(electionId, candidateIds) {
+        try {
+            console.log('✅ Casting approval ballot for candidates:', candidateIds.join(', '), 'in election', electionId);
+            await this.claimAllowlistRegistration(electionId);
+            
+            const result = await web3Manager.sendTransaction(
+                web3Manager.contract.methods.voteApproval(electionId, candidateIds)
+            );
+            
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Failed to cast approval ballot:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * SECRET BALLOT: COMMIT SEALED VOTE
+     * commitment = keccak256(electionId, candidateId, salt, voter)
+     */
+    async commitVote(electionId, commitment) {
+        try {
+            console.log('🔒 Committing sealed vote in election', electionId);
+            await this.claimAllowlistRegistration(electionId);
+            
+            const result = await web3Manager.sendTransaction(
+                web3Manager.contract.methods.commitVote(electionId, commitment)
+            );
+            
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Failed to commit vote:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * DELEGATE VOTE
+     * Hands the caller's whole voting power to another registered voter
+     */
+    async delegateVote(electionId, delegateAddress) {
+        try {
+            console.log('🤝 Delegating vote to:', delegateAddress, 'in election', electionId);
+            await this.claimAllowlistRegistration(electionId);
+            
+            const result = await web3Manager.sendTransaction(
+                web3Manager.contract.methods.delegateVote(electionId, delegateAddress)
+            );
+            
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Failed to delegate vote:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * SECRET BALLOT: REVEAL SEALED VOTE
+     * Must be sent by the committing voter during the reveal phase
+     */
+    async revealVote(electionId, candidateId, salt) {
+        try {
+            console.log('🔓 Revealing vote for candidate:', candidateId, 'in election', electionId);
+            
+            const result = await web3Manager.sendTransaction(
+                web3Manager.contract.methods.revealVote(electionId, candidateId, salt)
+            );
+            
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Failed to reveal vote:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * SECRET BALLOT: GET SEALED BALLOT STATUS
+     * Uses the voteCommitments and hasRevealed getters
+     */
+    async getBallotCommitment(electionId, address = null) {
+        try {
+            const voterAddress = address || web3Manager.account;
+            if (!voterAddress || !electionId) return null;
+            
+            const commitment = await web3Manager.contract.methods
+                .voteCommitments(electionId, voterAddress)
+                .call();
+            const revealed = await web3Manager.contract.methods
+                .hasRevealed(electionId, voterAddress)
+                .call();
+            
+            return {
+                commitment,
+                committed: !/^0x0*$/.test(commitment),
+                revealed
+            };
+            
+        } catch (error) {
+            console.error('❌ Failed to get ballot commitment:', error);
+            return null;
+        }
+    },
+    
+    /**
+     * GET ELECTION RESULTS
+     * Uses showResults function from deployed contract
+     */
+    async getElectionResults(electionId) {
+        try {
+            console.log('📈 Getting election results for election', electionId, '...');
+            
+            const result = await web3Manager.contract.methods
+                .showResults(electionId)
+                .call();
+            
+            const votes = result[0].map(v => BigInt(v));
+            const names = result[1];
+            const winnerId = parseInt(result[2]);
+            const withdrawn = result[3];
+            
+            // Leaders come from the counts; the contract only reports a settled winner
+            const highest = votes.reduce((max, count) => (count > max ? count : max), 0n);
+            const leaders = highest > 0n
+                ? votes.map((count, index) => (count === highest ? index + 1 : 0)).filter(id => id !== 0)
+                : [];
+            
+            return {
+                votes,
+                names,
+                winnerId,
+                leaders,
+                // Blank ballots count toward turnout but are never candidates
+                abstentions: BigInt(result[4]),
+                noneOfTheAbove: BigInt(result[5]),
+                // Several leaders and no winner: the tie-break policy has not settled it
+                tie: winnerId === 0 && leaders.length > 1,
+                candidates: names.map((name, index) => ({
+                    id: index + 1,
+                    name,
+                    votes: votes[index],
+                    withdrawn: withdrawn[index],
+                    isWinner: (index + 1) === winnerId && !withdrawn[index],
+                    isLeader: leaders.includes(index + 1)
+                }))
+            };
+            
+        } catch (error) {
+            console.error('❌ Failed to get results:', error);
+            return null;
+        }
+    },
+    
+    /**
+     * GET FINAL RESULT
+     * Certified outcome from finalizeElection, or null while the election is not final.
+     * The transaction hash comes from the ElectionFinalized event, looked up in
+     * the one block the contract recorded
+     */
+    async getFinalResult(electionId) {
+        try {
+            const result = await web3Manager.contract.methods
+                .getFinalResult(electionId)
+                .call();
+            if (!result.finalized) return null;
+            
+            const blockNumber = parseInt(result.blockNumber);
+            let transactionHash = null;
+            try {
+                const events = await web3Manager.contract.getPastEvents('ElectionFinalized', {
+                    filter: { electionId },
+                    fromBlock: blockNumber,
+                    toBlock: blockNumber
+                });
+                if (events.length > 0) transactionHash = events[0].transactionHash;
+            } catch (error) {
+                console.warn('⚠️ Could not find the finalization transaction:', error);
+            }
+            
+            return {
+                blockNumber,
+                timestamp: parseInt(result.timestamp),
+                winners: result.winners.map(id => parseInt(id)),
+                quorumMet: result.quorumMet,
+                drawBlock: parseInt(result.drawBlock),
+                transactionHash
+            };
+            
+        } catch (error) {
+            console.error('❌ Failed to get final result:', error);
+            return null;
+        }
+    },
+    
+    /**
+     * GET RANKED BALLOTS
+     * Uses getRankedBallots function from deployed contract
+     */
+    async getRankedBallots(electionId) {
+        try {
+            const result = await web3Manager.contract.methods
+                .getRankedBallots(electionId)
+                .call();
+            
+            return result.map(ballot => ballot.map(id => parseInt(id)));
+            
+        } catch (error) {
+            console.error('❌ Failed to get ranked ballots:', error);
+            return [];
+        }
+    },
+    
+    /**
+     * GET RANKED BALLOT WEIGHTS
+     * Voting power behind each ballot, same order as getRankedBallots
+     */
+    async getRankedBallotWeights(electionId) {
+        try {
+            const result = await web3Manager.contract.methods
+                .getRankedBallotWeights(electionId)
+                .call();
+            
+            return result.map(weight => BigInt(weight));
+            
+        } catch (error) {
+            console.error('❌ Failed to get ranked ballot weights:', error);
+            return [];
+        }
+    },
+    
+    /**
+     * INSTANT-RUNOFF TALLY
+     * DESIGN DECISION: Runoff computed client-side from on-chain ballots
+     * WHY: Elimination rounds are unbounded loops; in a view call they cost
+     *      nothing, and anyone can rerun this against getRankedBallots
+     * 
+     * RULES:
+     * • Each round, a ballot counts for its highest-ranked remaining candidate
+     * • A ballot carries its voter's weight (1 when no weights are given);
+     *   weights and counts are BigInt, since weights go up to 2^96
+     * • A candidate with more than half of the continuing weight wins
+     * • Otherwise the candidate with the fewest votes is eliminated
+     * • Ties for last place: fewer first preferences goes first, then higher ID
+     * • If every remaining candidate is tied, the election is a tie
+     */
+    tallyInstantRunoff(candidates, ballots, weights = []) {
+        const weightOf = index => weights[index] || 1n;
+        const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+        const names = {};
+        candidates.forEach(c => { names[c.id] = c.name; });
+        
+        // Round-one counts double as the first tie-break
+        const firstPreferences = {};
+        candidates.forEach(c => { firstPreferences[c.id] = 0n; });
+        ballots.forEach((ballot, index) => {
+            if (ballot.length > 0 && ballot[0] in firstPreferences) firstPreferences[ballot[0]] += weightOf(index);
+        });
+        
+        let remaining = candidates.map(c => c.id);
+        const rounds = [];
+        
+        while (remaining.length > 0) {
+            const counts = {};
+            remaining.forEach(id => { counts[id] = 0n; });
+            
+            let exhausted = 0n;
+            let continuing = 0n;
+            ballots.forEach((ballot, index) => {
+                const choice = ballot.find(id => id in counts);
+                if (choice === undefined) {
+                    exhausted += weightOf(index);
+                } else {
+                    counts[choice] += weightOf(index);
+                    continuing += weightOf(index);
+                }
+            });
+            const round = {
+                number: rounds.length + 1,
+                counts: remaining.map(id => ({ id, name: names[id], votes: counts[id] })),
+                continuing,
+                exhausted,
+                eliminated: null,
+                winnerId: null
+            };
+            rounds.push(round);
+            
+            // Majority of continuing ballots (or last candidate standing) wins
+            const leader = remaining.reduce((best, id) => counts[id] > counts[best] ? id : best, remaining[0]);
+            if (continuing > 0n && (counts[leader] * 2n > continuing || remaining.length === 1)) {
+                round.winnerId = leader;
+                return { rounds, winnerId: leader, tied: [], totalBallots: ballots.length };
+            }
+            
+            // Everyone left is level: no one can be eliminated fairly
+            const lowest = remaining.reduce((min, id) => (counts[id] < min ? counts[id] : min), counts[remaining[0]]);
+            const trailing = remaining.filter(id => counts[id] === lowest);
+            if (continuing === 0n || trailing.length === remaining.length) {
+                return { rounds, winnerId: 0, tied: continuing === 0n ? [] : trailing, totalBallots: ballots.length };
+            }
+            
+            trailing.sort((a, b) => compare(firstPreferences[a], firstPreferences[b]) || (b - a));
+            round.eliminated = trailing[0];
+            remaining = remaining.filter(id => id !== round.eliminated);
+        }
+        
+        return { rounds, winnerId: 0, tied: [], totalBallots: ballots.length };
+    },
+    
+    /**
+     * GET INSTANT-RUNOFF RESULTS
+     * Combines the cached ballot, getRankedBallots and their weights with tallyInstantRunoff
+     */
+    async getInstantRunoffResults(electionId) {
+        try {
+            console.log('🔢 Running instant-runoff tally for election', electionId, '...');
+            
+            // Withdrawn candidates can never appear on a ballot
+            const candidates = (await contractStore.getCandidates(electionId)).filter(c => !c.withdrawn);
+            const ballots = await this.getRankedBallots(electionId);
+            const weights = await this.getRankedBallotWeights(electionId);
+            
+            return this.tallyInstantRunoff(candidates, ballots, weights);
+            
+        } catch (error) {
+            console.error('❌ Failed to tally instant runoff:', error);
+            return null;
+        }
+    },
+    
+    /**
+     * GET ELECTION STATISTICS
+     * Uses getElectionStats function from deployed contract
+     */
+    async getElectionStats(electionId) {
+        try {
+            console.log('📊 Getting election statistics for election', electionId, '...');
+            
+            const result = await web3Manager.contract.methods
+                .getElectionStats(electionId)
+                .call();
+            
+            // Secret ballot details live on the elections() getter
+            const election = await web3Manager.contract.methods
+                .elections(electionId)
+                .call();
+            const voterRoot = await web3Manager.contract.methods
+                .voterRoots(electionId)
+                .call();
+            const tieBreak = await web3Manager.contract.methods
+                .getTieBreakPolicy(electionId)
+                .call();
+            const voteChanges = await web3Manager.contract.methods
+                .getVoteChanges(electionId)
+                .call();
+            
+            return {
+                totalCandidates: parseInt(result[0]),
+                totalVotes: BigInt(result[1]),
+                votingActive: result[2],
+                admin: result[3],
+                phase: ELECTION_PHASES[parseInt(result[4])],
+                startTime: parseInt(result[5]),
+                endTime: parseInt(result[6]),
+                registeredVoters: parseInt(result[7]),
+                registeredVotingPower: BigInt(result[8]),
+                quorumVotes: BigInt(result[9]),
+                quorumMet: result[10],
+                secretBallot: election.secretBallot,
+                revealEndTime: parseInt(election.revealEndTime),
+                totalCommitments: parseInt(election.totalCommitments),
+                ballotType: BALLOT_TYPES[parseInt(election.ballotType)],
+                voterRoot: /^0x0{64}$/i.test(voterRoot) ? null : voterRoot,
+                finalized: election.finalized,
+                tieBreak: TIE_BREAK_POLICIES[parseInt(tieBreak)],
+                voteChanges
+            };
+            
+        } catch (error) {
+            console.error('❌ Failed to get election stats:', error);
+            return null;
+        }
+    },
+    
+    /**
+     * ADMIN FUNCTIONS
+     */
+    
+    /**
+     * ADMIN TRANSACTION ROUTING
+     * DESIGN DECISION: Admin calls go straight through while the threshold is 1
+     *                  and become multisig proposals above it
+     * WHY: Every admin form works the same in both modes; the proposal carries
+     *      exactly the call the form would have made
+     * NOTE: Holders of the function's role (see ROLES) always send directly
+     */
+    async sendAdminTransaction(contractMethod, role = null) {
+        if (role && await web3Manager.contract.methods.hasRole(ROLES.indexOf(role), web3Manager.account).call()) {
+            return web3Manager.sendTransaction(contractMethod);
+        }
+        
+        const threshold = parseInt(await web3Manager.contract.methods.adminThreshold().call());
+        if (threshold <= 1) {
+            return web3Manager.sendTransaction(contractMethod);
+        }
+        
+        const result = await web3Manager.sendTransaction(
+            web3Manager.contract.methods.propose(contractMethod.encodeABI())
+        );
+        
+        const proposalId = result.events.ProposalCreated.returnValues.proposalId;
+        showModal('Proposal Created',
+            `This action needs ${threshold} admin approvals. Proposal #${proposalId} has your approval; it runs once enough admins approve it under Pending Proposals.`);
+        
+        return result;
+    },
+    
+    /**
+     * GET USER ROLES
+     * RETURNS: Every permission the account holds: 'admin' and/or ROLES names
+     * NOTE: Admins can use every role's functions, so they get the full set
+     */
+    async getUserRoles(account = web3Manager.account) {
+        try {
+            if (await web3Manager.contract.methods.isAdmin(account).call()) {
+                return ['admin', ...ROLES];
+            }
+            
+            const held = await Promise.all(
+                ROLES.map((role, index) => web3Manager.contract.methods.hasRole(index, account).call())
+            );
+            
+            return ROLES.filter((role, index) => held[index]);
+            
+        } catch (error) {
+            console.error('❌ Failed to get user roles:', error);
+            return [];
+        }
+    },
+    
+    /**
+     * GET ROLE MEMBERS
+     * RETURNS: { registrar: [addresses], candidateManager: [...], electionOperator: [...] }
+     */
+    async getRoleMembers() {
+        try {
+            const members = await Promise.all(
+                ROLES.map((role, index) => web3Manager.contract.methods.getRoleMembers(index).call())
+            );
+            
+            return Object.fromEntries(ROLES.map((role, index) => [role, members[index]]));
+            
+        } catch (error) {
+            console.error('❌ Failed to get role members:', error);
+            return Object.fromEntries(ROLES.map(role => [role, []]));
+        }
+    },
+    
+    /**
+     * GRANT ROLE (ADMIN ONLY)
+     */
+    async grantRole(role, account) {
+        try {
+            console.log('🛂 Granting role', role, 'to', account);
+            
+            const result = await this.sendAdminTransaction(
+                web3Manager.contract.methods.grantRole(ROLES.indexOf(role), account)
+            );
+            
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Failed to grant role:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * REVOKE ROLE (ADMIN ONLY)
+     */
+    async revokeRole(role, account) {
+        try {
+            console.log('🛂 Revoking role', role, 'from', account);
+            
+            const result = await this.sendAdminTransaction(
+                web3Manager.contract.methods.revokeRole(ROLES.indexOf(role), account)
+            );
+            
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Failed to revoke role:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * GET ADMIN SET
+     * Current admins and the number of approvals each proposal needs
+     */
+    async getAdminInfo() {
+        try {
+            const admins = await web3Manager.contract.methods.getAdmins().call();
+            const threshold = await web3Manager.contract.methods.adminThreshold().call();
+            
+            return { admins, threshold: parseInt(threshold) };
+            
+        } catch (error) {
+            console.error('❌ Failed to get admin set:', error);
+            return { admins: [], threshold: 1 };
+        }
+    },
+    
+    /**
+     * DESCRIBE PROPOSAL
+     * Decodes proposal calldata against the contract ABI, so admins see
+     * "registerVoter(electionId: 1, voter: 0x…, weight: 2)" rather than hex
+     */
+    describeProposal(data) {
+        const selector = data.slice(0, 10);
+        const abiItem = web3Manager.contract.options.jsonInterface
+            .find(item => item.type === 'function' && item.signature === selector);
+        
+        if (!abiItem) {
+            return { name: 'unknown', args: [{ name: 'calldata', value: data }] };
+        }
+        
+        const decoded = web3Manager.web3.eth.abi.decodeParameters(abiItem.inputs, '0x' + data.slice(10));
+        return {
+            name: abiItem.name,
+            args: abiItem.inputs.map((input, i) => ({ name: input.name.replace(/^_/, ''), value: decoded[i] }))
+        };
+    },
+    
+    /**
+     * GET PENDING PROPOSALS
+     * Every proposal not yet executed, with its decoded call and approvals
+     */
+    async getPendingProposals() {
+        try {
+            const count = parseInt(await web3Manager.contract.methods.proposalCount().call());
+            const proposals = [];
+            
+            for (let id = 1; id <= count; id++) {
+                const proposal = await web3Manager.contract.methods.getProposal(id).call();
+                if (proposal.executed) continue;
+                
+                const approvedByMe = web3Manager.account
+                    ? await web3Manager.contract.methods.proposalApprovals(id, web3Manager.account).call()
+                    : false;
+                
+                proposals.push({
+                    id,
+                    proposer: proposal.proposer,
+                    approvals: parseInt(proposal.approvals),
+                    approvedByMe,
+                    ...this.describeProposal(proposal.data)
+                });
+            }
+            
+            return proposals;
+            
+        } catch (error) {
+            console.error('❌ Failed to get proposals:', error);
+            return [];
+        }
+    },
+    
+    /**
+     * APPROVE PROPOSAL (ADMIN ONLY)
+     */
+    async approveProposal(proposalId) {
+        try {
+            console.log('✍️ Approving proposal', proposalId);
+            
+            const result = await web3Manager.sendTransaction(
+                web3Manager.contract.methods.approveProposal(proposalId)
+            );
+            
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Failed to approve proposal:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * EXECUTE PROPOSAL (ADMIN ONLY)
+     * Any admin may execute once the threshold is met
+     */
+    async executeProposal(proposalId) {
+        try {
+            console.log('🚀 Executing proposal', proposalId);
+            
+            const result = await web3Manager.sendTransaction(
+                web3Manager.contract.methods.executeProposal(proposalId)
+            );
+            
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Failed to execute proposal:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * ADD ADMIN (ADMIN ONLY)
+     */
+    async addAdmin(account) {
+        try {
+            console.log('👑 Adding admin:', account);
+            
+            const result = await this.sendAdminTransaction(
+                web3Manager.contract.methods.addAdmin(account)
+            );
+            
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Failed to add admin:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * REMOVE ADMIN (ADMIN ONLY)
+     */
+    async removeAdmin(account) {
+        try {
+            console.log('👑 Removing admin:', account);
+            
+            const result = await this.sendAdminTransaction(
+                web3Manager.contract.methods.removeAdmin(account)
+            );
+            
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Failed to remove admin:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * SET ADMIN THRESHOLD (ADMIN ONLY)
+     * threshold: approvals each proposal needs (1 = direct admin calls)
+     */
+    async setAdminThreshold(threshold) {
+        try {
+            console.log('👑 Setting admin threshold to', threshold);
+            
+            const result = await this.sendAdminTransaction(
+                web3Manager.contract.methods.setAdminThreshold(threshold)
+            );
+            
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Failed to set admin threshold:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * CREATE ELECTION (ADMIN ONLY)
+     */
+    async createElection(title) {
+        try {
+            console.log('🗂️ Creating election:', title);
+            
+            const result = await this.sendAdminTransaction(
+                web3Manager.contract.methods.createElection(title)
+            );
+            
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Failed to create election:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * REGISTER VOTER (ADMIN ONLY)
+     * weight: voting power added to the tally by each of the voter's ballots
+     */
+    async registerVoter(electionId, voterAddress, weight = 1) {
         try {
-            const voterAddress = address || web3Manager.account;
-            if (!voterAddress) return null;
-            
-            console.log('📋 Getting voter status for:', voterAddress);
+            console.log('📝 Registering voter:', voterAddress, 'in election', electionId, 'with weight', weight);
             
-            const result = await web3Manager.contract.methods
-                .getVoterStatus(voterAddress)
-                .call();
+            const result = await this.sendAdminTransaction(
+                web3Manager.contract.methods.registerVoter(electionId, voterAddress, weight),
+                'registrar'
+            );
             
-            return {
-                isRegistered: result[0],
-                hasVoted: result[1],
-                canVote: result[2]
-            };
+            return result;
             
         } catch (error) {
-            console.error('❌ Failed to get voter status:', error);
-            return null;
+            console.error('❌ Failed to register voter:', error);
+            throw error;
         }
     },
     
     /**
-     * GET ALL CANDIDATES
-     * Uses candidateCount and getCandidateInfo from deployed contract
-     */
-    async getCandidates() {
-        try {
-            console.log('🏛️ Getting all candidates...');
-            
-            const candidateCount = await web3Manager.contract.methods.candidateCount().call();
-            const candidates = [];
-            
-            for (let i = 1; i <= candidateCount; i++) {
-                try {
-                    const candidateInfo = await web3Manager.contract.methods
-                        .getCandidateInfo(i)
-                        .call();
-                    
-                    candidates.push({
-                        id: i,
-                        name: candidateInfo[0],
-                        votes: parseInt(candidateInfo[1]),
-                        exists: candidateInfo[2]
-                    });
-                } catch (error) {
-                    console.warn('⚠️ Failed to get candidate', i, ':', error);
-                }
-            }
+     * DEREGISTER VOTER (ADMIN OR REGISTRAR)
+     * The contract refuses voters who have already voted or delegated
+     */
+    async deregisterVoter(electionId, voterAddress) {
+        try {
+            console.log('🚫 Deregistering voter:', voterAddress, 'from election', electionId);
             
-            console.log('✅ Retrieved', candidates.length, 'candidates');
-            return candidates;
+            const result = await this.sendAdminTransaction(
+                web3Manager.contract.methods.deregisterVoter(electionId, voterAddress),
+                'registrar'
+            );
+            
+            return result;
             
         } catch (error) {
-            console.error('❌ Failed to get candidates:', error);
-            return [];
+            console.error('❌ Failed to deregister voter:', error);
+            throw error;
         }
     },
     
     /**
-     * CAST VOTE
-     * Uses the vote function from deployed contract
+     * REGISTER VOTERS IN BULK (ADMIN ONLY)
+     * One transaction for the whole list; the contract reverts it all if any row is bad
      */
-    async castVote(candidateId) {
+    async registerVoters(electionId, voterAddresses, weights) {
         try {
-            console.log('🗳️ Casting vote for candidate:', candidateId);
+            console.log('📝 Registering', voterAddresses.length, 'voters in election', electionId);
             
-            const result = await web3Manager.sendTransaction(
-                web3Manager.contract.methods.vote(candidateId)
+            const result = await this.sendAdminTransaction(
+                web3Manager.contract.methods.registerVoters(electionId, voterAddresses, weights),
+                'registrar'
             );
             
             return result;
             
         } catch (error) {
-            console.error('❌ Failed to cast vote:', error);
+            console.error('❌ Failed to register voter batch:', error);
             throw error;
         }
     },
     
     /**
-     * GET ELECTION RESULTS
-     * Uses showResults function from deployed contract
+     * FIND REGISTERED ADDRESSES
+     * Lets bulk uploads skip addresses the contract would reject as duplicates
      */
-    async getElectionResults() {
+    async getRegisteredAddresses(electionId, voterAddresses) {
         try {
-            console.log('📈 Getting election results...');
+            const flags = await Promise.all(voterAddresses.map(address =>
+                web3Manager.contract.methods.registeredVoters(electionId, address).call()
+            ));
             
-            const result = await web3Manager.contract.methods
-                .showResults()
-                .call();
+            return voterAddresses.filter((address, i) => flags[i]);
             
-            const votes = result[0].map(v => parseInt(v));
-            const names = result[1];
-            const winnerId = parseInt(result[2]);
+        } catch (error) {
+            console.error('❌ Failed to check registered voters:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * PUBLISH VOTER ALLOWLIST ROOT (ADMIN ONLY)
+     * root: Merkle root printed by build-voter-allowlist.js
+     */
+    async setVoterRoot(electionId, root) {
+        try {
+            console.log('🌳 Publishing voter allowlist root:', root, 'for election', electionId);
             
-            return {
-                votes,
-                names,
-                winnerId,
-                candidates: names.map((name, index) => ({
-                    id: index + 1,
-                    name,
-                    votes: votes[index],
-                    isWinner: (index + 1) === winnerId
-                }))
-            };
+            const result = await this.sendAdminTransaction(
+                web3Manager.contract.methods.setVoterRoot(electionId, root),
+                'registrar'
+            );
+            
+            return result;
             
         } catch (error) {
-            console.error('❌ Failed to get results:', error);
-            return null;
+            console.error('❌ Failed to publish voter allowlist root:', error);
+            throw error;
         }
     },
     
     /**
-     * GET ELECTION STATISTICS
-     * Uses getElectionStats function from deployed contract
+     * ADD CANDIDATE (ADMIN ONLY)
      */
-    async getElectionStats() {
+    async addCandidate(electionId, candidateName) {
         try {
-            console.log('📊 Getting election statistics...');
+            console.log('➕ Adding candidate:', candidateName, 'to election', electionId);
             
-            const result = await web3Manager.contract.methods
-                .getElectionStats()
-                .call();
+            const result = await this.sendAdminTransaction(
+                web3Manager.contract.methods.addCandidate(electionId, candidateName),
+                'candidateManager'
+            );
             
-            return {
-                totalCandidates: parseInt(result[0]),
-                totalVotes: parseInt(result[1]),
-                votingActive: result[2],
-                admin: result[3]
-            };
+            return result;
             
         } catch (error) {
-            console.error('❌ Failed to get election stats:', error);
-            return null;
+            console.error('❌ Failed to add candidate:', error);
+            throw error;
         }
     },
     
     /**
-     * ADMIN FUNCTIONS
+     * RENAME CANDIDATE (ADMIN OR CANDIDATE MANAGER)
+     * Only while no votes have been cast; the ID stays the same
      */
+    async renameCandidate(electionId, candidateId, candidateName) {
+        try {
+            console.log('✏️ Renaming candidate', candidateId, 'to', candidateName, 'in election', electionId);
+            
+            const result = await this.sendAdminTransaction(
+                web3Manager.contract.methods.renameCandidate(electionId, candidateId, candidateName),
+                'candidateManager'
+            );
+            
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Failed to rename candidate:', error);
+            throw error;
+        }
+    },
     
     /**
-     * REGISTER VOTER (ADMIN ONLY)
+     * WITHDRAW CANDIDATE (ADMIN OR CANDIDATE MANAGER)
+     * Only while no votes have been cast; the entry stays in results, marked withdrawn
      */
-    async registerVoter(voterAddress) {
+    async withdrawCandidate(electionId, candidateId) {
         try {
-            console.log('📝 Registering voter:', voterAddress);
+            console.log('🚫 Withdrawing candidate', candidateId, 'from election', electionId);
             
-            const result = await web3Manager.sendTransaction(
-                web3Manager.contract.methods.registerVoter(voterAddress)
+            const result = await this.sendAdminTransaction(
+                web3Manager.contract.methods.withdrawCandidate(electionId, candidateId),
+                'candidateManager'
             );
             
             return result;
             
         } catch (error) {
-            console.error('❌ Failed to register voter:', error);
+            console.error('❌ Failed to withdraw candidate:', error);
             throw error;
         }
     },
     
     /**
-     * ADD CANDIDATE (ADMIN ONLY)
+     * SET CANDIDATE METADATA (ADMIN OR CANDIDATE MANAGER)
+     * Only while no votes have been cast; an empty uri clears the profile
      */
-    async addCandidate(candidateName) {
+    async setCandidateMetadata(electionId, candidateId, uri, contentHash = null) {
         try {
-            console.log('➕ Adding candidate:', candidateName);
+            console.log('🪪 Setting profile for candidate', candidateId, 'in election', electionId, ':', uri);
             
-            const result = await web3Manager.sendTransaction(
-                web3Manager.contract.methods.addCandidate(candidateName)
+            const result = await this.sendAdminTransaction(
+                web3Manager.contract.methods.setCandidateMetadata(
+                    electionId,
+                    candidateId,
+                    uri,
+                    contentHash || '0x' + '0'.repeat(64)
+                ),
+                'candidateManager'
             );
             
             return result;
             
         } catch (error) {
-            console.error('❌ Failed to add candidate:', error);
+            console.error('❌ Failed to set candidate profile:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * FINALIZE ELECTION (ADMIN OR ELECTION OPERATOR)
+     * Only once voting and any reveal window are over; the election becomes read-only
+     */
+    async finalizeElection(electionId) {
+        try {
+            console.log('🏁 Finalizing election', electionId, '...');
+            
+            const result = await this.sendAdminTransaction(
+                web3Manager.contract.methods.finalizeElection(electionId),
+                'electionOperator'
+            );
+            
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Failed to finalize election:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * DRAW TIE-BREAK
+     * Only for finalized elections under the adminDraw policy that ended in a tie
+     * NOTE: Requesting the draw is admin only; completing a requested draw is
+     *       open to any account, so it is sent directly
+     */
+    async drawTieBreak(electionId, complete = false) {
+        try {
+            console.log(complete ? '🎲 Completing tie-break draw for election' : '🎲 Requesting tie-break draw for election', electionId, '...');
+            
+            const method = web3Manager.contract.methods.drawTieBreak(electionId);
+            const result = complete
+                ? await web3Manager.sendTransaction(method)
+                : await this.sendAdminTransaction(method);
+            
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Failed to draw tie-break:', error);
             throw error;
         }
     },
@@ -196,12 +1284,13 @@ const contractAPI = {
     /**
      * TOGGLE VOTING (ADMIN ONLY)
      */
-    async toggleVoting() {
+    async toggleVoting(electionId) {
         try {
-            console.log('🔄 Toggling voting status...');
+            console.log('🔄 Toggling voting status for election', electionId, '...');
             
-            const result = await web3Manager.sendTransaction(
-                web3Manager.contract.methods.toggleVoting()
+            const result = await this.sendAdminTransaction(
+                web3Manager.contract.methods.toggleVoting(electionId),
+                'electionOperator'
             );
             
             return result;
@@ -212,14 +1301,137 @@ const contractAPI = {
         }
     },
     
+    /**
+     * SCHEDULE VOTING WINDOW (ADMIN ONLY)
+     * Times are unix timestamps in seconds
+     */
+    async scheduleVoting(electionId, startTime, endTime) {
+        try {
+            console.log('⏰ Scheduling voting for election', electionId, ':', startTime, '→', endTime);
+            
+            const result = await this.sendAdminTransaction(
+                web3Manager.contract.methods.scheduleVoting(electionId, startTime, endTime),
+                'electionOperator'
+            );
+            
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Failed to schedule voting:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * SCHEDULE SECRET BALLOT (ADMIN ONLY)
+     * Commit phase [start, end), reveal phase [end, revealEnd)
+     */
+    async scheduleSecretBallot(electionId, startTime, endTime, revealEndTime) {
+        try {
+            console.log('🔒 Scheduling secret ballot for election', electionId, ':', startTime, '→', endTime, '→', revealEndTime);
+            
+            const result = await this.sendAdminTransaction(
+                web3Manager.contract.methods.scheduleSecretBallot(electionId, startTime, endTime, revealEndTime),
+                'electionOperator'
+            );
+            
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Failed to schedule secret ballot:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * SET BALLOT TYPE (ADMIN ONLY)
+     * ballotType: 'plurality', 'ranked' or 'approval'
+     */
+    async setBallotType(electionId, ballotType) {
+        try {
+            console.log('🔢 Setting ballot type for election', electionId, 'to', ballotType);
+            
+            const result = await this.sendAdminTransaction(
+                web3Manager.contract.methods.setBallotType(electionId, BALLOT_TYPES.indexOf(ballotType))
+            );
+            
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Failed to set ballot type:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * SET TIE-BREAK POLICY (ADMIN ONLY)
+     * policy: 'declareTie', 'earliestToReach' or 'adminDraw'
+     */
+    async setTieBreakPolicy(electionId, policy) {
+        try {
+            console.log('⚖️ Setting tie-break policy for election', electionId, 'to', policy);
+            
+            const result = await this.sendAdminTransaction(
+                web3Manager.contract.methods.setTieBreakPolicy(electionId, TIE_BREAK_POLICIES.indexOf(policy))
+            );
+            
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Failed to set tie-break policy:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * SET QUORUM (ADMIN ONLY)
+     * percentage: threshold is a percent of registered voting power, otherwise a vote count
+     */
+    async setQuorum(electionId, threshold, percentage) {
+        try {
+            console.log('📏 Setting quorum for election', electionId, 'to', threshold, percentage ? '%' : 'votes');
+            
+            const result = await this.sendAdminTransaction(
+                web3Manager.contract.methods.setQuorum(electionId, threshold, percentage)
+            );
+            
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Failed to set quorum:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * SET VOTE CHANGES (ADMIN ONLY)
+     * allowed: whether voters may recast plurality votes while voting is open
+     */
+    async setVoteChanges(electionId, allowed) {
+        try {
+            console.log('🔁 Setting vote changes for election', electionId, 'to', allowed);
+            
+            const result = await this.sendAdminTransaction(
+                web3Manager.contract.methods.setVoteChanges(electionId, allowed)
+            );
+            
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Failed to set vote changes:', error);
+            throw error;
+        }
+    },
+    
     /**
      * TRANSFER ADMIN (ADMIN ONLY)
+     * NOTE: Step 1 of 2 - only nominates; the nominee calls acceptAdmin
      */
     async transferAdmin(newAdminAddress) {
         try {
-            console.log('🔑 Transferring admin to:', newAdminAddress);
+            console.log('🔑 Nominating new admin:', newAdminAddress);
             
-            const result = await web3Manager.sendTransaction(
+            const result = await this.sendAdminTransaction(
                 web3Manager.contract.methods.transferAdmin(newAdminAddress)
             );
             
@@ -229,6 +1441,88 @@ const contractAPI = {
             console.error('❌ Failed to transfer admin:', error);
             throw error;
         }
+    },
+    
+    /**
+     * CANCEL ADMIN TRANSFER (ADMIN ONLY)
+     */
+    async cancelAdminTransfer() {
+        try {
+            console.log('🔑 Cancelling pending admin transfer');
+            
+            const result = await this.sendAdminTransaction(
+                web3Manager.contract.methods.cancelAdminTransfer()
+            );
+            
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Failed to cancel admin transfer:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * GET PENDING ADMIN TRANSFER
+     * RETURNS: { admin, pendingAdmin } with pendingAdmin null when none is pending
+     */
+    async getAdminTransferStatus() {
+        try {
+            const [admin, pendingAdmin] = await Promise.all([
+                web3Manager.contract.methods.admin().call(),
+                web3Manager.contract.methods.pendingAdmin().call()
+            ]);
+            
+            return {
+                admin,
+                pendingAdmin: /^0x0+$/.test(pendingAdmin) ? null : pendingAdmin
+            };
+            
+        } catch (error) {
+            console.error('❌ Failed to get admin transfer status:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * ACCEPT ADMIN ROLE (PENDING ADMIN ONLY)
+     * NOTE: Step 2 of 2 - sent by the nominee, so never routed through proposals
+     */
+    async acceptAdmin() {
+        try {
+            console.log('🔑 Accepting admin role');
+            
+            const result = await web3Manager.sendTransaction(
+                web3Manager.contract.methods.acceptAdmin()
+            );
+            
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Failed to accept admin role:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * VERIFY TALLY
+     * Rebuilds an election's counts from its event logs and compares them
+     * with voteCounts / totalVotes (see tally.js)
+     * RETURNS: tallyVerifier report; report.ok is false on any mismatch
+     */
+    async verifyTally(electionId) {
+        try {
+            const [fromBlock, toBlock] = await Promise.all([
+                web3Manager.getDeploymentBlock(),
+                web3Manager.web3.eth.getBlockNumber()
+            ]);
+            
+            return await tallyVerifier.verifyTally(web3Manager.contract, electionId, { fromBlock, toBlock });
+            
+        } catch (error) {
+            console.error('❌ Failed to verify tally:', error);
+            throw error;
+        }
     }
 };
 
@@ -245,55 +1539,51 @@ console.log('🔗 Contract API module loaded');
  * DESIGN DECISION: Contract event monitoring
  * WHY: Real-time updates when contract state changes
  * PERFORMANCE: Event-driven updates are more efficient than polling
+ * NOTE: Events feed contractStore, which drops only the affected data and
+ *       tells the subscribed renderers; polling takes over while no
+ *       subscription is live (HTTP providers cannot subscribe at all)
  */
 
 let eventSubscriptions = [];
 
 /**
  * SUBSCRIBE TO CONTRACT EVENTS
- * DESIGN: Real-time UI updates from blockchain events
+ * DESIGN: One allEvents subscription; contractStore decides what each event affects
  */
 function subscribeToEvents() {
     if (!web3Manager.contract) return;
+    unsubscribeFromEvents();
     
     try {
-        // Vote cast events
-        const voteEvent = web3Manager.contract.events.VoteCast({
+        const subscription = web3Manager.contract.events.allEvents({
             fromBlock: 'latest'
         });
         
-        voteEvent.on('data', (event) => {
-            console.log('🗳️ Vote cast event:', event);
-            // Trigger UI update
-            if (window.updateUI) {
-                window.updateUI();
-            }
+        subscription.on('connected', () => {
+            contractStore.setLive(true);
         });
         
-        voteEvent.on('error', (error) => {
-            console.error('❌ Vote event error:', error);
+        subscription.on('data', (event) => {
+            console.log('📨 Contract event:', event.event, event.returnValues);
+            contractStore.applyEvent(event);
         });
         
-        eventSubscriptions.push(voteEvent);
-        
-        // Voter registered events
-        const voterEvent = web3Manager.contract.events.VoterRegistered({
-            fromBlock: 'latest'
+        // Logs removed by a reorg: the state they changed is stale again
+        subscription.on('changed', (event) => {
+            contractStore.dropEvent(event);
         });
         
-        voterEvent.on('data', (event) => {
-            console.log('👤 Voter registered event:', event);
-            if (window.updateUI) {
-                window.updateUI();
-            }
+        subscription.on('error', (error) => {
+            console.warn('⚠️ Event subscription failed:', error.message || error);
+            contractStore.setLive(false);
         });
         
-        eventSubscriptions.push(voterEvent);
-        
+        eventSubscriptions.push(subscription);
         console.log('👂 Subscribed to contract events');
         
     } catch (error) {
         console.error('❌ Failed to subscribe to events:', error);
+        contractStore.setLive(false);
     }
 }
 
@@ -302,6 +1592,8 @@ function subscribeToEvents() {
  * CLEANUP: Stop listening to events when contract changes
  */
 function unsubscribeFromEvents() {
+    if (eventSubscriptions.length === 0) return;
+    
     eventSubscriptions.forEach(subscription => {
         try {
             subscription.unsubscribe();
@@ -311,6 +1603,7 @@ function unsubscribeFromEvents() {
     });
     
     eventSubscriptions = [];
+    contractStore.setLive(false);
     console.log('🔇 Unsubscribed from contract events');
 }
 
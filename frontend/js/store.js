@@ -0,0 +1,438 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * CONTRACT STORE MODULE
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ *
+ * DESIGN DECISION: One reactive cache for contract reads, shared by every UI module
+ * WHY: The voting, results and admin code each fetched the same data, and
+ *      every refresh re-fetched all of it
+ * TRADE-OFF: Cached data is only as fresh as the last event or poll
+ *
+ * This module:
+ * - Caches elections, ballots, stats, voter status and admin data
+ * - Shares one in-flight request between concurrent callers
+ * - Turns each contract event into a patch or invalidation of the parts it affects
+ * - Drops each election's phase-dependent data at its next scheduled boundary
+ * - Tells subscribed renderers which parts changed
+ *
+ * Data is grouped in slices:
+ * - elections:   the election list (totals, windows, phases)
+ * - candidates:  one election's ballot
+ * - stats:       one election's statistics and settings
+ * - results:     one election's results, instant-runoff tally and certified result
+ * - voterStatus: the connected account's status in one election
+ * - admin:       admin set, proposals, roles and admin transfer
+ */
+
+/**
+ * EVENT SLICES
+ * Which slices each contract event makes stale
+ * NOTE: Events with an electionId only touch that election's entries;
+ *       voterStatus is only dropped when the event names the connected account,
+ *       except VoteDelegated (see applyEvent)
+ * NOTE: The elections slice holds per-election totals and phases, so vote
+ *       and scheduling events mark it stale too
+ */
+const EVENT_SLICES = {
+    ElectionCreated: ['elections'],
+    VoterRegistered: ['stats', 'voterStatus'],
+    VoterDeregistered: ['stats', 'voterStatus'],
+    VoterRootSet: ['stats', 'voterStatus'],
+    VoteDelegated: ['stats', 'voterStatus'],
+    CandidateAdded: ['elections', 'candidates', 'stats', 'results'],
+    CandidateRenamed: ['candidates', 'results'],
+    CandidateWithdrawn: ['candidates', 'stats', 'results'],
+    CandidateMetadataSet: ['candidates'],
+    VoteCast: ['elections', 'candidates', 'stats', 'results', 'voterStatus'],
+    VoteCommitted: ['elections', 'stats', 'voterStatus'],
+    VoteRevealed: ['candidates', 'stats', 'results', 'voterStatus'],
+    VoteChanged: ['candidates', 'stats', 'results', 'voterStatus'],
+    RankedVoteCast: ['elections', 'candidates', 'stats', 'results', 'voterStatus'],
+    ApprovalVoteCast: ['elections', 'candidates', 'stats', 'results', 'voterStatus'],
+    VotingStatusChanged: ['elections', 'stats', 'voterStatus'],
+    VotingScheduled: ['elections', 'stats', 'voterStatus'],
+    SecretBallotScheduled: ['elections', 'stats', 'voterStatus'],
+    BallotTypeSet: ['elections', 'stats'],
+    TieBreakPolicySet: ['stats', 'results'],
+    QuorumSet: ['stats'],
+    VoteChangesSet: ['elections', 'stats'],
+    ElectionFinalized: ['elections', 'stats', 'results'],
+    TieBreakRequested: ['results'],
+    TieBroken: ['candidates', 'stats', 'results'],
+    AdminChanged: ['admin'],
+    AdminTransferProposed: ['admin'],
+    AdminTransferCancelled: ['admin'],
+    AdminAdded: ['admin'],
+    AdminRemoved: ['admin'],
+    AdminThresholdChanged: ['admin'],
+    ProposalCreated: ['admin'],
+    ProposalApproved: ['admin'],
+    ProposalExecuted: ['admin'],
+    RoleGranted: ['admin'],
+    RoleRevoked: ['admin']
+};
+
+/**
+ * EVENT PATCHES
+ * Slices an event's own values bring up to date in place, instead of
+ * dropping them and fetching them again
+ * NOTE: Only values an event fully determines (names, flags, settings) are
+ *       patched, so patching data that already includes the event changes
+ *       nothing; counts and totals are re-read rather than added to twice
+ */
+const candidateWithId = (candidates, id) => candidates.find(candidate => candidate.id === parseInt(id));
+const electionWithId = (elections, id) => elections.find(election => election.id === parseInt(id)) || {};
+
+const EVENT_PATCHES = {
+    CandidateRenamed: {
+        candidates: (candidates, values) => {
+            const candidate = candidateWithId(candidates, values.candidateId);
+            if (candidate) candidate.name = values.name;
+        }
+    },
+    CandidateMetadataSet: {
+        candidates: (candidates, values) => {
+            const candidate = candidateWithId(candidates, values.candidateId);
+            if (!candidate) return;
+            candidate.metadataURI = values.uri || null;
+            candidate.metadataHash = /^0x0{64}$/i.test(values.contentHash) ? null : values.contentHash;
+        }
+    },
+    VoterRootSet: {
+        stats: (stats, values) => {
+            stats.voterRoot = /^0x0{64}$/i.test(values.root) ? null : values.root;
+        }
+    },
+    VotingStatusChanged: {
+        elections: (elections, values) => {
+            const election = electionWithId(elections, values.electionId);
+            election.votingActive = values.active;
+            election.phase = getElectionPhase(election);
+        },
+        stats: (stats, values) => {
+            // stats.votingActive is "open right now", like the contract's
+            stats.phase = getElectionPhase({ ...stats, votingActive: values.active });
+            stats.votingActive = stats.phase === 'open';
+        }
+    },
+    BallotTypeSet: {
+        elections: (elections, values) => {
+            electionWithId(elections, values.electionId).ballotType = BALLOT_TYPES[parseInt(values.ballotType)];
+        },
+        stats: (stats, values) => {
+            stats.ballotType = BALLOT_TYPES[parseInt(values.ballotType)];
+        }
+    },
+    TieBreakPolicySet: {
+        stats: (stats, values) => {
+            stats.tieBreak = TIE_BREAK_POLICIES[parseInt(values.policy)];
+        }
+    },
+    VoteChangesSet: {
+        elections: (elections, values) => {
+            electionWithId(elections, values.electionId).voteChanges = values.allowed;
+        },
+        stats: (stats, values) => {
+            stats.voteChanges = values.allowed;
+        }
+    },
+    ElectionFinalized: {
+        elections: (elections, values) => {
+            electionWithId(elections, values.electionId).finalized = true;
+        },
+        stats: (stats) => {
+            stats.finalized = true;
+        }
+    }
+};
+
+// Slices that depend on the phase, which the clock changes without an event
+const PHASE_SLICES = ['elections', 'stats', 'voterStatus'];
+
+const STORE_STATE = {
+    entries: {},      // 'slice|electionId|variant' → Promise of the value
+    listeners: [],    // { slices, listener }
+    changes: null,    // { slices, electionIds } not announced yet
+    boundaries: {},   // electionId → timer for its next phase boundary
+    live: false       // an event subscription is delivering logs
+};
+
+// Events from one block arrive together; renderers hear about them once
+const STORE_NOTIFY_DELAY = 250;
+
+// View calls run against the latest block, whose timestamp trails the clock
+// by up to one block interval; waiting this long after a boundary means the
+// contract already reports the new phase
+const STORE_BOUNDARY_DELAY = 15000;
+
+// setTimeout overflows past ~24.8 days; later boundaries wait for a later fetch
+const STORE_MAX_TIMER = 2 ** 31 - 1;
+
+/**
+ * CACHED READ
+ * Returns the cached promise for a key, calling loader on a miss
+ * NOTE: contractAPI reports failures as null; those are not kept, so the
+ *       next read tries again
+ */
+function cachedRead(slice, electionId, variant, loader) {
+    const key = [slice, electionId ?? '', variant ?? ''].join('|');
+    
+    if (!STORE_STATE.entries[key]) {
+        const promise = loader();
+        STORE_STATE.entries[key] = promise;
+        
+        const forget = () => {
+            if (STORE_STATE.entries[key] === promise) delete STORE_STATE.entries[key];
+        };
+        promise.then(value => { if (value === null) forget(); }, forget);
+    }
+    return STORE_STATE.entries[key];
+}
+
+function currentAccount() {
+    return web3Manager.account ? web3Manager.account.toLowerCase() : '';
+}
+
+const contractStore = {
+    
+    // ═══════════════════════════════════════════════════════════════════════════════
+    // READS
+    // ═══════════════════════════════════════════════════════════════════════════════
+    
+    /**
+     * NOTE: Every caller gets the same objects; treat them as read-only
+     */
+    getElections() {
+        return cachedRead('elections', null, null, async () => {
+            const elections = await contractAPI.getElections();
+            this.scheduleBoundaries(elections);
+            return elections;
+        });
+    },
+    
+    getCandidates(electionId) {
+        return cachedRead('candidates', electionId, null, () => contractAPI.getCandidates(electionId));
+    },
+    
+    getElectionStats(electionId) {
+        return cachedRead('stats', electionId, null, () => contractAPI.getElectionStats(electionId));
+    },
+    
+    getElectionResults(electionId) {
+        return cachedRead('results', electionId, 'counts', () => contractAPI.getElectionResults(electionId));
+    },
+    
+    getInstantRunoffResults(electionId) {
+        return cachedRead('results', electionId, 'runoff', () => contractAPI.getInstantRunoffResults(electionId));
+    },
+    
+    /**
+     * null until the election is finalized, so only the certified result is kept
+     */
+    getFinalResult(electionId) {
+        return cachedRead('results', electionId, 'final', () => contractAPI.getFinalResult(electionId));
+    },
+    
+    /**
+     * Connected account only; other addresses go to contractAPI directly
+     */
+    getVoterStatus(electionId) {
+        return cachedRead('voterStatus', electionId, currentAccount(),
+            () => contractAPI.getVoterStatus(electionId));
+    },
+    
+    getUserRoles() {
+        return cachedRead('admin', null, 'roles:' + currentAccount(), () => contractAPI.getUserRoles());
+    },
+    
+    getAdminInfo() {
+        return cachedRead('admin', null, 'info', () => contractAPI.getAdminInfo());
+    },
+    
+    getPendingProposals() {
+        return cachedRead('admin', null, 'proposals:' + currentAccount(), () => contractAPI.getPendingProposals());
+    },
+    
+    getRoleMembers() {
+        return cachedRead('admin', null, 'roleMembers', () => contractAPI.getRoleMembers());
+    },
+    
+    getAdminTransferStatus() {
+        return cachedRead('admin', null, 'transfer', () => contractAPI.getAdminTransferStatus());
+    },
+    
+    // ═══════════════════════════════════════════════════════════════════════════════
+    // INVALIDATION
+    // ═══════════════════════════════════════════════════════════════════════════════
+    
+    /**
+     * Forget cached data so the next read goes to the contract
+     * With no arguments everything goes; with an electionId only that
+     * election's entries (and the election list, which summarizes it);
+     * slices narrows either to the named slices
+     */
+    invalidate(electionId = null, slices = null) {
+        Object.keys(STORE_STATE.entries).forEach(key => {
+            const [slice, id] = key.split('|');
+            if (slices && !slices.includes(slice)) return;
+            if (electionId !== null && slice !== 'elections' && id !== String(electionId)) return;
+            delete STORE_STATE.entries[key];
+        });
+    },
+    
+    /**
+     * Run update on every cached value of a slice (for one election), once
+     * it has loaded
+     */
+    patch(slice, electionId, update) {
+        Object.keys(STORE_STATE.entries).forEach(key => {
+            const [entrySlice, id] = key.split('|');
+            if (entrySlice !== slice) return;
+            if (electionId !== null && slice !== 'elections' && id !== String(electionId)) return;
+            STORE_STATE.entries[key].then(value => { if (value) update(value); }, () => {});
+        });
+    },
+    
+    /**
+     * APPLY EVENT
+     * Patches or drops the slices a contract event affects and schedules a
+     * notification
+     * WHY: A vote in one election should not re-fetch the admin set or
+     *      another election's ballot
+     * @returns {boolean} Whether the event is one the store tracks
+     */
+    applyEvent(event) {
+        const slices = EVENT_SLICES[event.event];
+        if (!slices) return false;
+        
+        const values = event.returnValues || {};
+        const electionId = values.electionId !== undefined ? parseInt(values.electionId) : null;
+        
+        // Other voters' events leave this account's status alone; a delegation
+        // lands on the end of the delegate's chain, which the event does not name
+        const account = currentAccount();
+        const namesVoter = event.event !== 'VoteDelegated' && ('voter' in values || 'delegate' in values);
+        const namesAccount = [values.voter, values.delegate]
+            .some(address => address && address.toLowerCase() === account);
+        const affected = slices.filter(slice => slice !== 'voterStatus' || !namesVoter || namesAccount);
+        
+        const patches = EVENT_PATCHES[event.event] || {};
+        const stale = affected.filter(slice => !patches[slice]);
+        if (stale.length > 0) this.invalidate(electionId, stale);
+        affected
+            .filter(slice => patches[slice])
+            .forEach(slice => this.patch(slice, electionId, value => patches[slice](value, values)));
+        
+        this.notify(affected, electionId);
+        return true;
+    },
+    
+    /**
+     * DROP EVENT
+     * For a log a reorg removed: its values describe state that no longer
+     * exists, so the slices it touched are refetched, never patched
+     */
+    dropEvent(event) {
+        const slices = EVENT_SLICES[event.event];
+        if (!slices) return;
+        
+        const values = event.returnValues || {};
+        const electionId = values.electionId !== undefined ? parseInt(values.electionId) : null;
+        this.invalidate(electionId, slices);
+        this.notify(slices, electionId);
+    },
+    
+    /**
+     * PHASE BOUNDARIES
+     * WHY: Scheduled elections open, close and end their reveal phase without
+     *      an event, so each one gets a timer for its next startTime, endTime
+     *      or revealEndTime that drops its phase-dependent slices
+     * NOTE: Rescheduled whenever the election list is fetched, which the
+     *       timer's own notification triggers
+     */
+    scheduleBoundaries(elections) {
+        Object.values(STORE_STATE.boundaries).forEach(timer => clearTimeout(timer));
+        STORE_STATE.boundaries = {};
+        
+        const now = Math.floor(Date.now() / 1000);
+        elections.forEach(election => {
+            if (!election.endTime || election.finalized) return;
+            
+            const next = [election.startTime, election.endTime, election.revealEndTime]
+                .filter(time => time > now)
+                .sort((a, b) => a - b)[0];
+            const delay = (next - now) * 1000 + STORE_BOUNDARY_DELAY;
+            if (next === undefined || delay > STORE_MAX_TIMER) return;
+            
+            STORE_STATE.boundaries[election.id] = setTimeout(() => {
+                delete STORE_STATE.boundaries[election.id];
+                this.invalidate(election.id, PHASE_SLICES);
+                this.notify(PHASE_SLICES, election.id);
+            }, delay);
+        });
+    },
+    
+    // ═══════════════════════════════════════════════════════════════════════════════
+    // SUBSCRIPTIONS
+    // ═══════════════════════════════════════════════════════════════════════════════
+    
+    /**
+     * Call listener({ slices, electionIds }) whenever one of slices changes
+     * @returns {Function} Removes the listener again
+     */
+    subscribe(slices, listener) {
+        const entry = { slices, listener };
+        STORE_STATE.listeners.push(entry);
+        return () => {
+            STORE_STATE.listeners = STORE_STATE.listeners.filter(e => e !== entry);
+        };
+    },
+    
+    notify(slices, electionId = null) {
+        if (!STORE_STATE.changes) {
+            STORE_STATE.changes = { slices: new Set(), electionIds: new Set() };
+            setTimeout(() => this.flush(), STORE_NOTIFY_DELAY);
+        }
+        slices.forEach(slice => STORE_STATE.changes.slices.add(slice));
+        if (electionId !== null) STORE_STATE.changes.electionIds.add(electionId);
+    },
+    
+    flush() {
+        const changes = STORE_STATE.changes;
+        STORE_STATE.changes = null;
+        if (!changes) return;
+        
+        STORE_STATE.listeners.forEach(({ slices, listener }) => {
+            if (!slices.some(slice => changes.slices.has(slice))) return;
+            try {
+                listener(changes);
+            } catch (error) {
+                console.error('❌ Store listener failed:', error);
+            }
+        });
+    },
+    
+    // ═══════════════════════════════════════════════════════════════════════════════
+    // LIVE UPDATES
+    // ═══════════════════════════════════════════════════════════════════════════════
+    
+    /**
+     * Set by the event subscription in contractAPI
+     * WHY: Polling only runs while no subscription is live
+     */
+    setLive(live) {
+        if (STORE_STATE.live !== live) {
+            console.log(live ? '📡 Live contract events' : '⏰ No live events, polling instead');
+        }
+        STORE_STATE.live = live;
+    },
+    
+    isLive() {
+        return STORE_STATE.live;
+    }
+};
+
+// Export for use in other modules
+window.contractStore = contractStore;
+
+console.log('🗃️ Contract store module loaded');
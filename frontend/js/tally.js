@@ -0,0 +1,272 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * TALLY VERIFICATION MODULE
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ *
+ * DESIGN DECISION: Rebuild every count from the contract's own event logs
+ * WHY: showResults is the contract reporting on itself; logs are a second,
+ *      independent record that anyone can replay against any RPC endpoint
+ * SECURITY: Weights come from the logs too (VoterRegistered carries the
+ *           weight, VoteDelegated moves it), so a weighted miscount cannot
+ *           vouch for itself through voterWeights
+ *
+ * This module:
+ * - Rebuilds the voter set and weights from VoterRegistered,
+ *   VoterDeregistered and VoteDelegated
+ * - Replays VoteCast, VoteRevealed, RankedVoteCast, ApprovalVoteCast and
+ *   VoteChanged into weighted per-candidate counts and totalVotes
+ * - Compares them with voteCounts, totalVotes and the roll's voterCount,
+ *   and cross-checks each ballot's weight against voterWeights
+ *
+ * NOTE: Shared by the Results tab and verify-tally.js, so it only talks to a
+ *       web3 contract object (1.x or 4.x) and never touches the DOM
+ */
+
+// Same values as the contract's constants, as BigInt
+const TALLY_ABSTAIN = (1n << 256n) - 1n;
+const TALLY_NONE_OF_THE_ABOVE = (1n << 256n) - 2n;
+
+const LOG_BLOCK_RANGE = 5000;   // Public RPC endpoints cap the range of one log query
+
+// Every log that changes the roll or a count; all index electionId
+const TALLY_EVENTS = [
+    'VoterRegistered',
+    'VoterDeregistered',
+    'VoteDelegated',
+    'VoteCast',
+    'VoteRevealed',
+    'VoteChanged',
+    'RankedVoteCast',
+    'ApprovalVoteCast'
+];
+
+function tallyAddress(address) {
+    return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+function tallyCandidateLabel(id) {
+    if (id === TALLY_ABSTAIN) return 'Abstain';
+    if (id === TALLY_NONE_OF_THE_ABOVE) return 'None of the above';
+    return `Candidate #${id}`;
+}
+
+/**
+ * FOR EACH BLOCK RANGE
+ * Calls visit(from, to) for consecutive ranges of LOG_BLOCK_RANGE blocks,
+ * one at a time and in order
+ * NOTE: Shared with the audit log indexer, which saves progress per range
+ */
+async function forEachBlockRange(fromBlock, toBlock, visit) {
+    for (let from = fromBlock; from <= toBlock; from += LOG_BLOCK_RANGE) {
+        await visit(from, Math.min(from + LOG_BLOCK_RANGE - 1, toBlock));
+    }
+}
+
+/**
+ * FETCH ELECTION LOGS
+ * One election's logs in chain order
+ */
+async function fetchElectionLogs(contract, electionId, fromBlock, toBlock) {
+    const logs = [];
+    
+    await forEachBlockRange(fromBlock, toBlock, async (from, to) => {
+        for (const name of TALLY_EVENTS) {
+            const events = await contract.getPastEvents(name, {
+                filter: { electionId: String(electionId) },
+                fromBlock: from,
+                toBlock: to
+            });
+            logs.push(...events);
+        }
+    });
+    
+    return logs.sort((a, b) =>
+        Number(a.blockNumber) - Number(b.blockNumber) || Number(a.logIndex) - Number(b.logIndex));
+}
+
+/**
+ * REBUILD TALLY
+ * Replays logs (in chain order) the way the contract counts them
+ * @param logs Decoded logs of one election
+ * @returns { counts, totalVotes, voters, weights, ballotWeights, ballots, problems }
+ */
+function rebuildTally(logs) {
+    const counts = new Map();       // BigInt candidate ID → BigInt votes
+    const voters = new Set();       // Registered addresses (lowercase)
+    const weights = new Map();      // Voter → BigInt weight, as voterWeights holds it
+    const ballotWeights = new Map();   // Voter → weight their ballot was counted with
+    const delegates = new Map();    // Voter → the address they delegated to
+    const choices = new Map();      // Voter → plurality choice, for VoteChanged
+    const voted = new Set();
+    const problems = [];
+    let totalVotes = 0n;
+    let ballots = 0;
+    
+    const add = (id, amount) => counts.set(id, (counts.get(id) || 0n) + amount);
+    
+    // Checks shared by every ballot; returns the weight to count
+    const castBallot = (voter, event) => {
+        if (!voters.has(voter)) {
+            problems.push(`${event} from unregistered address ${tallyAddress(voter)}`);
+        }
+        if (voted.has(voter)) {
+            problems.push(`${tallyAddress(voter)} cast more than one ballot`);
+        }
+        if (delegates.has(voter)) {
+            problems.push(`${tallyAddress(voter)} voted after delegating`);
+        }
+        voted.add(voter);
+        ballots++;
+        const weight = weights.get(voter) || 0n;
+        ballotWeights.set(voter, weight);
+        return weight;
+    };
+    
+    logs.forEach(log => {
+        const values = log.returnValues;
+        const voter = values.voter ? values.voter.toLowerCase() : '';
+        
+        switch (log.event) {
+            case 'VoterRegistered':
+                voters.add(voter);
+                weights.set(voter, BigInt(values.weight));
+                break;
+            
+            case 'VoterDeregistered':
+                voters.delete(voter);
+                weights.set(voter, 0n);
+                break;
+            
+            case 'VoteDelegated': {
+                // Same walk as VoterRegistry.delegate: the weight lands on the
+                // end of the chain, and the delegator keeps its own entry
+                const delegate = values.delegate.toLowerCase();
+                let end = delegate;
+                while (delegates.has(end)) end = delegates.get(end);
+                delegates.set(voter, delegate);
+                weights.set(end, (weights.get(end) || 0n) + (weights.get(voter) || 0n));
+                break;
+            }
+            
+            case 'VoteCast':
+            case 'VoteRevealed': {
+                const weight = castBallot(voter, log.event);
+                const candidateId = BigInt(values.candidateId);
+                add(candidateId, weight);
+                choices.set(voter, candidateId);
+                totalVotes += weight;
+                break;
+            }
+            
+            case 'RankedVoteCast': {
+                // Only the first preference is in voteCounts; runoffs use getRankedBallots
+                const weight = castBallot(voter, log.event);
+                add(BigInt(values.ranking[0]), weight);
+                totalVotes += weight;
+                break;
+            }
+            
+            case 'ApprovalVoteCast': {
+                const weight = castBallot(voter, log.event);
+                values.candidateIds.forEach(id => add(BigInt(id), weight));
+                totalVotes += weight;
+                break;
+            }
+            
+            case 'VoteChanged': {
+                const previous = BigInt(values.previousCandidateId);
+                const candidateId = BigInt(values.candidateId);
+                const weight = weights.get(voter) || 0n;
+                
+                if (choices.get(voter) !== previous) {
+                    problems.push(`${tallyAddress(voter)} changed a vote the logs do not show`);
+                }
+                add(previous, -weight);
+                add(candidateId, weight);
+                choices.set(voter, candidateId);
+                break;
+            }
+        }
+    });
+    
+    return { counts, totalVotes, voters, weights, ballotWeights, ballots, problems };
+}
+
+/**
+ * VERIFY TALLY
+ * Rebuilds one election's tally from logs and compares it with the contract
+ * @param contract web3 contract object for Voting (web3 1.x or 4.x)
+ * @param options { fromBlock, toBlock } (toBlock must be a number)
+ * @returns Report with string amounts, safe to render or print
+ */
+async function verifyTally(contract, electionId, { fromBlock = 0, toBlock }) {
+    const logs = await fetchElectionLogs(contract, electionId, Number(fromBlock), Number(toBlock));
+    const rebuilt = rebuildTally(logs);
+    
+    // CROSS-CHECK: Weights are stable once a voter has voted, so voterWeights
+    // must still hold the weight each ballot was counted with
+    for (const [voter, weight] of rebuilt.ballotWeights) {
+        const stored = BigInt(await contract.methods.voterWeights(electionId, voter).call());
+        if (stored !== weight) {
+            rebuilt.problems.push(`${tallyAddress(voter)} has weight ${weight} in the logs but ${stored} in voterWeights`);
+        }
+    }
+    
+    // What the contract reports
+    const election = await contract.methods.elections(electionId).call();
+    const stats = await contract.methods.getElectionStats(electionId).call();
+    const candidateCount = Number(election.candidateCount);
+    
+    const ids = new Set([TALLY_ABSTAIN, TALLY_NONE_OF_THE_ABOVE, ...rebuilt.counts.keys()]);
+    for (let id = 1; id <= candidateCount; id++) ids.add(BigInt(id));
+    
+    const candidates = [];
+    for (const id of [...ids].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0))) {
+        const reported = BigInt(await contract.methods.voteCounts(electionId, id.toString()).call());
+        const expected = rebuilt.counts.get(id) || 0n;
+        candidates.push({
+            id: id.toString(),
+            label: tallyCandidateLabel(id),
+            rebuilt: expected.toString(),
+            reported: reported.toString(),
+            match: expected === reported
+        });
+    }
+    
+    const reportedTotal = BigInt(election.totalVotes);
+    const reportedVoters = BigInt(stats.voterCount);
+    const totalVotes = {
+        rebuilt: rebuilt.totalVotes.toString(),
+        reported: reportedTotal.toString(),
+        match: rebuilt.totalVotes === reportedTotal
+    };
+    const voterCount = {
+        rebuilt: String(rebuilt.voters.size),
+        reported: reportedVoters.toString(),
+        match: BigInt(rebuilt.voters.size) === reportedVoters
+    };
+    
+    return {
+        electionId: Number(electionId),
+        fromBlock: Number(fromBlock),
+        toBlock: Number(toBlock),
+        logs: logs.length,
+        ballots: rebuilt.ballots,
+        candidates,
+        totalVotes,
+        voterCount,
+        problems: rebuilt.problems,
+        ok: rebuilt.problems.length === 0 && totalVotes.match && voterCount.match &&
+            candidates.every(candidate => candidate.match)
+    };
+}
+
+const tallyVerifier = { TALLY_EVENTS, forEachBlockRange, rebuildTally, verifyTally };
+
+// Browser: global like the other modules; Node: required by verify-tally.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = tallyVerifier;
+} else {
+    window.tallyVerifier = tallyVerifier;
+    console.log('🧮 Tally verification module loaded');
+}
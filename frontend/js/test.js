@@ -16,14 +16,14 @@ async function quickTest() {
         
         // Test 2: Check contract loading
         console.log('2️⃣ Testing contract loading...');
-        if (!window.contractAPI || !window.contractAPI.web3Manager) {
+        if (!window.contractAPI || !web3Manager.contract) {
             throw new Error('Contract API not loaded');
         }
         console.log('✅ Contract API loaded');
         
         // Test 3: Get election stats
         console.log('3️⃣ Testing contract communication...');
-        const stats = await window.contractAPI.getElectionStats();
+        const stats = await window.contractAPI.getElectionStats(UI_STATE.selectedElection);
         if (stats) {
             console.log('✅ Contract communication successful');
             console.log('📊 Election Stats:', stats);
@@ -33,12 +33,12 @@ async function quickTest() {
         
         // Test 4: Get candidates
         console.log('4️⃣ Testing candidate retrieval...');
-        const candidates = await window.contractAPI.getCandidates();
+        const candidates = await window.contractAPI.getCandidates(UI_STATE.selectedElection);
         console.log('✅ Candidates retrieved:', candidates);
         
         // Test 5: Check admin status
         console.log('5️⃣ Testing admin detection...');
-        const isAdmin = await window.contractAPI.web3Manager.isAdmin();
+        const isAdmin = await web3Manager.isAdmin();
         console.log('✅ Admin status:', isAdmin);
         
         console.log('🎉 All tests passed! Your DApp is ready to use.');
@@ -25,8 +25,17 @@
 const UI_STATE = {
     currentTab: 'voting',
     isLoading: false,
+    elections: [],
+    selectedElection: null,
     selectedCandidate: null,
+    approvedCandidates: [],
+    blankChoice: null,
+    changingVote: false,
+    ranking: [],
+    ballotType: 'plurality',
+    candidateProfiles: {},
     walletConnected: false,
+    readOnly: false,
     isAdmin: false
 };
 
@@ -83,6 +92,9 @@ function switchTab(tabName) {
         case 'voting':
             refreshVotingPanel();
             break;
+        case 'audit':
+            refreshAuditLog();
+            break;
     }
     
     console.log('🔄 Switched to tab:', tabName);
@@ -251,6 +263,22 @@ function updateWalletUI(connected, account = null, networkInfo = null) {
     }
 }
 
+/**
+ * READ-ONLY MODE
+ * DESIGN DECISION: One body class hides every write control at once
+ * WHY: Voting and admin panels re-render on every refresh; CSS keeps their
+ *      buttons hidden without each renderer checking for a wallet
+ */
+function setReadOnlyMode(readOnly, networkInfo = null) {
+    UI_STATE.readOnly = readOnly;
+    document.body.classList.toggle('read-only', readOnly);
+    
+    if (readOnly) {
+        const network = networkInfo ? networkInfo.name : 'the blockchain';
+        updateStatusBanner(`Read-only view of ${network}. Connect a wallet to vote.`, 'info');
+    }
+}
+
 /**
  * ═══════════════════════════════════════════════════════════════════════════════════
  * ADMIN TAB VISIBILITY
@@ -276,6 +304,41 @@ function updateAdminTabVisibility(isAdmin) {
     }
 }
 
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * ELECTION PICKER
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * 
+ * DESIGN DECISION: One shared picker above the tabs
+ * WHY: Voting, results and admin tabs always show the same election
+ * USER EXPERIENCE: Switching tabs never silently switches elections
+ */
+
+function renderElectionPicker(elections, selectedElectionId) {
+    const picker = document.getElementById('electionPicker');
+    const select = document.getElementById('electionSelect');
+    
+    UI_STATE.elections = elections || [];
+    picker.classList.remove('hidden');
+    
+    if (!elections || elections.length === 0) {
+        select.innerHTML = '<option value="">No elections created yet</option>';
+        select.disabled = true;
+        return;
+    }
+    
+    select.disabled = false;
+    select.innerHTML = elections.map(election => `
+        <option value="${election.id}" ${election.id === selectedElectionId ? 'selected' : ''}>
+            #${election.id} · ${escapeHtml(election.title)}${election.phase === 'open' ? ' (Active)' : ''}${election.phase === 'upcoming' ? ' (Upcoming)' : ''}${election.phase === 'reveal' ? ' (Revealing)' : ''}${election.finalized ? ' (Final)' : ''}${election.secretBallot ? ' 🔒' : ''}
+        </option>
+    `).join('');
+}
+
+function getSelectedElection() {
+    return UI_STATE.elections.find(e => e.id === UI_STATE.selectedElection) || null;
+}
+
 /**
  * ═══════════════════════════════════════════════════════════════════════════════════
  * FORM VALIDATION AND INPUT HANDLING
@@ -296,6 +359,11 @@ function validateCandidateName(name) {
     return name && name.trim().length > 0 && name.trim().length <= 64;
 }
 
+function validateElectionTitle(title) {
+    // Election title validation (same 64-byte limit as the contract)
+    return title && title.trim().length > 0 && title.trim().length <= 64;
+}
+
 function setupFormValidation() {
     // Voter address validation
     const voterAddressInput = document.getElementById('voterAddress');
@@ -331,6 +399,23 @@ function setupFormValidation() {
         });
     }
     
+    // Election title validation
+    const electionTitleInput = document.getElementById('electionTitle');
+    if (electionTitleInput) {
+        electionTitleInput.addEventListener('input', (e) => {
+            const isValid = validateElectionTitle(e.target.value);
+            const createButton = document.getElementById('createElection');
+            
+            if (isValid) {
+                e.target.classList.remove('invalid');
+                createButton.disabled = false;
+            } else {
+                e.target.classList.add('invalid');
+                createButton.disabled = true;
+            }
+        });
+    }
+    
     // New admin address validation
     const newAdminInput = document.getElementById('newAdminAddress');
     if (newAdminInput) {
@@ -347,6 +432,23 @@ function setupFormValidation() {
             }
         });
     }
+    
+    // Delegate address validation
+    const delegateInput = document.getElementById('delegateAddress');
+    if (delegateInput) {
+        delegateInput.addEventListener('input', (e) => {
+            const isValid = validateEthereumAddress(e.target.value);
+            const delegateButton = document.getElementById('delegateVote');
+            
+            if (isValid) {
+                e.target.classList.remove('invalid');
+                delegateButton.disabled = false;
+            } else {
+                e.target.classList.add('invalid');
+                delegateButton.disabled = true;
+            }
+        });
+    }
 }
 
 /**
@@ -359,10 +461,13 @@ function setupFormValidation() {
  * ACCESSIBILITY: Keyboard navigation support
  */
 
-function renderCandidates(candidates) {
+function renderCandidates(candidates, ballotType = 'plurality') {
     const candidatesList = document.getElementById('candidatesList');
     
-    if (!candidates || candidates.length === 0) {
+    // Withdrawn candidates keep their IDs but are not on the ballot
+    candidates = (candidates || []).filter(c => !c.withdrawn);
+    
+    if (candidates.length === 0) {
         candidatesList.innerHTML = `
             <div class="message-box info">
                 <i class="fas fa-info-circle"></i>
@@ -372,21 +477,46 @@ function renderCandidates(candidates) {
         return;
     }
     
-    candidatesList.innerHTML = candidates.map(candidate => `
+    UI_STATE.ballotType = ballotType;
+    UI_STATE.selectedCandidate = null;
+    UI_STATE.approvedCandidates = [];
+    UI_STATE.blankChoice = null;
+    candidatesList.classList.remove('blank-selected');
+    
+    if (ballotType === 'ranked') {
+        UI_STATE.ranking = candidates.map(c => c.id);
+        renderRankedBallot(candidates);
+        return;
+    }
+    
+    // Approval ballots behave like a group of checkboxes
+    const approval = ballotType === 'approval';
+    
+    candidatesList.innerHTML = (approval ? `
+        <p class="text-muted ranking-help">
+            <i class="fas fa-check-double"></i>
+            Select every candidate you approve of. Each one receives a vote.
+        </p>
+    ` : '') + candidates.map(candidate => `
         <div class="candidate-card" 
              data-candidate-id="${candidate.id}"
              tabindex="0"
-             role="button"
-             aria-label="Select ${candidate.name} as your vote choice">
+             role="${approval ? 'checkbox' : 'button'}"
+             ${approval ? 'aria-checked="false"' : ''}
+             aria-label="${approval ? 'Approve' : 'Select'} ${escapeHtml(candidate.name)}${approval ? '' : ' as your vote choice'}">
             <div class="candidate-info">
                 <h3>${escapeHtml(candidate.name)}</h3>
                 <div class="candidate-id">Candidate #${candidate.id}</div>
+                ${renderProfileToggle(candidate)}
             </div>
         </div>
-    `).join('');
+    `).join('') + renderBlankChoices();
+    
+    attachProfileToggles(candidatesList, candidates);
+    attachBlankChoices(candidatesList);
     
     // Add click handlers for candidate selection
-    document.querySelectorAll('.candidate-card').forEach(card => {
+    document.querySelectorAll('.candidate-card[data-candidate-id]').forEach(card => {
         card.addEventListener('click', () => {
             selectCandidate(parseInt(card.dataset.candidateId));
         });
@@ -402,6 +532,37 @@ function renderCandidates(candidates) {
 }
 
 function selectCandidate(candidateId) {
+    const voteButton = document.getElementById('submitVote');
+    const voteSection = document.getElementById('voteButton');
+    
+    // Picking a candidate replaces an abstain / "none of the above" choice
+    UI_STATE.blankChoice = null;
+    document.querySelectorAll('.blank-choice').forEach(card => card.classList.remove('selected'));
+    
+    // Approval ballots toggle each card independently
+    if (UI_STATE.ballotType === 'approval') {
+        const approved = UI_STATE.approvedCandidates;
+        const index = approved.indexOf(candidateId);
+        if (index === -1) {
+            approved.push(candidateId);
+        } else {
+            approved.splice(index, 1);
+        }
+        approved.sort((a, b) => a - b);
+        
+        document.querySelectorAll('.candidate-card[data-candidate-id]').forEach(card => {
+            const isApproved = approved.includes(parseInt(card.dataset.candidateId));
+            card.classList.toggle('selected', isApproved);
+            card.setAttribute('aria-checked', String(isApproved));
+        });
+        
+        voteButton.disabled = approved.length === 0;
+        voteSection.classList.toggle('hidden', approved.length === 0);
+        
+        console.log('✅ Approved candidates:', approved);
+        return;
+    }
+    
     UI_STATE.selectedCandidate = candidateId;
     
     // Update visual selection
@@ -413,15 +574,300 @@ function selectCandidate(candidateId) {
     });
     
     // Enable vote button
-    const voteButton = document.getElementById('submitVote');
-    const voteSection = document.getElementById('voteButton');
-    
     voteButton.disabled = false;
     voteSection.classList.remove('hidden');
     
     console.log('✅ Selected candidate:', candidateId);
 }
 
+/**
+ * BLANK CHOICES
+ * DESIGN DECISION: Abstain and "none of the above" are separate cards below
+ *                  the candidates, on every ballot type
+ * WHY: They are not candidates and can never win, so they are never mixed
+ *      into the candidate list, the ranking or the approvals
+ * NOTE: Cast through vote() (or a sealed vote), replacing the candidate ballot
+ */
+function renderBlankChoices() {
+    return `
+        <div class="blank-choices" role="group" aria-label="Vote without backing a candidate">
+            ${BLANK_CHOICES.map(choice => `
+                <div class="candidate-card blank-choice"
+                     data-blank-choice="${choice.key}"
+                     tabindex="0"
+                     role="button"
+                     aria-pressed="false"
+                     aria-label="${choice.name}: ${choice.description}">
+                    <div class="candidate-info">
+                        <h3>${choice.name}</h3>
+                        <div class="candidate-id">${choice.description}</div>
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+function attachBlankChoices(container) {
+    container.querySelectorAll('.blank-choice').forEach(card => {
+        card.addEventListener('click', () => selectBlankChoice(card.dataset.blankChoice));
+        card.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                selectBlankChoice(card.dataset.blankChoice);
+            }
+        });
+    });
+}
+
+function selectBlankChoice(key) {
+    const voteButton = document.getElementById('submitVote');
+    const voteSection = document.getElementById('voteButton');
+    
+    // Choosing the selected option again goes back to the candidate ballot
+    UI_STATE.blankChoice = UI_STATE.blankChoice === key ? null : key;
+    UI_STATE.selectedCandidate = null;
+    UI_STATE.approvedCandidates = [];
+    
+    document.querySelectorAll('.candidate-card').forEach(card => {
+        const selected = UI_STATE.blankChoice !== null && card.dataset.blankChoice === UI_STATE.blankChoice;
+        card.classList.toggle('selected', selected);
+        if (card.classList.contains('blank-choice')) card.setAttribute('aria-pressed', String(selected));
+        if (card.getAttribute('role') === 'checkbox') card.setAttribute('aria-checked', 'false');
+    });
+    
+    // The ranking is set aside, not lost, while a blank choice is selected
+    document.getElementById('candidatesList').classList.toggle('blank-selected', UI_STATE.blankChoice !== null);
+    
+    // A full ranking is always ready to submit; other ballots need a choice
+    const ready = UI_STATE.blankChoice !== null || UI_STATE.ballotType === 'ranked';
+    voteButton.disabled = !ready;
+    voteSection.classList.toggle('hidden', !ready);
+    
+    console.log('✅ Blank choice:', UI_STATE.blankChoice);
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * CANDIDATE PROFILES
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * 
+ * DESIGN DECISION: Collapsed <details> per card, fetched on first expand
+ * WHY: Ballots stay compact and no profile is downloaded unless a voter asks
+ * SECURITY: Profile fields are untrusted; text goes through textContent and
+ *           links through resolveMetadataURI. A profile that fails its
+ *           on-chain hash check is still shown, under a warning
+ * NOTE: Results are cached per link and hash, so re-rendering a ranked
+ *       ballot does not refetch
+ */
+
+function renderProfileToggle(candidate) {
+    if (!candidate.metadataURI) return '';
+    
+    return `
+        <details class="candidate-profile" data-candidate-id="${candidate.id}">
+            <summary>Candidate profile</summary>
+            <div class="candidate-profile-body">
+                <span class="text-muted"><i class="fas fa-spinner fa-spin"></i> Loading profile...</span>
+            </div>
+        </details>
+    `;
+}
+
+function attachProfileToggles(container, candidates) {
+    container.querySelectorAll('.candidate-profile').forEach(details => {
+        const candidate = candidates.find(c => c.id === parseInt(details.dataset.candidateId));
+        
+        // Expanding a profile must not select or move the card
+        details.addEventListener('click', (e) => e.stopPropagation());
+        details.addEventListener('keydown', (e) => e.stopPropagation());
+        
+        details.addEventListener('toggle', async () => {
+            if (!details.open || details.dataset.loaded) return;
+            details.dataset.loaded = 'true';
+            
+            const cacheKey = `${candidate.metadataURI}#${candidate.metadataHash}`;
+            if (!UI_STATE.candidateProfiles[cacheKey]) {
+                UI_STATE.candidateProfiles[cacheKey] = await contractAPI.getCandidateProfile(candidate);
+            }
+            
+            const body = details.querySelector('.candidate-profile-body');
+            body.replaceChildren(buildCandidateProfile(UI_STATE.candidateProfiles[cacheKey]));
+        });
+    });
+}
+
+function buildCandidateProfile({ profile, verified, error }) {
+    const fragment = document.createDocumentFragment();
+    
+    const notice = (className, icon, text) => {
+        const box = document.createElement('div');
+        box.className = `profile-notice ${className}`;
+        box.innerHTML = `<i class="fas ${icon}"></i> `;
+        box.append(text);
+        fragment.appendChild(box);
+    };
+    
+    if (verified === false) {
+        notice('warning', 'fa-exclamation-triangle',
+            'This profile does not match the hash published on-chain. It may have been altered since it was registered.');
+    } else if (verified === null && profile) {
+        notice('info', 'fa-info-circle', 'No content hash was published for this profile, so it cannot be verified.');
+    }
+    
+    if (error || !profile) {
+        notice('error', 'fa-times-circle', error || 'Profile could not be loaded');
+        return fragment;
+    }
+    
+    const photoUrl = resolveMetadataURI(profile.photo);
+    if (photoUrl) {
+        const photo = document.createElement('img');
+        photo.className = 'candidate-photo';
+        photo.src = photoUrl;
+        photo.alt = 'Candidate photo';
+        photo.loading = 'lazy';
+        fragment.appendChild(photo);
+    }
+    
+    if (typeof profile.description === 'string' && profile.description) {
+        const description = document.createElement('p');
+        description.textContent = profile.description;
+        fragment.appendChild(description);
+    }
+    
+    const manifestoUrl = resolveMetadataURI(profile.manifesto);
+    if (manifestoUrl) {
+        const link = document.createElement('a');
+        link.href = manifestoUrl;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.innerHTML = '<i class="fas fa-file-alt"></i> ';
+        link.append('Read manifesto');
+        fragment.appendChild(link);
+    }
+    
+    if (verified === true) {
+        const badge = document.createElement('div');
+        badge.className = 'profile-verified';
+        badge.innerHTML = '<i class="fas fa-check-circle"></i> Matches the on-chain hash';
+        fragment.appendChild(badge);
+    }
+    
+    return fragment;
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * RANKED BALLOT UI
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * 
+ * DESIGN DECISION: Reorderable list, not per-candidate rank dropdowns
+ * WHY: A list can never hold two candidates at the same rank
+ * ACCESSIBILITY: Drag-and-drop for pointers; arrow keys and move buttons
+ *                for keyboard and screen reader users
+ */
+
+function renderRankedBallot(candidates, focusCandidateId = null) {
+    const candidatesList = document.getElementById('candidatesList');
+    const byId = {};
+    candidates.forEach(c => { byId[c.id] = c; });
+    
+    // Reordering the ranking goes back to the candidate ballot
+    UI_STATE.blankChoice = null;
+    candidatesList.classList.remove('blank-selected');
+    
+    candidatesList.innerHTML = `
+        <p class="text-muted ranking-help">
+            <i class="fas fa-sort"></i>
+            Order the candidates from most to least preferred. Drag a card, or focus it and use the ↑/↓ arrow keys.
+        </p>
+        <ol class="ranked-list" aria-label="Your ranking">
+            ${UI_STATE.ranking.map((id, index) => `
+                <li class="candidate-card ranked-item"
+                    data-candidate-id="${id}"
+                    draggable="true"
+                    tabindex="0"
+                    aria-label="Rank ${index + 1}: ${escapeHtml(byId[id].name)}">
+                    <span class="rank-badge">${index + 1}</span>
+                    <div class="candidate-info">
+                        <h3>${escapeHtml(byId[id].name)}</h3>
+                        <div class="candidate-id">Candidate #${id}</div>
+                        ${renderProfileToggle(byId[id])}
+                    </div>
+                    <div class="rank-controls">
+                        <button class="btn btn-secondary rank-up" ${index === 0 ? 'disabled' : ''} aria-label="Move up">
+                            <i class="fas fa-arrow-up"></i>
+                        </button>
+                        <button class="btn btn-secondary rank-down" ${index === UI_STATE.ranking.length - 1 ? 'disabled' : ''} aria-label="Move down">
+                            <i class="fas fa-arrow-down"></i>
+                        </button>
+                    </div>
+                </li>
+            `).join('')}
+        </ol>
+        ${renderBlankChoices()}
+    `;
+    
+    attachProfileToggles(candidatesList, candidates);
+    attachBlankChoices(candidatesList);
+    
+    let draggedIndex = null;
+    
+    candidatesList.querySelectorAll('.ranked-item').forEach((item, index) => {
+        const move = (toIndex) => {
+            moveRankedCandidate(index, toIndex);
+            renderRankedBallot(candidates, UI_STATE.ranking[toIndex]);
+        };
+        
+        // Drag and drop
+        item.addEventListener('dragstart', (e) => {
+            draggedIndex = index;
+            e.dataTransfer.effectAllowed = 'move';
+            item.classList.add('dragging');
+        });
+        item.addEventListener('dragend', () => item.classList.remove('dragging'));
+        item.addEventListener('dragover', (e) => e.preventDefault());
+        item.addEventListener('drop', (e) => {
+            e.preventDefault();
+            if (draggedIndex !== null && draggedIndex !== index) {
+                moveRankedCandidate(draggedIndex, index);
+                renderRankedBallot(candidates, UI_STATE.ranking[index]);
+            }
+        });
+        
+        // Keyboard support
+        item.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowUp' && index > 0) {
+                e.preventDefault();
+                move(index - 1);
+            } else if (e.key === 'ArrowDown' && index < UI_STATE.ranking.length - 1) {
+                e.preventDefault();
+                move(index + 1);
+            }
+        });
+        
+        // Move buttons
+        item.querySelector('.rank-up').addEventListener('click', () => move(index - 1));
+        item.querySelector('.rank-down').addEventListener('click', () => move(index + 1));
+    });
+    
+    // Restore focus to the card that just moved
+    if (focusCandidateId !== null) {
+        const focused = candidatesList.querySelector(`.ranked-item[data-candidate-id="${focusCandidateId}"]`);
+        if (focused) focused.focus();
+    }
+    
+    // A full ranking is always ready to submit
+    document.getElementById('submitVote').disabled = false;
+    document.getElementById('voteButton').classList.remove('hidden');
+}
+
+function moveRankedCandidate(fromIndex, toIndex) {
+    const [moved] = UI_STATE.ranking.splice(fromIndex, 1);
+    UI_STATE.ranking.splice(toIndex, 0, moved);
+}
+
 /**
  * ═══════════════════════════════════════════════════════════════════════════════════
  * RESULTS DISPLAY
@@ -447,11 +893,11 @@ function renderElectionStats(stats) {
         </div>
         <div class="stat-card">
             <span class="stat-value">${stats.totalVotes}</span>
-            <div class="stat-label">Total Votes</div>
+            <div class="stat-label">Voting Power Cast</div>
         </div>
         <div class="stat-card">
             <span class="stat-value ${stats.votingActive ? 'text-success' : 'text-warning'}">
-                ${stats.votingActive ? 'Active' : 'Inactive'}
+                ${getPhaseLabel(stats)}
             </span>
             <div class="stat-label">Voting Status</div>
         </div>
@@ -459,6 +905,24 @@ function renderElectionStats(stats) {
             <span class="stat-value">${web3Manager.formatAddress(stats.admin)}</span>
             <div class="stat-label">Admin</div>
         </div>
+        ${stats.endTime > 0 ? `
+        <div class="stat-card">
+            <span class="stat-value stat-value-small">
+                ${formatTimestamp(stats.startTime)}<br>→ ${formatTimestamp(stats.endTime)}
+            </span>
+            <div class="stat-label">Voting Window</div>
+        </div>
+        ` : ''}
+        ${stats.secretBallot ? `
+        <div class="stat-card">
+            <span class="stat-value">${stats.totalCommitments}</span>
+            <div class="stat-label">Sealed Ballots</div>
+        </div>
+        <div class="stat-card">
+            <span class="stat-value stat-value-small">${formatTimestamp(stats.revealEndTime)}</span>
+            <div class="stat-label">Reveal Closes</div>
+        </div>
+        ` : ''}
     `;
 }
 
@@ -477,24 +941,56 @@ function renderResults(results) {
         return;
     }
     
-    const totalVotes = results.votes.reduce((sum, votes) => sum + votes, 0);
+    const totalVotes = results.votes.reduce((sum, votes) => sum + votes, 0n);
     
-    // Render individual results
-    resultsContainer.innerHTML = results.candidates.map(candidate => {
-        const percentage = totalVotes > 0 ? (candidate.votes / totalVotes * 100) : 0;
+    // WEIGHTED: Share of the voting power cast, as counted by the contract.
+    // Approval ballots can back several candidates, so this is not the sum of the bars
+    const base = results.totalVotes !== undefined ? results.totalVotes : totalVotes;
+    const unit = results.approval ? 'approvals' : 'votes';
+    
+    // Render individual results, under the turnout gauge
+    resultsContainer.innerHTML = renderTurnoutGauge(results) + results.candidates.map(candidate => {
+        const percentage = votePercentage(candidate.votes, base);
         
         return `
-            <div class="result-item ${candidate.isWinner ? 'winner' : ''}">
+            <div class="result-item ${candidate.isWinner ? 'winner' : ''} ${results.tie && candidate.isLeader ? 'tied' : ''} ${candidate.withdrawn ? 'withdrawn' : ''}">
                 <div class="candidate-result">
-                    <div class="candidate-name">${escapeHtml(candidate.name)}</div>
+                    <div class="candidate-name">
+                        ${escapeHtml(candidate.name)}
+                        ${candidate.withdrawn ? '<span class="withdrawn-badge">Withdrawn</span>' : ''}
+                    </div>
                     <div class="vote-bar">
                         <div class="vote-progress" style="width: ${percentage}%"></div>
                     </div>
-                    <div class="vote-count">${candidate.votes} votes</div>
+                    <div class="vote-count">${candidate.votes} ${unit}</div>
                 </div>
             </div>
         `;
-    }).join('');
+    }).join('') + renderBlankResults(results, base);
+    
+    // Finalized elections show the stored outcome, not the live leader
+    if (results.certified) {
+        winnerContainer.innerHTML = renderCertifiedResult(results, base, unit);
+        winnerContainer.classList.remove('hidden');
+        return;
+    }
+    
+    // A closed election that missed its quorum has no valid leader to announce
+    if (results.votingClosed && results.quorumMet === false) {
+        winnerContainer.innerHTML = renderQuorumNotMet(results);
+        winnerContainer.classList.remove('hidden');
+        return;
+    }
+    
+    // Ties are announced as ties, never as a lower-ID leader
+    if (results.tie) {
+        winnerContainer.innerHTML = `
+            <h3><i class="fas fa-balance-scale"></i> Tie for First Place</h3>
+            ${renderTieOutcome(results, unit)}
+        `;
+        winnerContainer.classList.remove('hidden');
+        return;
+    }
     
     // Show winner announcement if there are votes
     if (totalVotes > 0) {
@@ -503,15 +999,279 @@ function renderResults(results) {
             winnerContainer.innerHTML = `
                 <h3><i class="fas fa-trophy"></i> Current Leader</h3>
                 <div class="winner-name">${escapeHtml(winner.name)}</div>
-                <p>${winner.votes} votes (${((winner.votes / totalVotes) * 100).toFixed(1)}%)</p>
+                <p>${results.rankedChoice
+                    ? `Instant-runoff winner · ${winner.votes} first-preference votes`
+                    : `${winner.votes} ${unit} (${votePercentage(winner.votes, base).toFixed(1)}%${results.approval ? ' of voting power' : ''})`}</p>
             `;
             winnerContainer.classList.remove('hidden');
+        } else {
+            // Runoff tie or exhausted ballots: no leader to announce
+            winnerContainer.classList.add('hidden');
         }
     } else {
         winnerContainer.classList.add('hidden');
     }
 }
 
+/**
+ * VOTE PERCENTAGE
+ * Share of whole, in percent, for BigInt counts (0 when whole is 0)
+ * WHY: Weights go up to 2^96, past what a Number holds exactly; only the
+ *      ratio, in hundredths of a percent, is turned into a Number
+ */
+function votePercentage(part, whole) {
+    return whole > 0n ? Number(part * 10000n / whole) / 100 : 0;
+}
+
+/**
+ * BLANK BALLOT RESULTS
+ * WHY: Abstentions and "none of the above" are part of the turnout, so their
+ *      share is shown, but apart from the candidates since they cannot win
+ * NOTE: Hidden until someone casts one
+ */
+function renderBlankResults(results, base) {
+    const counts = { abstain: results.abstentions || 0n, noneOfTheAbove: results.noneOfTheAbove || 0n };
+    if (counts.abstain + counts.noneOfTheAbove === 0n) return '';
+    
+    return `
+        <div class="blank-results">
+            ${BLANK_CHOICES.map(choice => {
+                const votes = counts[choice.key];
+                const percentage = votePercentage(votes, base);
+                return `
+                    <div class="result-item blank">
+                        <div class="candidate-result">
+                            <div class="candidate-name">${choice.name}</div>
+                            <div class="vote-bar">
+                                <div class="vote-progress" style="width: ${percentage}%"></div>
+                            </div>
+                            <div class="vote-count">${votes} votes (${percentage.toFixed(1)}%)</div>
+                        </div>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+}
+
+/**
+ * CERTIFIED RESULT
+ * DESIGN DECISION: Show where the result was certified, not just who won
+ * WHY: The block and transaction let anyone check the outcome on-chain
+ *      instead of trusting this page
+ */
+function renderCertifiedResult(results, base, unit) {
+    const { certified } = results;
+    const winners = results.candidates.filter(c => c.isWinner);
+    
+    let outcome;
+    if (winners.length === 1) {
+        const winner = winners[0];
+        outcome = `
+            <div class="winner-name">${escapeHtml(winner.name)}</div>
+            <p>${results.rankedChoice
+                ? `Instant-runoff winner · ${winner.votes} first-preference votes`
+                : `${winner.votes} ${unit} (${votePercentage(winner.votes, base).toFixed(1)}%${results.approval ? ' of voting power' : ''})`}</p>
+        `;
+    } else if (winners.length > 1) {
+        outcome = renderTieOutcome({ ...results, candidates: winners }, unit);
+    } else {
+        outcome = '<p>No winner: no votes were counted.</p>';
+    }
+    
+    // The contract certifies the turnout with the result; the winners are kept
+    // on record, but the outcome does not count
+    if (certified.quorumMet === false) {
+        outcome = renderQuorumNotMet(results);
+    }
+    
+    const tx = certified.transactionHash;
+    return `
+        <h3><i class="fas fa-certificate"></i> Certified Result</h3>
+        ${outcome}
+        <p class="certified-meta">
+            Finalized in block #${certified.blockNumber} · ${formatTimestamp(certified.timestamp)}
+            ${tx ? `<br>Transaction <code title="${tx}">${tx.slice(0, 10)}…${tx.slice(-8)}</code>` : ''}
+        </p>
+    `;
+}
+
+/**
+ * TURNOUT GAUGE
+ * DESIGN DECISION: Turnout is voting power cast against registered voting power,
+ *                  the same measure the contract checks the quorum with
+ * NOTE: Hidden when nobody is registered, e.g. allowlist elections before any claim
+ */
+function renderTurnoutGauge(results) {
+    const registered = results.registeredVotingPower;
+    if (!registered) return '';
+    
+    const cast = results.totalVotes || 0n;
+    const turnout = Math.min(votePercentage(cast, registered), 100);
+    const quorum = results.quorumVotes || 0n;
+    const marker = Math.min(votePercentage(quorum, registered), 100);
+    
+    return `
+        <div class="turnout-gauge ${results.quorumMet === false ? 'below-quorum' : ''}">
+            <div class="turnout-label">
+                <span>Turnout: ${cast} of ${registered} (${turnout.toFixed(1)}%)</span>
+                <span>${quorum > 0
+                    ? `Quorum: ${quorum} ${results.quorumMet ? '<i class="fas fa-check"></i>' : 'not met'}`
+                    : 'No quorum'}</span>
+            </div>
+            <div class="turnout-bar">
+                <div class="turnout-progress" style="width: ${turnout}%"></div>
+                ${quorum > 0 ? `<div class="turnout-quorum" style="left: ${marker}%"></div>` : ''}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * QUORUM NOT MET
+ * WHY: Results below the quorum are shown for transparency but never
+ *      announced as a win
+ */
+function renderQuorumNotMet(results) {
+    return `
+        <div class="winner-name">Not valid: quorum not met</div>
+        <p>${results.totalVotes || 0} of the ${results.quorumVotes} votes needed were cast.</p>
+    `;
+}
+
+/**
+ * TIE OUTCOME
+ * WHY: Every tied leader is named, with what the election's tie-break
+ *      policy does next
+ */
+function renderTieOutcome(results, unit) {
+    const leaders = results.candidates.filter(c => c.isLeader || c.isWinner);
+    const next = {
+        declareTie: 'This election declares ties; there is no single winner.',
+        earliestToReach: 'The leaders reached this count on the same ballot, so the tie stands.',
+        adminDraw: results.certified
+            ? 'Awaiting the admin tie-break draw.'
+            : 'An admin will draw the winner once the result is finalized.'
+    }[results.tieBreak];
+    
+    return `
+        <div class="winner-name">${leaders.map(c => escapeHtml(c.name)).join(' · ')}</div>
+        <p>${leaders.length > 0 ? leaders[0].votes : 0} ${unit} each</p>
+        ${next ? `<p class="tie-note">${next}</p>` : ''}
+    `;
+}
+
+/**
+ * INSTANT-RUNOFF ROUNDS
+ * TRANSPARENCY: Every elimination is shown, not just the final winner
+ */
+function renderRunoffRounds(runoff) {
+    const container = document.getElementById('runoffRounds');
+    
+    if (!runoff || runoff.totalBallots === 0) {
+        container.innerHTML = '';
+        container.classList.add('hidden');
+        return;
+    }
+    
+    const names = {};
+    runoff.rounds[0].counts.forEach(c => { names[c.id] = c.name; });
+    
+    let outcome;
+    if (runoff.winnerId) {
+        outcome = `<strong>${escapeHtml(names[runoff.winnerId])}</strong> wins after ${runoff.rounds.length} round${runoff.rounds.length === 1 ? '' : 's'}.`;
+    } else if (runoff.tied.length > 0) {
+        outcome = `Tie between ${runoff.tied.map(id => `<strong>${escapeHtml(names[id])}</strong>`).join(' and ')}.`;
+    } else {
+        outcome = 'No winner: every ballot was exhausted.';
+    }
+    
+    container.innerHTML = `
+        <h3><i class="fas fa-layer-group"></i> Instant-Runoff Rounds</h3>
+        <p class="runoff-outcome">${outcome}</p>
+        ${runoff.rounds.map(round => `
+            <div class="runoff-round">
+                <div class="runoff-round-header">
+                    <strong>Round ${round.number}</strong>
+                    <span class="text-muted">${round.continuing} continuing · ${round.exhausted} exhausted</span>
+                </div>
+                ${round.counts.map(c => {
+                    const percentage = votePercentage(c.votes, round.continuing);
+                    const status = c.id === round.winnerId ? 'winner' : c.id === round.eliminated ? 'eliminated' : '';
+                    return `
+                        <div class="runoff-row ${status}">
+                            <span class="candidate-name">${escapeHtml(c.name)}</span>
+                            <div class="vote-bar">
+                                <div class="vote-progress" style="width: ${percentage}%"></div>
+                            </div>
+                            <span class="vote-count">${c.votes} (${percentage.toFixed(1)}%)</span>
+                        </div>
+                    `;
+                }).join('')}
+                ${round.eliminated ? `<p class="text-muted">Eliminated: ${escapeHtml(names[round.eliminated])}</p>` : ''}
+            </div>
+        `).join('')}
+    `;
+    container.classList.remove('hidden');
+}
+
+/**
+ * RENDER TALLY VERIFICATION
+ * Shows what the event logs add up to next to what the contract reports
+ * @param report tallyVerifier report, or null to clear
+ * @param candidates Ballot, for names in place of candidate IDs
+ */
+function renderTallyVerification(report, candidates = []) {
+    const container = document.getElementById('tallyReport');
+    
+    if (!report) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    const names = {};
+    candidates.forEach(c => { names[c.id] = c.name; });
+    
+    const rows = report.candidates
+        .filter(c => !c.match || c.reported !== '0')
+        .map(c => ({ label: names[c.id] || c.label, ...c }))
+        .concat([
+            { label: 'Total votes', ...report.totalVotes },
+            { label: 'Registered voters', ...report.voterCount }
+        ]);
+    
+    const summary = report.ok
+        ? `Tally verified: ${report.ballots} ballot${report.ballots === 1 ? '' : 's'} in ${report.logs} logs match the contract.`
+        : 'Tally mismatch: the event logs do not add up to the reported results.';
+    
+    container.innerHTML = `
+        <div class="message-box ${report.ok ? 'success' : 'error'}">
+            <i class="fas ${report.ok ? 'fa-check-circle' : 'fa-exclamation-triangle'}"></i>
+            <p>${summary}</p>
+        </div>
+        <table class="tally-table">
+            <thead>
+                <tr><th></th><th>Event logs</th><th>Contract</th></tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr class="${row.match ? '' : 'mismatch'}">
+                        <td>${escapeHtml(row.label)}</td>
+                        <td>${row.rebuilt}</td>
+                        <td>${row.reported}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ${report.problems.length > 0 ? `
+            <ul class="text-muted">
+                ${report.problems.map(problem => `<li>${escapeHtml(problem)}</li>`).join('')}
+            </ul>
+        ` : ''}
+        <p class="text-muted">Blocks ${report.fromBlock}–${report.toBlock}</p>
+    `;
+}
+
 /**
  * ═══════════════════════════════════════════════════════════════════════════════════
  * UTILITY FUNCTIONS
@@ -528,6 +1288,47 @@ function formatTimestamp(timestamp) {
     return new Date(timestamp * 1000).toLocaleString();
 }
 
+function getBallotTypeLabel(ballotType) {
+    switch (ballotType) {
+        case 'ranked': return 'Ranked choice';
+        case 'approval': return 'Approval';
+        default: return 'Plurality';
+    }
+}
+
+function getTieBreakLabel(policy) {
+    switch (policy) {
+        case 'earliestToReach': return 'First to reach the count';
+        case 'adminDraw': return 'Admin draw';
+        default: return 'Declare a tie';
+    }
+}
+
+function formatDuration(seconds) {
+    // Countdown format: "2d 03h 15m 09s", dropping leading zero units
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = Math.floor(seconds % 60);
+    const pad = (n) => String(n).padStart(2, '0');
+    
+    if (days > 0) return `${days}d ${pad(hours)}h ${pad(minutes)}m ${pad(secs)}s`;
+    if (hours > 0) return `${hours}h ${pad(minutes)}m ${pad(secs)}s`;
+    return `${minutes}m ${pad(secs)}s`;
+}
+
+function getPhaseLabel(stats) {
+    // Manual elections keep the original Active/Inactive wording
+    if (!stats.endTime) return stats.votingActive ? 'Active' : 'Inactive';
+    
+    switch (stats.phase) {
+        case 'upcoming': return 'Upcoming';
+        case 'open': return 'Open';
+        case 'reveal': return 'Revealing';
+        default: return 'Closed';
+    }
+}
+
 /**
  * ═══════════════════════════════════════════════════════════════════════════════════
  * DOCUMENTATION AND HELP FUNCTIONS
@@ -578,11 +1379,21 @@ window.uiManager = {
     hideLoading,
     updateStatusBanner,
     updateWalletUI,
+    setReadOnlyMode,
     updateAdminTabVisibility,
+    renderElectionPicker,
+    getSelectedElection,
     renderCandidates,
     selectCandidate,
     renderElectionStats,
     renderResults,
+    renderRunoffRounds,
+    renderTallyVerification,
+    formatTimestamp,
+    formatDuration,
+    getPhaseLabel,
+    getBallotTypeLabel,
+    getTieBreakLabel,
     showDocumentation,
     showSecurityInfo
 };
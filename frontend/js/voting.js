@@ -12,6 +12,8 @@
  * - Voter eligibility checking
  * - Candidate display and selection
  * - Vote submission and confirmation
+ * - Sealed ballots (commit-reveal) for secret-ballot elections
+ * - Vote changes in elections that allow them
  * - Real-time status updates
  * - Error handling and user guidance
  */
@@ -32,7 +34,10 @@ async function refreshVotingPanel() {
         
         // Check if wallet is connected
         if (!web3Manager.isConnected) {
-            showVotingMessage('wallet', 'Please connect your wallet to participate in voting.');
+            stopVotingCountdown();
+            showVotingMessage('wallet', UI_STATE.readOnly
+                ? 'You are viewing in read-only mode. Connect a wallet to vote; results are on the Results tab.'
+                : 'Please connect your wallet to participate in voting.');
             return;
         }
         
@@ -42,15 +47,24 @@ async function refreshVotingPanel() {
             return;
         }
         
+        // Check if an election is selected
+        const electionId = UI_STATE.selectedElection;
+        if (!electionId) {
+            stopVotingCountdown();
+            document.getElementById('voterStatus').innerHTML = '';
+            showVotingMessage('noElection');
+            return;
+        }
+        
         // Get voter status
-        const voterStatus = await contractAPI.getVoterStatus();
+        const voterStatus = await contractStore.getVoterStatus(electionId);
         if (!voterStatus) {
             showVotingMessage('error', 'Unable to check voter status. Please try again.');
             return;
         }
         
         // Get election stats
-        const electionStats = await contractAPI.getElectionStats();
+        const electionStats = await contractStore.getElectionStats(electionId);
         if (!electionStats) {
             showVotingMessage('error', 'Unable to load election information. Please try again.');
             return;
@@ -59,24 +73,46 @@ async function refreshVotingPanel() {
         // Update voter status display
         updateVoterStatusDisplay(voterStatus, electionStats);
         
+        // Scheduled elections get a live countdown to the next boundary
+        startVotingCountdown(electionStats);
+        
         // Handle different voting states
-        if (!voterStatus.isRegistered) {
+        if (!voterStatus.isRegistered && !voterStatus.allowlisted) {
             showVotingMessage('notRegistered');
             return;
         }
         
         if (voterStatus.hasVoted) {
+            if (voterStatus.delegatedTo) {
+                document.getElementById('delegatedToAddress').textContent = voterStatus.delegatedTo;
+                showVotingMessage('voteDelegated');
+                return;
+            }
+            if (electionStats.secretBallot) {
+                await handleSealedBallot(electionId, electionStats);
+                return;
+            }
+            if (voterStatus.currentVote && electionStats.voteChanges && electionStats.votingActive) {
+                await handleCurrentVote(electionId, voterStatus.currentVote);
+                return;
+            }
             showVotingMessage('alreadyVoted');
             return;
         }
         
+        if (electionStats.phase === 'upcoming') {
+            showVotingMessage('votingUpcoming');
+            return;
+        }
+        
         if (!electionStats.votingActive) {
-            showVotingMessage('votingInactive');
+            // Scheduled elections close for good; manual ones may reopen
+            showVotingMessage(electionStats.endTime > 0 ? 'votingClosed' : 'votingInactive');
             return;
         }
         
         // User can vote - show candidates
-        await displayCandidatesForVoting();
+        await displayCandidatesForVoting(electionId);
         
     } catch (error) {
         console.error('❌ Failed to refresh voting panel:', error);
@@ -96,27 +132,33 @@ function updateVoterStatusDisplay(voterStatus, electionStats) {
     
     // Registration status
     statusHTML += `
-        <div class="status-item ${voterStatus.isRegistered ? 'text-success' : 'text-warning'}">
-            <i class="fas ${voterStatus.isRegistered ? 'fa-check-circle' : 'fa-exclamation-triangle'}"></i>
-            ${voterStatus.isRegistered ? 'Registered Voter' : 'Not Registered'}
+        <div class="status-item ${voterStatus.isRegistered || voterStatus.allowlisted ? 'text-success' : 'text-warning'}">
+            <i class="fas ${voterStatus.isRegistered || voterStatus.allowlisted ? 'fa-check-circle' : 'fa-exclamation-triangle'}"></i>
+            ${voterStatus.isRegistered ? 'Registered Voter' : voterStatus.allowlisted ? 'On Voter Allowlist' : 'Not Registered'}
         </div>
     `;
     
-    // Voting status
-    if (voterStatus.isRegistered) {
+    // Voting status (allowlisted voters register with their first ballot)
+    if (voterStatus.isRegistered || voterStatus.allowlisted) {
         statusHTML += `
             <div class="status-item ${voterStatus.hasVoted ? 'text-info' : 'text-success'}">
-                <i class="fas ${voterStatus.hasVoted ? 'fa-vote-yea' : 'fa-hand-paper'}"></i>
-                ${voterStatus.hasVoted ? 'Vote Cast' : 'Ready to Vote'}
+                <i class="fas ${voterStatus.delegatedTo ? 'fa-share' : voterStatus.hasVoted ? 'fa-vote-yea' : 'fa-hand-paper'}"></i>
+                ${voterStatus.delegatedTo
+                    ? `Delegated to ${web3Manager.formatAddress(voterStatus.delegatedTo)}`
+                    : voterStatus.hasVoted ? 'Vote Cast' : 'Ready to Vote'}
+            </div>
+            <div class="status-item text-info">
+                <i class="fas fa-balance-scale"></i>
+                Voting power: ${voterStatus.weight}
             </div>
         `;
     }
     
-    // Election status
+    // Election status (phase-aware for scheduled elections)
     statusHTML += `
         <div class="status-item ${electionStats.votingActive ? 'text-success' : 'text-warning'}">
             <i class="fas ${electionStats.votingActive ? 'fa-play-circle' : 'fa-pause-circle'}"></i>
-            Voting ${electionStats.votingActive ? 'Active' : 'Inactive'}
+            Voting ${uiManager.getPhaseLabel(electionStats)}
         </div>
     `;
     
@@ -132,9 +174,17 @@ function updateVoterStatusDisplay(voterStatus, electionStats) {
 function showVotingMessage(type, customMessage = null) {
     // Hide all message boxes first
     const messageBoxes = [
+        'noElection',
         'votingInactive',
+        'votingUpcoming',
+        'votingClosed',
+        'ballotSealed',
+        'revealMissing',
         'notRegistered', 
-        'alreadyVoted'
+        'voteDelegated',
+        'alreadyVoted',
+        'currentVote',
+        'changingVote'
     ];
     
     messageBoxes.forEach(id => {
@@ -152,15 +202,36 @@ function showVotingMessage(type, customMessage = null) {
     let messageElement = null;
     
     switch (type) {
+        case 'noElection':
+            messageElement = document.getElementById('noElection');
+            break;
         case 'votingInactive':
             messageElement = document.getElementById('votingInactive');
             break;
+        case 'votingUpcoming':
+            messageElement = document.getElementById('votingUpcoming');
+            break;
+        case 'votingClosed':
+            messageElement = document.getElementById('votingClosed');
+            break;
+        case 'ballotSealed':
+            messageElement = document.getElementById('ballotSealed');
+            break;
+        case 'revealMissing':
+            messageElement = document.getElementById('revealMissing');
+            break;
         case 'notRegistered':
             messageElement = document.getElementById('notRegistered');
             break;
+        case 'voteDelegated':
+            messageElement = document.getElementById('voteDelegated');
+            break;
         case 'alreadyVoted':
             messageElement = document.getElementById('alreadyVoted');
             break;
+        case 'currentVote':
+            messageElement = document.getElementById('currentVote');
+            break;
         case 'wallet':
         case 'contract':
         case 'error':
@@ -179,6 +250,331 @@ function showVotingMessage(type, customMessage = null) {
     }
 }
 
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * VOTE CHANGES
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * 
+ * DESIGN DECISION: Show the recorded choice first, the ballot only on request
+ * WHY: Most voters who come back just want to see their vote; changing it
+ *      is a deliberate second step
+ * NOTE: Only for elections that allow vote changes, while voting is open;
+ *       UI_STATE.changingVote survives periodic refreshes until the change
+ *       is sent, cancelled or another election is selected
+ */
+
+async function handleCurrentVote(electionId, currentVote) {
+    const candidates = await contractStore.getCandidates(electionId);
+    const blank = BLANK_CHOICES.find(c => c.id === currentVote);
+    const candidate = candidates.find(c => String(c.id) === currentVote);
+    const label = blank ? blank.name : candidate ? candidate.name : `Candidate #${currentVote}`;
+    
+    document.querySelectorAll('.current-vote-choice').forEach(el => { el.textContent = label; });
+    
+    if (!UI_STATE.changingVote) {
+        showVotingMessage('currentVote');
+        return;
+    }
+    
+    await displayCandidatesForVoting(electionId);
+    document.getElementById('changingVote').classList.remove('hidden');
+}
+
+async function startVoteChange() {
+    UI_STATE.changingVote = true;
+    await refreshVotingPanel();
+}
+
+async function cancelVoteChange() {
+    UI_STATE.changingVote = false;
+    await refreshVotingPanel();
+}
+
+/**
+ * VOTE CHANGE SUBMISSION
+ * WHY: Same checks as a first vote, against the choice already recorded
+ * NOTE: Ranked and approval voters only hold a changeable vote if they
+ *       abstained, so they can only move between the blank choices
+ */
+async function submitVoteChange(electionId, election) {
+    const candidates = await contractStore.getCandidates(electionId);
+    const blank = BLANK_CHOICES.find(c => c.key === UI_STATE.blankChoice);
+    const candidate = blank ? null : candidates.find(c => c.id === UI_STATE.selectedCandidate && !c.withdrawn);
+    
+    if (!blank && (!candidate || election.ballotType !== 'plurality')) {
+        uiManager.showModal('No Choice Selected', election.ballotType === 'plurality'
+            ? 'Please select your new choice before changing your vote.'
+            : 'In this election a vote can only be changed between Abstain and None of the Above.');
+        return;
+    }
+    
+    const newChoice = blank ? blank.id : String(candidate.id);
+    const voterStatus = await contractAPI.getVoterStatus(electionId);
+    if (!voterStatus || !voterStatus.currentVote) {
+        uiManager.showModal('Cannot Change Vote', 'You have no vote that can be changed in this election.');
+        await cancelVoteChange();
+        return;
+    }
+    if (voterStatus.currentVote === newChoice) {
+        uiManager.showModal('Vote Unchanged', 'That is already your current vote.');
+        return;
+    }
+    
+    const confirmed = await confirmVote(blank ? { blank } : candidate, election);
+    if (!confirmed) {
+        return;
+    }
+    
+    console.log('🔁 Changing vote to:', blank ? blank.name : candidate.name);
+    const result = await contractAPI.changeVote(electionId, newChoice);
+    
+    console.log('✅ Vote changed successfully:', result.transactionHash);
+    
+    UI_STATE.changingVote = false;
+    await refreshVotingPanel();
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * VOTING WINDOW COUNTDOWN
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * 
+ * DESIGN DECISION: Client-side ticking countdown, re-synced on every panel refresh
+ * WHY: Voters should see exactly when a scheduled election opens or closes
+ * TRADE-OFF: Uses the local clock, which can drift from block.timestamp by a
+ *            few seconds; the contract remains the authority on vote()
+ * PERFORMANCE: One timer at a time, cleared whenever the panel re-renders
+ */
+
+let countdownTimer = null;
+
+function startVotingCountdown(electionStats) {
+    stopVotingCountdown();
+    
+    // Manual elections and finished windows have nothing to count down to
+    if (!electionStats.endTime || electionStats.phase === 'closed') {
+        return;
+    }
+    
+    const opening = electionStats.phase === 'upcoming';
+    const revealing = electionStats.phase === 'reveal';
+    const target = opening ? electionStats.startTime
+        : revealing ? electionStats.revealEndTime
+        : electionStats.endTime;
+    
+    const container = document.getElementById('votingCountdown');
+    const label = document.getElementById('countdownLabel');
+    const time = document.getElementById('countdownTime');
+    
+    label.textContent = opening ? 'Voting opens in'
+        : revealing ? 'Reveal phase closes in'
+        : 'Voting closes in';
+    container.classList.toggle('closing', !opening);
+    container.classList.remove('hidden');
+    
+    const tick = () => {
+        const remaining = target - Math.floor(Date.now() / 1000);
+        
+        if (remaining <= 0) {
+            // Boundary reached: the store's boundary timer drops the cached
+            // phase and re-renders the panel once the contract reports it
+            stopVotingCountdown();
+            return;
+        }
+        
+        time.textContent = uiManager.formatDuration(remaining);
+    };
+    
+    tick();
+    countdownTimer = setInterval(tick, 1000);
+}
+
+function stopVotingCountdown() {
+    if (countdownTimer) {
+        clearInterval(countdownTimer);
+        countdownTimer = null;
+    }
+    
+    const container = document.getElementById('votingCountdown');
+    if (container) container.classList.add('hidden');
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * SECRET BALLOT (COMMIT-REVEAL)
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * 
+ * DESIGN DECISION: Salt generated and kept in the voter's browser
+ * WHY: Only the voter can open their sealed vote; nothing secret touches the chain
+ *      before the reveal phase
+ * TRADE-OFF: A cleared browser means a lost salt, so voters get a backup file
+ * SECURITY: The sealed ballot is removed from localStorage once revealed
+ */
+
+let revealInFlight = false;
+
+function ballotStorageKey(electionId) {
+    // One ballot per contract, election and account
+    const contractAddress = web3Manager.contract.options.address.toLowerCase();
+    return `votingDApp:ballot:${contractAddress}:${electionId}:${web3Manager.account.toLowerCase()}`;
+}
+
+function createSealedBallot(electionId, candidateId) {
+    const salt = web3Manager.web3.utils.randomHex(32);
+    const voter = web3Manager.account;
+    
+    // Must match keccak256(abi.encodePacked(electionId, candidateId, salt, voter)) in Voting.sol
+    const commitment = web3Manager.web3.utils.soliditySha3(
+        { t: 'uint256', v: electionId },
+        { t: 'uint256', v: candidateId },
+        { t: 'bytes32', v: salt },
+        { t: 'address', v: voter }
+    );
+    
+    return {
+        contract: web3Manager.contract.options.address,
+        electionId,
+        candidateId,
+        salt,
+        voter,
+        commitment,
+        createdAt: new Date().toISOString()
+    };
+}
+
+function saveSealedBallot(ballot) {
+    localStorage.setItem(ballotStorageKey(ballot.electionId), JSON.stringify(ballot));
+}
+
+function loadSealedBallot(electionId) {
+    try {
+        const stored = localStorage.getItem(ballotStorageKey(electionId));
+        return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+        console.warn('⚠️ Failed to read sealed ballot:', error);
+        return null;
+    }
+}
+
+function clearSealedBallot(electionId) {
+    localStorage.removeItem(ballotStorageKey(electionId));
+}
+
+/**
+ * BALLOT BACKUP DOWNLOAD
+ * WHY: localStorage is not durable; the file lets the voter reveal from any browser
+ */
+function downloadBallotBackup() {
+    const electionId = UI_STATE.selectedElection;
+    const ballot = electionId ? loadSealedBallot(electionId) : null;
+    
+    if (!ballot) {
+        uiManager.showModal('No Backup Available', 'This browser has no sealed ballot for the selected election.');
+        return;
+    }
+    
+    const blob = new Blob([JSON.stringify(ballot, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `sealed-ballot-election-${ballot.electionId}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * BALLOT BACKUP RESTORE
+ * SECURITY: The file is only accepted if it re-hashes to the on-chain commitment
+ */
+async function restoreBallotBackup(event) {
+    const file = event.target.files && event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    
+    try {
+        const electionId = UI_STATE.selectedElection;
+        const ballot = JSON.parse(await file.text());
+        const sealed = await contractAPI.getBallotCommitment(electionId);
+        
+        const rehashed = web3Manager.web3.utils.soliditySha3(
+            { t: 'uint256', v: electionId },
+            { t: 'uint256', v: ballot.candidateId },
+            { t: 'bytes32', v: ballot.salt },
+            { t: 'address', v: web3Manager.account }
+        );
+        
+        if (!sealed || rehashed !== sealed.commitment) {
+            uiManager.showModal('Backup Does Not Match', 'This file does not match your sealed vote for the selected election and account.');
+            return;
+        }
+        
+        saveSealedBallot({ ...ballot, electionId, voter: web3Manager.account, commitment: rehashed });
+        await refreshVotingPanel();
+        
+    } catch (error) {
+        console.error('❌ Failed to restore ballot backup:', error);
+        uiManager.showModal('Invalid Backup', 'Could not read the ballot backup file.');
+    }
+}
+
+/**
+ * SEALED BALLOT STATUS
+ * WHY: A committed voter still has work to do until the vote is revealed
+ * AUTOMATION: Reveals as soon as the reveal phase is open and the salt is known
+ */
+async function handleSealedBallot(electionId, electionStats) {
+    const sealed = await contractAPI.getBallotCommitment(electionId);
+    
+    if (!sealed || sealed.revealed) {
+        showVotingMessage('alreadyVoted');
+        return;
+    }
+    
+    if (electionStats.phase === 'upcoming' || electionStats.phase === 'open') {
+        showVotingMessage('ballotSealed');
+        return;
+    }
+    
+    if (electionStats.phase === 'closed') {
+        showVotingMessage('error', 'The reveal phase has ended. Your sealed vote was not revealed in time and was not counted.');
+        return;
+    }
+    
+    const ballot = loadSealedBallot(electionId);
+    if (!ballot) {
+        showVotingMessage('revealMissing');
+        return;
+    }
+    
+    await autoRevealBallot(electionId, ballot);
+}
+
+async function autoRevealBallot(electionId, ballot) {
+    // Periodic refreshes must not stack up reveal transactions
+    if (revealInFlight) return;
+    revealInFlight = true;
+    
+    try {
+        showVotingMessage('contract', 'Reveal phase is open. Please confirm the reveal transaction to count your vote...');
+        
+        console.log('🔓 Revealing sealed vote for election', electionId);
+        await contractAPI.revealVote(electionId, ballot.candidateId, ballot.salt);
+        clearSealedBallot(electionId);
+        
+        console.log('✅ Sealed vote revealed');
+        
+    } catch (error) {
+        console.error('❌ Automatic reveal failed:', error);
+        // Keep the ballot so the next refresh can retry
+    } finally {
+        revealInFlight = false;
+    }
+    
+    await refreshVotingPanel();
+}
+
 /**
  * ═══════════════════════════════════════════════════════════════════════════════════
  * CANDIDATE DISPLAY AND SELECTION
@@ -189,9 +585,9 @@ function showVotingMessage(type, customMessage = null) {
  * ACCESSIBILITY: Keyboard navigation and screen reader support
  */
 
-async function displayCandidatesForVoting() {
+async function displayCandidatesForVoting(electionId) {
     try {
-        const candidates = await contractAPI.getCandidates();
+        const candidates = await contractStore.getCandidates(electionId);
         
         if (!candidates || candidates.length === 0) {
             showVotingMessage('error', 'No candidates available. Please wait for candidates to be added.');
@@ -201,8 +597,15 @@ async function displayCandidatesForVoting() {
         // Hide all message boxes
         showVotingMessage('none');
         
-        // Render candidates using UI manager
-        uiManager.renderCandidates(candidates);
+        // Render candidates using UI manager (ranked: sortable list, approval: multi-select)
+        const election = uiManager.getSelectedElection();
+        uiManager.renderCandidates(candidates, election ? election.ballotType : 'plurality');
+        
+        // A vote change reuses the ballot, but a cast vote can no longer be delegated
+        document.getElementById('submitVote').innerHTML = UI_STATE.changingVote
+            ? '<i class="fas fa-exchange-alt"></i> Change Vote'
+            : '<i class="fas fa-vote-yea"></i> Submit Vote';
+        document.querySelector('#voteButton .delegate-section').classList.toggle('hidden', UI_STATE.changingVote);
         
         console.log('✅ Displayed candidates for voting:', candidates.length);
         
@@ -225,6 +628,32 @@ async function displayCandidatesForVoting() {
 
 async function submitVote() {
     try {
+        // Pin the election so a picker change mid-confirmation cannot redirect the vote
+        const electionId = UI_STATE.selectedElection;
+        if (!electionId) {
+            uiManager.showModal('No Election Selected', 'Please select an election before submitting your vote.');
+            return;
+        }
+        
+        // Recasting goes through changeVote instead of a new ballot
+        const election = uiManager.getSelectedElection();
+        if (UI_STATE.changingVote) {
+            await submitVoteChange(electionId, election);
+            return;
+        }
+        
+        // Abstain and "none of the above" go through vote() on every ballot type
+        if (UI_STATE.blankChoice) {
+            await submitBlankVote(electionId, election);
+            return;
+        }
+        
+        // Ranked and approval ballots submit a list instead of one candidate
+        if (election && (election.ballotType === 'ranked' || election.ballotType === 'approval')) {
+            await submitCandidateListVote(electionId, election);
+            return;
+        }
+        
         // Validate selection
         if (!UI_STATE.selectedCandidate) {
             uiManager.showModal('No Candidate Selected', 'Please select a candidate before submitting your vote.');
@@ -232,7 +661,7 @@ async function submitVote() {
         }
         
         // Double-check voter eligibility
-        const voterStatus = await contractAPI.getVoterStatus();
+        const voterStatus = await contractAPI.getVoterStatus(electionId);
         if (!voterStatus || !voterStatus.canVote) {
             uiManager.showModal('Cannot Vote', 'You are not eligible to vote at this time.');
             await refreshVotingPanel(); // Refresh to show current status
@@ -240,8 +669,8 @@ async function submitVote() {
         }
         
         // Get candidate name for confirmation
-        const candidates = await contractAPI.getCandidates();
-        const selectedCandidate = candidates.find(c => c.id === UI_STATE.selectedCandidate);
+        const candidates = await contractStore.getCandidates(electionId);
+        const selectedCandidate = candidates.find(c => c.id === UI_STATE.selectedCandidate && !c.withdrawn);
         
         if (!selectedCandidate) {
             uiManager.showModal('Invalid Selection', 'Selected candidate is no longer available.');
@@ -250,15 +679,21 @@ async function submitVote() {
         }
         
         // Confirm vote with user
-        const confirmed = await confirmVote(selectedCandidate);
+        const confirmed = await confirmVote(selectedCandidate, election);
         if (!confirmed) {
             return;
         }
         
+        // Secret ballots submit a sealed vote instead
+        if (election && election.secretBallot) {
+            await submitSealedVote(electionId, selectedCandidate);
+            return;
+        }
+        
         // Submit vote to blockchain
         console.log('🗳️ Submitting vote for candidate:', selectedCandidate.name);
         
-        const result = await contractAPI.castVote(UI_STATE.selectedCandidate);
+        const result = await contractAPI.castVote(electionId, selectedCandidate.id);
         
         console.log('✅ Vote submitted successfully:', result.transactionHash);
         
@@ -279,13 +714,193 @@ async function submitVote() {
     }
 }
 
+/**
+ * RANKED / APPROVAL BALLOT SUBMISSION
+ * WHY: The list is read from UI_STATE at click time and validated against
+ *      the current candidate list before the voter signs anything
+ * RANKED: ordered, most preferred first; APPROVAL: any subset, in ID order
+ */
+async function submitCandidateListVote(electionId, election) {
+    const ranked = election.ballotType === 'ranked';
+    const candidateIds = ranked ? [...UI_STATE.ranking] : [...UI_STATE.approvedCandidates];
+    
+    if (candidateIds.length === 0) {
+        uiManager.showModal('No Candidate Selected', 'Please approve at least one candidate before submitting your vote.');
+        return;
+    }
+    
+    // Double-check voter eligibility
+    const voterStatus = await contractAPI.getVoterStatus(electionId);
+    if (!voterStatus || !voterStatus.canVote) {
+        uiManager.showModal('Cannot Vote', 'You are not eligible to vote at this time.');
+        await refreshVotingPanel();
+        return;
+    }
+    
+    // Every listed ID must still be a candidate
+    const candidates = await contractStore.getCandidates(electionId);
+    const chosenCandidates = candidateIds.map(id => candidates.find(c => c.id === id && !c.withdrawn));
+    if (chosenCandidates.some(c => !c)) {
+        uiManager.showModal('Invalid Selection', 'The candidate list has changed. Please review your ballot.');
+        await refreshVotingPanel();
+        return;
+    }
+    
+    const confirmed = await confirmVote(chosenCandidates, election);
+    if (!confirmed) {
+        return;
+    }
+    
+    let result;
+    if (ranked) {
+        console.log('🔢 Submitting ranked ballot:', candidateIds.join(' > '));
+        result = await contractAPI.castRankedVote(electionId, candidateIds);
+    } else {
+        console.log('✅ Submitting approval ballot:', candidateIds.join(', '));
+        result = await contractAPI.castApprovalVote(electionId, candidateIds);
+    }
+    
+    console.log('✅ Ballot submitted successfully:', result.transactionHash);
+    
+    await refreshVotingPanel();
+    
+    setTimeout(() => {
+        uiManager.switchTab('results');
+    }, 2000);
+}
+
+/**
+ * BLANK BALLOT SUBMISSION
+ * WHY: Abstaining still counts toward turnout, so it is signed and
+ *      confirmed like any other vote
+ * NOTE: Secret ballots seal the choice the same way as a candidate
+ */
+async function submitBlankVote(electionId, election) {
+    const choice = BLANK_CHOICES.find(c => c.key === UI_STATE.blankChoice);
+    
+    // Double-check voter eligibility
+    const voterStatus = await contractAPI.getVoterStatus(electionId);
+    if (!voterStatus || !voterStatus.canVote) {
+        uiManager.showModal('Cannot Vote', 'You are not eligible to vote at this time.');
+        await refreshVotingPanel();
+        return;
+    }
+    
+    const confirmed = await confirmVote({ blank: choice }, election);
+    if (!confirmed) {
+        return;
+    }
+    
+    if (election && election.secretBallot) {
+        await submitSealedVote(electionId, choice);
+        return;
+    }
+    
+    console.log('🗳️ Submitting blank vote:', choice.name);
+    const result = await contractAPI.castVote(electionId, choice.id);
+    
+    console.log('✅ Vote submitted successfully:', result.transactionHash);
+    
+    await refreshVotingPanel();
+    
+    setTimeout(() => {
+        uiManager.switchTab('results');
+    }, 2000);
+}
+
+/**
+ * SEALED VOTE SUBMISSION
+ * SECURITY: The ballot is stored before sending, so a closed tab after
+ *           signing cannot lose the salt of a mined commitment
+ */
+async function submitSealedVote(electionId, candidate) {
+    const ballot = createSealedBallot(electionId, candidate.id);
+    saveSealedBallot(ballot);
+    
+    console.log('🔒 Submitting sealed vote for election', electionId);
+    const result = await contractAPI.commitVote(electionId, ballot.commitment);
+    
+    console.log('✅ Sealed vote submitted:', result.transactionHash);
+    
+    // Offer the backup right away, while the voter is paying attention
+    await refreshVotingPanel();
+    downloadBallotBackup();
+}
+
+/**
+ * VOTE DELEGATION
+ * DESIGN DECISION: Delegation is an alternative to voting, offered beside submitVote
+ * WHY: Registered voters who cannot take part can still have their weight counted
+ * SECURITY: The contract resolves chains and rejects cycles; the checks here
+ *           only catch the obvious mistakes before the voter signs
+ */
+async function submitDelegation() {
+    try {
+        // Pin the election so a picker change mid-confirmation cannot redirect the delegation
+        const electionId = UI_STATE.selectedElection;
+        const election = uiManager.getSelectedElection();
+        if (!electionId) {
+            uiManager.showModal('No Election Selected', 'Please select an election before delegating your vote.');
+            return;
+        }
+        
+        const delegateInput = document.getElementById('delegateAddress');
+        const delegateAddress = delegateInput.value.trim();
+        
+        if (!validateEthereumAddress(delegateAddress)) {
+            uiManager.showModal('Invalid Address', 'Please enter a valid Ethereum address.');
+            return;
+        }
+        
+        if (delegateAddress.toLowerCase() === web3Manager.account.toLowerCase()) {
+            uiManager.showModal('Invalid Delegate', 'You cannot delegate your vote to yourself.');
+            return;
+        }
+        
+        // The delegate must be a registered voter in this election
+        const delegateStatus = await contractAPI.getVoterStatus(electionId, delegateAddress);
+        if (!delegateStatus || !delegateStatus.isRegistered) {
+            uiManager.showModal('Invalid Delegate', 'That address is not registered to vote in this election.');
+            return;
+        }
+        
+        if (delegateStatus.hasVoted && !delegateStatus.delegatedTo) {
+            uiManager.showModal('Invalid Delegate', 'That voter has already voted, so they cannot carry your vote.');
+            return;
+        }
+        
+        const confirmed = await confirmVote({ delegate: delegateAddress }, election);
+        if (!confirmed) {
+            return;
+        }
+        
+        console.log('🤝 Delegating vote to:', delegateAddress);
+        const result = await contractAPI.delegateVote(electionId, delegateAddress);
+        
+        console.log('✅ Vote delegated:', result.transactionHash);
+        delegateInput.value = '';
+        document.getElementById('delegateVote').disabled = true;
+        
+        await refreshVotingPanel();
+        
+    } catch (error) {
+        console.error('❌ Vote delegation failed:', error);
+        
+        // Error handling is done in web3Manager.sendTransaction
+        await refreshVotingPanel();
+    }
+}
+
 /**
  * VOTE CONFIRMATION
  * DESIGN DECISION: Custom confirmation dialog
  * WHY: Standard confirm() is not user-friendly for important decisions
  * USER EXPERIENCE: Clear explanation of what will happen
+ * RANKED / APPROVAL: Pass an array of candidates to list every choice
+ * BLANK: Pass { blank: choice } to confirm abstain or "none of the above"
+ * DELEGATION: Pass { delegate: address } to confirm a delegation instead
  */
-function confirmVote(candidate) {
+function confirmVote(candidate, election = null) {
     return new Promise((resolve) => {
         const modal = document.getElementById('messageModal');
         const modalTitle = document.getElementById('modalTitle');
@@ -296,14 +911,45 @@ function confirmVote(candidate) {
         modalMessage.innerHTML = `
             <div class="vote-confirmation">
                 <div class="confirmation-candidate">
+                    ${Array.isArray(candidate) && election && election.ballotType === 'approval' ? `
+                    <strong>You are about to approve ${candidate.length} candidate${candidate.length === 1 ? '' : 's'}:</strong>
+                    <ul class="confirmation-ranking">
+                        ${candidate.map(c => `<li>${escapeHtml(c.name)} <span class="candidate-id">(#${c.id})</span></li>`).join('')}
+                    </ul>
+                    ` : Array.isArray(candidate) ? `
+                    <strong>You are about to submit this ranking:</strong>
+                    <ol class="confirmation-ranking">
+                        ${candidate.map(c => `<li>${escapeHtml(c.name)} <span class="candidate-id">(#${c.id})</span></li>`).join('')}
+                    </ol>
+                    ` : candidate.blank ? `
+                    <strong>You are about to vote:</strong><br>
+                    <span class="candidate-name-large">${candidate.blank.name}</span>
+                    <span class="candidate-id">(${candidate.blank.description.toLowerCase()}; counts toward turnout)</span>
+                    ` : candidate.delegate ? `
+                    <strong>You are about to delegate your vote to:</strong><br>
+                    <span class="candidate-name-large">${web3Manager.formatAddress(candidate.delegate)}</span>
+                    <span class="candidate-id">(${escapeHtml(candidate.delegate)})</span>
+                    ` : `
                     <strong>You are about to vote for:</strong><br>
                     <span class="candidate-name-large">${escapeHtml(candidate.name)}</span>
                     <span class="candidate-id">(Candidate #${candidate.id})</span>
+                    `}
+                    ${election ? `<br><span class="candidate-id">in ${escapeHtml(election.title)}</span>` : ''}
                 </div>
                 <div class="confirmation-warning">
                     <i class="fas fa-exclamation-triangle"></i>
-                    <strong>Important:</strong> This action cannot be undone. You can only vote once.
+                    ${election && election.voteChanges && !candidate.delegate
+                        ? '<strong>Note:</strong> You can change this vote until voting closes.'
+                        : '<strong>Important:</strong> This action cannot be undone. You can only vote once.'}
+                </div>
+                ${election && election.secretBallot && !candidate.delegate ? `
+                <div class="confirmation-details">
+                    <i class="fas fa-lock"></i>
+                    This is a secret ballot. Your choice stays sealed until the reveal phase,
+                    when this browser will ask you to confirm a second transaction to count it.
+                    A backup file will be downloaded in case you switch browsers.
                 </div>
+                ` : ''}
                 <div class="confirmation-details">
                     This will create a blockchain transaction that you'll need to confirm in MetaMask.
                 </div>
@@ -373,6 +1019,33 @@ function setupVotingEventListeners() {
         submitVoteButton.addEventListener('click', submitVote);
     }
     
+    const delegateVoteButton = document.getElementById('delegateVote');
+    if (delegateVoteButton) {
+        delegateVoteButton.addEventListener('click', submitDelegation);
+    }
+    
+    // Vote changes (elections that allow them)
+    const changeVoteButton = document.getElementById('changeVote');
+    if (changeVoteButton) {
+        changeVoteButton.addEventListener('click', startVoteChange);
+    }
+    
+    const keepVoteButton = document.getElementById('keepVote');
+    if (keepVoteButton) {
+        keepVoteButton.addEventListener('click', cancelVoteChange);
+    }
+    
+    // Sealed ballot backup and restore
+    const downloadBackupButton = document.getElementById('downloadBallotBackup');
+    if (downloadBackupButton) {
+        downloadBackupButton.addEventListener('click', downloadBallotBackup);
+    }
+    
+    const backupFileInput = document.getElementById('ballotBackupFile');
+    if (backupFileInput) {
+        backupFileInput.addEventListener('change', restoreBallotBackup);
+    }
+    
     console.log('🗳️ Voting event listeners set up');
 }
 
@@ -396,6 +1069,14 @@ function escapeHtml(text) {
 
 document.addEventListener('DOMContentLoaded', () => {
     setupVotingEventListeners();
+    
+    // Contract events for the selected election re-render the open voting tab
+    contractStore.subscribe(['elections', 'candidates', 'stats', 'voterStatus'], (changes) => {
+        if (UI_STATE.currentTab === 'voting' && changes.electionIds.has(UI_STATE.selectedElection)) {
+            refreshVotingPanel();
+        }
+    });
+    
     console.log('🗳️ Voting module initialized');
 });
 
@@ -409,7 +1090,12 @@ window.votingManager = {
     refreshVotingPanel,
     displayCandidatesForVoting,
     submitVote,
-    updateVoterStatusDisplay
+    submitDelegation,
+    startVoteChange,
+    cancelVoteChange,
+    downloadBallotBackup,
+    updateVoterStatusDisplay,
+    stopVotingCountdown
 };
 
 console.log('🗳️ Voting module loaded');
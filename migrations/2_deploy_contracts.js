@@ -6,10 +6,13 @@
  * This migration script deploys the Voting contract and performs initial setup.
  * 
  * DEPLOYMENT STRATEGY:
- * 1. Deploy the contract (deployer becomes admin automatically)
- * 2. Add initial candidates (if specified)
- * 3. Register initial voters (if specified)
- * 4. Optionally activate voting
+ * 1. Deploy the AdminGovernance, VoterRegistry and ResultStandings libraries
+ *    and link them into Voting, then deploy the contract (deployer becomes
+ *    admin automatically)
+ * 2. Create a demo election (local networks only)
+ * 3. Add initial candidates (if specified)
+ * 4. Register initial voters (if specified)
+ * 5. Optionally activate voting
  * 
  * DESIGN DECISIONS:
  * • Simple deployment for educational purposes
@@ -22,6 +25,9 @@
  * • Consider admin transfer after setup if needed
  */
 
+const AdminGovernance = artifacts.require("AdminGovernance");
+const VoterRegistry = artifacts.require("VoterRegistry");
+const ResultStandings = artifacts.require("ResultStandings");
 const Voting = artifacts.require("Voting");
 
 module.exports = function (deployer, network, accounts) {
@@ -32,7 +38,17 @@ module.exports = function (deployer, network, accounts) {
   console.log("Deployer:", accounts[0]);
   console.log("Available accounts:", accounts.length);
   
-  deployer.deploy(Voting).then(async (instance) => {
+  // Voting calls the libraries through DELEGATECALL (keeps Voting under 24KB)
+  deployer.deploy(AdminGovernance).then(() => {
+    deployer.link(AdminGovernance, Voting);
+    return deployer.deploy(VoterRegistry);
+  }).then(() => {
+    deployer.link(VoterRegistry, Voting);
+    return deployer.deploy(ResultStandings);
+  }).then(() => {
+    deployer.link(ResultStandings, Voting);
+    return deployer.deploy(Voting);
+  }).then(async (instance) => {
     console.log("✅ Voting contract deployed at:", instance.address);
     console.log("🔑 Admin address:", accounts[0]);
     
@@ -41,26 +57,32 @@ module.exports = function (deployer, network, accounts) {
       console.log("\n🏃‍♂️ Setting up demo data for local development...");
       
       try {
+        // Create the demo election (receives ID 1)
+        await instance.createElection("Demo Election", { from: accounts[0] });
+        const electionId = 1;
+        console.log("✅ Created demo election (ID 1)");
+        
         // Add demo candidates
-        await instance.addCandidate("Alice Johnson", { from: accounts[0] });
-        await instance.addCandidate("Bob Smith", { from: accounts[0] });
-        await instance.addCandidate("Carol Williams", { from: accounts[0] });
+        await instance.addCandidate(electionId, "Alice Johnson", { from: accounts[0] });
+        await instance.addCandidate(electionId, "Bob Smith", { from: accounts[0] });
+        await instance.addCandidate(electionId, "Carol Williams", { from: accounts[0] });
         console.log("✅ Added 3 demo candidates");
         
         // Register demo voters (using other accounts)
         const votersToRegister = accounts.slice(1, 6); // Use accounts 1-5 as voters
         for (let i = 0; i < votersToRegister.length; i++) {
-          await instance.registerVoter(votersToRegister[i], { from: accounts[0] });
+          await instance.registerVoter(electionId, votersToRegister[i], 1, { from: accounts[0] });
         }
         console.log(`✅ Registered ${votersToRegister.length} demo voters`);
         
         // Activate voting for immediate testing
-        await instance.toggleVoting({ from: accounts[0] });
+        await instance.toggleVoting(electionId, { from: accounts[0] });
         console.log("✅ Voting activated");
         
         console.log("\n📊 DEPLOYMENT SUMMARY:");
         console.log("Contract Address:", instance.address);
         console.log("Admin:", accounts[0]);
+        console.log("Election: Demo Election (ID 1)");
         console.log("Candidates: Alice Johnson, Bob Smith, Carol Williams");
         console.log("Registered Voters:", votersToRegister.join(", "));
         console.log("Voting Status: Active");
@@ -74,10 +96,11 @@ module.exports = function (deployer, network, accounts) {
     if (network === "sepolia" || network === "mainnet") {
       console.log("\n⚠️  PRODUCTION DEPLOYMENT NOTES:");
       console.log("1. Contract deployed with admin:", accounts[0]);
-      console.log("2. Add candidates using: contract.addCandidate()");
-      console.log("3. Register voters using: contract.registerVoter()");
-      console.log("4. Activate voting using: contract.toggleVoting()");
-      console.log("5. Consider transferring admin to multi-sig wallet");
+      console.log("2. Create an election using: contract.createElection()");
+      console.log("3. Add candidates using: contract.addCandidate()");
+      console.log("4. Register voters using: contract.registerVoter()");
+      console.log("5. Activate voting using: contract.toggleVoting()");
+      console.log("6. Consider transferring admin to multi-sig wallet");
     }
     
     console.log("\n🎉 Deployment completed successfully!");
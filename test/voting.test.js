@@ -19,6 +19,52 @@
 const Voting = artifacts.require("Voting");
 const { expect } = require("chai");
 const truffleAssert = require("truffle-assertions");
+const { spawnSync } = require("child_process");
+const path = require("path");
+const { buildAllowlist } = require("../build-voter-allowlist");
+const tallyVerifier = require("../frontend/js/tally");
+
+/**
+ * TIME TRAVEL HELPERS
+ * WHY: Scheduled voting windows depend on block.timestamp
+ * HOW: Ganache's evm_increaseTime + evm_mine move the chain clock forward
+ */
+const rpc = (method, params = []) => new Promise((resolve, reject) => {
+  web3.currentProvider.send(
+    { jsonrpc: "2.0", method, params, id: Date.now() },
+    (error, result) => (error ? reject(error) : resolve(result))
+  );
+});
+
+const advanceTime = async (seconds) => {
+  await rpc("evm_increaseTime", [seconds]);
+  await rpc("evm_mine");
+};
+
+const latestTimestamp = async () => {
+  const block = await web3.eth.getBlock("latest");
+  return Number(block.timestamp);
+};
+
+// Phase enum values from the contract
+const PHASE = { UPCOMING: 0, OPEN: 1, REVEAL: 2, CLOSED: 3 };
+
+// BallotType enum values from the contract
+const BALLOT = { PLURALITY: 0, RANKED: 1, APPROVAL: 2 };
+
+// Role enum values from the contract
+const ROLE = { REGISTRAR: 0, CANDIDATE_MANAGER: 1, ELECTION_OPERATOR: 2 };
+
+// TieBreak enum values from the contract
+const TIE_BREAK = { DECLARE_TIE: 0, EARLIEST_TO_REACH: 1, ADMIN_DRAW: 2 };
+
+// Sealed ballot hash, built exactly like Voting.revealVote()
+const commitmentFor = (electionId, candidateId, salt, voter) => web3.utils.soliditySha3(
+  { t: "uint256", v: electionId },
+  { t: "uint256", v: candidateId },
+  { t: "bytes32", v: salt },
+  { t: "address", v: voter }
+);
 
 contract("Voting", (accounts) => {
   // Test accounts assignment for clarity
@@ -28,11 +74,15 @@ contract("Voting", (accounts) => {
   const voter3 = accounts[3];
   const unauthorized = accounts[4];
   
+  // Every test runs against the first election in the registry
+  const electionId = 1;
+  
   let voting;
   
   beforeEach(async () => {
     // Deploy fresh contract for each test
     voting = await Voting.new({ from: admin });
+    await voting.createElection("Student Council", { from: admin });
   });
   
   describe("🏗️ Contract Deployment", () => {
@@ -46,193 +96,1577 @@ contract("Voting", (accounts) => {
       expect(contractAdmin).to.equal(admin);
     });
     
-    it("should start with voting inactive", async () => {
-      const votingActive = await voting.votingActive();
-      expect(votingActive).to.be.false;
+    it("should start with no elections", async () => {
+      const emptyVoting = await Voting.new({ from: admin });
+      const electionCount = await emptyVoting.electionCount();
+      expect(electionCount.toNumber()).to.equal(0);
+    });
+    
+    it("should start new elections with voting inactive", async () => {
+      const election = await voting.elections(electionId);
+      expect(election.votingActive).to.be.false;
+    });
+    
+    it("should start new elections with zero candidates and votes", async () => {
+      const election = await voting.elections(electionId);
+      expect(election.candidateCount.toNumber()).to.equal(0);
+      expect(election.totalVotes.toNumber()).to.equal(0);
+    });
+  });
+  
+  describe("👑 Admin Functions", () => {
+    /**
+     * TESTS: Admin access control and functionality
+     * WHY: Core security feature - only admin should control setup
+     * TRADE-OFF: Centralization vs security (documented in design decisions)
+     */
+    
+    describe("Voter Registration", () => {
+      it("should allow admin to register voters", async () => {
+        const tx = await voting.registerVoter(electionId, voter1, 1, { from: admin });
+        
+        // Verify state change
+        const isRegistered = await voting.registeredVoters(electionId, voter1);
+        expect(isRegistered).to.be.true;
+        
+        // Verify event emission
+        truffleAssert.eventEmitted(tx, "VoterRegistered", (ev) => {
+          return ev.voter === voter1;
+        });
+      });
+      
+      it("should prevent non-admin from registering voters", async () => {
+        await truffleAssert.reverts(
+          voting.registerVoter(electionId, voter1, 1, { from: unauthorized }),
+          "Only admin can perform this action"
+        );
+      });
+      
+      it("should prevent duplicate voter registration", async () => {
+        await voting.registerVoter(electionId, voter1, 1, { from: admin });
+        
+        await truffleAssert.reverts(
+          voting.registerVoter(electionId, voter1, 1, { from: admin }),
+          "Voter is already registered"
+        );
+      });
+      
+      it("should prevent registering zero address", async () => {
+        await truffleAssert.reverts(
+          voting.registerVoter(electionId, "0x0000000000000000000000000000000000000000", 1, { from: admin }),
+          "Invalid voter address"
+        );
+            });
+      
+      it("should reject a zero voting weight", async () => {
+        await truffleAssert.reverts(
+          voting.registerVoter(electionId, voter1, 0, { from: admin }),
+          "Voter weight must be positive"
+        );
+      });
+      
+      it("should register a batch of voters in one transaction", async () => {
+        const tx = await voting.registerVoters(electionId, [voter1, voter2, voter3], [1, 2, 3], { from: admin });
+        
+        truffleAssert.eventEmitted(tx, "VoterRegistered", (ev) => ev.voter === voter3);
+        expect((await voting.voterWeights(electionId, voter1)).toNumber()).to.equal(1);
+        expect((await voting.voterWeights(electionId, voter3)).toNumber()).to.equal(3);
+      });
+      
+      it("should reject a batch with any bad row", async () => {
+        await voting.registerVoter(electionId, voter2, 1, { from: admin });
+        
+        await truffleAssert.reverts(
+          voting.registerVoters(electionId, [voter1, voter2], [1, 1], { from: admin }),
+          "Voter is already registered"
+        );
+        await truffleAssert.reverts(
+          voting.registerVoters(electionId, [voter1, voter1], [1, 1], { from: admin }),
+          "Voter is already registered"
+        );
+        await truffleAssert.reverts(
+          voting.registerVoters(electionId, [voter1], [1, 2], { from: admin }),
+          "Invalid voter batch"
+        );
+        await truffleAssert.reverts(
+          voting.registerVoters(electionId, [voter1], [1], { from: unauthorized }),
+          "Only admin can perform this action"
+        );
+        
+        // The whole batch reverted: voter1 is still unregistered
+        expect(await voting.registeredVoters(electionId, voter1)).to.be.false;
+      });
+      
+      it("should allow admin to deregister a voter who has not voted", async () => {
+        await voting.registerVoter(electionId, voter1, 3, { from: admin });
+        const tx = await voting.deregisterVoter(electionId, voter1, { from: admin });
+        
+        truffleAssert.eventEmitted(tx, "VoterDeregistered", (ev) => {
+          return ev.electionId.toNumber() === electionId && ev.voter === voter1;
+        });
+        expect(await voting.registeredVoters(electionId, voter1)).to.be.false;
+        expect((await voting.voterWeights(electionId, voter1)).toNumber()).to.equal(0);
+        
+        // Revoked voters cannot vote, and can be registered again
+        await voting.addCandidate(electionId, "Alice", { from: admin });
+        await voting.toggleVoting(electionId, { from: admin });
+        await truffleAssert.reverts(
+          voting.vote(electionId, 1, { from: voter1 }),
+          "You are not registered to vote"
+        );
+        await voting.registerVoter(electionId, voter1, 1, { from: admin });
+        expect(await voting.registeredVoters(electionId, voter1)).to.be.true;
+      });
+      
+      it("should not deregister voters who voted or were never registered", async () => {
+        await truffleAssert.reverts(
+          voting.deregisterVoter(electionId, voter1, { from: admin }),
+          "Voter is not registered"
+        );
+        
+        await voting.registerVoter(electionId, voter1, 1, { from: admin });
+        await truffleAssert.reverts(
+          voting.deregisterVoter(electionId, voter1, { from: unauthorized }),
+          "Only admin can perform this action"
+        );
+        
+        await voting.addCandidate(electionId, "Alice", { from: admin });
+        await voting.toggleVoting(electionId, { from: admin });
+        await voting.vote(electionId, 1, { from: voter1 });
+        await truffleAssert.reverts(
+          voting.deregisterVoter(electionId, voter1, { from: admin }),
+          "Voter has already voted"
+        );
+      });
+    });
+    
+    describe("Candidate Management", () => {
+      it("should allow admin to add candidates", async () => {
+        const tx = await voting.addCandidate(electionId, "Alice Johnson", { from: admin });
+        
+        // Verify state changes
+        const { candidateCount } = await voting.elections(electionId);
+        const candidateName = await voting.candidates(electionId, 1);
+        
+        expect(candidateCount.toNumber()).to.equal(1);
+        expect(candidateName).to.equal("Alice Johnson");
+        
+        // Verify event emission
+        truffleAssert.eventEmitted(tx, "CandidateAdded", (ev) => {
+          return ev.candidateId.toNumber() === 1 && ev.name === "Alice Johnson";
+        });
+      });
+      
+      it("should prevent non-admin from adding candidates", async () => {
+        await truffleAssert.reverts(
+          voting.addCandidate(electionId, "Alice Johnson", { from: unauthorized }),
+          "Only admin can perform this action"
+        );
+      });
+      
+      it("should prevent adding candidates with empty names", async () => {
+        await truffleAssert.reverts(
+          voting.addCandidate(electionId, "", { from: admin }),
+          "Candidate name cannot be empty"
+        );
+      });
+      
+      it("should prevent adding candidates with too long names", async () => {
+        const longName = "A".repeat(65); // 65 characters
+        await truffleAssert.reverts(
+          voting.addCandidate(electionId, longName, { from: admin }),
+          "Candidate name too long"
+        );
+      });
+      
+      it("should assign sequential IDs to candidates", async () => {
+        await voting.addCandidate(electionId, "Alice", { from: admin });
+        await voting.addCandidate(electionId, "Bob", { from: admin });
+        await voting.addCandidate(electionId, "Carol", { from: admin });
+        
+        const { candidateCount: count } = await voting.elections(electionId);
+        expect(count.toNumber()).to.equal(3);
+        
+        const alice = await voting.candidates(electionId, 1);
+        const bob = await voting.candidates(electionId, 2);
+        const carol = await voting.candidates(electionId, 3);
+        
+        expect(alice).to.equal("Alice");
+        expect(bob).to.equal("Bob");
+        expect(carol).to.equal("Carol");
+      });
+      
+      it("should rename a candidate without changing its ID", async () => {
+        await voting.addCandidate(electionId, "Alcie", { from: admin });
+        const tx = await voting.renameCandidate(electionId, 1, "Alice", { from: admin });
+        
+        truffleAssert.eventEmitted(tx, "CandidateRenamed", (ev) => {
+          return ev.candidateId.toNumber() === 1 && ev.name === "Alice";
+        });
+        expect(await voting.candidates(electionId, 1)).to.equal("Alice");
+        
+        await truffleAssert.reverts(
+          voting.renameCandidate(electionId, 1, "", { from: admin }),
+          "Candidate name cannot be empty"
+        );
+        await truffleAssert.reverts(
+          voting.renameCandidate(electionId, 2, "Bob", { from: admin }),
+          "Invalid candidate ID"
+        );
+      });
+      
+      it("should withdraw a candidate, keep IDs stable and reject votes for it", async () => {
+        await voting.addCandidate(electionId, "Alice", { from: admin });
+        await voting.addCandidate(electionId, "Bob", { from: admin });
+        const tx = await voting.withdrawCandidate(electionId, 1, { from: admin });
+        
+        truffleAssert.eventEmitted(tx, "CandidateWithdrawn", (ev) => ev.candidateId.toNumber() === 1);
+        expect((await voting.candidateStatus(electionId, 1)).toNumber()).to.equal(2);
+        
+        const results = await voting.showResults(electionId);
+        expect(results.names).to.deep.equal(["Alice", "Bob"]);
+        expect(results.withdrawn).to.deep.equal([true, false]);
+        
+        await truffleAssert.reverts(
+          voting.renameCandidate(electionId, 1, "Alicia", { from: admin }),
+          "Candidate has withdrawn"
+        );
+        
+        await voting.registerVoter(electionId, voter1, 1, { from: admin });
+        await voting.toggleVoting(electionId, { from: admin });
+        await truffleAssert.reverts(
+          voting.vote(electionId, 1, { from: voter1 }),
+          "Candidate has withdrawn"
+        );
+        await voting.vote(electionId, 2, { from: voter1 });
+      });
+      
+      it("should freeze the ballot once votes have been cast", async () => {
+        await voting.addCandidate(electionId, "Alice", { from: admin });
+        await voting.addCandidate(electionId, "Bob", { from: admin });
+        await voting.registerVoter(electionId, voter1, 1, { from: admin });
+        await voting.toggleVoting(electionId, { from: admin });
+        await voting.vote(electionId, 1, { from: voter1 });
+        
+        await truffleAssert.reverts(
+          voting.renameCandidate(electionId, 2, "Robert", { from: admin }),
+          "Votes have already been cast"
+        );
+        await truffleAssert.reverts(
+          voting.withdrawCandidate(electionId, 2, { from: admin }),
+          "Votes have already been cast"
+        );
+        await truffleAssert.reverts(
+          voting.withdrawCandidate(electionId, 2, { from: unauthorized }),
+          "Only admin can perform this action"
+        );
+      });
+      
+      it("should link a candidate to a hashed profile until votes are cast", async () => {
+        const uri = "ipfs://bafyprofilealice";
+        const hash = web3.utils.keccak256('{"description":"Alice for council"}');
+        await voting.addCandidate(electionId, "Alice", { from: admin });
+        const tx = await voting.setCandidateMetadata(electionId, 1, uri, hash, { from: admin });
+        
+        truffleAssert.eventEmitted(tx, "CandidateMetadataSet", (ev) => {
+          return ev.candidateId.toNumber() === 1 && ev.uri === uri && ev.contentHash === hash;
+        });
+        const metadata = await voting.candidateMetadata(electionId, 1);
+        expect(metadata.uri).to.equal(uri);
+        expect(metadata.contentHash).to.equal(hash);
+        
+        await truffleAssert.reverts(
+          voting.setCandidateMetadata(electionId, 1, "", hash, { from: admin }),
+          "Content hash needs a URI"
+        );
+        await truffleAssert.reverts(
+          voting.setCandidateMetadata(electionId, 1, uri, hash, { from: unauthorized }),
+          "Only admin can perform this action"
+        );
+        
+        await voting.registerVoter(electionId, voter1, 1, { from: admin });
+        await voting.toggleVoting(electionId, { from: admin });
+        await voting.vote(electionId, 1, { from: voter1 });
+        await truffleAssert.reverts(
+          voting.setCandidateMetadata(electionId, 1, "ipfs://bafyother", hash, { from: admin }),
+          "Votes have already been cast"
+        );
+      });
+    });
+    
+    describe("Voting Control", () => {
+      it("should allow admin to toggle voting status", async () => {
+        // Initially inactive
+        let status = (await voting.elections(electionId)).votingActive;
+        expect(status).to.be.false;
+        
+        // Activate voting
+        const tx1 = await voting.toggleVoting(electionId, { from: admin });
+        status = (await voting.elections(electionId)).votingActive;
+        expect(status).to.be.true;
+        
+        // Verify event
+        truffleAssert.eventEmitted(tx1, "VotingStatusChanged", (ev) => {
+          return ev.active === true;
+        });
+        
+        // Deactivate voting
+        const tx2 = await voting.toggleVoting(electionId, { from: admin });
+        status = (await voting.elections(electionId)).votingActive;
+        expect(status).to.be.false;
+        
+        // Verify event
+        truffleAssert.eventEmitted(tx2, "VotingStatusChanged", (ev) => {
+          return ev.active === false;
+        });
+      });
+      
+      it("should prevent non-admin from toggling voting", async () => {
+        await truffleAssert.reverts(
+          voting.toggleVoting(electionId, { from: unauthorized }),
+          "Only admin can perform this action"
+        );
+      });
     });
     
-    it("should start with zero candidates and votes", async () => {
-      const candidateCount = await voting.candidateCount();
-      const totalVotes = await voting.totalVotes();
-      expect(candidateCount.toNumber()).to.equal(0);
-      expect(totalVotes.toNumber()).to.equal(0);
+    describe("Admin Transfer", () => {
+      it("should nominate a pending admin without handing over control", async () => {
+        const tx = await voting.transferAdmin(voter1, { from: admin });
+        
+        expect(await voting.admin()).to.equal(admin);
+        expect(await voting.pendingAdmin()).to.equal(voter1);
+        expect(await voting.isAdmin(voter1)).to.be.false;
+        
+        truffleAssert.eventEmitted(tx, "AdminTransferProposed", (ev) => {
+          return ev.currentAdmin === admin && ev.pendingAdmin === voter1;
+        });
+      });
+      
+      it("should allow the nominee to accept admin rights", async () => {
+        await voting.transferAdmin(voter1, { from: admin });
+        const tx = await voting.acceptAdmin({ from: voter1 });
+        
+        const newAdmin = await voting.admin();
+        expect(newAdmin).to.equal(voter1);
+        expect(await voting.pendingAdmin()).to.equal("0x0000000000000000000000000000000000000000");
+        expect(await voting.isAdmin(admin)).to.be.false;
+        
+        // Verify event
+        truffleAssert.eventEmitted(tx, "AdminChanged", (ev) => {
+          return ev.oldAdmin === admin && ev.newAdmin === voter1;
+        });
+      });
+      
+      it("should only let the nominee accept", async () => {
+        await truffleAssert.reverts(
+          voting.acceptAdmin({ from: voter1 }),
+          "Only the pending admin can accept"
+        );
+        
+        await voting.transferAdmin(voter1, { from: admin });
+        await truffleAssert.reverts(
+          voting.acceptAdmin({ from: voter2 }),
+          "Only the pending admin can accept"
+        );
+      });
+      
+      it("should allow admin to cancel a pending transfer", async () => {
+        await voting.transferAdmin(voter1, { from: admin });
+        const tx = await voting.cancelAdminTransfer({ from: admin });
+        
+        truffleAssert.eventEmitted(tx, "AdminTransferCancelled", (ev) => {
+          return ev.pendingAdmin === voter1;
+        });
+        await truffleAssert.reverts(
+          voting.acceptAdmin({ from: voter1 }),
+          "Only the pending admin can accept"
+        );
+        await truffleAssert.reverts(
+          voting.cancelAdminTransfer({ from: admin }),
+          "No pending admin transfer"
+        );
+      });
+      
+      it("should prevent transferring to zero address", async () => {
+        await truffleAssert.reverts(
+          voting.transferAdmin("0x0000000000000000000000000000000000000000", { from: admin }),
+          "Invalid admin address"
+        );
+      });
+      
+      it("should prevent transferring to same admin", async () => {
+        await truffleAssert.reverts(
+          voting.transferAdmin(admin, { from: admin }),
+          "New admin cannot be the same as current admin"
+        );
+      });
+    });
+  });
+  
+  describe("🔐 Multi-Signature Admin", () => {
+    /**
+     * TESTS: M-of-N admin proposals
+     * WHY: With a threshold above 1, no single admin key may act alone
+     */
+    
+    const encode = (method, ...args) => voting.contract.methods[method](...args).encodeABI();
+    
+    beforeEach(async () => {
+      await voting.addAdmin(voter1, { from: admin });
+      await voting.addAdmin(voter2, { from: admin });
+      await voting.setAdminThreshold(2, { from: admin });
+    });
+    
+    it("should track the admin set and threshold", async () => {
+      const admins = await voting.getAdmins();
+      expect(admins).to.have.members([admin, voter1, voter2]);
+      expect((await voting.adminThreshold()).toNumber()).to.equal(2);
+      expect(await voting.isAdmin(voter1)).to.be.true;
+      expect(await voting.isAdmin(voter3)).to.be.false;
+    });
+    
+    it("should block direct admin calls above a threshold of 1", async () => {
+      await truffleAssert.reverts(
+        voting.registerVoter(electionId, voter3, 1, { from: admin }),
+        "Action requires multisig approval"
+      );
+      await truffleAssert.reverts(
+        voting.propose(encode("toggleVoting", electionId), { from: unauthorized }),
+        "Only admin can perform this action"
+      );
+    });
+    
+    it("should execute a proposal once it has enough approvals", async () => {
+      const tx = await voting.propose(encode("registerVoter", electionId, voter3, 2), { from: admin });
+      truffleAssert.eventEmitted(tx, "ProposalCreated", (ev) => ev.proposalId.toNumber() === 1);
+      
+      await truffleAssert.reverts(voting.executeProposal(1, { from: admin }), "Not enough approvals");
+      await truffleAssert.reverts(voting.approveProposal(1, { from: admin }), "Proposal already approved");
+      
+      await voting.approveProposal(1, { from: voter1 });
+      const proposal = await voting.getProposal(1);
+      expect(proposal.approvals.toNumber()).to.equal(2);
+      
+      const executed = await voting.executeProposal(1, { from: voter2 });
+      truffleAssert.eventEmitted(executed, "ProposalExecuted");
+      expect((await voting.voterWeights(electionId, voter3)).toNumber()).to.equal(2);
+      
+      await truffleAssert.reverts(voting.executeProposal(1, { from: admin }), "Proposal already executed");
+    });
+    
+    it("should pass through the revert reason of a failed proposal", async () => {
+      await voting.propose(encode("addCandidate", electionId, ""), { from: admin });
+      await voting.approveProposal(1, { from: voter1 });
+      await truffleAssert.reverts(
+        voting.executeProposal(1, { from: admin }),
+        "Candidate name cannot be empty"
+      );
+      
+      // A failed execution leaves the proposal pending
+      expect((await voting.getProposal(1)).executed).to.be.false;
+    });
+    
+    it("should keep the threshold reachable when changing admins", async () => {
+      await truffleAssert.reverts(
+        voting.executeProposal(1, { from: admin }),
+        "Proposal does not exist"
+      );
+      
+      await voting.propose(encode("setAdminThreshold", 4), { from: admin });
+      await voting.approveProposal(1, { from: voter1 });
+      await truffleAssert.reverts(voting.executeProposal(1, { from: admin }), "Invalid admin threshold");
+      
+      // Removing an admin (3 -> 2 with threshold 2) is allowed; going below is not
+      await voting.propose(encode("removeAdmin", voter2), { from: admin });
+      await voting.approveProposal(2, { from: voter1 });
+      await voting.executeProposal(2, { from: admin });
+      expect(await voting.isAdmin(voter2)).to.be.false;
+      
+      await voting.propose(encode("removeAdmin", voter1), { from: admin });
+      await voting.approveProposal(3, { from: voter1 });
+      await truffleAssert.reverts(voting.executeProposal(3, { from: admin }), "Cannot go below admin threshold");
+    });
+  });
+  
+  describe("🛂 Role-Based Access Control", () => {
+    /**
+     * TESTS: Registrar, candidate manager and election operator roles
+     * WHY: Each role must unlock its own functions and nothing more
+     */
+    
+    it("should grant and revoke roles with events", async () => {
+      let tx = await voting.grantRole(ROLE.REGISTRAR, voter1, { from: admin });
+      truffleAssert.eventEmitted(tx, "RoleGranted", (ev) => {
+        return ev.role.toNumber() === ROLE.REGISTRAR && ev.account === voter1;
+      });
+      expect(await voting.hasRole(ROLE.REGISTRAR, voter1)).to.be.true;
+      expect(await voting.getRoleMembers(ROLE.REGISTRAR)).to.deep.equal([voter1]);
+      
+      tx = await voting.revokeRole(ROLE.REGISTRAR, voter1, { from: admin });
+      truffleAssert.eventEmitted(tx, "RoleRevoked", (ev) => {
+        return ev.role.toNumber() === ROLE.REGISTRAR && ev.account === voter1;
+      });
+      expect(await voting.hasRole(ROLE.REGISTRAR, voter1)).to.be.false;
+      expect(await voting.getRoleMembers(ROLE.REGISTRAR)).to.deep.equal([]);
+    });
+    
+    it("should reject invalid role changes", async () => {
+      await truffleAssert.reverts(
+        voting.grantRole(ROLE.REGISTRAR, voter1, { from: unauthorized }),
+        "Only admin can perform this action"
+      );
+      await truffleAssert.reverts(
+        voting.grantRole(ROLE.REGISTRAR, "0x0000000000000000000000000000000000000000", { from: admin }),
+        "Invalid role address"
+      );
+      
+      await voting.grantRole(ROLE.REGISTRAR, voter1, { from: admin });
+      await truffleAssert.reverts(voting.grantRole(ROLE.REGISTRAR, voter1, { from: admin }), "Role already granted");
+      await truffleAssert.reverts(voting.revokeRole(ROLE.CANDIDATE_MANAGER, voter1, { from: admin }), "Role not granted");
+      
+      // A role holder cannot hand out roles
+      await truffleAssert.reverts(
+        voting.grantRole(ROLE.REGISTRAR, voter2, { from: voter1 }),
+        "Only admin can perform this action"
+      );
+    });
+    
+    it("should let registrars register voters and nothing else", async () => {
+      await voting.grantRole(ROLE.REGISTRAR, voter1, { from: admin });
+      
+      await voting.registerVoter(electionId, voter2, 1, { from: voter1 });
+      await voting.registerVoters(electionId, [voter3], [2], { from: voter1 });
+      await voting.setVoterRoot(electionId, web3.utils.randomHex(32), { from: voter1 });
+      expect(await voting.registeredVoters(electionId, voter3)).to.be.true;
+      await voting.deregisterVoter(electionId, voter2, { from: voter1 });
+      expect(await voting.registeredVoters(electionId, voter2)).to.be.false;
+      
+      await truffleAssert.reverts(
+        voting.addCandidate(electionId, "Alice", { from: voter1 }),
+        "Only admin can perform this action"
+      );
+      await truffleAssert.reverts(
+        voting.toggleVoting(electionId, { from: voter1 }),
+        "Only admin can perform this action"
+      );
+    });
+    
+    it("should let candidate managers and election operators use their functions", async () => {
+      await voting.grantRole(ROLE.CANDIDATE_MANAGER, voter1, { from: admin });
+      await voting.grantRole(ROLE.ELECTION_OPERATOR, voter2, { from: admin });
+      
+      await voting.addCandidate(electionId, "Alice", { from: voter1 });
+      await truffleAssert.reverts(
+        voting.registerVoter(electionId, voter3, 1, { from: voter1 }),
+        "Only admin can perform this action"
+      );
+      
+      await voting.toggleVoting(electionId, { from: voter2 });
+      expect((await voting.elections(electionId)).votingActive).to.be.true;
+      await truffleAssert.reverts(
+        voting.addCandidate(electionId, "Bob", { from: voter2 }),
+        "Only admin can perform this action"
+      );
+      
+      // Revoked roles stop working straight away
+      await voting.revokeRole(ROLE.ELECTION_OPERATOR, voter2, { from: admin });
+      await truffleAssert.reverts(
+        voting.toggleVoting(electionId, { from: voter2 }),
+        "Only admin can perform this action"
+      );
+    });
+    
+    it("should let role holders act while admin actions need multisig approval", async () => {
+      await voting.grantRole(ROLE.REGISTRAR, voter3, { from: admin });
+      await voting.addAdmin(voter1, { from: admin });
+      await voting.setAdminThreshold(2, { from: admin });
+      
+      await voting.registerVoter(electionId, voter2, 1, { from: voter3 });
+      expect(await voting.registeredVoters(electionId, voter2)).to.be.true;
+      
+      await truffleAssert.reverts(
+        voting.grantRole(ROLE.REGISTRAR, voter2, { from: admin }),
+        "Action requires multisig approval"
+      );
+    });
+  });
+  
+  describe("🗂️ Election Registry", () => {
+    /**
+     * TESTS: Multiple independent elections in one deployment
+     * WHY: Each election must keep its own ballot, voter roll and tally
+     * SECURITY: Registration or votes in one election must never leak into another
+     */
+    
+    it("should allow admin to create elections with sequential IDs", async () => {
+      const tx = await voting.createElection("Budget Referendum", { from: admin });
+      
+      const electionCount = await voting.electionCount();
+      const election = await voting.elections(2);
+      
+      expect(electionCount.toNumber()).to.equal(2);
+      expect(election.title).to.equal("Budget Referendum");
+      expect(election.exists).to.be.true;
+      
+      truffleAssert.eventEmitted(tx, "ElectionCreated", (ev) => {
+        return ev.electionId.toNumber() === 2 && ev.title === "Budget Referendum";
+      });
+    });
+    
+    it("should prevent non-admin from creating elections", async () => {
+      await truffleAssert.reverts(
+        voting.createElection("Rogue Poll", { from: unauthorized }),
+        "Only admin can perform this action"
+      );
+    });
+    
+    it("should validate election titles", async () => {
+      await truffleAssert.reverts(
+        voting.createElection("", { from: admin }),
+        "Election title cannot be empty"
+      );
+      
+      await truffleAssert.reverts(
+        voting.createElection("A".repeat(65), { from: admin }),
+        "Election title too long"
+      );
+    });
+    
+    it("should reject admin actions on non-existent elections", async () => {
+      await truffleAssert.reverts(
+        voting.registerVoter(99, voter1, 1, { from: admin }),
+        "Election does not exist"
+      );
+      
+      await truffleAssert.reverts(
+        voting.addCandidate(99, "Alice", { from: admin }),
+        "Election does not exist"
+      );
+      
+      await truffleAssert.reverts(
+        voting.toggleVoting(99, { from: admin }),
+        "Election does not exist"
+      );
+    });
+    
+    it("should keep ballots, voter rolls and tallies independent", async () => {
+      await voting.createElection("Budget Referendum", { from: admin });
+      const otherElectionId = 2;
+      
+      // Election 1: Alice vs Bob, voter1 registered
+      await voting.addCandidate(electionId, "Alice", { from: admin });
+      await voting.addCandidate(electionId, "Bob", { from: admin });
+      await voting.registerVoter(electionId, voter1, 1, { from: admin });
+      await voting.toggleVoting(electionId, { from: admin });
+      
+      // Election 2: Yes vs No, voter2 registered, voting still closed
+      await voting.addCandidate(otherElectionId, "Yes", { from: admin });
+      await voting.addCandidate(otherElectionId, "No", { from: admin });
+      await voting.registerVoter(otherElectionId, voter2, 1, { from: admin });
+      
+      // voter2 is not on election 1's roll
+      await truffleAssert.reverts(
+        voting.vote(electionId, 1, { from: voter2 }),
+        "You are not registered to vote"
+      );
+      
+      // Election 2 is still inactive even though election 1 is open
+      await truffleAssert.reverts(
+        voting.vote(otherElectionId, 1, { from: voter2 }),
+        "Voting is currently inactive"
+      );
+      
+      await voting.vote(electionId, 2, { from: voter1 });
+      
+      const first = await voting.showResults(electionId);
+      const second = await voting.showResults(otherElectionId);
+      
+      expect(first[0].map(v => v.toNumber())).to.deep.equal([0, 1]);
+      expect(first[1]).to.deep.equal(["Alice", "Bob"]);
+      expect(second[0].map(v => v.toNumber())).to.deep.equal([0, 0]);
+      expect(second[1]).to.deep.equal(["Yes", "No"]);
+      
+      const hasVotedInSecond = await voting.hasVoted(otherElectionId, voter1);
+      expect(hasVotedInSecond).to.be.false;
+    });
+  });
+  
+  describe("⏰ Scheduled Voting Windows", () => {
+    /**
+     * TESTS: Time-based voting windows
+     * WHY: Admin should not need to be online at the exact start and end time
+     * SECURITY: vote() must reject ballots outside the scheduled window
+     */
+    
+    let startTime;
+    let endTime;
+    
+    beforeEach(async () => {
+      await voting.addCandidate(electionId, "Alice", { from: admin });
+      await voting.addCandidate(electionId, "Bob", { from: admin });
+      await voting.registerVoter(electionId, voter1, 1, { from: admin });
+      
+      const now = await latestTimestamp();
+      startTime = now + 3600;      // opens in one hour
+      endTime = startTime + 86400; // stays open for one day
+    });
+    
+    it("should allow admin to schedule a voting window", async () => {
+      const tx = await voting.scheduleVoting(electionId, startTime, endTime, { from: admin });
+      
+      const election = await voting.elections(electionId);
+      expect(election.startTime.toNumber()).to.equal(startTime);
+      expect(election.endTime.toNumber()).to.equal(endTime);
+      
+      truffleAssert.eventEmitted(tx, "VotingScheduled", (ev) => {
+        return ev.electionId.toNumber() === electionId &&
+          ev.startTime.toNumber() === startTime &&
+          ev.endTime.toNumber() === endTime;
+      });
+    });
+    
+    it("should prevent non-admin from scheduling", async () => {
+      await truffleAssert.reverts(
+        voting.scheduleVoting(electionId, startTime, endTime, { from: unauthorized }),
+        "Only admin can perform this action"
+      );
+    });
+    
+    it("should reject malformed windows", async () => {
+      await truffleAssert.reverts(
+        voting.scheduleVoting(electionId, endTime, startTime, { from: admin }),
+        "Start time must be before end time"
+      );
+      
+      const now = await latestTimestamp();
+      await truffleAssert.reverts(
+        voting.scheduleVoting(electionId, now - 7200, now - 3600, { from: admin }),
+        "End time must be in the future"
+      );
+    });
+    
+    it("should only accept votes inside the window", async () => {
+      await voting.scheduleVoting(electionId, startTime, endTime, { from: admin });
+      
+      // Before the window opens
+      await truffleAssert.reverts(
+        voting.vote(electionId, 1, { from: voter1 }),
+        "Voting is currently inactive"
+      );
+      
+      // Inside the window
+      await advanceTime(3600);
+      await voting.vote(electionId, 1, { from: voter1 });
+      
+      // After the window closes
+      await voting.registerVoter(electionId, voter2, 1, { from: admin });
+      await advanceTime(86400);
+      await truffleAssert.reverts(
+        voting.vote(electionId, 2, { from: voter2 }),
+        "Voting is currently inactive"
+      );
+      
+      const { totalVotes } = await voting.elections(electionId);
+      expect(totalVotes.toNumber()).to.equal(1);
+    });
+    
+    it("should report the phase in stats and voter status", async () => {
+      await voting.scheduleVoting(electionId, startTime, endTime, { from: admin });
+      
+      let stats = await voting.getElectionStats(electionId);
+      let status = await voting.getVoterStatus(electionId, voter1);
+      expect(stats.phase.toNumber()).to.equal(PHASE.UPCOMING);
+      expect(stats.isVotingActive).to.be.false;
+      expect(stats.startTime.toNumber()).to.equal(startTime);
+      expect(stats.endTime.toNumber()).to.equal(endTime);
+      expect(status.phase.toNumber()).to.equal(PHASE.UPCOMING);
+      expect(status.canVote).to.be.false;
+      
+      await advanceTime(3600);
+      stats = await voting.getElectionStats(electionId);
+      status = await voting.getVoterStatus(electionId, voter1);
+      expect(stats.phase.toNumber()).to.equal(PHASE.OPEN);
+      expect(stats.isVotingActive).to.be.true;
+      expect(status.canVote).to.be.true;
+      
+      await advanceTime(86400);
+      stats = await voting.getElectionStats(electionId);
+      status = await voting.getVoterStatus(electionId, voter1);
+      expect(stats.phase.toNumber()).to.equal(PHASE.CLOSED);
+      expect(status.phase.toNumber()).to.equal(PHASE.CLOSED);
+      expect(status.canVote).to.be.false;
+    });
+    
+    it("should report manual elections as open or closed", async () => {
+      let stats = await voting.getElectionStats(electionId);
+      expect(stats.phase.toNumber()).to.equal(PHASE.CLOSED);
+      
+      await voting.toggleVoting(electionId, { from: admin });
+      stats = await voting.getElectionStats(electionId);
+      expect(stats.phase.toNumber()).to.equal(PHASE.OPEN);
+    });
+    
+    it("should block the manual toggle on scheduled elections", async () => {
+      await voting.scheduleVoting(electionId, startTime, endTime, { from: admin });
+      
+      await truffleAssert.reverts(
+        voting.toggleVoting(electionId, { from: admin }),
+        "Election is scheduled"
+      );
+    });
+    
+    it("should allow rescheduling only before voting opens", async () => {
+      await voting.scheduleVoting(electionId, startTime, endTime, { from: admin });
+      
+      // Still upcoming: moving the window is fine
+      await voting.scheduleVoting(electionId, startTime + 60, endTime + 60, { from: admin });
+      
+      await advanceTime(3600 + 60);
+      await truffleAssert.reverts(
+        voting.scheduleVoting(electionId, startTime + 7200, endTime + 7200, { from: admin }),
+        "Voting has already started"
+      );
+    });
+    
+    it("should not schedule a manually opened election", async () => {
+      await voting.toggleVoting(electionId, { from: admin });
+      
+      await truffleAssert.reverts(
+        voting.scheduleVoting(electionId, startTime, endTime, { from: admin }),
+        "Voting has already started"
+      );
+    });
+  });
+  
+  describe("🔒 Commit-Reveal Secret Ballot", () => {
+    /**
+     * TESTS: Sealed votes are hidden until the reveal phase
+     * WHY: Running tallies must not leak during the commit phase
+     * SECURITY: Reveals must match the commitment exactly and count once
+     */
+    
+    const salt1 = web3.utils.keccak256("voter1-salt");
+    const salt2 = web3.utils.keccak256("voter2-salt");
+    let startTime;
+    let endTime;
+    let revealEndTime;
+    
+    beforeEach(async () => {
+      await voting.addCandidate(electionId, "Alice", { from: admin });
+      await voting.addCandidate(electionId, "Bob", { from: admin });
+      await voting.registerVoter(electionId, voter1, 1, { from: admin });
+      await voting.registerVoter(electionId, voter2, 1, { from: admin });
+      
+      const now = await latestTimestamp();
+      startTime = now + 60;
+      endTime = startTime + 3600;
+      revealEndTime = endTime + 3600;
+      
+      await voting.scheduleSecretBallot(electionId, startTime, endTime, revealEndTime, { from: admin });
+      await advanceTime(60); // commit phase is now open
+    });
+    
+    it("should schedule a secret ballot with a reveal phase", async () => {
+      const election = await voting.elections(electionId);
+      expect(election.secretBallot).to.be.true;
+      expect(election.revealEndTime.toNumber()).to.equal(revealEndTime);
+      
+      await truffleAssert.reverts(
+        voting.scheduleSecretBallot(electionId, startTime, endTime, endTime, { from: admin }),
+        "Reveal must end after voting ends"
+      );
+    });
+    
+    it("should record a commitment without touching the tally", async () => {
+      const commitment = commitmentFor(electionId, 1, salt1, voter1);
+      const tx = await voting.commitVote(electionId, commitment, { from: voter1 });
+      
+      truffleAssert.eventEmitted(tx, "VoteCommitted", (ev) => {
+        return ev.electionId.toNumber() === electionId && ev.voter === voter1;
+      });
+      
+      expect(await voting.voteCommitments(electionId, voter1)).to.equal(commitment);
+      expect(await voting.hasVoted(electionId, voter1)).to.be.true;
+      expect((await voting.voteCounts(electionId, 1)).toNumber()).to.equal(0);
+      
+      const election = await voting.elections(electionId);
+      expect(election.totalCommitments.toNumber()).to.equal(1);
+      expect(election.totalVotes.toNumber()).to.equal(0);
+    });
+    
+    it("should reject plain votes and double commits", async () => {
+      await truffleAssert.reverts(
+        voting.vote(electionId, 1, { from: voter1 }),
+        "Use commitVote for secret ballots"
+      );
+      
+      await voting.commitVote(electionId, commitmentFor(electionId, 1, salt1, voter1), { from: voter1 });
+      await truffleAssert.reverts(
+        voting.commitVote(electionId, commitmentFor(electionId, 2, salt1, voter1), { from: voter1 }),
+        "You have already voted"
+      );
+    });
+    
+    it("should reject commitments in plain elections", async () => {
+      await voting.createElection("Open Ballot", { from: admin });
+      await voting.registerVoter(2, voter1, 1, { from: admin });
+      await voting.toggleVoting(2, { from: admin });
+      
+      await truffleAssert.reverts(
+        voting.commitVote(2, commitmentFor(2, 1, salt1, voter1), { from: voter1 }),
+        "Election is not a secret ballot"
+      );
+    });
+    
+    it("should only accept reveals during the reveal phase", async () => {
+      await voting.commitVote(electionId, commitmentFor(electionId, 1, salt1, voter1), { from: voter1 });
+      
+      await truffleAssert.reverts(
+        voting.revealVote(electionId, 1, salt1, { from: voter1 }),
+        "Reveal phase is not active"
+      );
+      
+      await advanceTime(3600 + 3600);
+      await truffleAssert.reverts(
+        voting.revealVote(electionId, 1, salt1, { from: voter1 }),
+        "Reveal phase is not active"
+      );
+    });
+    
+    it("should count valid reveals once", async () => {
+      await voting.commitVote(electionId, commitmentFor(electionId, 1, salt1, voter1), { from: voter1 });
+      await voting.commitVote(electionId, commitmentFor(electionId, 2, salt2, voter2), { from: voter2 });
+      
+      await advanceTime(3600);
+      const stats = await voting.getElectionStats(electionId);
+      expect(stats.phase.toNumber()).to.equal(PHASE.REVEAL);
+      
+      const tx = await voting.revealVote(electionId, 1, salt1, { from: voter1 });
+      truffleAssert.eventEmitted(tx, "VoteRevealed", (ev) => {
+        return ev.voter === voter1 && ev.candidateId.toNumber() === 1;
+      });
+      await voting.revealVote(electionId, 2, salt2, { from: voter2 });
+      
+      expect(await voting.hasRevealed(electionId, voter1)).to.be.true;
+      expect((await voting.voteCounts(electionId, 1)).toNumber()).to.equal(1);
+      expect((await voting.voteCounts(electionId, 2)).toNumber()).to.equal(1);
+      
+      await truffleAssert.reverts(
+        voting.revealVote(electionId, 1, salt1, { from: voter1 }),
+        "Vote already revealed"
+      );
+    });
+    
+    it("should reject reveals that do not match the commitment", async () => {
+      await voting.commitVote(electionId, commitmentFor(electionId, 1, salt1, voter1), { from: voter1 });
+      await advanceTime(3600);
+      
+      // Different choice, different salt, different sender
+      await truffleAssert.reverts(
+        voting.revealVote(electionId, 2, salt1, { from: voter1 }),
+        "Reveal does not match commitment"
+      );
+      await truffleAssert.reverts(
+        voting.revealVote(electionId, 1, salt2, { from: voter1 }),
+        "Reveal does not match commitment"
+      );
+      await truffleAssert.reverts(
+        voting.revealVote(electionId, 1, salt1, { from: voter2 }),
+        "No vote committed"
+      );
+    });
+    
+    it("should close after the reveal phase", async () => {
+      await advanceTime(3600 + 3600);
+      
+      const stats = await voting.getElectionStats(electionId);
+      expect(stats.phase.toNumber()).to.equal(PHASE.CLOSED);
+    });
+  });
+  
+  describe("🔢 Ranked-Choice Ballots", () => {
+    /**
+     * TESTS: Ordered preference ballots stored on-chain
+     * WHY: Instant runoff needs every voter's full ranking
+     * SECURITY: Rankings must only contain real candidates, each once
+     */
+    
+    beforeEach(async () => {
+      await voting.addCandidate(electionId, "Alice", { from: admin });
+      await voting.addCandidate(electionId, "Bob", { from: admin });
+      await voting.addCandidate(electionId, "Carol", { from: admin });
+      await voting.registerVoter(electionId, voter1, 1, { from: admin });
+      await voting.registerVoter(electionId, voter2, 1, { from: admin });
+    });
+    
+    it("should let admin switch an election to ranked-choice", async () => {
+      const tx = await voting.setBallotType(electionId, BALLOT.RANKED, { from: admin });
+      
+      const election = await voting.elections(electionId);
+      expect(election.ballotType.toNumber()).to.equal(BALLOT.RANKED);
+      truffleAssert.eventEmitted(tx, "BallotTypeSet", (ev) => {
+        return ev.electionId.toNumber() === electionId && ev.ballotType.toNumber() === BALLOT.RANKED;
+      });
+      
+      await truffleAssert.reverts(
+        voting.setBallotType(electionId, BALLOT.PLURALITY, { from: unauthorized }),
+        "Only admin can perform this action"
+      );
+    });
+    
+    it("should lock the ballot type once voting starts", async () => {
+      await voting.toggleVoting(electionId, { from: admin });
+      
+      await truffleAssert.reverts(
+        voting.setBallotType(electionId, BALLOT.RANKED, { from: admin }),
+        "Voting has already started"
+      );
+    });
+    
+    it("should store rankings and count first preferences", async () => {
+      await voting.setBallotType(electionId, BALLOT.RANKED, { from: admin });
+      await voting.toggleVoting(electionId, { from: admin });
+      
+      const tx = await voting.voteRanked(electionId, [2, 3, 1], { from: voter1 });
+      await voting.voteRanked(electionId, [3], { from: voter2 });
+      
+      truffleAssert.eventEmitted(tx, "RankedVoteCast", (ev) => {
+        return ev.voter === voter1 && ev.ranking.map(Number).join(",") === "2,3,1";
+      });
+      
+      const ballots = await voting.getRankedBallots(electionId);
+      expect(ballots.map(b => b.map(Number))).to.deep.equal([[2, 3, 1], [3]]);
+      
+      expect((await voting.voteCounts(electionId, 2)).toNumber()).to.equal(1);
+      expect((await voting.voteCounts(electionId, 3)).toNumber()).to.equal(1);
+      expect(await voting.hasVoted(electionId, voter1)).to.be.true;
+    });
+    
+    it("should reject malformed rankings", async () => {
+      await voting.setBallotType(electionId, BALLOT.RANKED, { from: admin });
+      await voting.toggleVoting(electionId, { from: admin });
+      
+      await truffleAssert.reverts(
+        voting.voteRanked(electionId, [], { from: voter1 }),
+        "Invalid ranking length"
+      );
+      await truffleAssert.reverts(
+        voting.voteRanked(electionId, [1, 2, 3, 1], { from: voter1 }),
+        "Invalid ranking length"
+      );
+      await truffleAssert.reverts(
+        voting.voteRanked(electionId, [1, 4], { from: voter1 }),
+        "Invalid candidate ID"
+      );
+      await truffleAssert.reverts(
+        voting.voteRanked(electionId, [2, 2], { from: voter1 }),
+        "Duplicate candidate in ranking"
+      );
+    });
+    
+    it("should keep plurality and ranked entry points apart", async () => {
+      await voting.toggleVoting(electionId, { from: admin });
+      await truffleAssert.reverts(
+        voting.voteRanked(electionId, [1], { from: voter1 }),
+        "Election is not ranked-choice"
+      );
+      
+      await voting.createElection("Ranked Poll", { from: admin });
+      await voting.addCandidate(2, "Alice", { from: admin });
+      await voting.registerVoter(2, voter1, 1, { from: admin });
+      await voting.setBallotType(2, BALLOT.RANKED, { from: admin });
+      await voting.toggleVoting(2, { from: admin });
+      
+      await truffleAssert.reverts(
+        voting.vote(2, 1, { from: voter1 }),
+        "Election does not use plurality ballots"
+      );
+    });
+    
+    it("should not combine ranked and secret ballots", async () => {
+      const now = await latestTimestamp();
+      
+      await voting.setBallotType(electionId, BALLOT.RANKED, { from: admin });
+      await truffleAssert.reverts(
+        voting.scheduleSecretBallot(electionId, now + 60, now + 120, now + 180, { from: admin }),
+        "Secret ballots must use plurality"
+      );
+    });
+  });
+  
+  describe("✅ Approval Voting", () => {
+    /**
+     * TESTS: One ballot approving any number of candidates
+     * WHY: Each approval counts as a vote; the ballot still counts once
+     */
+    
+    beforeEach(async () => {
+      await voting.addCandidate(electionId, "Alice", { from: admin });
+      await voting.addCandidate(electionId, "Bob", { from: admin });
+      await voting.addCandidate(electionId, "Carol", { from: admin });
+      await voting.registerVoter(electionId, voter1, 1, { from: admin });
+      await voting.registerVoter(electionId, voter2, 1, { from: admin });
+      await voting.setBallotType(electionId, BALLOT.APPROVAL, { from: admin });
+      await voting.toggleVoting(electionId, { from: admin });
+    });
+    
+    it("should count every approved candidate once", async () => {
+      const tx = await voting.voteApproval(electionId, [1, 3], { from: voter1 });
+      await voting.voteApproval(electionId, [3], { from: voter2 });
+      
+      truffleAssert.eventEmitted(tx, "ApprovalVoteCast", (ev) => {
+        return ev.voter === voter1 && ev.candidateIds.map(Number).join(",") === "1,3";
+      });
+      
+      expect((await voting.voteCounts(electionId, 1)).toNumber()).to.equal(1);
+      expect((await voting.voteCounts(electionId, 2)).toNumber()).to.equal(0);
+      expect((await voting.voteCounts(electionId, 3)).toNumber()).to.equal(2);
+      
+      const election = await voting.elections(electionId);
+      expect(election.totalVotes.toNumber()).to.equal(2);
+      
+      const results = await voting.showResults(electionId);
+      expect(results.winningCandidateId.toNumber()).to.equal(3);
+    });
+    
+    it("should let approval voters abstain through vote()", async () => {
+      const ABSTAIN = await voting.ABSTAIN();
+      await voting.vote(electionId, ABSTAIN, { from: voter1 });
+      
+      await truffleAssert.reverts(
+        voting.voteApproval(electionId, [1], { from: voter1 }),
+        "You have already voted"
+      );
+      await truffleAssert.reverts(
+        voting.vote(electionId, 1, { from: voter2 }),
+        "Election does not use plurality ballots"
+      );
+      expect((await voting.elections(electionId)).totalVotes.toNumber()).to.equal(1);
+    });
+    
+    it("should block a second approval ballot", async () => {
+      await voting.voteApproval(electionId, [1], { from: voter1 });
+      
+      await truffleAssert.reverts(
+        voting.voteApproval(electionId, [2], { from: voter1 }),
+        "You have already voted"
+      );
+    });
+    
+    it("should reject malformed approvals", async () => {
+      await truffleAssert.reverts(
+        voting.voteApproval(electionId, [], { from: voter1 }),
+        "Invalid approval count"
+      );
+      await truffleAssert.reverts(
+        voting.voteApproval(electionId, [0], { from: voter1 }),
+        "Invalid candidate ID"
+      );
+      await truffleAssert.reverts(
+        voting.voteApproval(electionId, [2, 1, 2], { from: voter1 }),
+        "Duplicate candidate in approval"
+      );
+    });
+    
+    it("should only accept approval ballots in approval elections", async () => {
+      await truffleAssert.reverts(
+        voting.vote(electionId, 1, { from: voter1 }),
+        "Election does not use plurality ballots"
+      );
+      await truffleAssert.reverts(
+        voting.voteRanked(electionId, [1], { from: voter1 }),
+        "Election is not ranked-choice"
+      );
+      
+      await voting.createElection("Plurality Poll", { from: admin });
+      await voting.addCandidate(2, "Alice", { from: admin });
+      await voting.registerVoter(2, voter1, 1, { from: admin });
+      await voting.toggleVoting(2, { from: admin });
+      
+      await truffleAssert.reverts(
+        voting.voteApproval(2, [1], { from: voter1 }),
+        "Election is not approval voting"
+      );
+    });
+  });
+  
+  describe("⚖️ Weighted Voting", () => {
+    /**
+     * TESTS: Admin-assigned voting power
+     * WHY: Every ballot must add the voter's weight, not 1, to the tallies
+     */
+    
+    beforeEach(async () => {
+      await voting.addCandidate(electionId, "Alice", { from: admin });
+      await voting.addCandidate(electionId, "Bob", { from: admin });
+      await voting.registerVoter(electionId, voter1, 5, { from: admin });
+      await voting.registerVoter(electionId, voter2, 2, { from: admin });
+    });
+    
+    it("should report each voter's weight", async () => {
+      const status = await voting.getVoterStatus(electionId, voter1);
+      expect(status.isRegistered).to.be.true;
+      expect(status.weight.toNumber()).to.equal(5);
+      
+      expect((await voting.voterWeights(electionId, voter2)).toNumber()).to.equal(2);
+      
+      const unregistered = await voting.getVoterStatus(electionId, unauthorized);
+      expect(unregistered.isRegistered).to.be.false;
+      expect(unregistered.weight.toNumber()).to.equal(0);
+    });
+    
+    it("should add the voter's weight to plurality tallies", async () => {
+      await voting.toggleVoting(electionId, { from: admin });
+      await voting.vote(electionId, 2, { from: voter2 });
+      await voting.vote(electionId, 1, { from: voter1 });
+      
+      expect((await voting.voteCounts(electionId, 1)).toNumber()).to.equal(5);
+      expect((await voting.voteCounts(electionId, 2)).toNumber()).to.equal(2);
+      
+      const stats = await voting.getElectionStats(electionId);
+      expect(stats.totalVotesCast.toNumber()).to.equal(7);
+      
+      const results = await voting.showResults(electionId);
+      expect(results.winningCandidateId.toNumber()).to.equal(1);
+    });
+    
+    it("should weight ranked and approval ballots", async () => {
+      await voting.setBallotType(electionId, BALLOT.RANKED, { from: admin });
+      await voting.toggleVoting(electionId, { from: admin });
+      await voting.voteRanked(electionId, [2, 1], { from: voter1 });
+      await voting.voteRanked(electionId, [1], { from: voter2 });
+      
+      expect((await voting.voteCounts(electionId, 2)).toNumber()).to.equal(5);
+      const weights = await voting.getRankedBallotWeights(electionId);
+      expect(weights.map(Number)).to.deep.equal([5, 2]);
+      
+      await voting.createElection("Approval Poll", { from: admin });
+      await voting.addCandidate(2, "Alice", { from: admin });
+      await voting.addCandidate(2, "Bob", { from: admin });
+      await voting.registerVoter(2, voter1, 3, { from: admin });
+      await voting.setBallotType(2, BALLOT.APPROVAL, { from: admin });
+      await voting.toggleVoting(2, { from: admin });
+      await voting.voteApproval(2, [1, 2], { from: voter1 });
+      
+      expect((await voting.voteCounts(2, 1)).toNumber()).to.equal(3);
+      expect((await voting.voteCounts(2, 2)).toNumber()).to.equal(3);
+      expect((await voting.elections(2)).totalVotes.toNumber()).to.equal(3);
+    });
+    
+    it("should weight revealed secret ballots", async () => {
+      const now = await latestTimestamp();
+      await voting.scheduleSecretBallot(electionId, now + 100, now + 1000, now + 2000, { from: admin });
+      await advanceTime(200);
+      
+      const salt = web3.utils.randomHex(32);
+      await voting.commitVote(electionId, commitmentFor(electionId, 1, salt, voter1), { from: voter1 });
+      await advanceTime(1000);
+      await voting.revealVote(electionId, 1, salt, { from: voter1 });
+      
+      expect((await voting.voteCounts(electionId, 1)).toNumber()).to.equal(5);
+      expect((await voting.elections(electionId)).totalVotes.toNumber()).to.equal(5);
+    });
+  });
+  
+  describe("🔁 Vote Changes", () => {
+    /**
+     * TESTS: Optional window to recast a plurality vote before close
+     * WHY: Weight must move between counts without changing turnout
+     */
+    
+    beforeEach(async () => {
+      await voting.addCandidate(electionId, "Alice", { from: admin });
+      await voting.addCandidate(electionId, "Bob", { from: admin });
+      await voting.registerVoter(electionId, voter1, 2, { from: admin });
+      await voting.registerVoter(electionId, voter2, 1, { from: admin });
+    });
+    
+    it("should move the voter's weight to the new choice", async () => {
+      const setTx = await voting.setVoteChanges(electionId, true, { from: admin });
+      truffleAssert.eventEmitted(setTx, "VoteChangesSet", (ev) => ev.allowed);
+      await voting.toggleVoting(electionId, { from: admin });
+      
+      await voting.vote(electionId, 1, { from: voter1 });
+      expect((await voting.currentVote(electionId, voter1)).toNumber()).to.equal(1);
+      
+      const tx = await voting.changeVote(electionId, 2, { from: voter1 });
+      truffleAssert.eventEmitted(tx, "VoteChanged", (ev) => {
+        return ev.voter === voter1 && ev.previousCandidateId.toNumber() === 1 && ev.candidateId.toNumber() === 2;
+      });
+      
+      expect((await voting.voteCounts(electionId, 1)).toNumber()).to.equal(0);
+      expect((await voting.voteCounts(electionId, 2)).toNumber()).to.equal(2);
+      expect((await voting.elections(electionId)).totalVotes.toNumber()).to.equal(2);
+      
+      await truffleAssert.reverts(
+        voting.changeVote(electionId, 2, { from: voter1 }),
+        "Vote is unchanged"
+      );
+      
+      // Abstaining is a change like any other
+      await voting.changeVote(electionId, await voting.ABSTAIN(), { from: voter1 });
+      expect((await voting.showResults(electionId)).abstentions.toNumber()).to.equal(2);
+    });
+    
+    it("should only change recorded votes while the election allows it", async () => {
+      await truffleAssert.reverts(
+        voting.changeVote(electionId, 2, { from: voter1 }),
+        "Voting is currently inactive"
+      );
+      await voting.toggleVoting(electionId, { from: admin });
+      await voting.vote(electionId, 1, { from: voter1 });
+      
+      // Off by default, and fixed once voting starts
+      await truffleAssert.reverts(
+        voting.changeVote(electionId, 2, { from: voter1 }),
+        "Vote changes are not allowed"
+      );
+      await truffleAssert.reverts(
+        voting.setVoteChanges(electionId, true, { from: admin }),
+        "Voting has already started"
+      );
+      
+      await voting.createElection("Second Poll", { from: admin });
+      const pollId = 2;
+      await voting.addCandidate(pollId, "Yes", { from: admin });
+      await voting.addCandidate(pollId, "No", { from: admin });
+      await voting.registerVoter(pollId, voter1, 1, { from: admin });
+      await voting.registerVoter(pollId, voter2, 1, { from: admin });
+      await voting.registerVoter(pollId, voter3, 1, { from: admin });
+      
+      // Moving votes would break the reach stamps EarliestToReach compares
+      await voting.setTieBreakPolicy(pollId, TIE_BREAK.EARLIEST_TO_REACH, { from: admin });
+      await truffleAssert.reverts(
+        voting.setVoteChanges(pollId, true, { from: admin }),
+        "Vote changes conflict with tie-break policy"
+      );
+      await voting.setTieBreakPolicy(pollId, TIE_BREAK.DECLARE_TIE, { from: admin });
+      await voting.setVoteChanges(pollId, true, { from: admin });
+      await voting.toggleVoting(pollId, { from: admin });
+      
+      // Only a vote cast with vote() can move; delegators have none
+      await truffleAssert.reverts(
+        voting.changeVote(pollId, 1, { from: voter1 }),
+        "No vote to change"
+      );
+      await voting.delegateVote(pollId, voter3, { from: voter2 });
+      await truffleAssert.reverts(
+        voting.changeVote(pollId, 1, { from: voter2 }),
+        "No vote to change"
+      );
+      
+      await voting.vote(pollId, 1, { from: voter1 });
+      await truffleAssert.reverts(
+        voting.changeVote(pollId, 3, { from: voter1 }),
+        "Invalid candidate ID"
+      );
+      
+      await voting.toggleVoting(pollId, { from: admin });
+      await truffleAssert.reverts(
+        voting.changeVote(pollId, 2, { from: voter1 }),
+        "Voting is currently inactive"
+      );
+    });
+  });
+  
+  describe("🤝 Vote Delegation", () => {
+    /**
+     * TESTS: Liquid democracy - voters hand their weight to another voter
+     * WHY: Chains must resolve, cycles must fail, weight must never double count
+     */
+    
+    beforeEach(async () => {
+      await voting.addCandidate(electionId, "Alice", { from: admin });
+      await voting.addCandidate(electionId, "Bob", { from: admin });
+      await voting.registerVoter(electionId, voter1, 1, { from: admin });
+      await voting.registerVoter(electionId, voter2, 2, { from: admin });
+      await voting.registerVoter(electionId, voter3, 4, { from: admin });
+      await voting.toggleVoting(electionId, { from: admin });
+    });
+    
+    it("should let the delegate cast the combined weight", async () => {
+      const tx = await voting.delegateVote(electionId, voter2, { from: voter1 });
+      truffleAssert.eventEmitted(tx, "VoteDelegated", (ev) => {
+        return ev.voter === voter1 && ev.delegate === voter2;
+      });
+      
+      const status = await voting.getVoterStatus(electionId, voter1);
+      expect(status.delegatedTo).to.equal(voter2);
+      expect(status.hasVotedAlready).to.be.true;
+      expect(status.canVote).to.be.false;
+      
+      await voting.vote(electionId, 2, { from: voter2 });
+      expect((await voting.voteCounts(electionId, 2)).toNumber()).to.equal(3);
+      
+      await truffleAssert.reverts(
+        voting.vote(electionId, 1, { from: voter1 }),
+        "You have already voted"
+      );
+    });
+    
+    it("should resolve delegation chains", async () => {
+      // voter2 already holds voter1's weight when passing it on
+      await voting.delegateVote(electionId, voter2, { from: voter1 });
+      await voting.delegateVote(electionId, voter3, { from: voter2 });
+      expect((await voting.voterWeights(electionId, voter3)).toNumber()).to.equal(7);
+      
+      await voting.vote(electionId, 1, { from: voter3 });
+      expect((await voting.voteCounts(electionId, 1)).toNumber()).to.equal(7);
+    });
+    
+    it("should reject cycles and self-delegation", async () => {
+      await voting.delegateVote(electionId, voter2, { from: voter1 });
+      await voting.delegateVote(electionId, voter3, { from: voter2 });
+      
+      await truffleAssert.reverts(
+        voting.delegateVote(electionId, voter1, { from: voter3 }),
+        "Delegation cycle detected"
+      );
+      await truffleAssert.reverts(
+        voting.delegateVote(electionId, voter3, { from: voter3 }),
+        "Cannot delegate to yourself"
+      );
+    });
+    
+    it("should reject delegates who are unregistered or already voted", async () => {
+      await truffleAssert.reverts(
+        voting.delegateVote(electionId, unauthorized, { from: voter1 }),
+        "Delegate is not registered"
+      );
+      
+      await voting.vote(electionId, 1, { from: voter2 });
+      await truffleAssert.reverts(
+        voting.delegateVote(electionId, voter2, { from: voter1 }),
+        "Delegate has already voted"
+      );
+    });
+    
+    it("should reject a chain whose end was deregistered", async () => {
+      // voter2 holds voter1's weight but has not voted, so it can still be removed
+      await voting.delegateVote(electionId, voter2, { from: voter1 });
+      await voting.deregisterVoter(electionId, voter2, { from: admin });
+      
+      await truffleAssert.reverts(
+        voting.delegateVote(electionId, voter1, { from: voter3 }),
+        "Delegate is not registered"
+      );
+    });
+    
+    it("should reject delegation once a manual election is closed", async () => {
+      await voting.toggleVoting(electionId, { from: admin });
+      
+      await truffleAssert.reverts(
+        voting.delegateVote(electionId, voter2, { from: voter1 }),
+        "Voting is currently inactive"
+      );
+    });
+    
+    it("should reject delegation after finalization", async () => {
+      await voting.toggleVoting(electionId, { from: admin });
+      await voting.finalizeElection(electionId, { from: admin });
+      
+      await truffleAssert.reverts(
+        voting.delegateVote(electionId, voter2, { from: voter1 }),
+        "Election already finalized"
+      );
+      expect((await voting.voterWeights(electionId, voter2)).toNumber()).to.equal(2);
     });
   });
   
-  describe("👑 Admin Functions", () => {
+  describe("🌳 Merkle Voter Allowlist", () => {
     /**
-     * TESTS: Admin access control and functionality
-     * WHY: Core security feature - only admin should control setup
-     * TRADE-OFF: Centralization vs security (documented in design decisions)
+     * TESTS: Voters prove allowlist membership instead of being registered one by one
+     * WHY: Proofs must bind address and weight, and must match the published root
      */
     
-    describe("Voter Registration", () => {
-      it("should allow admin to register voters", async () => {
-        const tx = await voting.registerVoter(voter1, { from: admin });
-        
-        // Verify state change
-        const isRegistered = await voting.registeredVoters(voter1);
-        expect(isRegistered).to.be.true;
-        
-        // Verify event emission
-        truffleAssert.eventEmitted(tx, "VoterRegistered", (ev) => {
-          return ev.voter === voter1;
-        });
-      });
-      
-      it("should prevent non-admin from registering voters", async () => {
-        await truffleAssert.reverts(
-          voting.registerVoter(voter1, { from: unauthorized }),
-          "Only admin can perform this action"
-        );
-      });
-      
-      it("should prevent duplicate voter registration", async () => {
-        await voting.registerVoter(voter1, { from: admin });
-        
-        await truffleAssert.reverts(
-          voting.registerVoter(voter1, { from: admin }),
-          "Voter is already registered"
-        );
-      });
+    let allowlist;
+    const entry = (voter) => allowlist.voters[voter.toLowerCase()];
+    
+    beforeEach(async () => {
+      allowlist = buildAllowlist([
+        { address: voter1.toLowerCase(), weight: 3 },
+        { address: voter2.toLowerCase(), weight: 1 },
+        { address: voter3.toLowerCase(), weight: 2 }
+      ]);
       
-      it("should prevent registering zero address", async () => {
-        await truffleAssert.reverts(
-          voting.registerVoter("0x0000000000000000000000000000000000000000", { from: admin }),
-          "Invalid voter address"
-        );
-      });
+      await voting.addCandidate(electionId, "Alice", { from: admin });
+      await voting.addCandidate(electionId, "Bob", { from: admin });
+      await voting.toggleVoting(electionId, { from: admin });
     });
     
-    describe("Candidate Management", () => {
-      it("should allow admin to add candidates", async () => {
-        const tx = await voting.addCandidate("Alice Johnson", { from: admin });
-        
-        // Verify state changes
-        const candidateCount = await voting.candidateCount();
-        const candidateName = await voting.candidates(1);
-        
-        expect(candidateCount.toNumber()).to.equal(1);
-        expect(candidateName).to.equal("Alice Johnson");
-        
-        // Verify event emission
-        truffleAssert.eventEmitted(tx, "CandidateAdded", (ev) => {
-          return ev.candidateId.toNumber() === 1 && ev.name === "Alice Johnson";
-        });
-      });
+    it("should let only the admin publish a root", async () => {
+      await truffleAssert.reverts(
+        voting.setVoterRoot(electionId, allowlist.root, { from: unauthorized }),
+        "Only admin can perform this action"
+      );
       
-      it("should prevent non-admin from adding candidates", async () => {
-        await truffleAssert.reverts(
-          voting.addCandidate("Alice Johnson", { from: unauthorized }),
-          "Only admin can perform this action"
-        );
-      });
+      const tx = await voting.setVoterRoot(electionId, allowlist.root, { from: admin });
+      truffleAssert.eventEmitted(tx, "VoterRootSet", (ev) => ev.root === allowlist.root);
+      expect(await voting.voterRoots(electionId)).to.equal(allowlist.root);
+    });
+    
+    it("should register and vote with a proof in one transaction", async () => {
+      await voting.setVoterRoot(electionId, allowlist.root, { from: admin });
       
-      it("should prevent adding candidates with empty names", async () => {
-        await truffleAssert.reverts(
-          voting.addCandidate("", { from: admin }),
-          "Candidate name cannot be empty"
-        );
-      });
+      const { weight, proof } = entry(voter1);
+      const tx = await voting.voteWithProof(electionId, 2, weight, proof, { from: voter1 });
       
-      it("should prevent adding candidates with too long names", async () => {
-        const longName = "A".repeat(65); // 65 characters
-        await truffleAssert.reverts(
-          voting.addCandidate(longName, { from: admin }),
-          "Candidate name too long"
-        );
-      });
+      truffleAssert.eventEmitted(tx, "VoterRegistered", (ev) => ev.voter === voter1);
+      truffleAssert.eventEmitted(tx, "VoteCast", (ev) => ev.voter === voter1);
+      expect((await voting.voteCounts(electionId, 2)).toNumber()).to.equal(3);
       
-      it("should assign sequential IDs to candidates", async () => {
-        await voting.addCandidate("Alice", { from: admin });
-        await voting.addCandidate("Bob", { from: admin });
-        await voting.addCandidate("Carol", { from: admin });
-        
-        const count = await voting.candidateCount();
-        expect(count.toNumber()).to.equal(3);
-        
-        const alice = await voting.candidates(1);
-        const bob = await voting.candidates(2);
-        const carol = await voting.candidates(3);
-        
-        expect(alice).to.equal("Alice");
-        expect(bob).to.equal("Bob");
-        expect(carol).to.equal("Carol");
-      });
+      await truffleAssert.reverts(
+        voting.voteWithProof(electionId, 1, weight, proof, { from: voter1 }),
+        "You have already voted"
+      );
     });
     
-    describe("Voting Control", () => {
-      it("should allow admin to toggle voting status", async () => {
-        // Initially inactive
-        let status = await voting.votingActive();
-        expect(status).to.be.false;
-        
-        // Activate voting
-        const tx1 = await voting.toggleVoting({ from: admin });
-        status = await voting.votingActive();
-        expect(status).to.be.true;
-        
-        // Verify event
-        truffleAssert.eventEmitted(tx1, "VotingStatusChanged", (ev) => {
-          return ev.active === true;
-        });
-        
-        // Deactivate voting
-        const tx2 = await voting.toggleVoting({ from: admin });
-        status = await voting.votingActive();
-        expect(status).to.be.false;
-        
-        // Verify event
-        truffleAssert.eventEmitted(tx2, "VotingStatusChanged", (ev) => {
-          return ev.active === false;
-        });
-      });
+    it("should reject proofs for another address or weight", async () => {
+      await truffleAssert.reverts(
+        voting.registerWithProof(electionId, 3, entry(voter1).proof, { from: voter1 }),
+        "No voter allowlist published"
+      );
       
-      it("should prevent non-admin from toggling voting", async () => {
-        await truffleAssert.reverts(
-          voting.toggleVoting({ from: unauthorized }),
-          "Only admin can perform this action"
-        );
-      });
+      await voting.setVoterRoot(electionId, allowlist.root, { from: admin });
+      
+      await truffleAssert.reverts(
+        voting.registerWithProof(electionId, 5, entry(voter1).proof, { from: voter1 }),
+        "Invalid allowlist proof"
+      );
+      await truffleAssert.reverts(
+        voting.voteWithProof(electionId, 1, 3, entry(voter1).proof, { from: unauthorized }),
+        "Invalid allowlist proof"
+      );
     });
     
-    describe("Admin Transfer", () => {
-      it("should allow admin to transfer admin rights", async () => {
-        const tx = await voting.transferAdmin(voter1, { from: admin });
-        
-        const newAdmin = await voting.admin();
-        expect(newAdmin).to.equal(voter1);
-        
-        // Verify event
-        truffleAssert.eventEmitted(tx, "AdminChanged", (ev) => {
-          return ev.oldAdmin === admin && ev.newAdmin === voter1;
-        });
-      });
+    it("should turn a proof into a normal registration", async () => {
+      await voting.setVoterRoot(electionId, allowlist.root, { from: admin });
       
-      it("should prevent transferring to zero address", async () => {
-        await truffleAssert.reverts(
-          voting.transferAdmin("0x0000000000000000000000000000000000000000", { from: admin }),
-          "Invalid admin address"
-        );
-      });
+      const { weight, proof } = entry(voter3);
+      await voting.registerWithProof(electionId, weight, proof, { from: voter3 });
       
-      it("should prevent transferring to same admin", async () => {
-        await truffleAssert.reverts(
-          voting.transferAdmin(admin, { from: admin }),
-          "New admin cannot be the same as current admin"
-        );
-      });
+      const status = await voting.getVoterStatus(electionId, voter3);
+      expect(status.isRegistered).to.be.true;
+      expect(status.weight.toNumber()).to.equal(2);
+      
+      await truffleAssert.reverts(
+        voting.registerWithProof(electionId, weight, proof, { from: voter3 }),
+        "Voter is already registered"
+      );
+      
+      await voting.vote(electionId, 1, { from: voter3 });
+      expect((await voting.voteCounts(electionId, 1)).toNumber()).to.equal(2);
     });
   });
   
   describe("🗳️ Voting Functionality", () => {
     beforeEach(async () => {
       // Set up election for voting tests
-      await voting.addCandidate("Alice", { from: admin });
-      await voting.addCandidate("Bob", { from: admin });
-      await voting.registerVoter(voter1, { from: admin });
-      await voting.registerVoter(voter2, { from: admin });
-      await voting.toggleVoting({ from: admin }); // Activate voting
+      await voting.addCandidate(electionId, "Alice", { from: admin });
+      await voting.addCandidate(electionId, "Bob", { from: admin });
+      await voting.registerVoter(electionId, voter1, 1, { from: admin });
+      await voting.registerVoter(electionId, voter2, 1, { from: admin });
+      await voting.toggleVoting(electionId, { from: admin }); // Activate voting
     });
     
     /**
@@ -242,12 +1676,12 @@ contract("Voting", (accounts) => {
      */
     
     it("should allow registered voters to vote", async () => {
-      const tx = await voting.vote(1, { from: voter1 });
+      const tx = await voting.vote(electionId, 1, { from: voter1 });
       
       // Verify state changes
-      const hasVotedStatus = await voting.hasVoted(voter1);
-      const voteCount = await voting.voteCounts(1);
-      const totalVotes = await voting.totalVotes();
+      const hasVotedStatus = await voting.hasVoted(electionId, voter1);
+      const voteCount = await voting.voteCounts(electionId, 1);
+      const { totalVotes } = await voting.elections(electionId);
       
       expect(hasVotedStatus).to.be.true;
       expect(voteCount.toNumber()).to.equal(1);
@@ -261,25 +1695,25 @@ contract("Voting", (accounts) => {
     
     it("should prevent unregistered voters from voting", async () => {
       await truffleAssert.reverts(
-        voting.vote(1, { from: unauthorized }),
+        voting.vote(electionId, 1, { from: unauthorized }),
         "You are not registered to vote"
       );
     });
     
     it("should prevent double voting (CRITICAL SECURITY TEST)", async () => {
       // First vote should succeed
-      await voting.vote(1, { from: voter1 });
+      await voting.vote(electionId, 1, { from: voter1 });
       
       // Second vote should fail
       await truffleAssert.reverts(
-        voting.vote(2, { from: voter1 }),
+        voting.vote(electionId, 2, { from: voter1 }),
         "You have already voted"
       );
       
       // Verify vote count didn't change
-      const voteCount1 = await voting.voteCounts(1);
-      const voteCount2 = await voting.voteCounts(2);
-      const totalVotes = await voting.totalVotes();
+      const voteCount1 = await voting.voteCounts(electionId, 1);
+      const voteCount2 = await voting.voteCounts(electionId, 2);
+      const { totalVotes } = await voting.elections(electionId);
       
       expect(voteCount1.toNumber()).to.equal(1);
       expect(voteCount2.toNumber()).to.equal(0);
@@ -288,59 +1722,77 @@ contract("Voting", (accounts) => {
     
     it("should prevent voting when voting is inactive", async () => {
       // Deactivate voting
-      await voting.toggleVoting({ from: admin });
+      await voting.toggleVoting(electionId, { from: admin });
       
       await truffleAssert.reverts(
-        voting.vote(1, { from: voter1 }),
+        voting.vote(electionId, 1, { from: voter1 }),
         "Voting is currently inactive"
       );
     });
     
     it("should prevent voting for non-existent candidates", async () => {
       await truffleAssert.reverts(
-        voting.vote(99, { from: voter1 }),
+        voting.vote(electionId, 99, { from: voter1 }),
         "Invalid candidate ID"
       );
       
       await truffleAssert.reverts(
-        voting.vote(0, { from: voter1 }),
+        voting.vote(electionId, 0, { from: voter1 }),
         "Invalid candidate ID"
       );
     });
     
     it("should handle multiple voters correctly", async () => {
       // Multiple voters vote for different candidates
-      await voting.vote(1, { from: voter1 }); // Alice
-      await voting.vote(2, { from: voter2 }); // Bob
+      await voting.vote(electionId, 1, { from: voter1 }); // Alice
+      await voting.vote(electionId, 2, { from: voter2 }); // Bob
       
       // Verify vote counts
-      const aliceVotes = await voting.voteCounts(1);
-      const bobVotes = await voting.voteCounts(2);
-      const totalVotes = await voting.totalVotes();
+      const aliceVotes = await voting.voteCounts(electionId, 1);
+      const bobVotes = await voting.voteCounts(electionId, 2);
+      const { totalVotes } = await voting.elections(electionId);
       
       expect(aliceVotes.toNumber()).to.equal(1);
       expect(bobVotes.toNumber()).to.equal(1);
       expect(totalVotes.toNumber()).to.equal(2);
     });
+    
+    it("should count abstentions toward turnout without letting them win", async () => {
+      const ABSTAIN = await voting.ABSTAIN();
+      const NONE_OF_THE_ABOVE = await voting.NONE_OF_THE_ABOVE();
+      
+      const tx = await voting.vote(electionId, ABSTAIN, { from: voter1 });
+      await voting.vote(electionId, NONE_OF_THE_ABOVE, { from: voter2 });
+      truffleAssert.eventEmitted(tx, "VoteCast", (ev) => ev.candidateId.eq(ABSTAIN));
+      
+      const { totalVotes } = await voting.elections(electionId);
+      expect(totalVotes.toNumber()).to.equal(2);
+      
+      const results = await voting.showResults(electionId);
+      expect(results.votes.map(v => v.toNumber())).to.deep.equal([0, 0]);
+      expect(results.abstentions.toNumber()).to.equal(1);
+      expect(results.noneOfTheAbove.toNumber()).to.equal(1);
+      expect(results.winningCandidateId.toNumber()).to.equal(0);
+    });
   });
   
   describe("📊 Results and View Functions", () => {
     beforeEach(async () => {
       // Set up election with votes
-      await voting.addCandidate("Alice", { from: admin });
-      await voting.addCandidate("Bob", { from: admin });
-      await voting.addCandidate("Carol", { from: admin });
+      await voting.addCandidate(electionId, "Alice", { from: admin });
+      await voting.addCandidate(electionId, "Bob", { from: admin });
+      await voting.addCandidate(electionId, "Carol", { from: admin });
       
-      await voting.registerVoter(voter1, { from: admin });
-      await voting.registerVoter(voter2, { from: admin });
-      await voting.registerVoter(voter3, { from: admin });
+      await voting.registerVoter(electionId, voter1, 1, { from: admin });
+      await voting.registerVoter(electionId, voter2, 1, { from: admin });
+      await voting.registerVoter(electionId, voter3, 1, { from: admin });
       
-      await voting.toggleVoting({ from: admin });
+      await voting.toggleVoting(electionId, { from: admin });
       
       // Cast some votes
-      await voting.vote(1, { from: voter1 }); // Alice
-      await voting.vote(1, { from: voter2 }); // Alice
-      await voting.vote(2, { from: voter3 }); // Bob
+      await voting.vote(electionId, 1, { from: voter1 }); // Alice
+      await voting.vote(electionId, 1, { from: voter2 }); // Alice
+      await voting.vote(electionId, 2, { from: voter3 }); // Bob
     });
     
     /**
@@ -350,7 +1802,7 @@ contract("Voting", (accounts) => {
      */
     
     it("should return correct results", async () => {
-      const result = await voting.showResults();
+      const result = await voting.showResults(electionId);
       const votes = result[0].map(v => v.toNumber());
       const names = result[1];
       const winnerId = result[2].toNumber();
@@ -361,7 +1813,7 @@ contract("Voting", (accounts) => {
     });
     
     it("should identify correct winner", async () => {
-      const result = await voting.getWinner();
+      const result = await voting.getWinner(electionId);
       const winnerName = result[0];
       const winnerVotes = result[1].toNumber();
       const winnerExists = result[2];
@@ -372,28 +1824,29 @@ contract("Voting", (accounts) => {
     });
     
     it("should handle no candidates scenario", async () => {
-      // Deploy fresh contract with no candidates
-      const emptyVoting = await Voting.new({ from: admin });
+      // Open a second election with no candidates
+      await voting.createElection("Empty Ballot", { from: admin });
+      const emptyElectionId = 2;
       
-      const result = await emptyVoting.showResults();
+      const result = await voting.showResults(emptyElectionId);
       expect(result[0].length).to.equal(0);
       expect(result[1].length).to.equal(0);
       expect(result[2].toNumber()).to.equal(0);
       
-      const winner = await emptyVoting.getWinner();
+      const winner = await voting.getWinner(emptyElectionId);
       expect(winner[0]).to.equal("");
       expect(winner[1].toNumber()).to.equal(0);
       expect(winner[2]).to.be.false;
     });
     
     it("should return correct candidate info", async () => {
-      const result = await voting.getCandidateInfo(1);
+      const result = await voting.getCandidateInfo(electionId, 1);
       expect(result[0]).to.equal("Alice");
       expect(result[1].toNumber()).to.equal(2);
       expect(result[2]).to.be.true;
       
       // Non-existent candidate
-      const noCandidate = await voting.getCandidateInfo(99);
+      const noCandidate = await voting.getCandidateInfo(electionId, 99);
       expect(noCandidate[0]).to.equal("");
       expect(noCandidate[1].toNumber()).to.equal(0);
       expect(noCandidate[2]).to.be.false;
@@ -401,25 +1854,128 @@ contract("Voting", (accounts) => {
     
     it("should return correct voter status", async () => {
       // Voted voter
-      const voter1Status = await voting.getVoterStatus(voter1);
+      const voter1Status = await voting.getVoterStatus(electionId, voter1);
       expect(voter1Status[0]).to.be.true; // registered
       expect(voter1Status[1]).to.be.true; // has voted
       expect(voter1Status[2]).to.be.false; // cannot vote
       
       // Unregistered user
-      const unauthorizedStatus = await voting.getVoterStatus(unauthorized);
+      const unauthorizedStatus = await voting.getVoterStatus(electionId, unauthorized);
       expect(unauthorizedStatus[0]).to.be.false; // not registered
       expect(unauthorizedStatus[1]).to.be.false; // hasn't voted
       expect(unauthorizedStatus[2]).to.be.false; // cannot vote
     });
     
     it("should return correct election stats", async () => {
-      const stats = await voting.getElectionStats();
+      const stats = await voting.getElectionStats(electionId);
       expect(stats[0].toNumber()).to.equal(3); // total candidates
       expect(stats[1].toNumber()).to.equal(3); // total votes
       expect(stats[2]).to.be.true; // voting active
       expect(stats[3]).to.equal(admin); // current admin
     });
+    
+    it("should finalize a closed election and lock it", async () => {
+      await truffleAssert.reverts(
+        voting.finalizeElection(electionId, { from: admin }),
+        "Voting has not closed yet"
+      );
+      
+      await voting.toggleVoting(electionId, { from: admin });
+      await truffleAssert.reverts(
+        voting.finalizeElection(electionId, { from: unauthorized }),
+        "Only admin can perform this action"
+      );
+      const tx = await voting.finalizeElection(electionId, { from: admin });
+      
+      truffleAssert.eventEmitted(tx, "ElectionFinalized", (ev) => {
+        return ev.winners.map(w => w.toNumber()).join() === "1" && ev.totalVotes.toNumber() === 3;
+      });
+      
+      const final = await voting.getFinalResult(electionId);
+      expect(final.finalized).to.be.true;
+      expect(final.blockNumber.toNumber()).to.equal(tx.receipt.blockNumber);
+      expect(final.winners.map(w => w.toNumber())).to.deep.equal([1]);
+      
+      await truffleAssert.reverts(
+        voting.toggleVoting(electionId, { from: admin }),
+        "Election already finalized"
+      );
+      await truffleAssert.reverts(
+        voting.finalizeElection(electionId, { from: admin }),
+        "Election already finalized"
+      );
+    });
+    
+    it("should not finalize an election that never opened", async () => {
+      await voting.createElection("Unopened Poll", { from: admin });
+      const pollId = 2;
+      await voting.addCandidate(pollId, "Yes", { from: admin });
+      
+      // A manual election reports Closed before its first opening
+      expect((await voting.getElectionStats(pollId)).phase.toNumber()).to.equal(PHASE.CLOSED);
+      await truffleAssert.reverts(
+        voting.finalizeElection(pollId, { from: admin }),
+        "Voting has never opened"
+      );
+      
+      await voting.toggleVoting(pollId, { from: admin });
+      await voting.toggleVoting(pollId, { from: admin });
+      await voting.finalizeElection(pollId, { from: admin });
+      expect((await voting.getFinalResult(pollId)).finalized).to.be.true;
+    });
+    
+    it("should certify every tied leader", async () => {
+      await voting.toggleVoting(electionId, { from: admin });
+      await voting.registerVoter(electionId, unauthorized, 1, { from: admin });
+      await voting.toggleVoting(electionId, { from: admin });
+      await voting.vote(electionId, 2, { from: unauthorized }); // Bob ties Alice
+      await voting.toggleVoting(electionId, { from: admin });
+      
+      await voting.finalizeElection(electionId, { from: admin });
+      const final = await voting.getFinalResult(electionId);
+      expect(final.winners.map(w => w.toNumber())).to.deep.equal([1, 2]);
+    });
+    
+    it("should report turnout against a percentage quorum", async () => {
+      await voting.createElection("Quorum Poll", { from: admin });
+      const pollId = 2;
+      await voting.addCandidate(pollId, "Yes", { from: admin });
+      await voting.registerVoter(pollId, voter1, 1, { from: admin });
+      await voting.registerVoter(pollId, voter2, 1, { from: admin });
+      await voting.registerVoter(pollId, voter3, 1, { from: admin });
+      await voting.registerVoter(pollId, unauthorized, 5, { from: admin });
+      await voting.deregisterVoter(pollId, unauthorized, { from: admin });
+      
+      await truffleAssert.reverts(
+        voting.setQuorum(pollId, 101, true, { from: admin }),
+        "Quorum percentage above 100"
+      );
+      const tx = await voting.setQuorum(pollId, 50, true, { from: admin });
+      truffleAssert.eventEmitted(tx, "QuorumSet", (ev) => ev.threshold.toNumber() === 50 && ev.percentage);
+      
+      await voting.toggleVoting(pollId, { from: admin });
+      await truffleAssert.reverts(
+        voting.setQuorum(pollId, 1, false, { from: admin }),
+        "Voting has already started"
+      );
+      await voting.vote(pollId, 1, { from: voter1 });
+      
+      // 50% of 3 voting power rounds up to 2; one vote is not enough
+      let stats = await voting.getElectionStats(pollId);
+      expect(stats.voterCount.toNumber()).to.equal(3);
+      expect(stats.registeredVotingPower.toNumber()).to.equal(3);
+      expect(stats.quorumVotes.toNumber()).to.equal(2);
+      expect(stats.quorumMet).to.be.false;
+      
+      await voting.toggleVoting(pollId, { from: admin });
+      await voting.finalizeElection(pollId, { from: admin });
+      expect((await voting.getFinalResult(pollId)).quorumMet).to.be.false;
+      
+      // Without a quorum every result counts
+      stats = await voting.getElectionStats(electionId);
+      expect(stats.quorumVotes.toNumber()).to.equal(0);
+      expect(stats.quorumMet).to.be.true;
+    });
   });
   
   describe("⛽ Gas Optimization Tests", () => {
@@ -429,11 +1985,11 @@ contract("Voting", (accounts) => {
      */
     
     it("should have reasonable gas costs for voting", async () => {
-      await voting.addCandidate("Alice", { from: admin });
-      await voting.registerVoter(voter1, { from: admin });
-      await voting.toggleVoting({ from: admin });
+      await voting.addCandidate(electionId, "Alice", { from: admin });
+      await voting.registerVoter(electionId, voter1, 1, { from: admin });
+      await voting.toggleVoting(electionId, { from: admin });
       
-      const tx = await voting.vote(1, { from: voter1 });
+      const tx = await voting.vote(electionId, 1, { from: voter1 });
       console.log("      Gas used for voting:", tx.receipt.gasUsed);
       
       // Should be under 100k gas (reasonable for a simple vote)
@@ -445,7 +2001,7 @@ contract("Voting", (accounts) => {
       
       // Register multiple voters and measure gas
       for (let i = 1; i <= 5; i++) {
-        const tx = await voting.registerVoter(accounts[i], { from: admin });
+        const tx = await voting.registerVoter(electionId, accounts[i], 1, { from: admin });
         gasUsages.push(tx.receipt.gasUsed);
       }
       
@@ -466,39 +2022,171 @@ contract("Voting", (accounts) => {
      */
     
     it("should handle tie scenarios in winner determination", async () => {
-      await voting.addCandidate("Alice", { from: admin });
-      await voting.addCandidate("Bob", { from: admin });
+      await voting.addCandidate(electionId, "Alice", { from: admin });
+      await voting.addCandidate(electionId, "Bob", { from: admin });
+      
+      await voting.registerVoter(electionId, voter1, 1, { from: admin });
+      await voting.registerVoter(electionId, voter2, 1, { from: admin });
+      await voting.toggleVoting(electionId, { from: admin });
       
-      await voting.registerVoter(voter1, { from: admin });
-      await voting.registerVoter(voter2, { from: admin });
-      await voting.toggleVoting({ from: admin });
+      // Nobody has voted yet, so nobody is winning
+      expect((await voting.showResults(electionId))[2].toNumber()).to.equal(0);
       
       // Create a tie
-      await voting.vote(1, { from: voter1 });
-      await voting.vote(2, { from: voter2 });
+      await voting.vote(electionId, 1, { from: voter1 });
+      await voting.vote(electionId, 2, { from: voter2 });
       
-      const winner = await voting.getWinner();
-      // Should return the first candidate in case of tie (Alice, ID 1)
-      expect(winner[0]).to.equal("Alice");
+      // Default policy declares the tie instead of favouring the lower ID
+      const winner = await voting.getWinner(electionId);
+      expect(winner[0]).to.equal("");
       expect(winner[1].toNumber()).to.equal(1);
+      expect(winner[2]).to.be.false;
+      
+      const results = await voting.showResults(electionId);
+      expect(results[2].toNumber()).to.equal(0);
+      expect(results[0].map(v => v.toNumber())).to.deep.equal([1, 1]);
+    });
+    
+    it("should break a tie in favour of the candidate who reached it first", async () => {
+      await voting.addCandidate(electionId, "Alice", { from: admin });
+      await voting.addCandidate(electionId, "Bob", { from: admin });
+      await voting.registerVoter(electionId, voter1, 1, { from: admin });
+      await voting.registerVoter(electionId, voter2, 1, { from: admin });
+      
+      const tx = await voting.setTieBreakPolicy(electionId, TIE_BREAK.EARLIEST_TO_REACH, { from: admin });
+      truffleAssert.eventEmitted(tx, "TieBreakPolicySet", (ev) => ev.policy.toNumber() === TIE_BREAK.EARLIEST_TO_REACH);
+      expect((await voting.getTieBreakPolicy(electionId)).toNumber()).to.equal(TIE_BREAK.EARLIEST_TO_REACH);
+      
+      await voting.toggleVoting(electionId, { from: admin });
+      await truffleAssert.reverts(
+        voting.setTieBreakPolicy(electionId, TIE_BREAK.DECLARE_TIE, { from: admin }),
+        "Voting has already started"
+      );
+      
+      // Bob reaches one vote first, Alice draws level afterwards
+      await voting.vote(electionId, 2, { from: voter1 });
+      await voting.vote(electionId, 1, { from: voter2 });
+      
+      const winner = await voting.getWinner(electionId);
+      expect(winner[0]).to.equal("Bob");
+      expect(winner[2]).to.be.true;
+      
+      await voting.toggleVoting(electionId, { from: admin });
+      await voting.finalizeElection(electionId, { from: admin });
+      const final = await voting.getFinalResult(electionId);
+      expect(final.winners.map(id => id.toNumber())).to.deep.equal([2]);
+    });
+    
+    it("should draw a certified tie only under the draw policy", async () => {
+      await voting.addCandidate(electionId, "Alice", { from: admin });
+      await voting.addCandidate(electionId, "Bob", { from: admin });
+      await voting.registerVoter(electionId, voter1, 1, { from: admin });
+      await voting.registerVoter(electionId, voter2, 1, { from: admin });
+      await voting.setTieBreakPolicy(electionId, TIE_BREAK.ADMIN_DRAW, { from: admin });
+      
+      await voting.toggleVoting(electionId, { from: admin });
+      await voting.vote(electionId, 1, { from: voter1 });
+      await voting.vote(electionId, 2, { from: voter2 });
+      
+      // The tie stands until the election is certified and drawn
+      await truffleAssert.reverts(
+        voting.drawTieBreak(electionId, { from: admin }),
+        "Election is not finalized"
+      );
+      await voting.toggleVoting(electionId, { from: admin });
+      await voting.finalizeElection(electionId, { from: admin });
+      expect((await voting.getWinner(electionId))[2]).to.be.false;
+      
+      await truffleAssert.reverts(
+        voting.drawTieBreak(electionId, { from: unauthorized }),
+        "Only admin can perform this action"
+      );
+      const request = await voting.drawTieBreak(electionId, { from: admin });
+      const drawBlock = (await voting.getFinalResult(electionId)).drawBlock.toNumber();
+      expect(drawBlock).to.equal(request.receipt.blockNumber + 1);
+      truffleAssert.eventEmitted(request, "TieBreakRequested", (ev) => ev.drawBlock.toNumber() === drawBlock);
+      expect((await voting.getFinalResult(electionId)).winners.length).to.equal(2);
+      
+      // The committed block is the next one, so it cannot be drawn from yet
+      await truffleAssert.reverts(
+        voting.drawTieBreak(electionId, { from: admin }),
+        "Draw block is not mined yet"
+      );
+      await rpc("evm_mine");
+      const tx = await voting.drawTieBreak(electionId, { from: admin });
+      
+      const final = await voting.getFinalResult(electionId);
+      expect(final.winners.length).to.equal(1);
+      const drawn = final.winners[0].toNumber();
+      expect([1, 2]).to.include(drawn);
+      truffleAssert.eventEmitted(tx, "TieBroken", (ev) => ev.winnerId.toNumber() === drawn);
+      
+      const winner = await voting.getWinner(electionId);
+      expect(winner[0]).to.equal(drawn === 1 ? "Alice" : "Bob");
+      expect(winner[2]).to.be.true;
+      expect((await voting.showResults(electionId))[2].toNumber()).to.equal(drawn);
+      
+      await truffleAssert.reverts(
+        voting.drawTieBreak(electionId, { from: admin }),
+        "No tie to break"
+      );
+    });
+    
+    it("should draw from the committed block no matter who completes the draw", async () => {
+      await voting.addCandidate(electionId, "Alice", { from: admin });
+      await voting.addCandidate(electionId, "Bob", { from: admin });
+      await voting.registerVoter(electionId, voter1, 1, { from: admin });
+      await voting.registerVoter(electionId, voter2, 1, { from: admin });
+      await voting.setTieBreakPolicy(electionId, TIE_BREAK.ADMIN_DRAW, { from: admin });
+      await voting.toggleVoting(electionId, { from: admin });
+      await voting.vote(electionId, 1, { from: voter1 });
+      await voting.vote(electionId, 2, { from: voter2 });
+      await voting.toggleVoting(electionId, { from: admin });
+      await voting.finalizeElection(electionId, { from: admin });
+      
+      await voting.drawTieBreak(electionId, { from: admin });
+      const drawBlock = (await voting.getFinalResult(electionId)).drawBlock.toNumber();
+      await rpc("evm_mine");
+      
+      // The winner follows from a hash nobody knew when the draw was requested
+      const { hash } = await web3.eth.getBlock(drawBlock);
+      const seed = web3.utils.toBN(web3.utils.soliditySha3(
+        { t: "bytes32", v: hash },
+        { t: "uint256", v: electionId }
+      ));
+      const expected = seed.modn(2) + 1;
+      
+      // Another account, or the admin some blocks later, reveals the same winner
+      const snapshot = await rpc("evm_snapshot");
+      const byVoter = await voting.drawTieBreak(electionId, { from: voter1 });
+      truffleAssert.eventEmitted(byVoter, "TieBroken", (ev) => ev.winnerId.toNumber() === expected);
+      await rpc("evm_revert", [snapshot.result]);
+      
+      for (let i = 0; i < 5; i++) await rpc("evm_mine");
+      const byAdmin = await voting.drawTieBreak(electionId, { from: admin });
+      truffleAssert.eventEmitted(byAdmin, "TieBroken", (ev) => ev.winnerId.toNumber() === expected);
+      
+      const final = await voting.getFinalResult(electionId);
+      expect(final.winners.map(id => id.toNumber())).to.deep.equal([expected]);
     });
     
     it("should maintain state consistency after admin transfer", async () => {
       // Set up initial state
-      await voting.addCandidate("Alice", { from: admin });
-      await voting.registerVoter(voter1, { from: admin });
+      await voting.addCandidate(electionId, "Alice", { from: admin });
+      await voting.registerVoter(electionId, voter1, 1, { from: admin });
       
       // Transfer admin
       await voting.transferAdmin(voter2, { from: admin });
+      await voting.acceptAdmin({ from: voter2 });
       
       // New admin should be able to continue operations
-      await voting.addCandidate("Bob", { from: voter2 });
-      await voting.registerVoter(voter3, { from: voter2 });
+      await voting.addCandidate(electionId, "Bob", { from: voter2 });
+      await voting.registerVoter(electionId, voter3, 1, { from: voter2 });
       
       // Verify state
-      const candidateCount = await voting.candidateCount();
-      const isVoter1Registered = await voting.registeredVoters(voter1);
-      const isVoter3Registered = await voting.registeredVoters(voter3);
+      const { candidateCount } = await voting.elections(electionId);
+      const isVoter1Registered = await voting.registeredVoters(electionId, voter1);
+      const isVoter3Registered = await voting.registeredVoters(electionId, voter3);
       
       expect(candidateCount.toNumber()).to.equal(2);
       expect(isVoter1Registered).to.be.true;
@@ -506,6 +2194,142 @@ contract("Voting", (accounts) => {
     });
   });
   
+  describe("🧮 Tally Verification", () => {
+    /**
+     * TESTS: Counts rebuilt from event logs against voteCounts / totalVotes
+     * WHY: The audit only means something if it agrees on an honest chain
+     *      and fails when the logs do not add up
+     */
+    
+    let fromBlock;
+    
+    beforeEach(async () => {
+      fromBlock = (await web3.eth.getTransactionReceipt(voting.transactionHash)).blockNumber;
+      
+      await voting.addCandidate(electionId, "Alice", { from: admin });
+      await voting.addCandidate(electionId, "Bob", { from: admin });
+      await voting.registerVoter(electionId, voter1, 3, { from: admin });
+      await voting.registerVoter(electionId, voter2, 1, { from: admin });
+      await voting.registerVoter(electionId, voter3, 2, { from: admin });
+      await voting.registerVoter(electionId, unauthorized, 1, { from: admin });
+      await voting.deregisterVoter(electionId, unauthorized, { from: admin });
+      await voting.setVoteChanges(electionId, true, { from: admin });
+      await voting.toggleVoting(electionId, { from: admin });
+      
+      await voting.vote(electionId, 1, { from: voter1 });
+      await voting.changeVote(electionId, 2, { from: voter1 });
+      await voting.vote(electionId, 1, { from: voter2 });
+      await voting.vote(electionId, await voting.ABSTAIN(), { from: voter3 });
+    });
+    
+    const verify = async (from) => tallyVerifier.verifyTally(
+      new web3.eth.Contract(Voting.abi, voting.address),
+      electionId,
+      { fromBlock: from, toBlock: await web3.eth.getBlockNumber() }
+    );
+    
+    const runCli = (...args) => spawnSync(process.execPath, [
+      path.join(__dirname, "..", "verify-tally.js"),
+      "--rpc", web3.currentProvider.host,
+      "--address", voting.address,
+      ...args
+    ], { encoding: "utf8" });
+    
+    /**
+     * STORAGE HELPERS
+     * WHY: A miscount the contract agrees with can only be staged by
+     *      rewriting its storage (Ganache's evm_setAccountStorageAt)
+     * HOW: Mapping slots are keccak256(key . base); the base slot is found
+     *      by scanning for a value the test already knows
+     */
+    const toWord = (value) => web3.utils.padLeft(web3.utils.toHex(value), 64);
+    const mappingSlot = (keyType, key, base) =>
+      web3.utils.keccak256(web3.eth.abi.encodeParameters([keyType, "uint256"], [key, base]));
+    const offsetSlot = (slot, offset) => toWord(web3.utils.toBN(slot).addn(offset));
+    const storedAt = async (slot) => web3.utils.toBN(await web3.eth.getStorageAt(voting.address, slot)).toNumber();
+    
+    const findSlot = async (slotFor, expected) => {
+      for (let base = 0; base < 100; base++) {
+        if (await storedAt(slotFor(base)) === expected) return slotFor(base);
+      }
+      throw new Error("Storage slot not found");
+    };
+    
+    const setStorage = (slot, value) => rpc("evm_setAccountStorageAt", [voting.address, slot, toWord(value)]);
+    
+    it("should rebuild weighted counts and the voter set from event logs", async () => {
+      const report = await verify(fromBlock);
+      
+      expect(report.ok).to.equal(true);
+      expect(report.ballots).to.equal(3);
+      expect(report.totalVotes).to.deep.equal({ rebuilt: "6", reported: "6", match: true });
+      expect(report.voterCount).to.deep.equal({ rebuilt: "3", reported: "3", match: true });
+      
+      const count = (label) => report.candidates.find(c => c.label === label).rebuilt;
+      expect(count("Candidate #1")).to.equal("1");
+      expect(count("Candidate #2")).to.equal("3");
+      expect(count("Abstain")).to.equal("2");
+    });
+    
+    it("should rebuild weights through delegation chains from the logs", async () => {
+      const [delegator, middle, end] = accounts.slice(5, 8);
+      await voting.registerVoter(electionId, delegator, 4, { from: admin });
+      await voting.registerVoter(electionId, middle, 2, { from: admin });
+      await voting.registerVoter(electionId, end, 1, { from: admin });
+      
+      // Both delegations end at the same voter: 1 + 2 + 4
+      await voting.delegateVote(electionId, end, { from: middle });
+      await voting.delegateVote(electionId, middle, { from: delegator });
+      await voting.vote(electionId, 1, { from: end });
+      
+      const report = await verify(fromBlock);
+      expect(report.ok, report.problems.join("; ")).to.equal(true);
+      expect(report.totalVotes.rebuilt).to.equal("13");
+      expect(report.candidates.find(c => c.label === "Candidate #1").rebuilt).to.equal("8");
+    });
+    
+    it("should report a mismatch when the logs do not add up", async () => {
+      // Starting after the registrations and first vote loses part of the record
+      const voteBlock = (await web3.eth.getBlockNumber()) - 2;
+      const report = await verify(voteBlock);
+      
+      expect(report.ok).to.equal(false);
+      expect(report.totalVotes.match).to.equal(false);
+      expect(report.voterCount.match).to.equal(false);
+      expect(report.problems.some(problem => problem.includes("unregistered"))).to.equal(true);
+    });
+    
+    it("should exit non-zero from the CLI only on a mismatch", async () => {
+      const passing = runCli("--from-block", String(fromBlock), String(electionId));
+      expect(passing.status, passing.stdout + passing.stderr).to.equal(0);
+      
+      const latest = await web3.eth.getBlockNumber();
+      const failing = runCli("--from-block", String(latest), String(electionId));
+      expect(failing.status).to.equal(1);
+      expect(failing.stdout).to.include("TALLY MISMATCH");
+    });
+    
+    it("should fail the CLI when a stored weight was counted wrongly", async () => {
+      // voter1 (weight 3) backs Bob (3 votes) out of 6 in total
+      const weightSlot = await findSlot(base => mappingSlot("address", voter1, mappingSlot("uint256", electionId, base)), 3);
+      const countSlot = await findSlot(base => mappingSlot("uint256", 2, mappingSlot("uint256", electionId, base)), 3);
+      const electionSlot = await findSlot(base => offsetSlot(mappingSlot("uint256", electionId, base), 2), 6);
+      expect(await storedAt(offsetSlot(electionSlot, -1))).to.equal(2); // candidateCount beside totalVotes
+      
+      // Inflate the weight, Bob's count and the total alike: the contract agrees with itself
+      await setStorage(weightSlot, 5);
+      await setStorage(countSlot, 5);
+      await setStorage(electionSlot, 8);
+      expect((await voting.voterWeights(electionId, voter1)).toNumber()).to.equal(5);
+      expect((await voting.elections(electionId)).totalVotes.toNumber()).to.equal(8);
+      
+      const result = runCli("--from-block", String(fromBlock), String(electionId));
+      expect(result.status, result.stdout + result.stderr).to.equal(1);
+      expect(result.stdout).to.include("has weight 3 in the logs but 5 in voterWeights");
+      expect(result.stdout).to.include("Total votes: logs 6, contract 8");
+    });
+  });
+  
   describe("📝 Event Emission Tests", () => {
     /**
      * TESTS: Verify all events are emitted correctly
@@ -514,23 +2338,25 @@ contract("Voting", (accounts) => {
     
     it("should emit all required events", async () => {
       // Test VoterRegistered event
-      let tx = await voting.registerVoter(voter1, { from: admin });
+      let tx = await voting.registerVoter(electionId, voter1, 1, { from: admin });
       truffleAssert.eventEmitted(tx, "VoterRegistered");
       
       // Test CandidateAdded event
-      tx = await voting.addCandidate("Alice", { from: admin });
+      tx = await voting.addCandidate(electionId, "Alice", { from: admin });
       truffleAssert.eventEmitted(tx, "CandidateAdded");
       
       // Test VotingStatusChanged event
-      tx = await voting.toggleVoting({ from: admin });
+      tx = await voting.toggleVoting(electionId, { from: admin });
       truffleAssert.eventEmitted(tx, "VotingStatusChanged");
       
       // Test VoteCast event
-      tx = await voting.vote(1, { from: voter1 });
+      tx = await voting.vote(electionId, 1, { from: voter1 });
       truffleAssert.eventEmitted(tx, "VoteCast");
       
-      // Test AdminChanged event
+      // Test AdminTransferProposed and AdminChanged events
       tx = await voting.transferAdmin(voter2, { from: admin });
+      truffleAssert.eventEmitted(tx, "AdminTransferProposed");
+      tx = await voting.acceptAdmin({ from: voter2 });
       truffleAssert.eventEmitted(tx, "AdminChanged");
     });
   });
@@ -0,0 +1,141 @@
+const path = require('path');
+const { Web3 } = require('web3');
+const { verifyTally } = require('./frontend/js/tally');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ * TALLY VERIFIER
+ * ═══════════════════════════════════════════════════════════════════════════════════
+ *
+ * Rebuilds each election's counts and voter set from the contract's event
+ * logs and compares them with voteCounts / totalVotes, using the same code
+ * as the Results tab's "Verify tally" button (frontend/js/tally.js).
+ *
+ * USAGE: node verify-tally.js [--rpc <url>] [--address <0x...>] [--from-block <n>] [electionId ...]
+ * • --rpc defaults to the local Ganache at http://127.0.0.1:8545
+ * • --address defaults to the Voting deployment recorded for the chain's network
+ *   in build/contracts/Voting.json
+ * • --from-block defaults to that deployment's block (0 with --address)
+ * • with no election IDs every election is checked
+ *
+ * EXIT CODE: 0 when everything matches, 1 on any mismatch, 2 on usage or RPC errors
+ */
+
+const USAGE = 'Usage: node verify-tally.js [--rpc <url>] [--address <0x...>] [--from-block <n>] [electionId ...]';
+
+function parseArgs(argv) {
+    const options = { rpc: 'http://127.0.0.1:8545', address: null, fromBlock: null, electionIds: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--rpc') {
+            options.rpc = argv[++i];
+        } else if (arg === '--address') {
+            options.address = argv[++i];
+        } else if (arg === '--from-block') {
+            options.fromBlock = Number(argv[++i]);
+        } else if (/^[1-9]\d*$/.test(arg)) {
+            options.electionIds.push(Number(arg));
+        } else {
+            return null;
+        }
+    }
+
+    if (!options.rpc) return null;
+    if (options.address !== null && !/^0x[a-fA-F0-9]{40}$/.test(options.address || '')) return null;
+    if (options.fromBlock !== null && !Number.isSafeInteger(options.fromBlock)) return null;
+    return options;
+}
+
+/**
+ * The Voting artifact's ABI, plus the address and deployment block on the
+ * connected chain unless --address names another deployment
+ */
+async function resolveDeployment(web3, options) {
+    const artifact = require(path.join(__dirname, 'build', 'contracts', 'Voting.json'));
+
+    if (options.address) {
+        return { abi: artifact.abi, address: options.address, fromBlock: options.fromBlock ?? 0 };
+    }
+
+    const networkId = String(await web3.eth.net.getId());
+    const deployment = artifact.networks[networkId];
+    if (!deployment) {
+        throw new Error(`Voting is not deployed on network ${networkId}; pass --address`);
+    }
+
+    let fromBlock = options.fromBlock;
+    if (fromBlock === null) {
+        const receipt = deployment.transactionHash
+            ? await web3.eth.getTransactionReceipt(deployment.transactionHash)
+            : null;
+        fromBlock = receipt ? Number(receipt.blockNumber) : 0;
+    }
+
+    return { abi: artifact.abi, address: deployment.address, fromBlock };
+}
+
+function printReport(report) {
+    console.log(`\n🗳️  Election ${report.electionId} — ${report.logs} logs, ${report.ballots} ballots (blocks ${report.fromBlock}–${report.toBlock})`);
+
+    report.candidates
+        .filter(candidate => !candidate.match || candidate.reported !== '0')
+        .forEach(candidate => {
+            const mark = candidate.match ? '✅' : '❌';
+            console.log(`   ${mark} ${candidate.label}: logs ${candidate.rebuilt}, contract ${candidate.reported}`);
+        });
+
+    [['Total votes', report.totalVotes], ['Registered voters', report.voterCount]].forEach(([label, value]) => {
+        const mark = value.match ? '✅' : '❌';
+        console.log(`   ${mark} ${label}: logs ${value.rebuilt}, contract ${value.reported}`);
+    });
+
+    report.problems.forEach(problem => console.log(`   ❌ ${problem}`));
+    console.log(report.ok ? '   ✅ Tally verified' : '   ❌ TALLY MISMATCH');
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options) {
+        console.log(USAGE);
+        process.exit(2);
+    }
+
+    let reports;
+    try {
+        const web3 = new Web3(options.rpc);
+        const deployment = await resolveDeployment(web3, options);
+        const contract = new web3.eth.Contract(deployment.abi, deployment.address);
+        const toBlock = Number(await web3.eth.getBlockNumber());
+
+        let electionIds = options.electionIds;
+        if (electionIds.length === 0) {
+            const count = Number(await contract.methods.electionCount().call());
+            electionIds = Array.from({ length: count }, (_, i) => i + 1);
+        }
+
+        console.log('\n🔍 Verifying tallies from event logs\n');
+        console.log('═══════════════════════════════════════════════════════════');
+        console.log('🌐 RPC:', options.rpc);
+        console.log('📍 Contract:', deployment.address);
+        console.log('═══════════════════════════════════════════════════════════');
+
+        reports = [];
+        for (const electionId of electionIds) {
+            const report = await verifyTally(contract, electionId, { fromBlock: deployment.fromBlock, toBlock });
+            printReport(report);
+            reports.push(report);
+        }
+    } catch (error) {
+        console.error('❌ Error:', error.message);
+        process.exit(2);
+    }
+
+    const failed = reports.filter(report => !report.ok).length;
+    console.log(failed === 0
+        ? `\n✅ ${reports.length} election(s) match their event logs\n`
+        : `\n❌ ${failed} of ${reports.length} election(s) do not match their event logs\n`);
+    process.exit(failed === 0 ? 0 : 1);
+}
+
+main();